@@ -0,0 +1,58 @@
+import { formatMemoryPrompt, memoryKey, parseMemoryUpdate, validateMemory } from '../memory';
+
+describe('Memory Config', () => {
+  it('should read the summary and valid memories from a reply', () => {
+    const reply = `Here you go:
+{"summary": "The user sent 1 APT to bob.", "memories": [
+  {"category": "preferred_token", "key": " USDC ", "content": "Prefers USDC for payments "},
+  {"category": "risk_tolerance", "key": "level", "content": "Conservative"},
+  {"category": "fact", "content": "Lives in Lisbon"},
+  {"category": "secrets", "key": "x", "content": "nope"},
+  {"category": "fact", "content": ""}
+]}`;
+
+    expect(parseMemoryUpdate(reply)).toEqual({
+      summary: 'The user sent 1 APT to bob.',
+      memories: [
+        { category: 'preferred_token', key: 'usdc', content: 'Prefers USDC for payments' },
+        { category: 'risk_tolerance', key: 'risk', content: 'Conservative' },
+        { category: 'fact', key: 'lives in lisbon', content: 'Lives in Lisbon' }
+      ]
+    });
+  });
+
+  it('should refuse replies without a summary', () => {
+    expect(() => parseMemoryUpdate('I cannot help with that')).toThrow('no summary');
+    expect(() => parseMemoryUpdate('{"memories": []}')).toThrow('no summary');
+  });
+
+  it('should normalize keys so the same fact is stored once', () => {
+    expect(memoryKey('saved_address', '  My   Exchange ')).toBe('my exchange');
+    expect(memoryKey('risk_tolerance', 'anything')).toBe('risk');
+  });
+
+  it('should validate memory edits', () => {
+    expect(validateMemory({ content: 'Prefers APT' })).toEqual([]);
+    expect(validateMemory({})).toEqual(['Nothing to update: set content, category or key']);
+    expect(validateMemory({ content: ' ', category: 'secrets' })).toEqual([
+      expect.stringContaining('content must be'),
+      expect.stringContaining('category must be one of')
+    ]);
+    expect(validateMemory({ content: 'x'.repeat(501) })).toHaveLength(1);
+  });
+
+  it('should describe memories and the summary for the prompt', () => {
+    const prompt = formatMemoryPrompt('They asked about staking.', [
+      { category: 'saved_address', key: 'bob', content: 'Bob is 0xb0b' },
+      { category: 'risk_tolerance', key: 'risk', content: 'Conservative' }
+    ]);
+
+    expect(prompt).toContain(
+      '- [saved_address: bob] Bob is 0xb0b\n- [risk_tolerance] Conservative'
+    );
+    expect(prompt).toContain(
+      'Summary of the earlier part of this conversation:\nThey asked about staking.'
+    );
+    expect(formatMemoryPrompt(null, [])).toBe('');
+  });
+});
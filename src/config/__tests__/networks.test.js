@@ -0,0 +1,68 @@
+import { hasFaucet, networkKey, resolveNetwork, validateNetwork } from '../networks';
+
+describe('Networks', () => {
+  const originalHosts = process.env.CUSTOM_NETWORK_HOSTS;
+
+  afterEach(() => {
+    if (originalHosts === undefined) {
+      delete process.env.CUSTOM_NETWORK_HOSTS;
+    } else {
+      process.env.CUSTOM_NETWORK_HOSTS = originalHosts;
+    }
+  });
+
+  it('should resolve named networks to the SDK endpoints', () => {
+    expect(resolveNetwork(undefined)).toMatchObject({
+      name: 'mainnet',
+      fullnodeUrl: 'https://api.mainnet.aptoslabs.com/v1'
+    });
+    expect(resolveNetwork({ name: 'devnet' }).faucetUrl).toBe(
+      'https://faucet.devnet.aptoslabs.com'
+    );
+  });
+
+  it('should only offer a faucet off mainnet', () => {
+    expect(hasFaucet({ name: 'mainnet' })).toBe(false);
+    expect(hasFaucet({ name: 'testnet' })).toBe(false);
+    expect(hasFaucet({ name: 'devnet' })).toBe(true);
+    expect(hasFaucet({ name: 'local' })).toBe(true);
+    expect(hasFaucet({ name: 'custom', fullnodeUrl: 'http://localhost:8080/v1' })).toBe(false);
+  });
+
+  it('should accept custom networks on allowed hosts only', () => {
+    const custom = {
+      name: 'custom',
+      fullnodeUrl: 'http://localhost:8080/v1',
+      indexerUrl: 'http://127.0.0.1:8090/v1/graphql'
+    };
+    expect(validateNetwork(custom)).toEqual([]);
+
+    process.env.CUSTOM_NETWORK_HOSTS = 'node.example.com';
+    expect(validateNetwork(custom)).toEqual([
+      'network.fullnodeUrl must point at one of: node.example.com',
+      'network.indexerUrl must point at one of: node.example.com'
+    ]);
+    expect(validateNetwork({ name: 'custom', fullnodeUrl: 'ftp://node.example.com' })).toEqual([
+      'network.fullnodeUrl must be an http or https URL'
+    ]);
+  });
+
+  it('should reject unknown networks and URLs on named ones', () => {
+    expect(validateNetwork({ name: 'moonnet' })).toEqual([
+      expect.stringContaining('network.name must be one of')
+    ]);
+    expect(validateNetwork({ name: 'custom' })).toEqual([
+      'network.fullnodeUrl is required for a custom network'
+    ]);
+    expect(validateNetwork({ name: 'testnet', fullnodeUrl: 'http://localhost:8080' })).toEqual([
+      'network.fullnodeUrl can only be set for a custom network'
+    ]);
+  });
+
+  it('should tell custom networks apart by their endpoints', () => {
+    expect(networkKey({ name: 'devnet' })).toBe('devnet');
+    expect(networkKey({ name: 'custom', fullnodeUrl: 'http://localhost:8080/v1' })).not.toBe(
+      networkKey({ name: 'custom', fullnodeUrl: 'http://localhost:9080/v1' })
+    );
+  });
+});
@@ -0,0 +1,28 @@
+import { DEFAULT_PERSONA, validatePersona } from '../personas';
+
+describe('Personas', () => {
+  it('should accept a change within the provider limits', () => {
+    expect(validatePersona({ temperature: 0.2, maxTokens: 1024 })).toEqual([]);
+    expect(validatePersona({ systemPrompt: 'You trade memecoins.' }, DEFAULT_PERSONA)).toEqual([]);
+  });
+
+  it('should check the model and temperature against the provider', () => {
+    expect(validatePersona({ provider: 'openai' })).toEqual([
+      expect.stringContaining('model must be one of')
+    ]);
+    expect(validatePersona({ provider: 'openai', model: 'gpt-4o', temperature: 1.5 })).toEqual([]);
+    expect(validatePersona({ temperature: 1.5 })).toEqual([
+      'temperature must be a number from 0 to 1'
+    ]);
+    expect(validatePersona({ provider: 'unknown' })).toEqual([
+      expect.stringContaining('provider must be one of')
+    ]);
+  });
+
+  it('should reject empty prompts and bad token limits', () => {
+    expect(validatePersona({ systemPrompt: '  ', maxTokens: 0 })).toEqual([
+      'systemPrompt must be a non-empty string',
+      'maxTokens must be an integer from 1 to 8192'
+    ]);
+  });
+});
@@ -0,0 +1,66 @@
+import {
+  APT,
+  formatViolations,
+  normalizeAsset,
+  normalizePolicy,
+  parseViolations,
+  validatePolicy
+} from '../policies';
+
+const bob = `0x${'b0b'.padStart(64, '0')}`;
+
+describe('Policies', () => {
+  it('should treat the APT coin and fungible asset as one asset', () => {
+    expect(normalizeAsset('apt')).toBe(APT);
+    expect(normalizeAsset('0x1::aptos_coin::AptosCoin')).toBe(APT);
+    expect(normalizeAsset('0xa')).toBe(APT);
+    expect(normalizeAsset('0xb0b::usdc::USDC')).toBe(`${bob}::usdc::USDC`);
+    expect(normalizeAsset('0x1::coin')).toBeNull();
+  });
+
+  it('should validate policies', () => {
+    expect(validatePolicy({})).toEqual([]);
+    expect(
+      validatePolicy({
+        limits: [{ asset: 'APT', perTransaction: 100000000, daily: '500000000' }],
+        recipients: { allow: ['0xb0b'], deny: [] },
+        contracts: { allow: ['0x1::aptos_account'] },
+        blockedHours: { timezone: 'Europe/Berlin', hours: [0, 1, 23] }
+      })
+    ).toEqual([]);
+    expect(validatePolicy(null)).toEqual(['policy must be an object']);
+    expect(validatePolicy({ limits: [{ asset: 'APT', daily: 1.5 }] })[0]).toMatch(/daily/);
+    expect(validatePolicy({ limits: [{ asset: 'APT' }, { asset: '0xa' }] })[0]).toMatch(/twice/);
+    expect(validatePolicy({ recipients: { deny: ['bob'] } })[0]).toMatch(/recipients.deny/);
+    expect(validatePolicy({ contracts: { allow: ['0x1::a::b::c'] } })[0]).toMatch(/contracts/);
+    expect(validatePolicy({ blockedHours: { timezone: 'Mars/Base', hours: [24] } })).toHaveLength(
+      2
+    );
+  });
+
+  it('should normalize policies for storage', () => {
+    expect(
+      normalizePolicy({
+        limits: [{ asset: '0x1::aptos_coin::AptosCoin', perTransaction: 5 }],
+        recipients: { allow: ['0xb0b', bob] },
+        blockedHours: { hours: [3, 1, 3] }
+      })
+    ).toEqual({
+      limits: [{ asset: APT, perTransaction: '5', daily: null }],
+      recipients: { allow: [bob], deny: [] },
+      contracts: { allow: [] },
+      blockedHours: { timezone: 'UTC', hours: [1, 3] }
+    });
+  });
+
+  it('should read violations back out of wrapped error messages', () => {
+    const violations = [{ code: 'daily_limit', message: 'Over [the] limit' }];
+    const output = JSON.stringify({
+      status: 'error',
+      message: `Token transfer failed: ${formatViolations(violations)}`
+    });
+
+    expect(parseViolations(JSON.parse(output).message)).toEqual(violations);
+    expect(parseViolations('Account not found')).toEqual([]);
+  });
+});
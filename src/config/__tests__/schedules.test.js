@@ -0,0 +1,91 @@
+import { nextRunTime, normalizeAction, normalizeSchedule, validateTask } from '../schedules';
+
+const now = new Date('2026-10-18T12:00:00Z');
+
+describe('Schedules Config', () => {
+  it('should accept each kind of schedule and action', () => {
+    const tasks = [
+      {
+        name: 'Weekly buy',
+        schedule: { type: 'cron', cron: '0 9 * * mon', timezone: 'Europe/Paris' },
+        action: { type: 'prompt', prompt: 'Buy 1 APT' }
+      },
+      {
+        name: 'Balance',
+        schedule: { type: 'once', runAt: '2026-10-19T09:00:00Z' },
+        action: { type: 'tool', tool: 'aptos_balance', input: {} }
+      },
+      {
+        name: 'Hourly',
+        schedule: { type: 'interval', everyMs: 60 * 60 * 1000 },
+        action: { type: 'prompt', prompt: 'Check my balance' }
+      }
+    ];
+    for (const task of tasks) {
+      expect(validateTask(task, { now })).toEqual([]);
+    }
+  });
+
+  it('should explain what is wrong with a task', () => {
+    expect(
+      validateTask(
+        {
+          name: '',
+          schedule: { type: 'once', runAt: '2026-10-18T11:00:00Z' },
+          action: { type: 'tool', tool: 'rm_rf' }
+        },
+        { now }
+      )
+    ).toEqual([
+      expect.stringContaining('name must be'),
+      'schedule.runAt must be a date in the future',
+      'Unknown tool: rm_rf'
+    ]);
+    expect(
+      validateTask({ name: 'x', schedule: { type: 'interval', everyMs: 1000 }, action: {} })
+    ).toEqual([
+      expect.stringContaining('schedule.everyMs'),
+      expect.stringContaining('action.type')
+    ]);
+    expect(
+      validateTask({ name: 'x', schedule: { type: 'cron', cron: '0 0 30 2 *' }, action: {} })
+    ).toContain('schedule.cron never runs');
+  });
+
+  it('should only check the fields an update sets', () => {
+    expect(validateTask({ name: 'Renamed' }, { partial: true })).toEqual([]);
+    expect(validateTask({}, { partial: true })).toEqual([
+      'Nothing to update: set name, schedule or action'
+    ]);
+  });
+
+  it('should find the next run of each kind of schedule', () => {
+    const interval = normalizeSchedule({ type: 'interval', everyMs: 60 * 60 * 1000 }, now);
+    expect(interval.startAt).toEqual(new Date('2026-10-18T13:00:00Z'));
+    expect(nextRunTime(interval, now)).toEqual(new Date('2026-10-18T13:00:00Z'));
+    // Missed runs are skipped rather than caught up
+    expect(nextRunTime(interval, new Date('2026-10-18T17:30:00Z'))).toEqual(
+      new Date('2026-10-18T18:00:00Z')
+    );
+
+    const once = normalizeSchedule({ type: 'once', runAt: '2026-10-19T09:00:00Z' });
+    expect(nextRunTime(once, now)).toEqual(new Date('2026-10-19T09:00:00Z'));
+    expect(nextRunTime(once, new Date('2026-10-19T09:00:00Z'))).toBeNull();
+
+    const cron = normalizeSchedule({ type: 'cron', cron: ' 0 9 * * * ' });
+    expect(cron).toEqual({ type: 'cron', cron: '0 9 * * *', timezone: 'UTC' });
+    expect(nextRunTime(cron, now)).toEqual(new Date('2026-10-19T09:00:00Z'));
+  });
+
+  it('should store actions without extra fields', () => {
+    expect(normalizeAction({ type: 'prompt', prompt: ' Hi ', tool: 'x' })).toEqual({
+      type: 'prompt',
+      prompt: 'Hi'
+    });
+    expect(normalizeAction({ type: 'tool', tool: 'aptos_balance' })).toEqual({
+      type: 'tool',
+      tool: 'aptos_balance',
+      input: {}
+    });
+  });
+});
@@ -0,0 +1,54 @@
+import {
+  isToolEnabled,
+  requiresApproval,
+  resolveAllowlist,
+  toolFamily,
+  validateToolSettings
+} from '../tools';
+
+describe('Tools', () => {
+  it('should give agents without settings every tool', () => {
+    expect(isToolEnabled('aptos_transfer_token', undefined)).toBe(true);
+    expect(isToolEnabled('liquidswap_swap', { preset: 'full' })).toBe(true);
+  });
+
+  it('should only give read-only agents tools that read chain state', () => {
+    const settings = { preset: 'read-only' };
+    expect(isToolEnabled('aptos_balance', settings)).toBe(true);
+    expect(isToolEnabled('joule_get_user_position', settings)).toBe(true);
+    expect(isToolEnabled('aptos_transfer_token', settings)).toBe(false);
+    expect(isToolEnabled('joule_lend_token', settings)).toBe(false);
+  });
+
+  it('should enable custom allowlists by family and by name', () => {
+    const settings = { preset: 'custom', families: ['swaps'], tools: ['aptos_balance'] };
+    expect(resolveAllowlist(settings)).toEqual({ families: ['swaps'], tools: ['aptos_balance'] });
+    expect(isToolEnabled('panora_aggregator_swap', settings)).toBe(true);
+    expect(isToolEnabled('aptos_balance', settings)).toBe(true);
+    expect(isToolEnabled('aptos_token_price', settings)).toBe(false);
+  });
+
+  it('should never enable tools outside every family', () => {
+    expect(toolFamily('some_new_tool')).toBeNull();
+    expect(isToolEnabled('some_new_tool', { preset: 'full' })).toBe(false);
+  });
+
+  it('should validate tool settings', () => {
+    expect(validateToolSettings({ preset: 'trader' })).toEqual([]);
+    expect(validateToolSettings({ families: ['wallet'], tools: ['liquidswap_swap'] })).toEqual([]);
+    expect(validateToolSettings(['wallet'])).toEqual(['tools must be an object']);
+    expect(validateToolSettings({ preset: 'everything' })[0]).toMatch(/tools.preset/);
+    expect(validateToolSettings({ preset: 'payments', families: ['swaps'] })[0]).toMatch(
+      /without a preset/
+    );
+    expect(validateToolSettings({ families: ['weather'] })[0]).toMatch(/tools.families/);
+    expect(validateToolSettings({ tools: ['rm_rf'] })[0]).toMatch(/tools.tools/);
+  });
+
+  it('should only hold tools that can sign for approval', () => {
+    expect(requiresApproval('aptos_transfer_token')).toBe(true);
+    expect(requiresApproval('liquidswap_swap')).toBe(true);
+    expect(requiresApproval('aptos_balance')).toBe(false);
+    expect(requiresApproval('aptos_request_faucet')).toBe(false);
+  });
+});
@@ -0,0 +1,87 @@
+import { normalizeCondition, normalizeEventType, validateTrigger } from '../triggers';
+
+const TOKEN = '0x7c3e3c8a21d1b1e2cf5d7b8e8f3a1b3b1c6b0e2a1f9d4c3b2a1908f7e6d5c4b3';
+const EVENT_TYPE = '0xabc::curve::Graduated';
+const prompt = { type: 'prompt', prompt: 'Tell me about it' };
+
+describe('Triggers Config', () => {
+  it('should accept each kind of condition', () => {
+    const conditions = [
+      { type: 'incoming_transfer' },
+      { type: 'incoming_transfer', asset: '0x1::aptos_coin::AptosCoin', minAmount: '100000000' },
+      { type: 'price_threshold', symbol: 'APT', direction: 'below', price: 4.5 },
+      { type: 'balance_floor', floor: '50000000' },
+      { type: 'token_graduation', token: TOKEN, eventType: EVENT_TYPE }
+    ];
+    for (const condition of conditions) {
+      expect(validateTrigger({ name: 'Watch', condition, action: prompt })).toEqual([]);
+    }
+  });
+
+  it('should explain what is wrong with a trigger', () => {
+    expect(
+      validateTrigger({
+        name: '',
+        condition: { type: 'price_threshold', symbol: 'APT', direction: 'sideways', price: -1 },
+        action: { type: 'tool', tool: 'not_a_tool' },
+        cooldownMs: 1.5
+      })
+    ).toEqual([
+      'name must be a non-empty string of at most 100 characters',
+      'condition.direction must be one of: above, below',
+      'condition.price must be a positive number of USD',
+      'Unknown tool: not_a_tool',
+      'cooldownMs must be a whole number of milliseconds from 0 to 604800000'
+    ]);
+    expect(
+      validateTrigger({
+        name: 'Graduation',
+        condition: { type: 'token_graduation', token: 'APT', eventType: 'Graduated' },
+        action: prompt
+      })
+    ).toEqual([
+      'condition.token must be the address of a token',
+      'condition.eventType must be the Move event type the launchpad emits on graduation'
+    ]);
+    expect(
+      validateTrigger({
+        name: 'Floor',
+        condition: { type: 'balance_floor', floor: 5 },
+        action: prompt
+      })
+    ).toEqual(['condition.floor must be a whole number string in the smallest unit']);
+  });
+
+  it('should only check the fields an update sets', () => {
+    expect(validateTrigger({ cooldownMs: 0 }, { partial: true })).toEqual([]);
+    expect(validateTrigger({}, { partial: true })).toEqual([
+      'Nothing to update: set name, condition, action or cooldownMs'
+    ]);
+  });
+
+  it('should normalize conditions to their stored form', () => {
+    expect(normalizeCondition({ type: 'incoming_transfer', asset: '0xa' })).toEqual({
+      type: 'incoming_transfer',
+      asset: 'APT',
+      minAmount: '0'
+    });
+    expect(
+      normalizeCondition({ type: 'price_threshold', symbol: 'apt', direction: 'above', price: 12 })
+    ).toEqual({ type: 'price_threshold', symbol: 'APT', direction: 'above', price: 12 });
+    expect(
+      normalizeCondition({ type: 'token_graduation', token: TOKEN, eventType: EVENT_TYPE })
+    ).toEqual({
+      type: 'token_graduation',
+      token: TOKEN,
+      eventType: `0x${'0'.repeat(61)}abc::curve::Graduated`
+    });
+  });
+
+  it('should read Move event types', () => {
+    // Special addresses stay short, as the indexer stores them
+    expect(normalizeEventType('0x01::coin::DepositEvent')).toBe('0x1::coin::DepositEvent');
+    expect(normalizeEventType('0x1::coin')).toBeNull();
+    expect(normalizeEventType('0x1::coin::Deposit::Extra')).toBeNull();
+    expect(normalizeEventType(42)).toBeNull();
+  });
+});
@@ -0,0 +1,119 @@
+import {
+  Network,
+  NetworkToFaucetAPI,
+  NetworkToIndexerAPI,
+  NetworkToNodeAPI
+} from '@aptos-labs/ts-sdk';
+
+/**
+ * Aptos networks an agent can run on
+ * mainnet, testnet, devnet and local use the SDK's endpoints; custom takes a fullnode URL and
+ * optional indexer and faucet URLs. Custom URLs may only point at hosts in
+ * CUSTOM_NETWORK_HOSTS, since the server calls them on the agent's behalf
+ */
+export const NETWORKS = [
+  Network.MAINNET,
+  Network.TESTNET,
+  Network.DEVNET,
+  Network.LOCAL,
+  Network.CUSTOM
+];
+
+export const DEFAULT_NETWORK = Object.freeze({ name: Network.MAINNET });
+
+const URL_FIELDS = ['fullnodeUrl', 'indexerUrl', 'faucetUrl'];
+
+// Hosts custom networks may use (CUSTOM_NETWORK_HOSTS, comma-separated)
+const allowedHosts = () =>
+  (process.env.CUSTOM_NETWORK_HOSTS ?? 'localhost,127.0.0.1')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Validate an agent's network
+ * @param {Object} network - {name, fullnodeUrl, indexerUrl, faucetUrl}
+ * @returns {Array<string>} What is wrong with the network; empty if it is valid
+ */
+export const validateNetwork = network => {
+  if (!network || typeof network !== 'object' || Array.isArray(network)) {
+    return ['network must be an object'];
+  }
+  if (!NETWORKS.includes(network.name)) {
+    return [`network.name must be one of: ${NETWORKS.join(', ')}`];
+  }
+
+  const errors = [];
+  const urls = URL_FIELDS.filter(field => network[field] !== undefined && network[field] !== null);
+  if (network.name !== Network.CUSTOM) {
+    urls.forEach(field => errors.push(`network.${field} can only be set for a custom network`));
+    return errors;
+  }
+  if (!network.fullnodeUrl) {
+    errors.push('network.fullnodeUrl is required for a custom network');
+  }
+
+  for (const field of urls) {
+    let url;
+    try {
+      url = new URL(network[field]);
+    } catch (error) {
+      errors.push(`network.${field} must be a URL`);
+      continue;
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      errors.push(`network.${field} must be an http or https URL`);
+    } else if (!allowedHosts().includes(url.hostname.toLowerCase())) {
+      errors.push(
+        `network.${field} must point at one of: ${allowedHosts().join(', ') || 'no hosts'}`
+      );
+    }
+  }
+  return errors;
+};
+
+/**
+ * Resolve an agent's network to its endpoints
+ * @param {Object} network - The agent's network; unset means mainnet
+ * @returns {{name: string, fullnodeUrl: string, indexerUrl: string, faucetUrl: string}} The
+ *   network endpoints; indexerUrl and faucetUrl may be undefined
+ */
+export const resolveNetwork = network => {
+  const name = network?.name || DEFAULT_NETWORK.name;
+  if (name === Network.CUSTOM) {
+    return {
+      name,
+      fullnodeUrl: network.fullnodeUrl,
+      indexerUrl: network.indexerUrl || undefined,
+      faucetUrl: network.faucetUrl || undefined
+    };
+  }
+  return {
+    name,
+    fullnodeUrl: NetworkToNodeAPI[name],
+    indexerUrl: NetworkToIndexerAPI[name],
+    faucetUrl: NetworkToFaucetAPI[name]
+  };
+};
+
+/**
+ * Whether an agent's network can fund accounts from a faucet
+ * Never on mainnet; testnet's faucet needs a captcha, so only devnet, local and custom
+ * networks with a faucet URL qualify
+ * @param {Object} network - The agent's network
+ * @returns {boolean} True if faucet funding is available
+ */
+export const hasFaucet = network => {
+  const resolved = resolveNetwork(network);
+  return resolved.name !== Network.MAINNET && Boolean(resolved.faucetUrl);
+};
+
+/**
+ * A key identifying a network's endpoints, e.g. to cache clients per network
+ * @param {Object} network - The agent's network
+ * @returns {string} The key
+ */
+export const networkKey = network => {
+  const { name, fullnodeUrl, indexerUrl, faucetUrl } = resolveNetwork(network);
+  return name === Network.CUSTOM ? [name, fullnodeUrl, indexerUrl, faucetUrl].join('|') : name;
+};
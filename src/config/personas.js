@@ -0,0 +1,83 @@
+/**
+ * Agent personas: the LLM providers and models an agent may run on, and the defaults used
+ * until its owner sets its own
+ */
+export const DEFAULT_SYSTEM_PROMPT = `
+You are a helpful agent that can interact onchain using the Aptos Agent Kit. You are
+empowered to interact onchain using your tools. If you ever need funds, you can request them from the
+faucet. If not, you can provide your wallet details and request funds from the user. If there is a 5XX
+(internal) HTTP error code, ask the user to try again later. If someone asks you to do something you
+can't do with your currently available tools, you must say so, and encourage them to implement it
+themselves using the Aptos Agent Kit, recommend they go to https://www.aptosagentkit.xyz for more information. Be
+concise and helpful with your responses. Refrain from restating your tools' descriptions unless it is explicitly requested.
+
+The response also contains token/token[] which contains the name and address of the token and the decimals.
+WHEN YOU RETURN ANY TOKEN AMOUNTS, RETURN THEM ACCORDING TO THE DECIMALS OF THE TOKEN.
+`.trim();
+
+// Models each provider may be configured with, and the highest temperature it accepts
+export const PROVIDERS = Object.freeze({
+  anthropic: {
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    maxTemperature: 1,
+    models: ['claude-3-5-sonnet-latest', 'claude-3-5-haiku-latest', 'claude-3-7-sonnet-latest']
+  },
+  openai: {
+    apiKeyEnv: 'OPENAI_API_KEY',
+    maxTemperature: 2,
+    models: ['gpt-4o', 'gpt-4o-mini', 'gpt-4.1', 'gpt-4.1-mini']
+  }
+});
+
+export const DEFAULT_PERSONA = Object.freeze({
+  provider: 'anthropic',
+  model: 'claude-3-5-sonnet-latest',
+  temperature: 0.7,
+  maxTokens: 4096
+});
+
+export const MAX_SYSTEM_PROMPT_LENGTH = 8000;
+export const MAX_TOKENS_LIMIT = 8192;
+
+/**
+ * Validate a change to an agent's persona against its current settings
+ * @param {Object} changes - Any of systemPrompt, provider, model, temperature, maxTokens
+ * @param {Object} current - The persona the changes apply to
+ * @returns {Array<string>} What is wrong with the change; empty if it is valid
+ */
+export const validatePersona = (changes, current = DEFAULT_PERSONA) => {
+  const errors = [];
+  const next = { ...DEFAULT_PERSONA, ...current, ...changes };
+  const provider = PROVIDERS[next.provider];
+
+  if (changes.systemPrompt !== undefined) {
+    if (typeof changes.systemPrompt !== 'string' || !changes.systemPrompt.trim()) {
+      errors.push('systemPrompt must be a non-empty string');
+    } else if (changes.systemPrompt.length > MAX_SYSTEM_PROMPT_LENGTH) {
+      errors.push(`systemPrompt must be at most ${MAX_SYSTEM_PROMPT_LENGTH} characters`);
+    }
+  }
+  if (!provider) {
+    errors.push(`provider must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    return errors;
+  }
+  // Switching provider without naming a model would keep a model the new provider lacks
+  if (!provider.models.includes(next.model)) {
+    errors.push(`model must be one of: ${provider.models.join(', ')}`);
+  }
+  if (
+    typeof next.temperature !== 'number' ||
+    next.temperature < 0 ||
+    next.temperature > provider.maxTemperature
+  ) {
+    errors.push(`temperature must be a number from 0 to ${provider.maxTemperature}`);
+  }
+  if (
+    !Number.isInteger(next.maxTokens) ||
+    next.maxTokens < 1 ||
+    next.maxTokens > MAX_TOKENS_LIMIT
+  ) {
+    errors.push(`maxTokens must be an integer from 1 to ${MAX_TOKENS_LIMIT}`);
+  }
+  return errors;
+};
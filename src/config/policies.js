@@ -0,0 +1,220 @@
+import { AccountAddress } from '@aptos-labs/ts-sdk';
+
+/**
+ * Agent spending policies: limits on what an agent's wallet may sign, checked before every
+ * transaction it signs
+ * {
+ *   limits: [{asset, perTransaction, daily}],   amounts in the asset's smallest unit (octas
+ *                                               for APT); daily is a rolling 24 hours
+ *   recipients: {allow: [address], deny: [address]},
+ *   contracts: {allow: ['0x1', '0x1::coin', '0x1::coin::transfer']},
+ *   blockedHours: {timezone: 'UTC', hours: [0-23]}
+ * }
+ * Every part is optional; an empty policy allows everything
+ */
+
+// Why a transaction was refused
+export const VIOLATIONS = Object.freeze({
+  PER_TRANSACTION_LIMIT: 'per_transaction_limit',
+  DAILY_LIMIT: 'daily_limit',
+  RECIPIENT_DENIED: 'recipient_denied',
+  RECIPIENT_NOT_ALLOWED: 'recipient_not_allowed',
+  CONTRACT_NOT_ALLOWED: 'contract_not_allowed',
+  SCRIPT_NOT_ALLOWED: 'script_not_allowed',
+  UNCHECKED_SPENDING: 'unchecked_spending',
+  UNCHECKED_RECIPIENTS: 'unchecked_recipients',
+  BLOCKED_HOURS: 'blocked_hours'
+});
+
+// APT is both a coin and a fungible asset; either name matches limits on APT
+export const APT = 'APT';
+const APT_ASSETS = ['0x1::aptos_coin::AptosCoin', '0xa'];
+
+export const MAX_POLICY_ENTRIES = 100;
+
+const AMOUNT_PATTERN = /^\d+$/;
+
+/**
+ * Normalize an address to its long form
+ * @param {string} address - An address, with or without leading zeros
+ * @returns {string|null} The long address, or null if it is not one
+ */
+export const normalizeAddress = address => {
+  try {
+    return AccountAddress.fromString(String(address), { maxMissingChars: 63 }).toStringLong();
+  } catch (error) {
+    return null;
+  }
+};
+
+// A coin type or asset address with its address in long form
+const assetKey = asset => {
+  const [address, ...rest] = asset.split('::');
+  const normalized = normalizeAddress(address);
+  if (!normalized || (rest.length !== 0 && rest.length !== 2)) {
+    return null;
+  }
+  return [normalized, ...rest].join('::');
+};
+
+/**
+ * Normalize an asset to the name limits are matched on
+ * @param {string} asset - 'APT', a coin type (0x1::aptos_coin::AptosCoin) or a fungible asset
+ *   metadata address
+ * @returns {string|null} The asset, or null if it is not one
+ */
+export const normalizeAsset = asset => {
+  if (typeof asset !== 'string') {
+    return null;
+  }
+  if (asset.toUpperCase() === APT) {
+    return APT;
+  }
+  const key = assetKey(asset);
+  return key && APT_ASSETS.some(apt => assetKey(apt) === key) ? APT : key;
+};
+
+/**
+ * Normalize a contract allowlist entry: an address, a module or a function
+ * @param {string} contract - e.g. '0x1', '0x1::coin' or '0x1::coin::transfer'
+ * @returns {string|null} The entry with a long address, or null if it is not one
+ */
+export const normalizeContract = contract => {
+  if (typeof contract !== 'string') {
+    return null;
+  }
+  const [address, ...rest] = contract.split('::');
+  const normalized = normalizeAddress(address);
+  if (!normalized || rest.length > 2 || rest.some(part => !/^\w+$/.test(part))) {
+    return null;
+  }
+  return [normalized, ...rest].join('::');
+};
+
+const isTimezone = timezone => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate an agent's spending policy
+ * @param {Object} policy - The policy
+ * @returns {Array<string>} What is wrong with the policy; empty if it is valid
+ */
+export const validatePolicy = policy => {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return ['policy must be an object'];
+  }
+
+  const errors = [];
+  const { limits = [], recipients = {}, contracts = {}, blockedHours } = policy;
+  const checkList = (list, field, normalize) => {
+    if (list === undefined) {
+      return;
+    }
+    if (!Array.isArray(list) || list.length > MAX_POLICY_ENTRIES) {
+      errors.push(`${field} must be a list of at most ${MAX_POLICY_ENTRIES} entries`);
+    } else if (list.some(entry => !normalize(entry))) {
+      errors.push(`${field} must only contain valid entries`);
+    }
+  };
+
+  if (!Array.isArray(limits) || limits.length > MAX_POLICY_ENTRIES) {
+    errors.push(`policy.limits must be a list of at most ${MAX_POLICY_ENTRIES} entries`);
+  } else {
+    const assets = new Set();
+    limits.forEach((limit, index) => {
+      const asset = normalizeAsset(limit?.asset);
+      if (!asset) {
+        errors.push(`policy.limits[${index}].asset must be APT, a coin type or an asset address`);
+      } else if (assets.has(asset)) {
+        errors.push(`policy.limits[${index}].asset is listed twice`);
+      }
+      assets.add(asset);
+      for (const field of ['perTransaction', 'daily']) {
+        const value = limit?.[field];
+        if (value !== undefined && value !== null && !AMOUNT_PATTERN.test(String(value))) {
+          errors.push(`policy.limits[${index}].${field} must be a whole number of base units`);
+        }
+      }
+    });
+  }
+
+  checkList(recipients?.allow, 'policy.recipients.allow', normalizeAddress);
+  checkList(recipients?.deny, 'policy.recipients.deny', normalizeAddress);
+  checkList(contracts?.allow, 'policy.contracts.allow', normalizeContract);
+
+  if (blockedHours !== undefined && blockedHours !== null) {
+    const { timezone = 'UTC', hours } = blockedHours;
+    if (!isTimezone(timezone)) {
+      errors.push('policy.blockedHours.timezone must be an IANA time zone');
+    }
+    if (
+      !Array.isArray(hours) ||
+      hours.some(hour => !Number.isInteger(hour) || hour < 0 || hour > 23)
+    ) {
+      errors.push('policy.blockedHours.hours must be a list of hours from 0 to 23');
+    }
+  }
+  return errors;
+};
+
+/**
+ * Normalize a valid policy for storage: long addresses, APT aliases and amounts as strings
+ * @param {Object} policy - A policy that passed validatePolicy
+ * @returns {Object} The policy to store
+ */
+export const normalizePolicy = policy => {
+  const unique = (list = [], normalize) => [...new Set(list.map(normalize))];
+  return {
+    limits: (policy.limits || []).map(({ asset, perTransaction, daily }) => ({
+      asset: normalizeAsset(asset),
+      perTransaction:
+        perTransaction === undefined || perTransaction === null ? null : String(perTransaction),
+      daily: daily === undefined || daily === null ? null : String(daily)
+    })),
+    recipients: {
+      allow: unique(policy.recipients?.allow, normalizeAddress),
+      deny: unique(policy.recipients?.deny, normalizeAddress)
+    },
+    contracts: { allow: unique(policy.contracts?.allow, normalizeContract) },
+    blockedHours: policy.blockedHours
+      ? {
+          timezone: policy.blockedHours.timezone || 'UTC',
+          hours: [...new Set(policy.blockedHours.hours)].sort((a, b) => a - b)
+        }
+      : null
+  };
+};
+
+// Violations travel to the LLM inside tool error messages, after this prefix
+const VIOLATION_PREFIX = 'Blocked by spending policy: ';
+
+/**
+ * Describe violations in an error message the LLM can read and the API can parse back
+ * @param {Array<Object>} violations - The violations
+ * @returns {string} The message
+ */
+export const formatViolations = violations => `${VIOLATION_PREFIX}${JSON.stringify(violations)}`;
+
+/**
+ * Find the violations in a message that formatViolations wrote, however it was wrapped
+ * @param {string} text - The message, e.g. a tool's error output
+ * @returns {Array<Object>} The violations; empty if there are none
+ */
+export const parseViolations = text => {
+  const start = typeof text === 'string' ? text.indexOf(VIOLATION_PREFIX) : -1;
+  if (start < 0) {
+    return [];
+  }
+  const json = text.slice(start + VIOLATION_PREFIX.length);
+  try {
+    return JSON.parse(json.slice(0, json.lastIndexOf(']') + 1));
+  } catch (error) {
+    return [];
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * Roles and the permissions they grant
+ * Permissions are named "<resource>:<action>"; each role has everything the role before it has
+ */
+export const ROLES = ['user', 'creator', 'moderator', 'admin'];
+
+export const DEFAULT_ROLE = 'user';
+
+const USER_PERMISSIONS = ['agents:read', 'agents:write', 'assistants:read'];
+const CREATOR_PERMISSIONS = [...USER_PERMISSIONS, 'assistants:write'];
+const MODERATOR_PERMISSIONS = [...CREATOR_PERMISSIONS, 'assistants:admin', 'users:read'];
+const ADMIN_PERMISSIONS = [...MODERATOR_PERMISSIONS, 'agents:admin', 'users:admin', 'vault:admin'];
+
+export const ROLE_PERMISSIONS = Object.freeze({
+  user: USER_PERMISSIONS,
+  creator: CREATOR_PERMISSIONS,
+  moderator: MODERATOR_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS
+});
+
+// Every permission known to the system
+export const PERMISSIONS = ADMIN_PERMISSIONS;
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - One of ROLES
+ * @param {string} permission - A "<resource>:<action>" permission
+ * @returns {boolean} True if the role grants the permission
+ */
+export const hasPermission = (role, permission) =>
+  Boolean(ROLE_PERMISSIONS[role]?.includes(permission));
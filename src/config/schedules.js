@@ -0,0 +1,203 @@
+import { toolFamily } from './tools.js';
+import { isValidTimezone, nextCronRun, parseCron } from '../utils/cron.js';
+
+/**
+ * Scheduled agent tasks: an action an agent runs on a schedule, without anyone messaging it
+ * {
+ *   name: 'Weekly APT buy',
+ *   schedule: {type: 'cron', cron: '0 9 * * mon', timezone: 'Europe/Paris'}
+ *           | {type: 'once', runAt: '2026-01-01T09:00:00Z'}
+ *           | {type: 'interval', everyMs: 3600000, startAt: '2026-01-01T09:00:00Z'},
+ *   action: {type: 'prompt', prompt: 'Send me my balance'}
+ *         | {type: 'tool', tool: 'aptos_transfer_token', input: {...}}
+ * }
+ * Prompts run like a message from the owner in the agent's conversation; tools run directly,
+ * with the same input the agent would give them
+ */
+
+export const SCHEDULE_TYPES = ['cron', 'once', 'interval'];
+export const ACTION_TYPES = ['prompt', 'tool'];
+
+export const MIN_INTERVAL_MS = 60 * 1000;
+export const MAX_INTERVAL_MS = 366 * 24 * 60 * 60 * 1000;
+export const MAX_TASK_NAME_LENGTH = 100;
+export const MAX_TASK_PROMPT_LENGTH = 2000;
+export const MAX_TASK_INPUT_LENGTH = 2000;
+
+const isDate = value => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+/**
+ * Find the next time a schedule runs
+ * Runs missed while no worker was up are not caught up: a late task runs once, then at its next
+ * time after that
+ * @param {Object} schedule - The normalized schedule
+ * @param {Date} after - Find the first run strictly after this time
+ * @returns {Date|null} The next run, or null if the schedule has no more runs
+ */
+export const nextRunTime = (schedule, after = new Date()) => {
+  switch (schedule.type) {
+    case 'cron':
+      return nextCronRun(schedule.cron, after, schedule.timezone || 'UTC');
+    case 'once':
+      return schedule.runAt > after ? new Date(schedule.runAt) : null;
+    case 'interval': {
+      const start = new Date(schedule.startAt).getTime();
+      if (start > after.getTime()) {
+        return new Date(start);
+      }
+      const elapsed = Math.floor((after.getTime() - start) / schedule.everyMs) + 1;
+      return new Date(start + elapsed * schedule.everyMs);
+    }
+    default:
+      return null;
+  }
+};
+
+const validateSchedule = (schedule, now) => {
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return ['schedule must be an object'];
+  }
+  const errors = [];
+  switch (schedule.type) {
+    case 'cron':
+      try {
+        parseCron(schedule.cron);
+      } catch (error) {
+        errors.push(error.message);
+      }
+      if (schedule.timezone !== undefined && !isValidTimezone(schedule.timezone)) {
+        errors.push('schedule.timezone must be an IANA time zone, e.g. Europe/Paris');
+      }
+      if (!errors.length && !nextCronRun(schedule.cron, now, schedule.timezone || 'UTC')) {
+        errors.push('schedule.cron never runs');
+      }
+      break;
+    case 'once':
+      if (!isDate(schedule.runAt) || new Date(schedule.runAt) <= now) {
+        errors.push('schedule.runAt must be a date in the future');
+      }
+      break;
+    case 'interval':
+      if (
+        !Number.isInteger(schedule.everyMs) ||
+        schedule.everyMs < MIN_INTERVAL_MS ||
+        schedule.everyMs > MAX_INTERVAL_MS
+      ) {
+        errors.push(
+          `schedule.everyMs must be a whole number of milliseconds from ${MIN_INTERVAL_MS} to ${MAX_INTERVAL_MS}`
+        );
+      }
+      if (schedule.startAt !== undefined && !isDate(schedule.startAt)) {
+        errors.push('schedule.startAt must be a date');
+      }
+      break;
+    default:
+      errors.push(`schedule.type must be one of: ${SCHEDULE_TYPES.join(', ')}`);
+  }
+  return errors;
+};
+
+/**
+ * Validate the action of a scheduled task or trigger
+ * @param {Object} action - A prompt or tool action
+ * @returns {Array<string>} The problems with it; empty if it is valid
+ */
+export const validateAction = action => {
+  if (!action || typeof action !== 'object' || Array.isArray(action)) {
+    return ['action must be an object'];
+  }
+  const errors = [];
+  switch (action.type) {
+    case 'prompt':
+      if (
+        typeof action.prompt !== 'string' ||
+        !action.prompt.trim() ||
+        action.prompt.length > MAX_TASK_PROMPT_LENGTH
+      ) {
+        errors.push(
+          `action.prompt must be a non-empty string of at most ${MAX_TASK_PROMPT_LENGTH} characters`
+        );
+      }
+      break;
+    case 'tool':
+      if (typeof action.tool !== 'string' || !toolFamily(action.tool)) {
+        errors.push(`Unknown tool: ${action.tool}`);
+      }
+      if (
+        action.input !== undefined &&
+        (!action.input || typeof action.input !== 'object' || Array.isArray(action.input))
+      ) {
+        errors.push('action.input must be an object');
+      } else if (JSON.stringify(action.input ?? {}).length > MAX_TASK_INPUT_LENGTH) {
+        errors.push(`action.input must be at most ${MAX_TASK_INPUT_LENGTH} characters as JSON`);
+      }
+      break;
+    default:
+      errors.push(`action.type must be one of: ${ACTION_TYPES.join(', ')}`);
+  }
+  return errors;
+};
+
+/**
+ * Validate a scheduled task, or changes to one
+ * @param {Object} task - name, schedule and action
+ * @param {Object} options - partial: only check the fields that are set, for updates; now: the
+ *   time one-shot tasks must be after
+ * @returns {Array<string>} The problems with it; empty if it is valid
+ */
+export const validateTask = (task, { partial = false, now = new Date() } = {}) => {
+  if (!task || typeof task !== 'object' || Array.isArray(task)) {
+    return ['task must be an object'];
+  }
+  const { name, schedule, action } = task;
+  const errors = [];
+  if (partial && name === undefined && schedule === undefined && action === undefined) {
+    errors.push('Nothing to update: set name, schedule or action');
+  }
+  if (
+    (!partial || name !== undefined) &&
+    (typeof name !== 'string' || !name.trim() || name.length > MAX_TASK_NAME_LENGTH)
+  ) {
+    errors.push(`name must be a non-empty string of at most ${MAX_TASK_NAME_LENGTH} characters`);
+  }
+  if (!partial || schedule !== undefined) {
+    errors.push(...validateSchedule(schedule, now));
+  }
+  if (!partial || action !== undefined) {
+    errors.push(...validateAction(action));
+  }
+  return errors;
+};
+
+/**
+ * Normalize a valid schedule to the form stored with the task
+ * @param {Object} schedule - The schedule, as validateTask checks it
+ * @param {Date} now - When it is set; intervals without a start run one interval after it
+ * @returns {Object} The schedule
+ */
+export const normalizeSchedule = (schedule, now = new Date()) => {
+  switch (schedule.type) {
+    case 'cron':
+      return { type: 'cron', cron: schedule.cron.trim(), timezone: schedule.timezone || 'UTC' };
+    case 'once':
+      return { type: 'once', runAt: new Date(schedule.runAt) };
+    default:
+      return {
+        type: 'interval',
+        everyMs: schedule.everyMs,
+        startAt: schedule.startAt
+          ? new Date(schedule.startAt)
+          : new Date(now.getTime() + schedule.everyMs)
+      };
+  }
+};
+
+/**
+ * Normalize a valid action to the form stored with the task
+ * @param {Object} action - The action, as validateTask checks it
+ * @returns {Object} The action
+ */
+export const normalizeAction = action =>
+  action.type === 'prompt'
+    ? { type: 'prompt', prompt: action.prompt.trim() }
+    : { type: 'tool', tool: action.tool, input: action.input ?? {} };
@@ -0,0 +1,165 @@
+/**
+ * Agent tools: the families they are grouped in, and the presets an agent's allowlist can use
+ * An agent only gets the tools its allowlist enables, either by family or by name. Tools the
+ * kit adds that are not listed here stay disabled until they are
+ */
+export const TOOL_FAMILIES = Object.freeze({
+  wallet: [
+    'aptos_balance',
+    'aptos_get_wallet_address',
+    'aptos_get_transaction',
+    'aptos_token_details',
+    'aptos_token_price',
+    'aptos_simulate_transaction'
+  ],
+  transfers: ['aptos_transfer_token'],
+  faucet: ['aptos_request_faucet'],
+  token_management: ['aptos_create_token', 'aptos_mint_token', 'aptos_burn_token'],
+  staking: [
+    'amnis_stake',
+    'amnis_withdraw_stake',
+    'thala_stake_token',
+    'thala_unstake_token',
+    'echo_stake_token',
+    'echo_unstake_token'
+  ],
+  lending: [
+    'joule_lend_token',
+    'joule_withdraw_token',
+    'joule_borrow_token',
+    'joule_repay_token',
+    'joule_get_pool_details',
+    'joule_get_user_position',
+    'joule_get_user_all_positions',
+    'joule_claim_rewards',
+    'aries_create_profile',
+    'aries_lend',
+    'aries_withdraw',
+    'aries_borrow',
+    'aries_repay',
+    'echelon_lend_token',
+    'echelon_withdraw_token',
+    'echelon_borrow_token',
+    'echelon_repay_token',
+    'thala_mint_mod',
+    'thala_redeem_mod'
+  ],
+  swaps: ['panora_aggregator_swap', 'liquidswap_swap'],
+  liquidity: [
+    'liquidswap_create_pool',
+    'liquidswap_add_liquidity',
+    'liquidswap_remove_liquidity',
+    'thala_create_pool',
+    'thala_add_liquidity',
+    'thala_remove_liquidity'
+  ],
+  perpetuals: [
+    'merkle_trade_get_position',
+    'merkle_trade_place_market_order',
+    'merkle_trade_place_limit_order',
+    'merkle_trade_close_position'
+  ],
+  images: ['openai_create_image']
+});
+
+// Tools that only read chain state, whatever family they are in
+const READ_ONLY_TOOLS = [
+  ...TOOL_FAMILIES.wallet,
+  'joule_get_pool_details',
+  'joule_get_user_position',
+  'joule_get_user_all_positions',
+  'merkle_trade_get_position'
+];
+
+export const TOOL_PRESETS = Object.freeze({
+  'read-only': { families: [], tools: READ_ONLY_TOOLS },
+  payments: { families: ['wallet', 'transfers', 'faucet'], tools: [] },
+  trader: { families: ['wallet', 'transfers', 'faucet', 'swaps', 'perpetuals'], tools: [] },
+  full: { families: Object.keys(TOOL_FAMILIES), tools: [] }
+});
+
+// Agents created before allowlists keep every tool
+export const DEFAULT_TOOL_PRESET = 'full';
+
+// A hand-picked allowlist rather than a preset
+export const CUSTOM_PRESET = 'custom';
+
+const ALL_TOOLS = Object.values(TOOL_FAMILIES).flat();
+
+/**
+ * Find the family a tool belongs to
+ * @param {string} name - The tool name
+ * @returns {string|null} The family, or null for tools not in any family
+ */
+export const toolFamily = name =>
+  Object.keys(TOOL_FAMILIES).find(family => TOOL_FAMILIES[family].includes(name)) || null;
+
+/**
+ * Resolve an agent's tool settings to the families and tools they enable
+ * @param {Object} settings - {preset, families, tools}; a preset other than custom wins
+ * @returns {{families: Array<string>, tools: Array<string>}} The allowlist
+ */
+export const resolveAllowlist = settings => {
+  const preset = settings?.preset || DEFAULT_TOOL_PRESET;
+  if (preset !== CUSTOM_PRESET) {
+    return TOOL_PRESETS[preset] || TOOL_PRESETS[DEFAULT_TOOL_PRESET];
+  }
+  return { families: settings.families || [], tools: settings.tools || [] };
+};
+
+/**
+ * Check whether an agent's tool settings enable a tool
+ * @param {string} name - The tool name
+ * @param {Object} settings - The agent's tool settings
+ * @returns {boolean} True if the tool is enabled
+ */
+export const isToolEnabled = (name, settings) => {
+  const { families, tools } = resolveAllowlist(settings);
+  return tools.includes(name) || families.includes(toolFamily(name));
+};
+
+/**
+ * Validate an agent's tool settings
+ * @param {Object} settings - {preset} or {families, tools}
+ * @returns {Array<string>} What is wrong with the settings; empty if they are valid
+ */
+export const validateToolSettings = settings => {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['tools must be an object'];
+  }
+
+  const { preset = CUSTOM_PRESET, families = [], tools = [] } = settings;
+  const errors = [];
+  if (preset !== CUSTOM_PRESET && !TOOL_PRESETS[preset]) {
+    errors.push(
+      `tools.preset must be one of: ${[...Object.keys(TOOL_PRESETS), CUSTOM_PRESET].join(', ')}`
+    );
+  }
+  if (
+    preset !== CUSTOM_PRESET &&
+    (settings.families !== undefined || settings.tools !== undefined)
+  ) {
+    errors.push('tools.families and tools.tools can only be set without a preset');
+  }
+  if (!Array.isArray(families) || families.some(family => !TOOL_FAMILIES[family])) {
+    errors.push(`tools.families must only contain: ${Object.keys(TOOL_FAMILIES).join(', ')}`);
+  }
+  if (!Array.isArray(tools) || tools.some(name => !ALL_TOOLS.includes(name))) {
+    errors.push('tools.tools must only contain known tool names');
+  }
+  return errors;
+};
+
+// How an agent's write actions run: at once, or as proposals its owner approves first
+export const APPROVAL_MODES = ['auto', 'manual'];
+export const DEFAULT_APPROVAL_MODE = 'auto';
+
+// Tools that never move funds or change chain state, so they run without approval
+const APPROVAL_FREE_TOOLS = [...READ_ONLY_TOOLS, 'aptos_request_faucet', 'openai_create_image'];
+
+/**
+ * Check whether calling a tool needs its owner's approval when the agent runs in manual mode
+ * @param {string} name - The tool name
+ * @returns {boolean} True for write actions, including tools the families do not list
+ */
+export const requiresApproval = name => !APPROVAL_FREE_TOOLS.includes(name);
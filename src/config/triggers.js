@@ -0,0 +1,186 @@
+import { AccountAddress } from '@aptos-labs/ts-sdk';
+import dotenv from 'dotenv';
+import { normalizeAsset } from './policies.js';
+import { MAX_TASK_NAME_LENGTH, validateAction } from './schedules.js';
+
+dotenv.config();
+
+/**
+ * Agent triggers: an action an agent runs when a chain condition is met
+ * {
+ *   name: 'Thank donors',
+ *   condition: {type: 'incoming_transfer', asset: 'APT', minAmount: '100000000'}
+ *            | {type: 'price_threshold', symbol: 'APT', direction: 'below', price: 5}
+ *            | {type: 'balance_floor', asset: 'APT', floor: '50000000'}
+ *            | {type: 'token_graduation', token: '0x...', eventType: '0x...::curve::Graduated'},
+ *   action: the same prompt or tool actions as scheduled tasks,
+ *   cooldownMs: 300000
+ * }
+ * Amounts are in the asset's smallest unit, prices in USD. Thresholds fire when they are crossed,
+ * not for as long as they stay crossed
+ */
+
+export const TRIGGER_TYPES = Object.freeze({
+  incoming_transfer: 'A deposit of asset (default APT) of at least minAmount into the agent wallet',
+  price_threshold: "symbol's USD price rising above or falling below price (direction)",
+  balance_floor: "The agent wallet's balance of asset (default APT) falling below floor",
+  token_graduation: 'A bonding-curve token graduating, seen as its launchpad emitting eventType'
+});
+
+export const PRICE_DIRECTIONS = ['above', 'below'];
+
+export const DEFAULT_COOLDOWN_MS = 5 * 60 * 1000;
+export const MAX_COOLDOWN_MS = 7 * 24 * 60 * 60 * 1000;
+
+// The event launchpads emit when a token leaves its bonding curve, if none is given
+const DEFAULT_GRADUATION_EVENT = process.env.TRIGGER_GRADUATION_EVENT_TYPE || null;
+
+const AMOUNT_PATTERN = /^\d+$/;
+const SYMBOL_PATTERN = /^[A-Za-z0-9]{1,12}$/;
+
+const isAmount = value => typeof value === 'string' && AMOUNT_PATTERN.test(value);
+
+/**
+ * Normalize a Move event type, e.g. '0xabc::curve::Graduated', to how the indexer stores it
+ * @param {string} eventType - The event type
+ * @returns {string|null} The event type, or null if it is not one
+ */
+export const normalizeEventType = eventType => {
+  if (typeof eventType !== 'string') {
+    return null;
+  }
+  const [address, module, name, ...rest] = eventType.split('::');
+  if (rest.length || !/^\w+$/.test(module || '') || !/^\w+$/.test(name || '')) {
+    return null;
+  }
+  try {
+    return `${AccountAddress.fromString(address, {
+      maxMissingChars: 63
+    }).toString()}::${module}::${name}`;
+  } catch (error) {
+    return null;
+  }
+};
+
+const validateCondition = condition => {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return ['condition must be an object'];
+  }
+  const errors = [];
+  switch (condition.type) {
+    case 'incoming_transfer':
+      if (condition.asset !== undefined && !normalizeAsset(condition.asset)) {
+        errors.push(`Invalid asset: ${condition.asset}`);
+      }
+      if (condition.minAmount !== undefined && !isAmount(condition.minAmount)) {
+        errors.push('condition.minAmount must be a whole number string in the smallest unit');
+      }
+      break;
+    case 'price_threshold':
+      if (typeof condition.symbol !== 'string' || !SYMBOL_PATTERN.test(condition.symbol)) {
+        errors.push('condition.symbol must be a token symbol, e.g. APT');
+      }
+      if (!PRICE_DIRECTIONS.includes(condition.direction)) {
+        errors.push(`condition.direction must be one of: ${PRICE_DIRECTIONS.join(', ')}`);
+      }
+      if (typeof condition.price !== 'number' || !(condition.price > 0)) {
+        errors.push('condition.price must be a positive number of USD');
+      }
+      break;
+    case 'balance_floor':
+      if (condition.asset !== undefined && !normalizeAsset(condition.asset)) {
+        errors.push(`Invalid asset: ${condition.asset}`);
+      }
+      if (!isAmount(condition.floor)) {
+        errors.push('condition.floor must be a whole number string in the smallest unit');
+      }
+      break;
+    case 'token_graduation': {
+      const token = normalizeAsset(condition.token);
+      if (!token || token === 'APT' || token.includes('::')) {
+        errors.push('condition.token must be the address of a token');
+      }
+      const eventType = condition.eventType ?? DEFAULT_GRADUATION_EVENT;
+      if (!normalizeEventType(eventType)) {
+        errors.push(
+          'condition.eventType must be the Move event type the launchpad emits on graduation'
+        );
+      }
+      break;
+    }
+    default:
+      errors.push(`condition.type must be one of: ${Object.keys(TRIGGER_TYPES).join(', ')}`);
+  }
+  return errors;
+};
+
+/**
+ * Validate a trigger, or changes to one
+ * @param {Object} trigger - name, condition, action and cooldownMs
+ * @param {Object} options - partial: only check the fields that are set, for updates
+ * @returns {Array<string>} The problems with it; empty if it is valid
+ */
+export const validateTrigger = (trigger, { partial = false } = {}) => {
+  if (!trigger || typeof trigger !== 'object' || Array.isArray(trigger)) {
+    return ['trigger must be an object'];
+  }
+  const { name, condition, action, cooldownMs } = trigger;
+  const errors = [];
+  if (partial && [name, condition, action, cooldownMs].every(field => field === undefined)) {
+    errors.push('Nothing to update: set name, condition, action or cooldownMs');
+  }
+  if (
+    (!partial || name !== undefined) &&
+    (typeof name !== 'string' || !name.trim() || name.length > MAX_TASK_NAME_LENGTH)
+  ) {
+    errors.push(`name must be a non-empty string of at most ${MAX_TASK_NAME_LENGTH} characters`);
+  }
+  if (!partial || condition !== undefined) {
+    errors.push(...validateCondition(condition));
+  }
+  if (!partial || action !== undefined) {
+    errors.push(...validateAction(action));
+  }
+  if (
+    cooldownMs !== undefined &&
+    (!Number.isInteger(cooldownMs) || cooldownMs < 0 || cooldownMs > MAX_COOLDOWN_MS)
+  ) {
+    errors.push(`cooldownMs must be a whole number of milliseconds from 0 to ${MAX_COOLDOWN_MS}`);
+  }
+  return errors;
+};
+
+/**
+ * Normalize a valid condition to the form stored with the trigger
+ * @param {Object} condition - The condition, as validateTrigger checks it
+ * @returns {Object} The condition
+ */
+export const normalizeCondition = condition => {
+  switch (condition.type) {
+    case 'incoming_transfer':
+      return {
+        type: condition.type,
+        asset: normalizeAsset(condition.asset ?? 'APT'),
+        minAmount: condition.minAmount ?? '0'
+      };
+    case 'price_threshold':
+      return {
+        type: condition.type,
+        symbol: condition.symbol.toUpperCase(),
+        direction: condition.direction,
+        price: condition.price
+      };
+    case 'balance_floor':
+      return {
+        type: condition.type,
+        asset: normalizeAsset(condition.asset ?? 'APT'),
+        floor: condition.floor
+      };
+    default:
+      return {
+        type: condition.type,
+        token: normalizeAsset(condition.token),
+        eventType: normalizeEventType(condition.eventType ?? DEFAULT_GRADUATION_EVENT)
+      };
+  }
+};
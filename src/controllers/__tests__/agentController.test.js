@@ -0,0 +1,194 @@
+import request from 'supertest';
+import express from 'express';
+import {
+  forkRun,
+  initializeAgent,
+  processMessage,
+  resumeRun,
+  streamMessage
+} from '../agentController';
+import { aptosService } from '../../services/aptosService';
+import { ConversationService } from '../../services/conversationService';
+import { keyVault } from '../../services/keyVault';
+import { httpError } from '../../utils/httpError';
+
+jest.mock('../../services/aptosService', () => ({
+  aptosService: {
+    processAgentMessage: jest.fn(),
+    resumeAgentRun: jest.fn(),
+    forkAgentRun: jest.fn(),
+    updateMemory: jest.fn()
+  }
+}));
+jest.mock('../../services/agentService');
+jest.mock('../../services/conversationService');
+jest.mock('../../services/keyVault', () => ({ keyVault: { generateKey: jest.fn() } }));
+
+const hash = `0x${'cd'.repeat(32)}`;
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { sub: 'user-1' };
+  req.agent = { agentId: 'agent-1', userId: 'user-1', address: '0x1' };
+  next();
+});
+app.post('/api/agent/initialize', initializeAgent);
+app.post('/api/agent/message', processMessage);
+app.post('/api/agent/:agentId/message/stream', streamMessage);
+app.post('/api/agent/:agentId/checkpoints/resume', resumeRun);
+app.post('/api/agent/:agentId/checkpoints/:checkpointId/fork', forkRun);
+
+// Parse an SSE body into its events
+const parseEvents = text =>
+  text
+    .trim()
+    .split('\n\n')
+    .map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+    });
+
+async function* fakeStream() {
+  yield { event: 'on_chat_model_stream', data: { chunk: { content: 'Sending' } } };
+  yield {
+    event: 'on_chat_model_end',
+    data: { output: { content: 'Sending', tool_calls: [{ id: 'call-1', name: 'transfer' }] } }
+  };
+  yield { event: 'on_tool_start', name: 'transfer', run_id: 'run-1', data: { input: {} } };
+  yield {
+    event: 'on_tool_end',
+    name: 'transfer',
+    run_id: 'run-1',
+    data: {
+      output: {
+        tool_call_id: 'call-1',
+        content: JSON.stringify({ status: 'success', transactionHash: hash })
+      }
+    }
+  };
+  yield { event: 'on_chat_model_end', data: { output: { content: 'Sent 1 APT.' } } };
+}
+
+describe('Agent Controller', () => {
+  const conversationService = ConversationService.mock.instances[0];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    conversationService.getOrCreateConversation.mockResolvedValue({ _id: 'conversation-1' });
+    conversationService.getConversationByUserAndAgentId.mockResolvedValue({
+      _id: 'conversation-1'
+    });
+    conversationService.getConversationMessages.mockResolvedValue([
+      { role: 'user', content: 'Send 1 APT' }
+    ]);
+    aptosService.processAgentMessage.mockResolvedValue({ eventStream: fakeStream() });
+  });
+
+  it('should stream the agent run and save the assistant turn', async () => {
+    const response = await request(app)
+      .post('/api/agent/agent-1/message/stream')
+      .send({ message: 'Send 1 APT' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch('text/event-stream');
+
+    const events = parseEvents(response.text);
+    expect(events.map(({ event }) => event)).toEqual([
+      'token',
+      'tool_start',
+      'tool_end',
+      'tool_result',
+      'message'
+    ]);
+    expect(events[4].data).toMatchObject({ response: 'Sent 1 APT.', transactionHashes: [hash] });
+    expect(aptosService.processAgentMessage).toHaveBeenCalledWith(
+      expect.objectContaining({ agentId: 'agent-1' }),
+      [{ role: 'user', content: 'Send 1 APT' }],
+      true,
+      expect.objectContaining({ conversationId: 'conversation-1' })
+    );
+
+    expect(conversationService.addMessageToConversation).toHaveBeenLastCalledWith(
+      'conversation-1',
+      'assistant',
+      'Sent 1 APT.',
+      expect.objectContaining({ transactionHashes: [hash] })
+    );
+    expect(aptosService.updateMemory).toHaveBeenCalledWith(
+      expect.objectContaining({ agentId: 'agent-1' }),
+      'conversation-1'
+    );
+  });
+
+  it('should answer with JSON when the run cannot start', async () => {
+    aptosService.processAgentMessage.mockRejectedValue(new Error('No key'));
+
+    const response = await request(app)
+      .post('/api/agent/agent-1/message/stream')
+      .send({ message: 'Hi' });
+
+    expect(response.status).toBe(500);
+    expect(response.body).toMatchObject({ success: false, message: 'Failed to process message' });
+  });
+
+  it('should answer initialize with the status of the error it failed with', async () => {
+    keyVault.generateKey.mockRejectedValue(httpError(409, 'The agent key is being replaced'));
+
+    const response = await request(app)
+      .post('/api/agent/initialize')
+      .send({ agentId: 'agent-2', name: 'Agent' });
+
+    expect(response.status).toBe(409);
+    expect(response.body).toEqual({ success: false, message: 'The agent key is being replaced' });
+  });
+
+  it('should reject a message that is not a string', async () => {
+    for (const path of ['/api/agent/message', '/api/agent/agent-1/message/stream']) {
+      const response = await request(app)
+        .post(path)
+        .send({ agentId: 'agent-1', message: { $gt: '' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ success: false, message: 'Valid message is required' });
+    }
+    expect(aptosService.processAgentMessage).not.toHaveBeenCalled();
+  });
+
+  it('should answer 409 when there is no run to resume', async () => {
+    const error = new Error('Nothing to resume');
+    error.status = 409;
+    aptosService.resumeAgentRun.mockRejectedValue(error);
+
+    const response = await request(app).post('/api/agent/agent-1/checkpoints/resume');
+
+    expect(response.status).toBe(409);
+    expect(conversationService.addMessageToConversation).not.toHaveBeenCalled();
+  });
+
+  it('should save a forked turn to the conversation', async () => {
+    aptosService.forkAgentRun.mockResolvedValue({
+      messages: [{ role: 'assistant', content: 'Sent 2 APT instead.' }]
+    });
+
+    const response = await request(app)
+      .post('/api/agent/agent-1/checkpoints/checkpoint-1/fork')
+      .send({ message: 'Send 2 APT' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      response: 'Sent 2 APT instead.',
+      checkpointId: 'checkpoint-1'
+    });
+    expect(aptosService.forkAgentRun).toHaveBeenCalledWith(
+      expect.objectContaining({ agentId: 'agent-1' }),
+      'conversation-1',
+      'checkpoint-1',
+      'Send 2 APT'
+    );
+    expect(conversationService.addMessageToConversation.mock.calls.map(call => call[1])).toEqual([
+      'user',
+      'assistant'
+    ]);
+  });
+});
@@ -0,0 +1,169 @@
+import { AgentService } from '../services/agentService.js';
+import { UserService } from '../services/userService.js';
+import { assistantService } from '../services/assistantService.js';
+import { keyVault } from '../services/keyVault.js';
+import { aptosService } from '../services/aptosService.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ERROR_MESSAGES } from '../utils/constants.js';
+
+const agentService = new AgentService();
+const userService = new UserService();
+
+// Read page and limit from the query string, capping the page size at 100
+const getPagination = query => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || 20, 1), 100)
+});
+
+// Shape a user for admin responses
+const formatUser = user => ({
+  id: user.id,
+  address: user.address,
+  role: user.role,
+  wallets: user.wallets.map(({ chain, address, label, verifiedAt }) => ({
+    chain,
+    address,
+    label,
+    verifiedAt
+  })),
+  createdAt: user.createdAt
+});
+
+/**
+ * Admin endpoints for agents, assistants and users
+ * Routes are guarded by requirePermission in routes/adminRoutes.js
+ */
+export const adminController = {
+  listAgents: asyncHandler(async (req, res) => {
+    const { page, limit } = getPagination(req.query);
+    const { agents, total } = await agentService.listAgents({
+      page,
+      limit,
+      userId: req.query.userId
+    });
+
+    res.status(200).json({
+      success: true,
+      data: agents,
+      pagination: { total, page, pages: Math.ceil(total / limit) }
+    });
+  }),
+
+  getAgentStats: asyncHandler(async (req, res) => {
+    const stats = await agentService.getAgentStats();
+    // The runtime pool is per process, so this describes the worker that answered
+    res.status(200).json({
+      success: true,
+      data: { ...stats, runtimePool: aptosService.runtimes.getStats() }
+    });
+  }),
+
+  cleanupInactiveAgents: asyncHandler(async (req, res) => {
+    const hours = parseInt(req.body.hours ?? req.query.hours ?? 24, 10);
+    if (!Number.isInteger(hours) || hours < 1) {
+      return res.status(400).json({ success: false, message: 'hours must be a positive integer' });
+    }
+
+    const cutoffDate = new Date(Date.now() - hours * 60 * 60 * 1000);
+    const { count, inactiveAgents } = await agentService.removeInactiveAgents(cutoffDate);
+    for (const agent of inactiveAgents) {
+      aptosService.runtimes.evict(agent.agentId);
+    }
+
+    console.info(`Admin ${req.user.sub} cleaned up ${count} agents inactive for ${hours}h`);
+    res.status(200).json({
+      success: true,
+      message: `Cleaned up ${count} inactive agents`,
+      count
+    });
+  }),
+
+  removeAgent: asyncHandler(async (req, res) => {
+    const agent = await agentService.getAgentById(req.params.agentId);
+    if (!agent) {
+      return res.status(404).json({ success: false, message: 'Agent not found' });
+    }
+
+    await agentService.removeAgent(agent.userId, agent.agentId);
+    aptosService.runtimes.evict(agent.agentId);
+
+    console.info(`Admin ${req.user.sub} removed agent ${agent.agentId} of user ${agent.userId}`);
+    res.status(200).json({ success: true, message: 'Agent removed successfully' });
+  }),
+
+  listAssistants: asyncHandler(async (req, res) => {
+    const { page, limit } = getPagination(req.query);
+    const categories = req.query.category ? req.query.category.split(',') : [];
+    const { assistants, total } = await assistantService.list(page, limit, categories);
+
+    res.status(200).json({
+      success: true,
+      data: assistants,
+      pagination: { total, page, pages: Math.ceil(total / limit) }
+    });
+  }),
+
+  removeAssistant: asyncHandler(async (req, res) => {
+    try {
+      await assistantService.delete(req.params.id);
+    } catch (error) {
+      if (error.message === ERROR_MESSAGES.ASSISTANT_NOT_FOUND) {
+        return res.status(404).json({ success: false, message: error.message });
+      }
+      throw error;
+    }
+
+    console.info(`Admin ${req.user.sub} removed assistant ${req.params.id}`);
+    res.status(200).json({ success: true, message: 'Assistant deleted successfully' });
+  }),
+
+  listUsers: asyncHandler(async (req, res) => {
+    const { page, limit } = getPagination(req.query);
+    const { users, total } = await userService.listUsers({ page, limit, role: req.query.role });
+
+    res.status(200).json({
+      success: true,
+      data: users.map(formatUser),
+      pagination: { total, page, pages: Math.ceil(total / limit) }
+    });
+  }),
+
+  getUser: asyncHandler(async (req, res) => {
+    const user = await userService.getUser(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    res.status(200).json({ success: true, data: formatUser(user) });
+  }),
+
+  updateUserRole: asyncHandler(async (req, res) => {
+    // Admins cannot demote themselves, so the system always keeps at least one
+    if (req.params.userId === req.user.sub) {
+      return res.status(400).json({ success: false, message: 'You cannot change your own role' });
+    }
+
+    try {
+      const user = await userService.setRole(req.params.userId, req.body.role);
+      console.info(`Admin ${req.user.sub} set role of user ${user.id} to ${user.role}`);
+      res.status(200).json({ success: true, data: formatUser(user) });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+      throw error;
+    }
+  }),
+
+  getVaultStatus: asyncHandler(async (req, res) => {
+    const status = await keyVault.getStatus();
+    res.status(200).json({ success: true, data: status });
+  }),
+
+  rotateVaultMasterKey: asyncHandler(async (req, res) => {
+    const result = await keyVault.rotateMasterKey();
+    console.info(
+      `Admin ${req.user.sub} re-wrapped ${result.rewrapped} vault keys under ${result.activeMasterKeyId}`
+    );
+    res.status(200).json({ success: true, data: result });
+  })
+};
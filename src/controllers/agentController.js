@@ -1,12 +1,28 @@
-import { OpenAI } from 'openai';
 import { ConversationService } from '../services/conversationService.js';
 import { AgentService } from '../services/agentService.js';
+import { keyVault } from '../services/keyVault.js';
+import { aptosService } from '../services/aptosService.js';
 import crypto from 'crypto';
+import { ethers } from 'ethers';
 import { sanitizeInput } from '../middleware/securityMiddleware.js';
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+import { summarizeAgentRun, translateStreamEvent } from '../utils/agentRun.js';
+import { hasFaucet, resolveNetwork, validateNetwork } from '../config/networks.js';
+import {
+    APPROVAL_MODES,
+    TOOL_FAMILIES,
+    TOOL_PRESETS,
+    isToolEnabled,
+    resolveAllowlist,
+    validateToolSettings
+} from '../config/tools.js';
+import { VIOLATIONS } from '../config/policies.js';
+import { validateMemory } from '../config/memory.js';
+import { validateTask } from '../config/schedules.js';
+import { validateTrigger } from '../config/triggers.js';
+import { getToolCatalog } from '../services/toolRegistry.js';
+import { getProvider } from '../services/functions/utils/provider.js';
+import { simulateEvmTransaction as simulateEvm } from '../services/functions/utils/simulate.js';
+import { EXPORT_FORMATS, exportConversation } from '../utils/conversationExport.js';
 
 // Initialize conversation service
 const conversationService = new ConversationService();
@@ -55,26 +71,62 @@ export const initializeAgent = async (req, res) => {
     const clientIP = req.ip || 'unknown';
     
     try {
-        const { userId, agentId, name } = req.body;
+        const { agentId, name, privateKey, network } = req.body;
+        // The owner is always the authenticated user, never a client-supplied ID
+        const sanitizedUserId = req.user.sub;
 
         // Validate required fields
-        if (!userId || !name) {
+        if (!name) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required field: name'
+            });
+        }
+
+        // Check the network before anything is stored
+        const networkErrors = network === undefined ? [] : validateNetwork(network);
+        if (networkErrors.length > 0) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required fields: userId and name are required'
+                message: 'Invalid network',
+                errors: networkErrors
             });
         }
 
         // Sanitize inputs
-        const sanitizedUserId = sanitizeInput(userId);
         const sanitizedName = sanitizeInput(name);
         const sanitizedAgentId = agentId ? sanitizeInput(agentId) : crypto.randomUUID();
 
+        // An agent ID that already belongs to another user cannot be claimed
+        const existingAgent = await agentService.getAgentById(sanitizedAgentId);
+        if (existingAgent && existingAgent.userId !== sanitizedUserId) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have access to this agent'
+            });
+        }
+
+        // The private key goes straight into the vault; without one a new wallet is generated,
+        // unless the agent already has a key
+        let keyInfo;
+        if (privateKey) {
+            keyInfo = await keyVault.storePrivateKey(sanitizedAgentId, sanitizedUserId, privateKey);
+            // A pooled runtime would still sign with the old key
+            aptosService.runtimes.evict(sanitizedAgentId);
+        } else {
+            keyInfo = existingAgent && await keyVault.getKeyInfo(sanitizedAgentId);
+            if (!keyInfo) {
+                keyInfo = await keyVault.generateKey(sanitizedAgentId, sanitizedUserId);
+            }
+        }
+
         // Create or update agent with the specified ID
         const agent = await agentService.createOrUpdateAgent(
             sanitizedUserId,
             sanitizedAgentId,
-            sanitizedName
+            sanitizedName,
+            keyInfo.address,
+            network
         );
 
         // Log success without sensitive data
@@ -88,6 +140,8 @@ export const initializeAgent = async (req, res) => {
                 userId: agent.userId,
                 agentId: agent.agentId,
                 name: agent.name,
+                address: agent.address,
+                network: formatNetwork(agent),
                 createdAt: agent.createdAt
             }
         });
@@ -103,6 +157,13 @@ export const initializeAgent = async (req, res) => {
                 message: 'Too many requests. Please try again later.'
             });
         }
+
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
         
         return res.status(500).json({
             success: false,
@@ -112,6 +173,267 @@ export const initializeAgent = async (req, res) => {
     }
 };
 
+/**
+ * Record a user message and load the history the agent should see
+ * @param {string} userId - The owner's user ID
+ * @param {string} agentId - The agent ID
+ * @param {string} message - The sanitized user message
+ * @returns {Promise<Object>} The conversation and its recent messages formatted for the agent
+ */
+async function startAgentTurn(userId, agentId, message) {
+    // Update last active timestamp
+    await agentService.updateAgentActivity(userId, agentId);
+
+    // Get conversation history or create new one
+    const conversation = await conversationService.getOrCreateConversation(userId, agentId);
+
+    // Add user message to history
+    await conversationService.addMessageToConversation(conversation._id, 'user', message);
+
+    // Get the conversation history limited to last 10 messages for context
+    const messageHistory = await conversationService.getConversationMessages(conversation._id, 10);
+
+    // Format messages for the agent
+    const formattedMessages = messageHistory.map((msg) => ({
+        role: msg.role,
+        content: msg.content
+    }));
+
+    return { conversation, formattedMessages };
+}
+
+/**
+ * Save the assistant turn of a completed run to the conversation
+ * @param {string} conversationId - The conversation ID
+ * @param {Array} messages - The messages the run produced
+ * @param {Object} proposal - The proposal the run stopped at, if it is waiting for approval
+ * @returns {Promise<Object>} The reply, with the tools the agent ran, their transactions and any
+ *   transactions the agent's spending policy refused
+ */
+async function recordAgentReply(conversationId, messages, proposal = null) {
+    const { reply, toolCalls, transactionHashes, policyViolations } = summarizeAgentRun(messages);
+    const aiMessage = reply || (proposal
+        ? proposalNotice(proposal)
+        : 'The agent finished without a reply.');
+
+    // Add AI response to conversation, with the tools it ran
+    await conversationService.addMessageToConversation(
+        conversationId,
+        'assistant',
+        aiMessage,
+        { toolCalls, transactionHashes }
+    );
+
+    return { aiMessage, toolCalls, transactionHashes, policyViolations };
+}
+
+// The reply saved for a run that stopped to have its write actions approved
+function proposalNotice(proposal) {
+    const tools = proposal.toolCalls.filter(call => call.requiresApproval).map(call => call.name);
+    return `The agent wants to run ${tools.join(', ')} and is waiting for approval (proposal ${proposal.proposalId}).`;
+}
+
+/**
+ * Describe a proposal for API responses
+ * @param {Object} proposal - The proposal
+ * @returns {Object|null} The proposal's tool calls with their transaction previews, its status and
+ *   its decision
+ */
+function formatProposal(proposal) {
+    if (!proposal) {
+        return null;
+    }
+    return {
+        proposalId: proposal.proposalId,
+        agentId: proposal.agentId,
+        conversationId: proposal.conversationId,
+        status: proposal.status,
+        toolCalls: proposal.toolCalls.map(call => ({
+            id: call.id,
+            name: call.name,
+            args: call.args,
+            requiresApproval: call.requiresApproval,
+            transactions: call.transactions.map(({ summary, simulation }) => ({ summary, simulation }))
+        })),
+        expiresAt: proposal.expiresAt,
+        decidedBy: proposal.decidedBy || null,
+        decidedAt: proposal.decidedAt || null,
+        reason: proposal.reason || null,
+        transactionHashes: proposal.transactionHashes || [],
+        createdAt: proposal.createdAt
+    };
+}
+
+/**
+ * Describe a memory for API responses
+ * @param {Object} memory - The AgentMemory record
+ * @returns {Object} The memory
+ */
+function formatMemory(memory) {
+    return {
+        id: memory._id.toString(),
+        category: memory.category,
+        key: memory.key,
+        content: memory.content,
+        source: memory.source,
+        createdAt: memory.createdAt,
+        updatedAt: memory.updatedAt
+    };
+}
+
+/**
+ * Describe a scheduled task for API responses
+ * @param {Object} task - The ScheduledTask record
+ * @returns {Object} The task
+ */
+function formatTask(task) {
+    const { type, cron, timezone, runAt, everyMs, startAt } = task.schedule;
+    const { prompt, tool, input } = task.action;
+    return {
+        taskId: task.taskId,
+        agentId: task.agentId,
+        name: task.name,
+        schedule: { type, cron, timezone, runAt, everyMs, startAt },
+        action: { type: task.action.type, prompt, tool, input },
+        status: task.status,
+        nextRunAt: task.nextRunAt,
+        lastRunAt: task.lastRunAt || null,
+        runCount: task.runCount,
+        createdAt: task.createdAt,
+        updatedAt: task.updatedAt
+    };
+}
+
+/**
+ * Describe a run of a scheduled task for API responses
+ * @param {Object} run - The TaskRun record
+ * @returns {Object} The run
+ */
+function formatTaskRun(run) {
+    return {
+        id: run._id.toString(),
+        taskId: run.taskId,
+        scheduledFor: run.scheduledFor,
+        status: run.status,
+        startedAt: run.startedAt,
+        finishedAt: run.finishedAt || null,
+        response: run.response || null,
+        toolCalls: run.toolCalls || [],
+        transactionHashes: run.transactionHashes || [],
+        conversationId: run.conversationId || null,
+        proposalId: run.proposalId || null,
+        error: run.error || null
+    };
+}
+
+/**
+ * Describe a trigger for API responses
+ * @param {Object} trigger - The AgentTrigger record
+ * @returns {Object} The trigger
+ */
+function formatTrigger(trigger) {
+    const { type, asset, minAmount, symbol, direction, price, floor, token, eventType } = trigger.condition;
+    const { prompt, tool, input } = trigger.action;
+    return {
+        triggerId: trigger.triggerId,
+        agentId: trigger.agentId,
+        name: trigger.name,
+        condition: { type, asset, minAmount, symbol, direction, price, floor, token, eventType },
+        action: { type: trigger.action.type, prompt, tool, input },
+        cooldownMs: trigger.cooldownMs,
+        status: trigger.status,
+        lastCheckedAt: trigger.lastCheckedAt || null,
+        lastFiredAt: trigger.lastFiredAt || null,
+        fireCount: trigger.fireCount,
+        lastError: trigger.lastError || null,
+        createdAt: trigger.createdAt,
+        updatedAt: trigger.updatedAt
+    };
+}
+
+/**
+ * Describe a firing of a trigger for API responses
+ * @param {Object} firing - The TriggerFiring record
+ * @returns {Object} The firing
+ */
+function formatTriggerFiring(firing) {
+    return {
+        id: firing._id.toString(),
+        triggerId: firing.triggerId,
+        events: firing.events.map(({ description, details }) => ({ description, details })),
+        status: firing.status,
+        firedAt: firing.firedAt,
+        finishedAt: firing.finishedAt || null,
+        response: firing.response || null,
+        toolCalls: firing.toolCalls || [],
+        transactionHashes: firing.transactionHashes || [],
+        conversationId: firing.conversationId || null,
+        proposalId: firing.proposalId || null,
+        error: firing.error || null
+    };
+}
+
+/**
+ * Describe a transaction an agent's wallet sent for API responses
+ * @param {Object} transaction - The AgentTransaction record
+ * @returns {Object} Where it got to, and its hash once it was submitted
+ */
+function formatTransaction(transaction) {
+    return {
+        id: transaction._id.toString(),
+        sender: transaction.sender,
+        network: transaction.network?.name || null,
+        function: transaction.function,
+        status: transaction.status,
+        sequenceNumber: transaction.sequenceNumber || null,
+        hash: transaction.hash || null,
+        attempts: transaction.attempts,
+        vmStatus: transaction.vmStatus || null,
+        error: transaction.error || null,
+        submittedAt: transaction.submittedAt || null,
+        expiresAt: transaction.expiresAt || null,
+        completedAt: transaction.completedAt || null,
+        createdAt: transaction.createdAt
+    };
+}
+
+/**
+ * Describe an agent's persona for API responses
+ * @param {Object} agent - The agent
+ * @returns {Object} The persona, with systemPrompt null while the built-in prompt is in use
+ */
+function formatPersona(agent) {
+    const persona = agent.persona?.toObject ? agent.persona.toObject() : agent.persona || {};
+    return {
+        systemPrompt: persona.systemPrompt || null,
+        promptVersion: persona.promptVersion || 0,
+        provider: persona.provider,
+        model: persona.model,
+        temperature: persona.temperature,
+        maxTokens: persona.maxTokens
+    };
+}
+
+/**
+ * Describe an agent's network for API responses
+ * @param {Object} agent - The agent
+ * @returns {Object} The network endpoints, and whether faucet funding is available
+ */
+function formatNetwork(agent) {
+    const { name, fullnodeUrl, indexerUrl } = resolveNetwork(agent.network);
+    return { name, fullnodeUrl, indexerUrl: indexerUrl || null, faucet: hasFaucet(agent.network) };
+}
+
+/**
+ * Describe an agent's tool allowlist for API responses
+ * @param {Object} agent - The agent
+ * @returns {Object} The preset, and the families and tools it enables
+ */
+function formatTools(agent) {
+    const { families, tools } = resolveAllowlist(agent.tools);
+    return { preset: agent.tools?.preset || null, families: [...families], tools: [...tools] };
+}
+
 /**
  * Process a message with the LLM agent with security enhancements
  * @param {Object} req - Express request object
@@ -123,85 +445,54 @@ export const processMessage = async (req, res) => {
     const clientIP = req.ip || 'unknown';
     
     try {
-        const { userId, agentId, message } = req.body;
+        const { message } = req.body;
 
         // Validate required fields
-        if (!userId || !agentId || !message) {
+        if (!message || typeof message !== 'string') {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required fields: userId, agentId, and message are required'
+                message: 'Valid message is required'
             });
         }
 
-        // Sanitize inputs
-        const sanitizedUserId = sanitizeInput(userId);
-        const sanitizedAgentId = sanitizeInput(agentId);
+        // Ownership was checked by authorizeAgent
+        const sanitizedUserId = req.user.sub;
+        const sanitizedAgentId = req.agent.agentId;
         const sanitizedMessage = sanitizeInput(message);
 
-        // Check if agent exists
-        const agent = await agentService.getAgent(sanitizedUserId, sanitizedAgentId);
-        if (!agent) {
-            return res.status(404).json({
+        // Agents created before the key vault have no wallet until they are initialized again
+        if (!req.agent.address) {
+            return res.status(409).json({
                 success: false,
-                message: 'Agent not found. Please initialize an agent first.'
+                message: 'This agent has no wallet yet. Call /initialize with its agentId to create one.'
             });
         }
 
-        // Update last active timestamp
-        await agentService.updateAgentActivity(sanitizedUserId, sanitizedAgentId);
-
-        // Get conversation history or create new one
-        const conversation = await conversationService.getOrCreateConversation(
+        const { conversation, formattedMessages } = await startAgentTurn(
             sanitizedUserId,
-            sanitizedAgentId
-        );
-
-        // Add user message to history
-        await conversationService.addMessageToConversation(
-            conversation._id,
-            'user',
+            sanitizedAgentId,
             sanitizedMessage
         );
 
-        // Get the conversation history limited to last 10 messages for context
-        const messageHistory = await conversationService.getConversationMessages(
-            conversation._id,
-            10
-        );
-
-        // Format messages for OpenAI
-        const formattedMessages = messageHistory.map((msg) => ({
-            role: msg.role,
-            content: msg.content,
-        }));
-
-        // Call OpenAI API with rate limiting and timeout protection
-        const startTime = Date.now();
-        const openaiResponse = await openai.chat.completions.create({
-            model: process.env.OPENAI_MODEL || "gpt-3.5-turbo",
-            messages: formattedMessages,
-            max_tokens: 500,
-            temperature: 0.7,
-            timeout: 30000 // 30 second timeout
+        // Run the tool-enabled agent on this agent's own runtime and wallet
+        const agentStartTime = Date.now();
+        const result = await aptosService.processAgentMessage(req.agent, formattedMessages, false, {
+            conversationId: conversation._id
         });
-        const responseTime = Date.now() - startTime;
+        const responseTime = Date.now() - agentStartTime;
 
         // Log response time for monitoring
-        console.log(`OpenAI API response time: ${responseTime}ms`);
-
-        if (!openaiResponse || !openaiResponse.choices || openaiResponse.choices.length === 0) {
-            throw new Error('Invalid response from OpenAI API');
-        }
-
-        const aiMessage = openaiResponse.choices[0].message.content;
+        console.log(`Agent run time: ${responseTime}ms`);
 
-        // Add AI response to conversation
-        await conversationService.addMessageToConversation(
+        const { aiMessage, toolCalls, transactionHashes, policyViolations } = await recordAgentReply(
             conversation._id,
-            'assistant',
-            aiMessage
+            result.messages,
+            result.proposal
         );
 
+        // Fold older turns into the agent's memory without holding up the reply
+        aptosService.updateMemory(req.agent, conversation._id);
+
         // Log success without sensitive data
         const timeMs = Date.now() - startTime;
         console.log(`Processed message for agent ${sanitizedAgentId} in ${timeMs}ms`);
@@ -210,7 +501,11 @@ export const processMessage = async (req, res) => {
             success: true,
             message: 'Message processed successfully',
             response: aiMessage,
-            agentId: sanitizedAgentId
+            agentId: sanitizedAgentId,
+            toolCalls,
+            transactionHashes,
+            policyViolations,
+            proposal: formatProposal(result.proposal)
         });
     } catch (error) {
         // Log error without revealing sensitive information
@@ -225,13 +520,22 @@ export const processMessage = async (req, res) => {
             });
         }
         
-        if (error.response && error.response.status === 429) {
+        if (error.status === 429 || (error.response && error.response.status === 429)) {
             return res.status(429).json({
                 success: false,
                 message: 'Rate limit exceeded. Please try again later.'
             });
         }
 
+        // The conversation's last run stopped midway and has to be resumed or forked first
+        if (error.status === 409) {
+            return res.status(409).json({
+                success: false,
+                message: runConflictMessage(error),
+                proposalId: error.proposalId
+            });
+        }
+
         return res.status(500).json({
             success: false,
             message: 'Failed to process message',
@@ -241,26 +545,354 @@ export const processMessage = async (req, res) => {
 };
 
 /**
- * Get all agents for a specific user
+ * Stream an agent's answer over Server-Sent Events
+ * Emits token deltas, tool_start / tool_end / tool_result for every tool the agent runs, ping
+ * heartbeats, a proposal event if write actions await approval, and a final message event. The run is cancelled if the client disconnects, and
+ * the assistant turn is saved to the conversation once it completes
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
- * @returns {Object} Response with user's agents
+ * @returns {Promise<void>}
  */
-export const getUserAgents = async (req, res) => {
+export const streamMessage = async (req, res) => {
     const startTime = Date.now();
     const clientIP = req.ip || 'unknown';
-    
+    const controller = new AbortController();
+    let heartbeat = null;
+
+    const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
     try {
-        const { userId } = req.params;
-        
-        if (!userId) {
+        const { message } = req.body;
+
+        if (!message || typeof message !== 'string') {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required parameter: userId'
+                message: 'Valid message is required'
             });
         }
-        
-        const sanitizedUserId = sanitizeInput(userId);
+
+        // Ownership was checked by authorizeAgent
+        const sanitizedUserId = req.user.sub;
+        const sanitizedAgentId = req.agent.agentId;
+        const sanitizedMessage = sanitizeInput(message);
+
+        if (!req.agent.address) {
+            return res.status(409).json({
+                success: false,
+                message: 'This agent has no wallet yet. Call /initialize with its agentId to create one.'
+            });
+        }
+
+        const { conversation, formattedMessages } = await startAgentTurn(
+            sanitizedUserId,
+            sanitizedAgentId,
+            sanitizedMessage
+        );
+
+        // Start the run before opening the stream, so setup failures still answer with JSON
+        const { eventStream } = await aptosService.processAgentMessage(
+            req.agent,
+            formattedMessages,
+            true,
+            { conversationId: conversation._id, signal: controller.signal }
+        );
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            // Keep reverse proxies from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        // Stop the run if the client goes away before it finishes
+        res.on('close', () => {
+            if (!res.writableEnded) {
+                controller.abort();
+            }
+        });
+        heartbeat = setInterval(
+            () => sendEvent('ping', { timestamp: Date.now() }),
+            parseInt(process.env.SSE_HEARTBEAT_MS) || 15000
+        );
+
+        const runMessages = [];
+        let proposal = null;
+        try {
+            for await (const event of eventStream) {
+                if (event.event === 'on_proposal') {
+                    proposal = event.data.proposal;
+                    sendEvent('proposal', formatProposal(proposal));
+                    continue;
+                }
+                const { events, message: runMessage } = translateStreamEvent(event);
+                events.forEach(({ event: name, data }) => sendEvent(name, data));
+                if (runMessage) {
+                    runMessages.push(runMessage);
+                }
+            }
+        } catch (error) {
+            if (!controller.signal.aborted) {
+                throw error;
+            }
+        }
+
+        // Save the turn even when the client left, so transactions already sent stay on record
+        const { reply, toolCalls, transactionHashes, policyViolations } = summarizeAgentRun(runMessages);
+        const response = reply || (proposal ? proposalNotice(proposal) : null);
+        if (response || toolCalls.length > 0) {
+            await conversationService.addMessageToConversation(
+                conversation._id,
+                'assistant',
+                response || 'The response was cancelled before the agent finished.',
+                { toolCalls, transactionHashes }
+            );
+        }
+        aptosService.updateMemory(req.agent, conversation._id);
+
+        const timeMs = Date.now() - startTime;
+        if (controller.signal.aborted) {
+            console.log(`Stream for agent ${sanitizedAgentId} cancelled by the client after ${timeMs}ms`);
+            return;
+        }
+
+        console.log(`Streamed message for agent ${sanitizedAgentId} in ${timeMs}ms`);
+        sendEvent('message', {
+            response: response || 'The agent finished without a reply.',
+            agentId: sanitizedAgentId,
+            toolCalls,
+            transactionHashes,
+            policyViolations,
+            proposal: formatProposal(proposal)
+        });
+        res.end();
+    } catch (error) {
+        const timeMs = Date.now() - startTime;
+        console.error(`Error streaming message [${timeMs}ms, IP: ${clientIP}]:`, error.message);
+
+        if (!res.headersSent) {
+            if (error.status === 409) {
+                return res.status(409).json({
+                    success: false,
+                    message: runConflictMessage(error),
+                    proposalId: error.proposalId
+                });
+            }
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to process message',
+                error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+
+        if (!res.writableEnded) {
+            sendEvent('error', { message: 'Failed to process message' });
+            res.end();
+        }
+    } finally {
+        clearInterval(heartbeat);
+    }
+};
+
+/**
+ * Explain why a conversation cannot take a run
+ * @param {Error} error - The 409 error
+ * @param {string} fallback - The message when no proposal is pending
+ * @returns {string} The message
+ */
+function runConflictMessage(
+    error,
+    fallback = 'The previous run was interrupted. Resume it or fork from an earlier checkpoint.'
+) {
+    return error.proposalId
+        ? `Proposal ${error.proposalId} is awaiting approval. Approve or reject it first.`
+        : fallback;
+}
+
+/**
+ * Map a failed checkpoint run to its response
+ * @param {Object} res - Express response object
+ * @param {Error} error - The error
+ * @param {string} fallback - The message for unexpected errors
+ * @returns {Object} The error response
+ */
+function sendRunError(res, error, fallback) {
+    if (error.status === 404 || error.status === 409) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.status === 404
+                ? 'Checkpoint not found'
+                : runConflictMessage(error, 'There is no interrupted run to resume'),
+            proposalId: error.proposalId
+        });
+    }
+    if (error.status === 429) {
+        return res.status(429).json({
+            success: false,
+            message: 'Rate limit exceeded. Please try again later.'
+        });
+    }
+    return res.status(500).json({
+        success: false,
+        message: fallback,
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+}
+
+/**
+ * List the checkpoints of an agent's conversation, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the checkpoints
+ */
+export const listCheckpoints = async (req, res) => {
+    try {
+        const { limit = 20, before } = req.query;
+        const sanitizedLimit = Math.min(parseInt(limit) || 20, 100);
+
+        // Ownership was checked by authorizeAgent
+        const conversation = await conversationService.getConversationByUserAndAgentId(
+            req.user.sub,
+            req.agent.agentId
+        );
+        if (!conversation) {
+            return res.status(200).json({
+                success: true,
+                message: 'No conversation found for this agent',
+                checkpoints: []
+            });
+        }
+
+        const checkpoints = await aptosService.listCheckpoints(req.agent, conversation._id, {
+            limit: sanitizedLimit,
+            before: before ? sanitizeInput(before) : null
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Checkpoints retrieved successfully',
+            conversationId: conversation._id,
+            checkpoints
+        });
+    } catch (error) {
+        console.error('Error listing checkpoints:', error.message);
+        return sendRunError(res, error, 'Failed to list checkpoints');
+    }
+};
+
+/**
+ * Resume the interrupted run of an agent's conversation from its latest checkpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the agent reply
+ */
+export const resumeRun = async (req, res) => {
+    try {
+        const conversation = await conversationService.getConversationByUserAndAgentId(
+            req.user.sub,
+            req.agent.agentId
+        );
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'No conversation found for this agent'
+            });
+        }
+
+        const result = await aptosService.resumeAgentRun(req.agent, conversation._id);
+        const { aiMessage, toolCalls, transactionHashes, policyViolations } = await recordAgentReply(
+            conversation._id,
+            result.messages,
+            result.proposal
+        );
+
+        console.log(`Resumed run for agent ${req.agent.agentId}`);
+        return res.status(200).json({
+            success: true,
+            message: 'Run resumed successfully',
+            response: aiMessage,
+            agentId: req.agent.agentId,
+            toolCalls,
+            transactionHashes,
+            policyViolations,
+            proposal: formatProposal(result.proposal)
+        });
+    } catch (error) {
+        console.error('Error resuming run:', error.message);
+        return sendRunError(res, error, 'Failed to resume run');
+    }
+};
+
+/**
+ * Fork an agent's conversation from an earlier checkpoint with a new message
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the agent reply
+ */
+export const forkRun = async (req, res) => {
+    try {
+        const { message } = req.body;
+        const sanitizedMessage = sanitizeInput(message);
+        const checkpointId = sanitizeInput(req.params.checkpointId);
+
+        const conversation = await conversationService.getConversationByUserAndAgentId(
+            req.user.sub,
+            req.agent.agentId
+        );
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'No conversation found for this agent'
+            });
+        }
+
+        const result = await aptosService.forkAgentRun(
+            req.agent,
+            conversation._id,
+            checkpointId,
+            sanitizedMessage
+        );
+        await conversationService.addMessageToConversation(conversation._id, 'user', sanitizedMessage);
+        const { aiMessage, toolCalls, transactionHashes, policyViolations } = await recordAgentReply(
+            conversation._id,
+            result.messages,
+            result.proposal
+        );
+
+        console.log(`Forked agent ${req.agent.agentId} from checkpoint ${checkpointId}`);
+        return res.status(200).json({
+            success: true,
+            message: 'Run forked successfully',
+            response: aiMessage,
+            agentId: req.agent.agentId,
+            checkpointId,
+            toolCalls,
+            transactionHashes,
+            policyViolations,
+            proposal: formatProposal(result.proposal)
+        });
+    } catch (error) {
+        console.error('Error forking run:', error.message);
+        return sendRunError(res, error, 'Failed to fork run');
+    }
+};
+
+/**
+ * Get all agents for a specific user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with user's agents
+ */
+export const getUserAgents = async (req, res) => {
+    const startTime = Date.now();
+    const clientIP = req.ip || 'unknown';
+    
+    try {
+        // requireSameUser has checked :userId against the token
+        const sanitizedUserId = req.user.sub;
         
         // Log request
         console.log(`Getting agents for user ${sanitizedUserId}`);
@@ -272,6 +904,11 @@ export const getUserAgents = async (req, res) => {
             userId: agent.userId,
             agentId: agent.agentId,
             name: agent.name,
+            address: agent.address,
+            network: formatNetwork(agent),
+            tools: formatTools(agent),
+            persona: formatPersona(agent),
+            policy: agent.policy || null,
             createdAt: agent.createdAt,
             lastActive: agent.lastActive
         }));
@@ -311,26 +948,29 @@ export const getUserAgents = async (req, res) => {
  * @param {Object} res - Express response object
  * @returns {Object} Response with agent status
  */
-export const getAgentStatus = async (req, res) => {
+export const getAgentStatus = (req, res) => {
     const startTime = Date.now();
     const clientIP = req.ip || 'unknown';
     
     try {
-        const { agentId } = req.params;
-        
-        if (!agentId || typeof agentId !== 'string') {
-            return res.status(400).json({
-                success: false,
-                message: 'Valid agent ID is required'
-            });
-        }
-        
-        const sanitizedAgentId = sanitizeInput(agentId);
+        // Ownership was checked by authorizeAgent
+        const agent = req.agent;
+        const sanitizedAgentId = agent.agentId;
         
         // Log request
         console.log(`Getting status for agent ${sanitizedAgentId}`);
         
-        const status = agentService.getAgentStatus(sanitizedAgentId);
+        const status = {
+            agentId: agent.agentId,
+            name: agent.name,
+            address: agent.address,
+            network: formatNetwork(agent),
+            tools: formatTools(agent),
+            approvalMode: agent.approvalMode,
+            persona: formatPersona(agent),
+            createdAt: agent.createdAt,
+            lastActive: agent.lastActive
+        };
         
         // Log success
         const timeMs = Date.now() - startTime;
@@ -370,16 +1010,8 @@ export const updateAgentName = async (req, res) => {
     const clientIP = req.ip || 'unknown';
     
     try {
-        const { agentId } = req.params;
         const { name } = req.body;
         
-        if (!agentId || typeof agentId !== 'string') {
-            return res.status(400).json({
-                success: false,
-                message: 'Valid agent ID is required'
-            });
-        }
-        
         if (!name || typeof name !== 'string') {
             return res.status(400).json({
                 success: false,
@@ -387,13 +1019,17 @@ export const updateAgentName = async (req, res) => {
             });
         }
         
-        const sanitizedAgentId = sanitizeInput(agentId);
+        const sanitizedAgentId = req.agent.agentId;
         const sanitizedName = sanitizeInput(name);
         
         // Log request
         console.log(`Updating name for agent ${sanitizedAgentId} to "${sanitizedName}"`);
         
-        const updatedAgent = agentService.updateAgentName(sanitizedAgentId, sanitizedName);
+        const updatedAgent = await agentService.updateAgentName(
+            req.user.sub,
+            sanitizedAgentId,
+            sanitizedName
+        );
         
         // Log success
         const timeMs = Date.now() - startTime;
@@ -431,321 +1067,692 @@ export const updateAgentName = async (req, res) => {
 };
 
 /**
- * Get all agents (admin endpoint)
+ * Update an agent's name, network, tools, approval mode and persona (system prompt, provider,
+ * model, temperature, max tokens)
+ * A new system prompt is saved as the next prompt version; the agent runs with the new
+ * settings from its next message
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
- * @returns {Object} Response with all agents
+ * @returns {Object} Response with updated agent
  */
-export const getAllAgents = async (req, res) => {
+export const updateAgent = async (req, res) => {
     const startTime = Date.now();
     const clientIP = req.ip || 'unknown';
-    
+
     try {
-        // TODO: Add admin authentication check here
-        // Example:
-        // if (!req.user || req.user.role !== 'admin') {
-        //     return res.status(403).json({
-        //         success: false,
-        //         message: 'Admin access required'
-        //     });
-        // }
-        
-        // Log request
-        console.log(`Admin request to get all agents from IP: ${clientIP}`);
-        
-        const agents = agentService.getAllAgents();
-        
-        // Log success
+        const { name, persona, network, tools, approvalMode } = req.body;
+
+        if ([name, persona, network, tools, approvalMode].every(field => field === undefined)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide a name, network, tools, approvalMode or persona to update'
+            });
+        }
+        if (name !== undefined && (!name || typeof name !== 'string')) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid name is required'
+            });
+        }
+        if (persona !== undefined && (!persona || typeof persona !== 'object' || Array.isArray(persona))) {
+            return res.status(400).json({
+                success: false,
+                message: 'persona must be an object'
+            });
+        }
+
+        // Check the network and tools up front, so invalid ones do not leave a partial update
+        const networkErrors = network === undefined ? [] : validateNetwork(network);
+        if (networkErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid network',
+                errors: networkErrors
+            });
+        }
+        const toolErrors = tools === undefined ? [] : validateToolSettings(tools);
+        if (toolErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid tools',
+                errors: toolErrors
+            });
+        }
+        if (approvalMode !== undefined && !APPROVAL_MODES.includes(approvalMode)) {
+            return res.status(400).json({
+                success: false,
+                message: `approvalMode must be one of: ${APPROVAL_MODES.join(', ')}`
+            });
+        }
+
+        const sanitizedUserId = req.user.sub;
+        const sanitizedAgentId = req.agent.agentId;
+        let agent = req.agent;
+
+        if (persona !== undefined) {
+            const changes = { ...persona };
+            if (typeof changes.systemPrompt === 'string') {
+                changes.systemPrompt = sanitizeInput(changes.systemPrompt);
+            }
+            agent = await agentService.updatePersona(sanitizedUserId, sanitizedAgentId, changes);
+        }
+        if (network !== undefined && agent) {
+            agent = await agentService.updateNetwork(sanitizedUserId, sanitizedAgentId, network);
+        }
+        if (tools !== undefined && agent) {
+            agent = await agentService.updateTools(sanitizedUserId, sanitizedAgentId, tools);
+        }
+        if (approvalMode !== undefined && agent) {
+            agent = await agentService.updateApprovalMode(sanitizedUserId, sanitizedAgentId, approvalMode);
+        }
+        if (name !== undefined && agent) {
+            agent = await agentService.updateAgentName(sanitizedUserId, sanitizedAgentId, sanitizeInput(name));
+        }
+
+        if (!agent) {
+            return res.status(404).json({
+                success: false,
+                message: 'Agent not found'
+            });
+        }
+
         const timeMs = Date.now() - startTime;
-        console.log(`Retrieved ${agents.length} agents in ${timeMs}ms`);
-        
+        console.log(`Updated agent ${sanitizedAgentId} in ${timeMs}ms`);
+
         return res.status(200).json({
             success: true,
-            count: agents.length,
-            agents
+            message: 'Agent updated successfully',
+            agent: {
+                agentId: agent.agentId,
+                name: agent.name,
+                address: agent.address,
+                network: formatNetwork(agent),
+                tools: formatTools(agent),
+                approvalMode: agent.approvalMode,
+                persona: formatPersona(agent)
+            }
         });
     } catch (error) {
-        // Log error
         const timeMs = Date.now() - startTime;
-        console.error(`Error getting all agents [${timeMs}ms, IP: ${clientIP}]:`, error.message);
-        
+        console.error(`Error updating agent [${timeMs}ms, IP: ${clientIP}]:`, error.message);
+
+        if (error.status === 400 || error.status === 409) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.status === 400 ? 'Invalid persona' : error.message,
+                errors: error.details
+            });
+        }
+
         return res.status(500).json({
             success: false,
-            message: 'Failed to get all agents'
+            message: 'Failed to update agent'
         });
     }
 };
 
 /**
- * Clean up inactive agents (maintenance endpoint)
+ * List the tools agents can be given, with their families and the allowlist presets
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
- * @returns {Object} Response with cleanup results
+ * @returns {Object} Response with the tool catalog
  */
-export const cleanupInactiveAgents = async (req, res) => {
-    const startTime = Date.now();
-    const clientIP = req.ip || 'unknown';
-    
+export const listTools = (req, res) => {
     try {
-        // TODO: Add admin authentication check here
-        
-        const { hours } = req.query;
-        const maxAgeHours = hours ? parseInt(hours, 10) : 24;
-        
-        // Log request
-        console.log(`Admin request to clean up inactive agents (${maxAgeHours}h) from IP: ${clientIP}`);
-        
-        const cleanedCount = agentService.cleanupInactiveAgents(maxAgeHours);
-        
-        // Log success
-        const timeMs = Date.now() - startTime;
-        console.log(`Cleaned up ${cleanedCount} inactive agents in ${timeMs}ms`);
-        
         return res.status(200).json({
             success: true,
-            message: `Cleaned up ${cleanedCount} inactive agents`,
-            count: cleanedCount
+            message: 'Tools retrieved successfully',
+            families: Object.keys(TOOL_FAMILIES),
+            presets: TOOL_PRESETS,
+            tools: getToolCatalog()
         });
     } catch (error) {
-        // Log error
-        const timeMs = Date.now() - startTime;
-        console.error(`Error cleaning up agents [${timeMs}ms, IP: ${clientIP}]:`, error.message);
-        
+        console.error('Error listing tools:', error.message);
         return res.status(500).json({
             success: false,
-            message: 'Failed to clean up inactive agents'
+            message: 'Failed to list tools'
         });
     }
 };
 
 /**
- * Remove a specific agent
+ * List the tools agents can be given, marking the ones this agent has enabled
+ * The faucet tool is also only given to agents on a network with a faucet
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
- * @returns {Object} Response with removal status
+ * @returns {Object} Response with the agent's tools
  */
-export const removeAgent = async (req, res) => {
-    const startTime = Date.now();
-    const clientIP = req.ip || 'unknown';
-    
+export const getAgentTools = (req, res) => {
     try {
-        const { userId, agentId } = req.params;
-        
-        if (!userId || !agentId) {
+        const faucet = hasFaucet(req.agent.network);
+        return res.status(200).json({
+            success: true,
+            message: 'Agent tools retrieved successfully',
+            allowlist: formatTools(req.agent),
+            tools: getToolCatalog().map(tool => ({
+                ...tool,
+                enabled: isToolEnabled(tool.name, req.agent.tools),
+                available: tool.family !== 'faucet' || faucet
+            }))
+        });
+    } catch (error) {
+        console.error('Error getting agent tools:', error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to get agent tools'
+        });
+    }
+};
+
+/**
+ * Fund an agent's wallet from its network's faucet; never available on mainnet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the faucet transaction
+ */
+export const fundAgent = async (req, res) => {
+    try {
+        // Octas; defaults to 1 APT
+        const amount = req.body.amount === undefined ? 100000000 : Number(req.body.amount);
+        if (!Number.isSafeInteger(amount) || amount <= 0) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required parameters: userId and agentId'
+                message: 'amount must be a positive whole number of octas'
             });
         }
-        
-        const sanitizedUserId = sanitizeInput(userId);
-        const sanitizedAgentId = sanitizeInput(agentId);
-        
-        // Log request
-        console.log(`Removing agent ${sanitizedAgentId}`);
-        
-        const removed = await agentService.removeAgent(sanitizedUserId, sanitizedAgentId);
-        
-        // Also remove associated conversations
-        await conversationService.deleteConversationsByAgentId(sanitizedUserId, sanitizedAgentId);
-        
-        // Log result
-        const timeMs = Date.now() - startTime;
-        console.log(`Agent removal result for ${sanitizedAgentId}: ${removed ? 'success' : 'not found'} in ${timeMs}ms`);
-        
-        if (removed) {
-            return res.status(200).json({
-                success: true,
-                message: `Agent removed successfully`
-            });
-        } else {
-            return res.status(404).json({
+        if (!req.agent.address) {
+            return res.status(409).json({
                 success: false,
-                message: `Agent not found`
+                message: 'This agent has no wallet yet. Call /initialize with its agentId to create one.'
             });
         }
+
+        const transactionHash = await aptosService.fundAccount(req.agent, amount);
+
+        console.log(`Funded agent ${req.agent.agentId} with ${amount} octas from the faucet`);
+        return res.status(200).json({
+            success: true,
+            message: 'Agent funded successfully',
+            network: resolveNetwork(req.agent.network).name,
+            amount,
+            transactionHash
+        });
     } catch (error) {
-        // Log error
-        const timeMs = Date.now() - startTime;
-        console.error(`Error removing agent [${timeMs}ms, IP: ${clientIP}]:`, error.message);
-        
-        if (error.message.includes('Rate limit')) {
-            return res.status(429).json({
+        console.error('Error funding agent:', error.message);
+
+        if (error.status === 400) {
+            return res.status(400).json({
                 success: false,
-                message: 'Too many requests. Please try again later.'
+                message: error.message
             });
         }
-        
-        return res.status(500).json({
+
+        return res.status(502).json({
             success: false,
-            message: 'Failed to remove agent'
+            message: 'The faucet could not fund the agent'
         });
     }
 };
 
 /**
- * Remove all agents for a specific user
+ * Simulate an entry function call from the agent's wallet without sending it
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
- * @returns {Object} Response with removal status
+ * @returns {Object} Response with the transaction summary and its simulation
  */
-export const removeUserAgents = async (req, res) => {
-    const startTime = Date.now();
-    const clientIP = req.ip || 'unknown';
-    
+export const simulateTransaction = async (req, res) => {
     try {
-        const { userId } = req.params;
-        
-        if (!userId || typeof userId !== 'string') {
+        const { function: functionId, typeArguments = [], functionArguments = [] } = req.body;
+
+        if (typeof functionId !== 'string' || !/^0x[0-9a-fA-F]+::\w+::\w+$/.test(functionId)) {
             return res.status(400).json({
                 success: false,
-                message: 'Valid user ID is required'
+                message: 'function must be an entry function, eg 0x1::aptos_account::transfer'
             });
         }
-        
-        const sanitizedUserId = sanitizeInput(userId);
-        
-        // Log request
-        console.log(`Removing all agents for user ${sanitizedUserId}`);
-        
-        const removedCount = agentService.removeUserAgents(sanitizedUserId);
-        
-        // Log result
-        const timeMs = Date.now() - startTime;
-        console.log(`Removed ${removedCount} agents for user ${sanitizedUserId} in ${timeMs}ms`);
-        
+        if (!Array.isArray(typeArguments) || typeArguments.some(arg => typeof arg !== 'string')) {
+            return res.status(400).json({
+                success: false,
+                message: 'typeArguments must be a list of type tags'
+            });
+        }
+        if (!Array.isArray(functionArguments)) {
+            return res.status(400).json({
+                success: false,
+                message: 'functionArguments must be a list'
+            });
+        }
+
+        const { summary, simulation } = await aptosService.simulateAgentTransaction(req.agent, {
+            function: functionId,
+            typeArguments,
+            functionArguments
+        });
+
         return res.status(200).json({
             success: true,
-            message: `Removed ${removedCount} agents`,
-            count: removedCount
+            message: simulation.success ? 'Transaction would succeed' : 'Transaction would fail',
+            transaction: summary,
+            simulation
         });
     } catch (error) {
-        // Log error
-        const timeMs = Date.now() - startTime;
-        console.error(`Error removing user agents [${timeMs}ms, IP: ${clientIP}]:`, error.message);
-        
-        if (error.message.includes('Rate limit')) {
-            return res.status(429).json({
+        console.error('Error simulating transaction:', error.message);
+
+        if (error.status === 400) {
+            return res.status(400).json({
                 success: false,
-                message: 'Too many requests. Please try again later.'
+                message: `Could not build the transaction: ${error.message}`
             });
         }
-        
+
         return res.status(500).json({
             success: false,
-            message: 'Failed to remove user agents'
+            message: 'Failed to simulate transaction'
         });
     }
 };
 
 /**
- * Get conversation history for a specific agent
+ * Simulate an EVM transaction with eth_call and estimate its gas and fee, without sending it
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
- * @returns {Object} Response with conversation history
+ * @returns {Object} Response with the simulation
  */
-export const getAgentConversation = async (req, res) => {
-    const startTime = Date.now();
-    const clientIP = req.ip || 'unknown';
-    
+export const simulateEvmTransaction = async (req, res) => {
     try {
-        const { userId, agentId } = req.params;
-        const { limit = 50 } = req.query;
+        const { chain, from, to, data, value } = req.body;
 
-        // Validate required fields
-        if (!userId || !agentId) {
+        if (!ethers.isAddress(from) || !ethers.isAddress(to)) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required parameters: userId and agentId'
+                message: 'from and to must be EVM addresses'
             });
         }
-
-        // Sanitize inputs
-        const sanitizedUserId = sanitizeInput(userId);
-        const sanitizedAgentId = sanitizeInput(agentId);
-        const sanitizedLimit = Math.min(parseInt(limit), 100); // Cap at 100 messages
-
-        // Check if agent exists
-        const agent = await agentService.getAgent(sanitizedUserId, sanitizedAgentId);
-        if (!agent) {
-            return res.status(404).json({
+        if (data !== undefined && !ethers.isHexString(data)) {
+            return res.status(400).json({
                 success: false,
-                message: 'Agent not found'
+                message: 'data must be hex calldata'
+            });
+        }
+        if (value !== undefined && !/^\d+$/.test(String(value))) {
+            return res.status(400).json({
+                success: false,
+                message: 'value must be an amount in wei'
             });
         }
 
-        // Get conversation for the agent
-        const conversation = await conversationService.getConversationByUserAndAgentId(
-            sanitizedUserId,
-            sanitizedAgentId
-        );
-
-        if (!conversation) {
-            return res.status(200).json({
-                success: true,
-                message: 'No conversation found for this agent',
-                messages: []
+        let provider;
+        try {
+            provider = getProvider(String(chain || ''));
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
             });
         }
 
-        // Get messages for the conversation
-        const messages = await conversationService.getConversationMessages(
-            conversation._id,
-            sanitizedLimit
-        );
+        const simulation = await simulateEvm(provider, {
+            from,
+            to,
+            data,
+            value: value === undefined ? undefined : BigInt(value)
+        });
 
-        // Log success
-        const timeMs = Date.now() - startTime;
-        console.log(`Retrieved ${messages.length} messages for agent ${sanitizedAgentId} in ${timeMs}ms`);
-        
         return res.status(200).json({
             success: true,
-            message: 'Conversation retrieved successfully',
-            conversation: {
-                conversationId: conversation._id,
-                messages
-            }
+            message: simulation.success ? 'Transaction would succeed' : 'Transaction would fail',
+            chain,
+            simulation
         });
     } catch (error) {
-        // Log error
-        const timeMs = Date.now() - startTime;
-        console.error(`Error getting agent conversation [${timeMs}ms, IP: ${clientIP}]:`, error.message);
-        
+        console.error('Error simulating EVM transaction:', error.message);
         return res.status(500).json({
             success: false,
-            message: 'Failed to retrieve conversation',
-            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            message: 'Failed to simulate transaction'
         });
     }
 };
 
 /**
- * Clear conversation history for a specific agent
+ * List the transactions an agent's wallet sent, newest first
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
- * @returns {Object} Response with clear status
+ * @returns {Object} Response with the transactions
  */
-export const clearAgentConversation = async (req, res) => {
-    const startTime = Date.now();
-    const clientIP = req.ip || 'unknown';
-    
+export const listTransactions = async (req, res) => {
     try {
-        const { userId, agentId } = req.params;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const status = req.query.status ? sanitizeInput(req.query.status) : undefined;
+        const transactions = await aptosService.transactions.list(req.agent.agentId, { status, limit });
 
-        // Validate required fields
-        if (!userId || !agentId) {
+        return res.status(200).json({
+            success: true,
+            message: 'Transactions retrieved successfully',
+            transactions: transactions.map(formatTransaction)
+        });
+    } catch (error) {
+        console.error('Error listing transactions:', error.message);
+
+        if (error.status === 400) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required parameters: userId and agentId'
+                message: error.message
             });
         }
 
-        // Sanitize inputs
-        const sanitizedUserId = sanitizeInput(userId);
-        const sanitizedAgentId = sanitizeInput(agentId);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to list transactions'
+        });
+    }
+};
+
+/**
+ * Get an agent's spending policy and what its wallet sent in the last 24 hours
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the policy and spending
+ */
+export const getAgentPolicy = async (req, res) => {
+    try {
+        const spending = await aptosService.spendingPolicy.getDailySpending(req.agent.agentId);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Policy retrieved successfully',
+            policy: req.agent.policy || null,
+            spending,
+            violationCodes: Object.values(VIOLATIONS)
+        });
+    } catch (error) {
+        console.error('Error getting agent policy:', error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to get policy'
+        });
+    }
+};
+
+/**
+ * Set an agent's spending policy; its wallet signs under the new policy from its next transaction
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the stored policy
+ */
+export const updateAgentPolicy = async (req, res) => {
+    try {
+        const agent = await agentService.updatePolicy(req.agent.userId, req.agent.agentId, req.body);
+        if (!agent) {
+            return res.status(404).json({
+                success: false,
+                message: 'Agent not found'
+            });
+        }
+
+        console.log(`Updated spending policy for agent ${agent.agentId}`);
+        return res.status(200).json({
+            success: true,
+            message: 'Policy updated successfully',
+            policy: agent.policy
+        });
+    } catch (error) {
+        console.error('Error updating agent policy:', error.message);
+
+        if (error.status === 400) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid policy',
+                errors: error.details
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to update policy'
+        });
+    }
+};
+
+/**
+ * Remove an agent's spending policy, letting its wallet sign anything
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the result
+ */
+export const removeAgentPolicy = async (req, res) => {
+    try {
+        await agentService.updatePolicy(req.agent.userId, req.agent.agentId, null);
+
+        console.log(`Removed spending policy for agent ${req.agent.agentId}`);
+        return res.status(200).json({
+            success: true,
+            message: 'Policy removed successfully'
+        });
+    } catch (error) {
+        console.error('Error removing agent policy:', error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to remove policy'
+        });
+    }
+};
+
+/**
+ * List an agent's proposals, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the proposals
+ */
+export const listProposals = async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const status = req.query.status ? sanitizeInput(req.query.status) : undefined;
+        const proposals = await aptosService.proposals.list(req.agent.agentId, { status, limit });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Proposals retrieved successfully',
+            proposals: proposals.map(formatProposal)
+        });
+    } catch (error) {
+        console.error('Error listing proposals:', error.message);
+
+        if (error.status === 400) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to list proposals'
+        });
+    }
+};
+
+/**
+ * Get one of an agent's proposals, with the transactions it would send
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the proposal
+ */
+export const getProposal = async (req, res) => {
+    try {
+        const proposal = await aptosService.proposals.get(
+            req.agent.agentId,
+            sanitizeInput(req.params.proposalId)
+        );
+        if (!proposal) {
+            return res.status(404).json({
+                success: false,
+                message: 'Proposal not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Proposal retrieved successfully',
+            proposal: formatProposal(proposal)
+        });
+    } catch (error) {
+        console.error('Error getting proposal:', error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to get proposal'
+        });
+    }
+};
+
+/**
+ * Map a failed proposal decision to its response
+ * @param {Object} res - Express response object
+ * @param {Error} error - The error
+ * @param {string} fallback - The message for unexpected errors
+ * @returns {Object} The error response
+ */
+function sendProposalError(res, error, fallback) {
+    if (error.status === 404 || error.status === 409) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message
+        });
+    }
+    return sendRunError(res, error, fallback);
+}
+
+/**
+ * Approve a pending proposal; the agent's run resumes from where it paused, runs the proposed
+ * tools and reports the outcome
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the decided proposal and the agent reply
+ */
+export const approveProposal = async (req, res) => {
+    try {
+        const proposalId = sanitizeInput(req.params.proposalId);
+        const result = await aptosService.approveProposal(req.agent, proposalId, req.user.sub);
+        const { aiMessage, toolCalls, transactionHashes, policyViolations } = await recordAgentReply(
+            result.decided.conversationId,
+            result.messages,
+            result.proposal
+        );
+
+        console.log(`Approved proposal ${proposalId} for agent ${req.agent.agentId}`);
+        return res.status(200).json({
+            success: true,
+            message: 'Proposal approved successfully',
+            decided: formatProposal(result.decided),
+            response: aiMessage,
+            agentId: req.agent.agentId,
+            toolCalls,
+            transactionHashes,
+            policyViolations,
+            proposal: formatProposal(result.proposal)
+        });
+    } catch (error) {
+        console.error('Error approving proposal:', error.message);
+        return sendProposalError(res, error, 'Failed to approve proposal');
+    }
+};
+
+/**
+ * Reject a pending proposal; the agent's run resumes without the proposed tools, so it can
+ * answer the rejection
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the decided proposal and the agent reply
+ */
+export const rejectProposal = async (req, res) => {
+    try {
+        const { reason } = req.body || {};
+        if (reason !== undefined && typeof reason !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'reason must be a string'
+            });
+        }
+
+        const proposalId = sanitizeInput(req.params.proposalId);
+        const result = await aptosService.rejectProposal(
+            req.agent,
+            proposalId,
+            req.user.sub,
+            reason ? sanitizeInput(reason) : null
+        );
+        const { aiMessage, toolCalls, transactionHashes, policyViolations } = await recordAgentReply(
+            result.decided.conversationId,
+            result.messages,
+            result.proposal
+        );
+
+        console.log(`Rejected proposal ${proposalId} for agent ${req.agent.agentId}`);
+        return res.status(200).json({
+            success: true,
+            message: 'Proposal rejected successfully',
+            decided: formatProposal(result.decided),
+            response: aiMessage,
+            agentId: req.agent.agentId,
+            toolCalls,
+            transactionHashes,
+            policyViolations,
+            proposal: formatProposal(result.proposal)
+        });
+    } catch (error) {
+        console.error('Error rejecting proposal:', error.message);
+        return sendProposalError(res, error, 'Failed to reject proposal');
+    }
+};
+
+/**
+ * List the versions of an agent's system prompt, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the prompt versions
+ */
+export const getPromptVersions = async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const versions = await agentService.getPromptVersions(req.agent.agentId, limit);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Prompt versions retrieved successfully',
+            currentVersion: req.agent.persona?.promptVersion || 0,
+            versions: versions.map(version => ({
+                version: version.version,
+                systemPrompt: version.systemPrompt,
+                editedBy: version.editedBy,
+                restoredFrom: version.restoredFrom,
+                createdAt: version.createdAt
+            }))
+        });
+    } catch (error) {
+        console.error('Error getting prompt versions:', error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to get prompt versions'
+        });
+    }
+};
+
+/**
+ * Make an earlier system prompt current again; it is saved as a new version
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with updated agent
+ */
+export const restorePromptVersion = async (req, res) => {
+    try {
+        const version = parseInt(req.params.version);
+        if (!Number.isInteger(version) || version < 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid prompt version is required'
+            });
+        }
 
-        // Check if agent exists
-        const agent = await agentService.getAgent(sanitizedUserId, sanitizedAgentId);
+        const agent = await agentService.restorePromptVersion(req.user.sub, req.agent.agentId, version);
         if (!agent) {
             return res.status(404).json({
                 success: false,
@@ -753,8 +1760,978 @@ export const clearAgentConversation = async (req, res) => {
             });
         }
 
-        // Delete the conversation
+        console.log(`Restored prompt version ${version} of agent ${req.agent.agentId}`);
+        return res.status(200).json({
+            success: true,
+            message: 'Prompt version restored successfully',
+            agent: {
+                agentId: agent.agentId,
+                name: agent.name,
+                address: agent.address,
+                network: formatNetwork(agent),
+                tools: formatTools(agent),
+                persona: formatPersona(agent)
+            }
+        });
+    } catch (error) {
+        console.error('Error restoring prompt version:', error.message);
+
+        if (error.status === 404 || error.status === 409) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to restore prompt version'
+        });
+    }
+};
+
+/**
+ * Remove a specific agent
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with removal status
+ */
+export const removeAgent = async (req, res) => {
+    const startTime = Date.now();
+    const clientIP = req.ip || 'unknown';
+    
+    try {
+        // Ownership was checked by authorizeAgent
+        const sanitizedUserId = req.user.sub;
+        const sanitizedAgentId = req.agent.agentId;
+        
+        // Log request
+        console.log(`Removing agent ${sanitizedAgentId}`);
+        
+        const removed = await agentService.removeAgent(sanitizedUserId, sanitizedAgentId);
+        
+        // Its conversations, checkpoints and key went with it; drop its pooled runtime too
+        aptosService.runtimes.evict(sanitizedAgentId);
+        
+        // Log result
+        const timeMs = Date.now() - startTime;
+        console.log(`Agent removal result for ${sanitizedAgentId}: ${removed ? 'success' : 'not found'} in ${timeMs}ms`);
+        
+        if (removed) {
+            return res.status(200).json({
+                success: true,
+                message: `Agent removed successfully`
+            });
+        } else {
+            return res.status(404).json({
+                success: false,
+                message: `Agent not found`
+            });
+        }
+    } catch (error) {
+        // Log error
+        const timeMs = Date.now() - startTime;
+        console.error(`Error removing agent [${timeMs}ms, IP: ${clientIP}]:`, error.message);
+        
+        if (error.message.includes('Rate limit')) {
+            return res.status(429).json({
+                success: false,
+                message: 'Too many requests. Please try again later.'
+            });
+        }
+        
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to remove agent'
+        });
+    }
+};
+
+/**
+ * Remove all agents for a specific user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with removal status
+ */
+export const removeUserAgents = async (req, res) => {
+    const startTime = Date.now();
+    const clientIP = req.ip || 'unknown';
+    
+    try {
+        // requireSameUser has checked :userId against the token
+        const sanitizedUserId = req.user.sub;
+        
+        // Log request
+        console.log(`Removing all agents for user ${sanitizedUserId}`);
+        
+        const removedCount = await agentService.removeUserAgents(sanitizedUserId);
+        await conversationService.deleteUserConversations(sanitizedUserId);
+        aptosService.runtimes.evictUser(sanitizedUserId);
+        
+        // Log result
+        const timeMs = Date.now() - startTime;
+        console.log(`Removed ${removedCount} agents for user ${sanitizedUserId} in ${timeMs}ms`);
+        
+        return res.status(200).json({
+            success: true,
+            message: `Removed ${removedCount} agents`,
+            count: removedCount
+        });
+    } catch (error) {
+        // Log error
+        const timeMs = Date.now() - startTime;
+        console.error(`Error removing user agents [${timeMs}ms, IP: ${clientIP}]:`, error.message);
+        
+        if (error.message.includes('Rate limit')) {
+            return res.status(429).json({
+                success: false,
+                message: 'Too many requests. Please try again later.'
+            });
+        }
+        
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to remove user agents'
+        });
+    }
+};
+
+/**
+ * Get conversation history for a specific agent, a page at a time from the latest message
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with conversation history
+ */
+export const getAgentConversation = async (req, res) => {
+    const startTime = Date.now();
+    const clientIP = req.ip || 'unknown';
+    
+    try {
+        const { limit = 50, before } = req.query;
+
+        // Ownership was checked by authorizeAgent
+        const sanitizedUserId = req.user.sub;
+        const sanitizedAgentId = req.agent.agentId;
+        const sanitizedLimit = Math.min(parseInt(limit) || 50, 100); // Cap at 100 messages
+
+        // Get conversation for the agent
+        const conversation = await conversationService.getConversationByUserAndAgentId(
+            sanitizedUserId,
+            sanitizedAgentId
+        );
+
+        if (!conversation) {
+            return res.status(200).json({
+                success: true,
+                message: 'No conversation found for this agent',
+                messages: [],
+                nextCursor: null
+            });
+        }
+
+        // Get a page of messages, continuing from the cursor of the previous one
+        const { messages, nextCursor } = await conversationService.getMessagesPage(conversation._id, {
+            limit: sanitizedLimit,
+            before: typeof before === 'string' ? before : null
+        });
+
+        // Log success
+        const timeMs = Date.now() - startTime;
+        console.log(`Retrieved ${messages.length} messages for agent ${sanitizedAgentId} in ${timeMs}ms`);
+        
+        return res.status(200).json({
+            success: true,
+            message: 'Conversation retrieved successfully',
+            conversation: {
+                conversationId: conversation._id,
+                messages,
+                nextCursor
+            }
+        });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        // Log error
+        const timeMs = Date.now() - startTime;
+        console.error(`Error getting agent conversation [${timeMs}ms, IP: ${clientIP}]:`, error.message);
+        
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve conversation',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Export an agent's whole conversation as a file, with the tools it ran and the transactions
+ * they submitted
+ * @param {Object} req - Express request object (format: json, md or csv)
+ * @param {Object} res - Express response object
+ * @returns {Object} The exported conversation as an attachment
+ */
+export const exportAgentConversation = async (req, res) => {
+    try {
+        const format = typeof req.query.format === 'string' ? req.query.format.toLowerCase() : 'json';
+        if (!EXPORT_FORMATS[format]) {
+            return res.status(400).json({
+                success: false,
+                message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+            });
+        }
+
+        // Ownership was checked by authorizeAgent
+        const agentId = req.agent.agentId;
+        const conversation = await conversationService.getConversationByUserAndAgentId(req.user.sub, agentId);
+        const messages = conversation ? await conversationService.getConversationMessages(conversation._id, 0) : [];
+
+        const body = exportConversation(
+            {
+                conversationId: conversation?._id.toString() || null,
+                agentId,
+                agentName: req.agent.name,
+                exportedAt: new Date().toISOString()
+            },
+            messages,
+            format
+        );
+
+        const { contentType, extension } = EXPORT_FORMATS[format];
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="conversation-${agentId}.${extension}"`);
+        return res.status(200).send(body);
+    } catch (error) {
+        console.error('Error exporting agent conversation:', error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to export conversation'
+        });
+    }
+};
+
+/**
+ * Search the messages of all the user's agent conversations, newest first
+ * @param {Object} req - Express request object (q, and optional agentId, limit and before)
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the matching messages
+ */
+export const searchConversations = async (req, res) => {
+    try {
+        const { q, agentId, limit = 20, before } = req.query;
+        if (typeof q !== 'string' || !q.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'q is required'
+            });
+        }
+        if (q.length > 200) {
+            return res.status(400).json({
+                success: false,
+                message: 'q must be at most 200 characters'
+            });
+        }
+
+        const { results, nextCursor } = await conversationService.searchMessages(req.user.sub, sanitizeInput(q), {
+            agentId: typeof agentId === 'string' ? sanitizeInput(agentId) : null,
+            limit: Math.min(parseInt(limit) || 20, 100),
+            before: typeof before === 'string' ? before : null
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Search completed successfully',
+            results,
+            nextCursor
+        });
+    } catch (error) {
+        console.error('Error searching conversations:', error.message);
+
+        if (error.status === 400) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to search conversations'
+        });
+    }
+};
+
+/**
+ * Get what an agent remembers: its memories, and the summary of its conversation's older turns
+ * @param {Object} req - Express request object (optional category)
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the memories and summary
+ */
+export const getAgentMemories = async (req, res) => {
+    try {
+        const category = typeof req.query.category === 'string' ? sanitizeInput(req.query.category) : undefined;
+        const memories = await aptosService.memory.list(req.agent.agentId, { category });
+
+        // Ownership was checked by authorizeAgent
+        const conversation = await conversationService.getConversationByUserAndAgentId(
+            req.user.sub,
+            req.agent.agentId
+        );
+        const summary = conversation ? await aptosService.memory.getSummary(conversation._id) : null;
+
+        return res.status(200).json({
+            success: true,
+            message: 'Memories retrieved successfully',
+            memories: memories.map(formatMemory),
+            summary: summary?.text
+                ? {
+                    text: summary.text,
+                    summarizedMessages: summary.summarizedMessages,
+                    updatedAt: summary.updatedAt
+                }
+                : null
+        });
+    } catch (error) {
+        console.error('Error getting agent memories:', error.message);
+
+        if (error.status === 400) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve memories'
+        });
+    }
+};
+
+/**
+ * Edit one of an agent's memories; extraction no longer overwrites it afterwards
+ * @param {Object} req - Express request object (content, category and key)
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the memory
+ */
+export const updateAgentMemory = async (req, res) => {
+    try {
+        const { content, category, key } = req.body;
+        const errors = validateMemory({ content, category, key });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid memory',
+                errors
+            });
+        }
+
+        const memory = await aptosService.memory.update(req.agent.agentId, req.params.memoryId, {
+            content: content === undefined ? undefined : sanitizeInput(content),
+            category,
+            key
+        });
+        if (!memory) {
+            return res.status(404).json({
+                success: false,
+                message: 'Memory not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Memory updated successfully',
+            memory: formatMemory(memory)
+        });
+    } catch (error) {
+        console.error('Error updating agent memory:', error.message);
+
+        if (error.status === 409) {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to update memory'
+        });
+    }
+};
+
+/**
+ * Delete one of an agent's memories
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with delete status
+ */
+export const deleteAgentMemory = async (req, res) => {
+    try {
+        const removed = await aptosService.memory.remove(req.agent.agentId, req.params.memoryId);
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                message: 'Memory not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Memory deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting agent memory:', error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to delete memory'
+        });
+    }
+};
+
+/**
+ * Read a scheduled task from a request body, with its text sanitized like messages are
+ * @param {Object} body - The request body (name, schedule and action)
+ * @returns {Object} The task fields that are set
+ */
+function taskFields(body) {
+    const { name, schedule, action } = body || {};
+    const sanitizedAction = action && typeof action.prompt === 'string'
+        ? { ...action, prompt: sanitizeInput(action.prompt) }
+        : action;
+    return {
+        name: typeof name === 'string' ? sanitizeInput(name) : name,
+        schedule,
+        action: sanitizedAction
+    };
+}
+
+/**
+ * Map a failed scheduled task or trigger request to its response
+ * @param {Object} res - Express response object
+ * @param {Error} error - The error
+ * @param {string} fallback - The message for unexpected errors
+ * @returns {Object} The error response
+ */
+function sendTaskError(res, error, fallback) {
+    if (error.status === 400 || error.status === 409) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message
+        });
+    }
+    return res.status(500).json({
+        success: false,
+        message: fallback
+    });
+}
+
+/**
+ * List an agent's scheduled tasks, newest first
+ * @param {Object} req - Express request object (optional status and limit)
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the tasks
+ */
+export const listScheduledTasks = async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+        const status = typeof req.query.status === 'string' ? sanitizeInput(req.query.status) : undefined;
+        const tasks = await aptosService.scheduler.list(req.agent.agentId, { status, limit });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Scheduled tasks retrieved successfully',
+            tasks: tasks.map(formatTask)
+        });
+    } catch (error) {
+        console.error('Error listing scheduled tasks:', error.message);
+        return sendTaskError(res, error, 'Failed to list scheduled tasks');
+    }
+};
+
+/**
+ * Schedule a task for an agent: a prompt or a tool call, run once, on an interval or on a cron
+ * schedule
+ * @param {Object} req - Express request object (name, schedule and action)
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the task
+ */
+export const createScheduledTask = async (req, res) => {
+    try {
+        const fields = taskFields(req.body);
+        const errors = validateTask(fields);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid task',
+                errors
+            });
+        }
+
+        const task = await aptosService.scheduler.create(req.agent, fields);
+
+        console.log(`Scheduled task ${task.taskId} for agent ${req.agent.agentId}`);
+        return res.status(201).json({
+            success: true,
+            message: 'Task scheduled successfully',
+            task: formatTask(task)
+        });
+    } catch (error) {
+        console.error('Error scheduling task:', error.message);
+        return sendTaskError(res, error, 'Failed to schedule task');
+    }
+};
+
+/**
+ * Get one of an agent's scheduled tasks
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the task
+ */
+export const getScheduledTask = async (req, res) => {
+    try {
+        const task = await aptosService.scheduler.get(req.agent.agentId, sanitizeInput(req.params.taskId));
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Scheduled task retrieved successfully',
+            task: formatTask(task)
+        });
+    } catch (error) {
+        console.error('Error getting scheduled task:', error.message);
+        return sendTaskError(res, error, 'Failed to get scheduled task');
+    }
+};
+
+/**
+ * Change a scheduled task's name, schedule or action
+ * @param {Object} req - Express request object (name, schedule and action)
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the task
+ */
+export const updateScheduledTask = async (req, res) => {
+    try {
+        const fields = taskFields(req.body);
+        const errors = validateTask(fields, { partial: true });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid task',
+                errors
+            });
+        }
+
+        const task = await aptosService.scheduler.update(
+            req.agent.agentId,
+            sanitizeInput(req.params.taskId),
+            fields
+        );
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Task updated successfully',
+            task: formatTask(task)
+        });
+    } catch (error) {
+        console.error('Error updating scheduled task:', error.message);
+        return sendTaskError(res, error, 'Failed to update task');
+    }
+};
+
+/**
+ * Pause an active scheduled task
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the task
+ */
+export const pauseScheduledTask = async (req, res) => {
+    try {
+        const task = await aptosService.scheduler.pause(req.agent.agentId, sanitizeInput(req.params.taskId));
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Task paused successfully',
+            task: formatTask(task)
+        });
+    } catch (error) {
+        console.error('Error pausing scheduled task:', error.message);
+        return sendTaskError(res, error, 'Failed to pause task');
+    }
+};
+
+/**
+ * Resume a paused scheduled task from its next time
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the task
+ */
+export const resumeScheduledTask = async (req, res) => {
+    try {
+        const task = await aptosService.scheduler.resume(req.agent.agentId, sanitizeInput(req.params.taskId));
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Task resumed successfully',
+            task: formatTask(task)
+        });
+    } catch (error) {
+        console.error('Error resuming scheduled task:', error.message);
+        return sendTaskError(res, error, 'Failed to resume task');
+    }
+};
+
+/**
+ * Delete a scheduled task and its run history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with delete status
+ */
+export const deleteScheduledTask = async (req, res) => {
+    try {
+        const removed = await aptosService.scheduler.remove(req.agent.agentId, sanitizeInput(req.params.taskId));
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Task deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting scheduled task:', error.message);
+        return sendTaskError(res, error, 'Failed to delete task');
+    }
+};
+
+/**
+ * List the runs of a scheduled task, newest first
+ * @param {Object} req - Express request object (limit, and before a run ID to page back)
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the runs
+ */
+export const listTaskRuns = async (req, res) => {
+    try {
+        const taskId = sanitizeInput(req.params.taskId);
+        const task = await aptosService.scheduler.get(req.agent.agentId, taskId);
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const before = typeof req.query.before === 'string' ? req.query.before : null;
+        const runs = await aptosService.scheduler.listRuns(req.agent.agentId, taskId, { limit, before });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Task runs retrieved successfully',
+            runs: runs.map(formatTaskRun)
+        });
+    } catch (error) {
+        console.error('Error listing task runs:', error.message);
+        return sendTaskError(res, error, 'Failed to list task runs');
+    }
+};
+
+/**
+ * Read a trigger from a request body, with its text sanitized like messages are
+ * @param {Object} body - The request body (name, condition, action and cooldownMs)
+ * @returns {Object} The trigger fields that are set
+ */
+function triggerFields(body) {
+    const { condition, cooldownMs } = body || {};
+    const { name, action } = taskFields(body);
+    return { name, condition, action, cooldownMs };
+}
+
+/**
+ * List an agent's triggers, newest first
+ * @param {Object} req - Express request object (optional status and limit)
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the triggers
+ */
+export const listTriggers = async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+        const status = typeof req.query.status === 'string' ? sanitizeInput(req.query.status) : undefined;
+        const triggers = await aptosService.triggers.list(req.agent.agentId, { status, limit });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Triggers retrieved successfully',
+            triggers: triggers.map(formatTrigger)
+        });
+    } catch (error) {
+        console.error('Error listing triggers:', error.message);
+        return sendTaskError(res, error, 'Failed to list triggers');
+    }
+};
+
+/**
+ * Set a trigger for an agent: a prompt or a tool call, run when an incoming transfer, a price
+ * or balance threshold or a token graduation is seen on chain
+ * @param {Object} req - Express request object (name, condition, action and cooldownMs)
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the trigger
+ */
+export const createTrigger = async (req, res) => {
+    try {
+        const fields = triggerFields(req.body);
+        const errors = validateTrigger(fields);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid trigger',
+                errors
+            });
+        }
+
+        const trigger = await aptosService.triggers.create(req.agent, fields);
+
+        console.log(`Set trigger ${trigger.triggerId} for agent ${req.agent.agentId}`);
+        return res.status(201).json({
+            success: true,
+            message: 'Trigger created successfully',
+            trigger: formatTrigger(trigger)
+        });
+    } catch (error) {
+        console.error('Error creating trigger:', error.message);
+        return sendTaskError(res, error, 'Failed to create trigger');
+    }
+};
+
+/**
+ * Get one of an agent's triggers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the trigger
+ */
+export const getTrigger = async (req, res) => {
+    try {
+        const trigger = await aptosService.triggers.get(req.agent.agentId, sanitizeInput(req.params.triggerId));
+        if (!trigger) {
+            return res.status(404).json({
+                success: false,
+                message: 'Trigger not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Trigger retrieved successfully',
+            trigger: formatTrigger(trigger)
+        });
+    } catch (error) {
+        console.error('Error getting trigger:', error.message);
+        return sendTaskError(res, error, 'Failed to get trigger');
+    }
+};
+
+/**
+ * Change a trigger's name, condition, action or cooldown
+ * @param {Object} req - Express request object (name, condition, action and cooldownMs)
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the trigger
+ */
+export const updateTrigger = async (req, res) => {
+    try {
+        const fields = triggerFields(req.body);
+        const errors = validateTrigger(fields, { partial: true });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid trigger',
+                errors
+            });
+        }
+
+        const trigger = await aptosService.triggers.update(
+            req.agent.agentId,
+            sanitizeInput(req.params.triggerId),
+            fields
+        );
+        if (!trigger) {
+            return res.status(404).json({
+                success: false,
+                message: 'Trigger not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Trigger updated successfully',
+            trigger: formatTrigger(trigger)
+        });
+    } catch (error) {
+        console.error('Error updating trigger:', error.message);
+        return sendTaskError(res, error, 'Failed to update trigger');
+    }
+};
+
+/**
+ * Pause an active trigger
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the trigger
+ */
+export const pauseTrigger = async (req, res) => {
+    try {
+        const trigger = await aptosService.triggers.pause(req.agent.agentId, sanitizeInput(req.params.triggerId));
+        if (!trigger) {
+            return res.status(404).json({
+                success: false,
+                message: 'Trigger not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Trigger paused successfully',
+            trigger: formatTrigger(trigger)
+        });
+    } catch (error) {
+        console.error('Error pausing trigger:', error.message);
+        return sendTaskError(res, error, 'Failed to pause trigger');
+    }
+};
+
+/**
+ * Resume a paused trigger; it takes a fresh baseline on its next check
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the trigger
+ */
+export const resumeTrigger = async (req, res) => {
+    try {
+        const trigger = await aptosService.triggers.resume(req.agent.agentId, sanitizeInput(req.params.triggerId));
+        if (!trigger) {
+            return res.status(404).json({
+                success: false,
+                message: 'Trigger not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Trigger resumed successfully',
+            trigger: formatTrigger(trigger)
+        });
+    } catch (error) {
+        console.error('Error resuming trigger:', error.message);
+        return sendTaskError(res, error, 'Failed to resume trigger');
+    }
+};
+
+/**
+ * Delete a trigger and its firings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with delete status
+ */
+export const deleteTrigger = async (req, res) => {
+    try {
+        const removed = await aptosService.triggers.remove(req.agent.agentId, sanitizeInput(req.params.triggerId));
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                message: 'Trigger not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Trigger deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting trigger:', error.message);
+        return sendTaskError(res, error, 'Failed to delete trigger');
+    }
+};
+
+/**
+ * List the firings of a trigger, newest first
+ * @param {Object} req - Express request object (limit, and before a firing ID to page back)
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the firings
+ */
+export const listTriggerFirings = async (req, res) => {
+    try {
+        const triggerId = sanitizeInput(req.params.triggerId);
+        const trigger = await aptosService.triggers.get(req.agent.agentId, triggerId);
+        if (!trigger) {
+            return res.status(404).json({
+                success: false,
+                message: 'Trigger not found'
+            });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const before = typeof req.query.before === 'string' ? req.query.before : null;
+        const firings = await aptosService.triggers.listFirings(req.agent.agentId, triggerId, { limit, before });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Trigger firings retrieved successfully',
+            firings: firings.map(formatTriggerFiring)
+        });
+    } catch (error) {
+        console.error('Error listing trigger firings:', error.message);
+        return sendTaskError(res, error, 'Failed to list trigger firings');
+    }
+};
+
+/**
+ * Clear conversation history for a specific agent
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with clear status
+ */
+export const clearAgentConversation = async (req, res) => {
+    const startTime = Date.now();
+    const clientIP = req.ip || 'unknown';
+    
+    try {
+        // Ownership was checked by authorizeAgent
+        const sanitizedUserId = req.user.sub;
+        const sanitizedAgentId = req.agent.agentId;
+
+        // Delete the conversation, and the checkpointed thread the agent ran it on
         await conversationService.deleteConversationsByAgentId(sanitizedUserId, sanitizedAgentId);
+        await aptosService.checkpointer.deleteAgent(sanitizedAgentId);
+        await aptosService.memory.forgetConversations(sanitizedAgentId);
 
         // Log success
         const timeMs = Date.now() - startTime;
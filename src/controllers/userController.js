@@ -1,77 +1,401 @@
 import User from '../models/userModel.js';
-import Assistant from '../models/assistantModel.js';
+import { Assistant } from '../models/Assistant.js';
 import { ethers } from 'ethers';
-import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
+import { authService } from '../services/authService.js';
+import { aptosService } from '../services/aptosService.js';
+import { UserService } from '../services/userService.js';
+import { SessionService } from '../services/sessionService.js';
+import { ApiKeyService } from '../services/apiKeyService.js';
+import { normalizeAddress, normalizeAptosAddress } from '../utils/wallets.js';
+import { hasPermission } from '../config/roles.js';
+import { httpError } from '../utils/httpError.js';
 
-// Store nonces in memory for simplicity (consider using a database or Redis in production)
-const nonces = new Map();
+const userService = new UserService();
+const sessionService = new SessionService();
+const apiKeyService = new ApiKeyService();
 
-// Register a new user with address only, ensuring uniqueness
+// Access tokens are short-lived; clients renew them with the session's refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Shape a user for API responses
+const formatUser = user => ({
+  id: user.id,
+  address: user.address,
+  role: user.role,
+  wallets: user.wallets.map(({ chain, address, label, verifiedAt }) => ({
+    chain,
+    address,
+    label,
+    verifiedAt
+  })),
+  createdAt: user.createdAt
+});
+
+// Shape an API key for API responses; the secret is never included
+const formatApiKey = apiKey => ({
+  id: apiKey.id,
+  name: apiKey.name,
+  prefix: `mm_${apiKey.prefix}`,
+  scopes: apiKey.scopes,
+  rateLimitPerMinute: apiKey.rateLimitPerMinute,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  expiresAt: apiKey.expiresAt,
+  rotatedAt: apiKey.rotatedAt,
+  createdAt: apiKey.createdAt
+});
+
+/**
+ * Verify that the caller controls a wallet
+ * Aptos proofs carry { address, nonce, signature, publicKey, fullMessage },
+ * EVM proofs carry a signed SIWE { message, signature }
+ * @param {Object} proof - The request body
+ * @returns {Promise<{chain: string, address: string}>} The verified, normalized wallet
+ */
+const verifyWalletProof = async proof => {
+  const chain = proof.chain || (proof.message ? 'evm' : 'aptos');
+
+  if (chain === 'evm') {
+    if (!proof.message || !proof.signature) {
+      throw httpError(400, 'message and signature are required');
+    }
+    const { address } = await authService.verifySiweLogin(proof.message, proof.signature);
+    return { chain, address };
+  }
+
+  if (chain !== 'aptos') {
+    throw httpError(400, `Unsupported chain: ${chain}`);
+  }
+
+  const { nonce, signature, publicKey, fullMessage } = proof;
+  const address = normalizeAptosAddress(proof.address);
+  if (!address || !nonce || !signature || !publicKey) {
+    throw httpError(400, 'address, nonce, signature and publicKey are required');
+  }
+
+  // Nonces are single-use: a matching nonce takes the challenge even if the signature then
+  // fails, while a wrong nonce leaves it in place
+  const challenge = await authService.consumeChallenge(address, nonce);
+  if (!challenge) {
+    throw httpError(401, 'Invalid or expired nonce');
+  }
+
+  // Wallets may wrap the challenge (e.g. Petra's "APTOS\nmessage: ..."), so accept the
+  // full signed text as long as it carries the exact challenge we issued
+  const signedMessage = fullMessage || challenge.message;
+  if (typeof signedMessage !== 'string' || !signedMessage.includes(challenge.message)) {
+    throw httpError(401, 'Signed message does not match the challenge');
+  }
+
+  const isValid = await aptosService.verifySignature(address, signedMessage, signature, publicKey);
+  if (!isValid) {
+    throw httpError(401, 'Invalid signature');
+  }
+
+  return { chain, address };
+};
+
+// Open a session for a verified wallet and mint its access and refresh tokens
+const startSession = async (req, user, chain, address) => {
+  const { session, refreshToken } = await sessionService.createSession(user.id, {
+    address,
+    chain,
+    device: req.get('user-agent'),
+    ip: req.ip
+  });
+
+  return {
+    token: generateToken(address, chain, user.id, session.id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+// Answer with the status carried by the error, or a generic 500
+const sendError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ message: fallbackMessage, error: error.message });
+};
+
+// Register a new user from a signed wallet proof, ensuring uniqueness
 export const registerUser = async (req, res) => {
   try {
-    const { address } = req.body;
-    const existingUser = await User.findOne({ address });
+    const { chain, address } = await verifyWalletProof(req.body);
+    const existingUser = await User.findByWallet(chain, address);
     if (existingUser) {
       return res.status(400).json({ message: 'User already exists' });
     }
-    const user = new User({ address });
-    await user.save();
-    res.status(201).json({ message: 'User registered successfully', user });
+    const user = await userService.findOrCreateByWallet(chain, address);
+    res.status(201).json({ message: 'User registered successfully', user: formatUser(user) });
   } catch (error) {
-    res.status(500).json({ message: 'Error registering user', error });
+    sendError(res, error, 'Error registering user');
   }
 };
 
-// Get assistants created by the user
+// Get assistants launched from any EVM wallet linked to the authenticated user
 export const getUserAssistants = async (req, res) => {
   try {
-    const userId = req.params.userId;
-    const assistants = await Assistant.find({ createdBy: userId });
+    const addresses = await userService.getWalletAddresses(req.user.sub, 'evm');
+    // Assistants store the address as submitted, so match both checksummed and lower case
+    const variants = addresses.flatMap(address => [address, address.toLowerCase()]);
+    const assistants = await Assistant.find({ userAddress: { $in: variants } });
     res.status(200).json({ assistants });
   } catch (error) {
     res.status(500).json({ message: 'Error fetching assistants', error });
   }
 };
 
-// Add a new endpoint for MetaMask authentication
+// Verify a signed sign-in challenge and issue a JWT bound to the user identity
 export const authenticateUser = async (req, res) => {
   try {
-    const { address } = req.body;
-
-    // Log the received address
-    console.log('Received Address:', address);
-
-    // Bypass signature verification and issue a static token
-    const token = generateToken(address);
-    res.json({ token });
+    const { chain, address } = await verifyWalletProof({ ...req.body, chain: 'aptos' });
+    const user = await userService.findOrCreateByWallet(chain, address);
 
+    const tokens = await startSession(req, user, chain, address);
+    res.json({ ...tokens, address, userId: user.id });
   } catch (error) {
-    console.error('Authentication Error:', error); // Log the error details
-    res.status(500).json({ message: 'Error during authentication', error: error.message });
+    sendError(res, error, 'Error during authentication');
   }
 };
 
-// Generate and store a nonce for a given address
-export const generateNonceForAddress = (address) => {
-  const nonce = crypto.randomBytes(16).toString('hex');
-  nonces.set(address, nonce);
-  return nonce;
-};
-
-// Helper function to generate a token
-export function generateToken(address) {
-  const payload = { 
+// Helper function to generate a short-lived access token
+// The subject is the user identity when known, otherwise the verified address;
+// sid binds the token to the session it was issued for
+export function generateToken(address, chain = 'aptos', userId = null, sessionId = null) {
+  const payload = {
     address,
+    chain,
     iat: Math.floor(Date.now() / 1000) // Issued at time
   };
+  if (sessionId) {
+    payload.sid = String(sessionId);
+  }
   const secretKey = process.env.JWT_SECRET;
-  const options = { expiresIn: '1h' }; // Set token expiration
+  const options = { expiresIn: ACCESS_TOKEN_TTL, subject: userId ? String(userId) : address };
   return jwt.sign(payload, secretKey, options);
 }
 
-export const getNonce = (req, res) => {
-  const { address } = req.body;
-  const nonce = generateNonceForAddress(address);
-  res.json({ nonce });
-}; 
\ No newline at end of file
+// Issue a sign-in challenge for an Aptos address
+export const getNonce = async (req, res) => {
+  try {
+    const address = normalizeAptosAddress(req.body.address);
+    if (!address) {
+      return res.status(400).json({ message: 'A valid Aptos address is required' });
+    }
+
+    const { nonce, message, expiresAt } = await authService.issueChallenge(address);
+    res.json({ nonce, message, expiresAt });
+  } catch (error) {
+    sendError(res, error, 'Error issuing nonce');
+  }
+};
+
+// Issue a Sign-In with Ethereum (EIP-4361) challenge for an EVM address
+export const getSiweNonce = async (req, res) => {
+  try {
+    const { address } = req.body;
+    const chainId = parseInt(req.body.chainId, 10);
+
+    if (typeof address !== 'string' || !ethers.isAddress(address) || !Number.isInteger(chainId)) {
+      return res.status(400).json({ message: 'A valid EVM address and chainId are required' });
+    }
+
+    const { nonce, message, expiresAt } = await authService.issueSiweChallenge(
+      ethers.getAddress(address),
+      chainId
+    );
+    res.json({ nonce, message, expiresAt });
+  } catch (error) {
+    sendError(res, error, 'Error issuing nonce');
+  }
+};
+
+// Verify a signed SIWE message and issue the same JWT as the Aptos flow
+export const verifySiwe = async (req, res) => {
+  try {
+    const { chain, address } = await verifyWalletProof({ ...req.body, chain: 'evm' });
+    const user = await userService.findOrCreateByWallet(chain, address);
+
+    const tokens = await startSession(req, user, chain, address);
+    res.json({ ...tokens, address, userId: user.id });
+  } catch (error) {
+    sendError(res, error, 'Error during authentication');
+  }
+};
+
+// Get the authenticated user with their linked wallets
+export const getCurrentUser = async (req, res) => {
+  try {
+    const user = await userService.getUser(req.user.sub);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.json({ user: formatUser(user) });
+  } catch (error) {
+    sendError(res, error, 'Error fetching user');
+  }
+};
+
+// Link another wallet to the authenticated user after verifying its signature
+export const linkWallet = async (req, res) => {
+  try {
+    const { chain, address } = await verifyWalletProof(req.body);
+    const user = await userService.linkWallet(req.user.sub, chain, address, req.body.label);
+    res.status(201).json({ message: 'Wallet linked successfully', user: formatUser(user) });
+  } catch (error) {
+    sendError(res, error, 'Error linking wallet');
+  }
+};
+
+// Unlink a wallet from the authenticated user
+export const unlinkWallet = async (req, res) => {
+  try {
+    const { chain, address } = req.params;
+    if (!normalizeAddress(chain, address)) {
+      return res.status(400).json({ message: 'A valid chain and address are required' });
+    }
+
+    const user = await userService.unlinkWallet(req.user.sub, chain, address);
+    res.json({ message: 'Wallet unlinked successfully', user: formatUser(user) });
+  } catch (error) {
+    sendError(res, error, 'Error unlinking wallet');
+  }
+};
+
+// Exchange a refresh token for a new access token and a rotated refresh token
+export const refreshAccessToken = async (req, res) => {
+  try {
+    const { session, refreshToken } = await sessionService.rotateRefreshToken(
+      req.body.refreshToken,
+      { device: req.get('user-agent'), ip: req.ip }
+    );
+
+    const token = generateToken(session.address, session.chain, session.userId, session.id);
+    res.json({ token, refreshToken, expiresIn: ACCESS_TOKEN_TTL });
+  } catch (error) {
+    sendError(res, error, 'Error refreshing token');
+  }
+};
+
+// End the caller's session; its access and refresh tokens stop working immediately
+export const logout = async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user.sub, req.user.sid, 'logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    sendError(res, error, 'Error logging out');
+  }
+};
+
+// List the authenticated user's active sessions
+export const listSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.sub);
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session.id,
+        device: session.device,
+        ip: session.ip,
+        address: session.address,
+        chain: session.chain,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session.id === req.user.sid
+      }))
+    });
+  } catch (error) {
+    sendError(res, error, 'Error listing sessions');
+  }
+};
+
+// Revoke one of the authenticated user's sessions
+export const revokeSession = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeSession(req.user.sub, req.params.sessionId);
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    sendError(res, error, 'Error revoking session');
+  }
+};
+
+// Revoke every session of the authenticated user except the current one
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const count = await sessionService.revokeAllSessions(req.user.sub, req.user.sid);
+    res.json({ message: `Revoked ${count} sessions`, count });
+  } catch (error) {
+    sendError(res, error, 'Error revoking sessions');
+  }
+};
+
+// List the authenticated user's API keys
+export const listApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await apiKeyService.listKeys(req.user.sub);
+    res.json({ apiKeys: apiKeys.map(formatApiKey) });
+  } catch (error) {
+    sendError(res, error, 'Error listing API keys');
+  }
+};
+
+// Create an API key; the key itself is only ever returned in this response
+export const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, rateLimitPerMinute, expiresAt } = req.body;
+
+    // A key can never do more than its owner's role allows
+    const role = await userService.getRole(req.user.sub);
+    const denied = Array.isArray(scopes) ? scopes.filter(scope => !hasPermission(role, scope)) : [];
+    if (denied.length > 0) {
+      return res.status(403).json({ message: `Your role does not grant: ${denied.join(', ')}` });
+    }
+
+    const { apiKey, key } = await apiKeyService.createKey(req.user.sub, {
+      name,
+      scopes,
+      rateLimitPerMinute,
+      expiresAt
+    });
+    res.status(201).json({ message: 'API key created', apiKey: formatApiKey(apiKey), key });
+  } catch (error) {
+    sendError(res, error, 'Error creating API key');
+  }
+};
+
+// Issue a new secret for an API key; the previous secret stops working at once
+export const rotateApiKey = async (req, res) => {
+  try {
+    const rotated = await apiKeyService.rotateKey(req.user.sub, req.params.keyId);
+    if (!rotated) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+    res.json({
+      message: 'API key rotated',
+      apiKey: formatApiKey(rotated.apiKey),
+      key: rotated.key
+    });
+  } catch (error) {
+    sendError(res, error, 'Error rotating API key');
+  }
+};
+
+// Revoke one of the authenticated user's API keys
+export const revokeApiKey = async (req, res) => {
+  try {
+    const revoked = await apiKeyService.revokeKey(req.user.sub, req.params.keyId);
+    if (!revoked) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+    res.json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    sendError(res, error, 'Error revoking API key');
+  }
+};
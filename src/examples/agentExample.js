@@ -9,7 +9,6 @@
  */
 
 import axios from 'axios';
-import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 
 // Base URL for API 
@@ -22,26 +21,23 @@ const api = axios.create({
   timeout: TIMEOUT_MS,
   headers: {
     'Content-Type': 'application/json',
-    'X-API-Key': 'YOUR_API_KEY' // Replace with actual API key in production
+    // Create a key with the agents:read and agents:write scopes via POST /api/users/me/api-keys
+    'X-API-Key': process.env.METAMOVE_API_KEY || 'YOUR_API_KEY'
   }
 });
 
-// Helper to generate a user ID for testing
-// In a real application, this would be your authentication system's user ID
-const generateTestUserId = () => {
-  return `test-user-${crypto.randomBytes(4).toString('hex')}`;
-};
+// The API key acts for its owner, so "me" always refers to that user
+const userId = 'me';
 
 /**
- * Initialize a new agent for a user
- * @param {string} userId - User ID
+ * Initialize a new agent for the key owner
  * @param {string} name - Name for the agent
  * @returns {Promise<Object>} - Response with agent details
  */
-const createAgent = async (userId, name) => {
+const createAgent = async (name) => {
   try {
     const response = await api.post('/agent/initialize', {
-      userId,
+      privateKey: process.env.APTOS_PRIVATE_KEY,
       name
     });
     
@@ -55,15 +51,13 @@ const createAgent = async (userId, name) => {
 
 /**
  * Send a message to a specific agent
- * @param {string} userId - User ID
  * @param {string} agentId - Agent ID 
  * @param {string} message - Message content
  * @returns {Promise<Object>} - Response with agent's reply
  */
-const sendMessage = async (userId, agentId, message) => {
+const sendMessage = async (agentId, message) => {
   try {
     const response = await api.post('/agent/message', {
-      userId,
       agentId,
       message
     });
@@ -78,15 +72,14 @@ const sendMessage = async (userId, agentId, message) => {
 };
 
 /**
- * Get all agents for a user
- * @param {string} userId - User ID
+ * Get all agents of the key owner
  * @returns {Promise<Array>} - Array of agents
  */
-const getUserAgents = async (userId) => {
+const getUserAgents = async () => {
   try {
     const response = await api.get(`/agent/user/${userId}`);
     
-    console.log(`👥 Found ${response.data.agents.length} agents for user ${userId}`);
+    console.log(`👥 Found ${response.data.agents.length} agents`);
     response.data.agents.forEach(agent => {
       console.log(`  - ${agent.name} (${agent.agentId})`);
     });
@@ -106,7 +99,7 @@ const getUserAgents = async (userId) => {
  */
 const getAgentConversation = async (userId, agentId) => {
   try {
-    const response = await api.get(`/agent/conversation/${userId}/${agentId}`);
+    const response = await api.get(`/agent/${agentId}/conversation`);
     
     console.log(`💬 Conversation history for agent ${agentId}:`);
     if (response.data.conversation && response.data.conversation.messages) {
@@ -132,7 +125,7 @@ const getAgentConversation = async (userId, agentId) => {
  */
 const clearAgentConversation = async (userId, agentId) => {
   try {
-    const response = await api.delete(`/agent/conversation/${userId}/${agentId}`);
+    const response = await api.delete(`/agent/${agentId}/conversation`);
     
     console.log(`🧹 Cleared conversation for agent ${agentId}`);
     return response.data;
@@ -144,13 +137,12 @@ const clearAgentConversation = async (userId, agentId) => {
 
 /**
  * Remove an agent
- * @param {string} userId - User ID
  * @param {string} agentId - Agent ID
  * @returns {Promise<Object>} - Response
  */
-const removeAgent = async (userId, agentId) => {
+const removeAgent = async (agentId) => {
   try {
-    const response = await api.delete(`/agent/${userId}/${agentId}`);
+    const response = await api.delete(`/agent/${agentId}`);
     
     console.log(`🗑️ Removed agent ${agentId}`);
     return response.data;
@@ -167,25 +159,21 @@ const runDemonstration = async () => {
   try {
     console.log('🚀 Starting Multi-Agent API demonstration');
     
-    // Generate a test user ID
-    const userId = generateTestUserId();
-    console.log(`👤 Test user ID: ${userId}`);
-    
     // Create multiple agents for the user
     console.log('\n--- Creating multiple agents ---');
-    const generalAgent = await createAgent(userId, 'General Assistant');
-    const techAgent = await createAgent(userId, 'Tech Expert');
-    const creativeAgent = await createAgent(userId, 'Creative Writer');
+    const generalAgent = await createAgent('General Assistant');
+    const techAgent = await createAgent('Tech Expert');
+    const creativeAgent = await createAgent('Creative Writer');
     
     // List all agents for the user
     console.log('\n--- Listing user\'s agents ---');
-    await getUserAgents(userId);
+    await getUserAgents();
     
     // Send messages to different agents
     console.log('\n--- Sending messages to different agents ---');
-    await sendMessage(userId, generalAgent.agent.agentId, 'What can you help me with?');
-    await sendMessage(userId, techAgent.agent.agentId, 'Explain blockchain in simple terms');
-    await sendMessage(userId, creativeAgent.agent.agentId, 'Write a short poem about technology');
+    await sendMessage(generalAgent.agent.agentId, 'What can you help me with?');
+    await sendMessage(techAgent.agent.agentId, 'Explain blockchain in simple terms');
+    await sendMessage(creativeAgent.agent.agentId, 'Write a short poem about technology');
     
     // Get conversation history for one agent
     console.log('\n--- Getting conversation history ---');
@@ -200,15 +188,15 @@ const runDemonstration = async () => {
     
     // Send another message after clearing
     console.log('\n--- Starting new conversation ---');
-    await sendMessage(userId, techAgent.agent.agentId, 'Let\'s talk about cybersecurity now');
+    await sendMessage(techAgent.agent.agentId, 'Let\'s talk about cybersecurity now');
     
     // Remove one agent
     console.log('\n--- Removing an agent ---');
-    await removeAgent(userId, creativeAgent.agent.agentId);
+    await removeAgent(creativeAgent.agent.agentId);
     
     // Verify agent was removed
     console.log('\n--- Verifying agent removal ---');
-    await getUserAgents(userId);
+    await getUserAgents();
     
     console.log('\n✅ Demonstration completed successfully');
   } catch (error) {
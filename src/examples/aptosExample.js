@@ -17,7 +17,8 @@ async function runExample() {
     console.log('Address:', wallet.address);
     console.log('Private Key:', wallet.privateKey.substring(0, 10) + '...');
     
-    // Example 2: Initialize agent with a private key
+    // Example 2: Initialize a standalone agent runtime with a private key
+    // (API agents instead pass {agentId, userId} and run on their pooled runtime)
     console.log('\n=== Initializing Agent with Private Key ===');
     // Use the mock private key from environment for development
     const privateKey = process.env.MOCK_PRIVATE_KEY || wallet.privateKey;
@@ -26,15 +27,15 @@ async function runExample() {
     
     // Example 3: Get account balance
     console.log('\n=== Checking Account Balance ===');
-    const address = privateKey === wallet.privateKey ? wallet.address : 'Use your address here';
-    const balance = await aptosService.getAccountBalance(address);
+    const address = agent.account.getAddress().toString();
+    const balance = await aptosService.getAccountBalance(agent);
     console.log(`Account balance for ${address}: ${balance} APT`);
     
     // Example 4: Get token balance for a specific token (if available)
     console.log('\n=== Checking Token Balance ===');
     // Replace with an actual token type if you want to test
     const tokenType = '0x1::aptos_coin::AptosCoin'; // Example token type
-    const tokenBalance = await aptosService.getTokenBalance(address, tokenType);
+    const tokenBalance = await aptosService.getTokenBalance(agent, null, tokenType);
     console.log(`Token balance for ${tokenType}: ${tokenBalance}`);
     
     // Example 5: Get transaction details (requires a valid transaction hash)
@@ -47,7 +48,7 @@ async function runExample() {
     // Example 6: Transfer tokens (commented out to prevent actual transfers)
     console.log('\n=== Transfer Tokens Example (commented out) ===');
     console.log('Example code for transferring tokens:');
-    console.log('await aptosService.transferTokens("recipient_address", 0.1);');
+    console.log('await aptosService.transferTokens(agent, "recipient_address", 0.1);');
     
     console.log('\n=== Example Complete ===');
   } catch (error) {
@@ -14,6 +14,8 @@ import { setupSwagger } from './config/swagger.js';
 import userRoutes from './routes/userRoutes.js';
 import conversationRoutes from './routes/conversationRoutes.js';
 import agentRoutes from './routes/agentRoutes.js';
+import { aptosService } from './services/aptosService.js';
+import adminRoutes from './routes/adminRoutes.js';
 import Web3 from 'web3';
 import { Assistant } from './models/Assistant.js';
 import factoryABI from '../abi_Fectory_Bonding_Curve.json' assert { type: 'json' };
@@ -63,7 +65,13 @@ app.use(cors(corsOptions));
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    aptosService.startProposalSweep();
+    aptosService.startTransactionSweep();
+    aptosService.startScheduler();
+    aptosService.startTriggerEvaluator();
+  })
   .catch(err => {
     console.error('MongoDB connection error:', err);
     process.exit(1);
@@ -75,6 +83,7 @@ app.use('/api/users', userRoutes);
 app.use('/api/threads', threadRoutes);
 app.use('/api/conversations', conversationRoutes);
 app.use('/api/agent', agentRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Security endpoint
 app.get('/health', (req, res) => {
@@ -0,0 +1,99 @@
+import { authorizeAgent, requireSameUser } from '../agentAccess';
+
+const mockGetAgentById = jest.fn();
+const mockResolveUserId = jest.fn();
+
+jest.mock('../../services/agentService', () => ({
+  AgentService: jest.fn().mockImplementation(() => ({
+    getAgentById: (...args) => mockGetAgentById(...args)
+  }))
+}));
+
+jest.mock('../../services/userService', () => ({
+  UserService: jest.fn().mockImplementation(() => ({
+    resolveUserId: (...args) => mockResolveUserId(...args)
+  }))
+}));
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Agent access middleware', () => {
+  const agent = { userId: 'user-1', agentId: 'agent-1', name: 'Trader' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetAgentById.mockImplementation(agentId =>
+      Promise.resolve(agentId === agent.agentId ? agent : null)
+    );
+    mockResolveUserId.mockImplementation(userId =>
+      Promise.resolve(userId === '0x1' ? 'user-1' : null)
+    );
+  });
+
+  describe('authorizeAgent', () => {
+    it('should attach agents owned by the authenticated user', async () => {
+      const req = { params: { agentId: 'agent-1' }, user: { sub: 'user-1' } };
+      const next = jest.fn();
+
+      await authorizeAgent(req, createRes(), next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.agent).toBe(agent);
+    });
+
+    it('should answer 403 for agents owned by another user', async () => {
+      const req = { params: {}, body: { agentId: 'agent-1' }, user: { sub: 'user-2' } };
+      const res = createRes();
+      const next = jest.fn();
+
+      await authorizeAgent(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should answer 404 for unknown agents', async () => {
+      const req = { params: { agentId: 'missing' }, user: { sub: 'user-1' } };
+      const res = createRes();
+
+      await authorizeAgent(req, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('requireSameUser', () => {
+    it('should accept "me" and wallets linked to the authenticated user', async () => {
+      const next = jest.fn();
+
+      await requireSameUser(
+        { params: { userId: 'me' }, user: { sub: 'user-1' } },
+        createRes(),
+        next
+      );
+      await requireSameUser(
+        { params: { userId: '0x1' }, user: { sub: 'user-1' } },
+        createRes(),
+        next
+      );
+
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    it('should answer 403 when another user is named', async () => {
+      const req = { params: {}, body: { userId: '0x2' }, user: { sub: 'user-1' } };
+      const res = createRes();
+      const next = jest.fn();
+
+      await requireSameUser(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,80 @@
+import { EventEmitter } from 'events';
+import { idempotency } from '../idempotency';
+import { MemoryStore } from '../../services/store/memoryStore';
+
+const createReq = (key, body = { name: 'Trader' }) => ({
+  method: 'POST',
+  baseUrl: '/api/agent',
+  path: '/initialize',
+  body,
+  user: { sub: 'user-1' },
+  get: header => (header === 'Idempotency-Key' ? key : undefined)
+});
+
+const createRes = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  return res;
+};
+
+// Let the store writes started by res.json settle
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('idempotency', () => {
+  let middleware;
+
+  beforeEach(() => {
+    middleware = idempotency({ store: new MemoryStore(), ttlMs: 60 * 1000 });
+  });
+
+  const run = async (req, handler) => {
+    const res = createRes();
+    const next = jest.fn(() => handler && handler(res));
+    await middleware(req, res, next);
+    await flush();
+    return { res, next };
+  };
+
+  it('should replay the recorded response for a retried request', async () => {
+    await run(createReq('key-1'), res => res.status(201).json({ agentId: 'agent-1' }));
+    const { res, next } = await run(createReq('key-1'));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith({ agentId: 'agent-1' });
+  });
+
+  it('should answer 409 while the first request is still running', async () => {
+    await run(createReq('key-1'));
+    const { res } = await run(createReq('key-1'));
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it('should answer 422 when the key is reused for another body', async () => {
+    await run(createReq('key-1'), res => res.json({ ok: true }));
+    const { res } = await run(createReq('key-1', { name: 'Other' }));
+
+    expect(res.status).toHaveBeenCalledWith(422);
+  });
+
+  it('should let a failed request be retried', async () => {
+    await run(createReq('key-1'), res => res.status(500).json({ success: false }));
+    const { next } = await run(createReq('key-1'));
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should pass through requests without a key', async () => {
+    const { next } = await run(createReq(undefined));
+
+    expect(next).toHaveBeenCalled();
+  });
+});
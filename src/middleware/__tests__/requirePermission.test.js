@@ -0,0 +1,85 @@
+import { requirePermission } from '../requirePermission';
+import { hasPermission } from '../../config/roles';
+
+const mockGetRole = jest.fn();
+
+jest.mock('../../services/userService', () => ({
+  UserService: jest.fn().mockImplementation(() => ({
+    getRole: (...args) => mockGetRole(...args)
+  }))
+}));
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('requirePermission', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should let roles through that grant every permission', async () => {
+    mockGetRole.mockResolvedValue('admin');
+    const req = { user: { sub: 'user-1' } };
+    const next = jest.fn();
+
+    await requirePermission('agents:admin', 'users:admin')(req, createRes(), next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user.role).toBe('admin');
+  });
+
+  it('should answer 403 with the missing permissions', async () => {
+    mockGetRole.mockResolvedValue('moderator');
+    const res = createRes();
+    const next = jest.fn();
+
+    await requirePermission('users:read', 'users:admin')({ user: { sub: 'user-1' } }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ missing: ['users:admin'] }));
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should limit API key requests to the key scopes', async () => {
+    mockGetRole.mockResolvedValue('admin');
+    const req = { user: { sub: 'user-1', apiKeyId: 'key-1', scopes: ['agents:read'] } };
+    const res = createRes();
+    const next = jest.fn();
+
+    await requirePermission('agents:read')(req, res, next);
+    await requirePermission('agents:write')(req, res, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ missing: ['agents:write'] }));
+  });
+
+  it('should deny users without a record', async () => {
+    mockGetRole.mockResolvedValue(null);
+    const res = createRes();
+
+    await requirePermission('agents:read')({ user: { sub: 'unknown' } }, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('should look the role up once per request', async () => {
+    mockGetRole.mockResolvedValue('user');
+    const req = { user: { sub: 'user-1' } };
+
+    await requirePermission('agents:read')(req, createRes(), jest.fn());
+    await requirePermission('agents:write')(req, createRes(), jest.fn());
+
+    expect(mockGetRole).toHaveBeenCalledTimes(1);
+  });
+
+  it('should give each role the permissions of the roles before it', () => {
+    expect(hasPermission('creator', 'agents:write')).toBe(true);
+    expect(hasPermission('creator', 'assistants:write')).toBe(true);
+    expect(hasPermission('user', 'assistants:write')).toBe(false);
+    expect(hasPermission('moderator', 'agents:admin')).toBe(false);
+  });
+});
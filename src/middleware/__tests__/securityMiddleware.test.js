@@ -0,0 +1,23 @@
+import request from 'supertest';
+import express from 'express';
+import { rateLimiter } from '../securityMiddleware';
+
+// Mounted behind authentication, as the agent and admin routes mount it
+const app = express();
+app.use((req, res, next) => {
+  req.user = { sub: req.get('X-User') };
+  next();
+});
+app.use(rateLimiter);
+app.get('/api/agent/tools', (req, res) => res.status(200).json({ success: true }));
+
+describe('rateLimiter', () => {
+  it('should give each user behind one IP their own limit', async () => {
+    for (let i = 0; i < 100; i++) {
+      await request(app).get('/api/agent/tools').set('X-User', 'user-1').expect(200);
+    }
+
+    await request(app).get('/api/agent/tools').set('X-User', 'user-1').expect(429);
+    await request(app).get('/api/agent/tools').set('X-User', 'user-2').expect(200);
+  });
+});
@@ -0,0 +1,73 @@
+import { AgentService } from '../services/agentService.js';
+import { UserService } from '../services/userService.js';
+import { sanitizeInput } from './securityMiddleware.js';
+
+const agentService = new AgentService();
+const userService = new UserService();
+
+/**
+ * Load the agent named in the request and make sure the authenticated user owns it
+ * Takes agentId from the route params, falling back to the body, and sets req.agent
+ * Must run after authenticateToken
+ */
+export const authorizeAgent = async (req, res, next) => {
+  try {
+    const agentId = req.params.agentId || req.body?.agentId;
+    if (!agentId || typeof agentId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid agent ID is required'
+      });
+    }
+
+    const agent = await agentService.getAgentById(sanitizeInput(agentId));
+    if (!agent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agent not found'
+      });
+    }
+
+    if (agent.userId !== req.user.sub) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this agent'
+      });
+    }
+
+    req.agent = agent;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject requests that name a user other than the authenticated one
+ * Checks :userId in the route params and userId in the body; "me", the user ID itself
+ * and any wallet linked to the user are all accepted
+ * Must run after authenticateToken
+ */
+export const requireSameUser = async (req, res, next) => {
+  try {
+    const claimed = [req.params.userId, req.body?.userId].filter(
+      userId => userId !== undefined && userId !== 'me'
+    );
+
+    for (const userId of claimed) {
+      const resolvedUserId =
+        typeof userId === 'string' ? await userService.resolveUserId(sanitizeInput(userId)) : null;
+
+      if (resolvedUserId !== req.user.sub) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only access your own agents'
+        });
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
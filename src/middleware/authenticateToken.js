@@ -1,17 +1,68 @@
 import jwt from 'jsonwebtoken';
+import { SessionService } from '../services/sessionService.js';
+import { ApiKeyService } from '../services/apiKeyService.js';
+import { apiKeyRateLimiter } from './securityMiddleware.js';
 
-export const authenticateToken = (req, res, next) => {
+const sessionService = new SessionService();
+const apiKeyService = new ApiKeyService();
+
+// Authenticate a server-to-server request by its X-API-Key header
+// req.user carries the key owner as its subject and the key's scopes
+const authenticateApiKey = async (req, res, next, key) => {
+  try {
+    const apiKey = await apiKeyService.verifyKey(key, req.ip);
+    if (!apiKey) {
+      return res.status(401).json({ message: 'Invalid, expired or revoked API key' });
+    }
+
+    req.apiKey = apiKey;
+    req.user = { sub: apiKey.userId, apiKeyId: apiKey.id, scopes: apiKey.scopes };
+    apiKeyRateLimiter(req, res, next);
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
+  if (!token && req.headers['x-api-key']) {
+    return authenticateApiKey(req, res, next, req.headers['x-api-key']);
+  }
+
   if (!token) return res.sendStatus(401); // Unauthorized
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      console.error('JWT verification error:', err);
-      return res.sendStatus(403); // Forbidden
+  let user;
+  try {
+    user = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    console.error('JWT verification error:', err);
+    return res.sendStatus(403); // Forbidden
+  }
+
+  try {
+    // Access tokens are bound to a server-side session so logout and revocation apply at once
+    const session = user.sid && (await sessionService.getActiveSession(user.sid, user.sub));
+    if (!session) {
+      return res.status(401).json({ message: 'Session expired or revoked' });
     }
-    req.user = user;
-    next();
-  });
-}; 
\ No newline at end of file
+  } catch (err) {
+    return next(err);
+  }
+
+  req.user = user;
+  next();
+};
+
+/**
+ * Reject API keys on routes that manage credentials or the account itself,
+ * so a leaked or narrowly scoped key can never mint keys or take over sessions
+ * Must run after authenticateToken
+ */
+export const requireSession = (req, res, next) => {
+  if (req.user?.apiKeyId) {
+    return res.status(403).json({ message: 'This endpoint requires a signed-in session' });
+  }
+  next();
+};
@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+import { store as defaultStore } from '../services/store/index.js';
+
+const IDEMPOTENCY_NAMESPACE = 'idempotency';
+const IDEMPOTENCY_TTL_MS = parseInt(process.env.IDEMPOTENCY_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+
+/**
+ * Make POST requests safe to retry by sending an Idempotency-Key header
+ * The first request with a key runs and its JSON response is recorded in the shared store;
+ * a retry with the same key and body gets the recorded response back, a retry while the
+ * first is still running gets 409 and a retry with a different body gets 422.
+ * 5xx responses are not recorded, so the client can try again.
+ * Keys are scoped to the authenticated user, so this must run after authenticateToken
+ * @param {Object} options - { store, ttlMs }
+ * @returns {function} Express middleware
+ */
+export const idempotency =
+  ({ store = defaultStore, ttlMs = IDEMPOTENCY_TTL_MS } = {}) =>
+  async (req, res, next) => {
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (req.method !== 'POST' || !idempotencyKey) {
+      return next();
+    }
+
+    if (idempotencyKey.length > 255) {
+      return res.status(400).json({
+        success: false,
+        message: 'Idempotency-Key must be at most 255 characters'
+      });
+    }
+
+    try {
+      const owner = req.user?.sub || req.ip;
+      const key = `${owner}:${req.baseUrl}${req.path}:${idempotencyKey}`;
+      const fingerprint = crypto
+        .createHash('sha256')
+        .update(JSON.stringify(req.body ?? {}))
+        .digest('hex');
+
+      const claimed = await store.add(
+        IDEMPOTENCY_NAMESPACE,
+        key,
+        { state: 'processing', fingerprint },
+        ttlMs
+      );
+
+      if (!claimed) {
+        const record = await store.get(IDEMPOTENCY_NAMESPACE, key);
+        if (record && record.fingerprint !== fingerprint) {
+          return res.status(422).json({
+            success: false,
+            message: 'Idempotency-Key was already used for a different request'
+          });
+        }
+        if (!record || record.state === 'processing') {
+          return res.status(409).json({
+            success: false,
+            message: 'A request with this Idempotency-Key is still in progress'
+          });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.statusCode).json(record.body);
+      }
+
+      // Record the JSON response; anything else (or a failure) releases the key
+      let recorded = false;
+      const json = res.json.bind(res);
+      res.json = body => {
+        recorded = true;
+        const recording =
+          res.statusCode >= 500
+            ? store.delete(IDEMPOTENCY_NAMESPACE, key)
+            : store.set(
+                IDEMPOTENCY_NAMESPACE,
+                key,
+                { state: 'completed', fingerprint, statusCode: res.statusCode, body },
+                ttlMs
+              );
+        recording.catch(error => console.error('Error recording idempotent response:', error));
+        return json(body);
+      };
+      res.on('close', () => {
+        if (!recorded) {
+          store
+            .delete(IDEMPOTENCY_NAMESPACE, key)
+            .catch(error => console.error('Error releasing idempotency key:', error));
+        }
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
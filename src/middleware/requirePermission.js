@@ -0,0 +1,47 @@
+import { UserService } from '../services/userService.js';
+import { hasPermission } from '../config/roles.js';
+
+const userService = new UserService();
+
+/**
+ * Allow the request only if the authenticated user's role grants every listed permission
+ * The role is read from the user record on each request, so role changes apply immediately;
+ * it is kept on req.user.role for later middleware and handlers. Requests made with an
+ * API key must also have each permission among the key's scopes
+ * Must run after authenticateToken
+ * @param {...string} permissions - Required "<resource>:<action>" permissions
+ * @returns {function} Express middleware
+ */
+export const requirePermission =
+  (...permissions) =>
+  async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      if (req.user.role === undefined) {
+        req.user.role = await userService.getRole(req.user.sub);
+      }
+
+      const missing = permissions.filter(
+        permission =>
+          !hasPermission(req.user.role, permission) ||
+          (req.user.scopes && !req.user.scopes.includes(permission))
+      );
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions',
+          missing
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
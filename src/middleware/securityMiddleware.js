@@ -1,11 +1,14 @@
 import rateLimit from 'express-rate-limit';
 import { createHash } from 'crypto';
+import { RateLimitStore } from '../services/store/rateLimitStore.js';
 
 /**
  * Rate limiter middleware to prevent abuse
  * Different limits for different endpoints
+ * Counters live in the shared store so limits hold across all cluster workers
  */
 export const rateLimiter = rateLimit({
+    store: new RateLimitStore('api'),
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100, // Limit each IP to 100 requests per window
     standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
@@ -15,8 +18,9 @@ export const rateLimiter = rateLimit({
         message: 'Too many requests, please try again later.' 
     },
     keyGenerator: (req) => {
-        // Use IP address and user ID (if available) for rate limiting
-        const userId = req.body.userId || req.params.userId || 'anonymous';
+        // Use IP address and the authenticated user (if available) for rate limiting;
+        // user IDs from the request itself are client-controlled and not trusted
+        const userId = req.user?.sub || 'anonymous';
         return `${req.ip}-${userId}`;
     },
     // Skip rate limiting for known safe endpoints
@@ -30,6 +34,7 @@ export const rateLimiter = rateLimit({
  * Specific rate limiter for sensitive operations
  */
 export const sensitiveRateLimiter = rateLimit({
+    store: new RateLimitStore('sensitive'),
     windowMs: 60 * 60 * 1000, // 1 hour
     max: 20, // Limit each IP to 20 sensitive operations per hour
     standardHeaders: true,
@@ -40,11 +45,28 @@ export const sensitiveRateLimiter = rateLimit({
     },
     keyGenerator: (req) => {
         // For sensitive operations, use stricter rate limiting
-        const userId = req.body.userId || req.params.userId || 'anonymous';
+        const userId = req.user?.sub || 'anonymous';
         return `${req.ip}-${userId}-sensitive`;
     }
 });
 
+/**
+ * Rate limiter for requests made with an API key
+ * Each key has its own per-minute budget, whatever IP the requests come from
+ */
+export const apiKeyRateLimiter = rateLimit({
+    store: new RateLimitStore('apikey'),
+    windowMs: 60 * 1000, // 1 minute
+    max: (req) => req.apiKey.rateLimitPerMinute,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { 
+        success: false, 
+        message: 'API key rate limit exceeded, please try again later.' 
+    },
+    keyGenerator: (req) => `apikey-${req.apiKey.id}`
+});
+
 /**
  * Validate and sanitize request inputs
  * @param {string} location - Where to look for parameters ('body', 'params', 'query')
@@ -106,6 +128,18 @@ export const validateRequest = (location, requiredParams = []) => {
     };
 };
 
+/**
+ * Sanitize a single string input
+ * @param {string} input - Value to sanitize
+ * @returns {string} Sanitized value with potentially dangerous characters removed
+ */
+export const sanitizeInput = (input) => {
+    if (typeof input !== 'string') {
+        throw new Error('Input must be a string');
+    }
+    return input.replace(/[<>]/g, '').trim();
+};
+
 /**
  * Security headers middleware
  * Sets security-related HTTP headers
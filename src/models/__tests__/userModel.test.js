@@ -0,0 +1,39 @@
+import User from '../userModel';
+
+const evm = '0x52908400098527886E0F7030069857D2E4169EE7';
+
+describe('User model', () => {
+  it('should key wallets case-insensitively when validated', async () => {
+    const user = new User({ address: evm, wallets: [{ chain: 'evm', address: evm }] });
+
+    await user.validate();
+
+    expect(user.wallets[0].key).toBe(`evm:${evm.toLowerCase()}`);
+    expect(user.role).toBe('user');
+  });
+
+  it('should find a wallet by its key, or a legacy user by bare address', () => {
+    const query = User.findByWallet('evm', evm);
+
+    expect(query.getFilter()).toEqual({
+      $or: [
+        { 'wallets.key': `evm:${evm.toLowerCase()}` },
+        { address: evm, 'wallets.0': { $exists: false } }
+      ]
+    });
+  });
+
+  it('should list the linked addresses, optionally for one chain', () => {
+    const aptos = `0x${'a'.repeat(64)}`;
+    const user = new User({
+      address: aptos,
+      wallets: [
+        { chain: 'aptos', address: aptos },
+        { chain: 'evm', address: evm }
+      ]
+    });
+
+    expect(user.getAddresses()).toEqual([aptos, evm]);
+    expect(user.getAddresses('evm')).toEqual([evm]);
+  });
+});
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import { MEMORY_CATEGORIES } from '../config/memory.js';
+
+// A durable fact an agent remembers about its user (see config/memory.js)
+const agentMemorySchema = new mongoose.Schema(
+  {
+    agentId: {
+      type: String,
+      required: true
+    },
+    userId: {
+      type: String,
+      required: true
+    },
+    category: {
+      type: String,
+      enum: Object.keys(MEMORY_CATEGORIES),
+      required: true
+    },
+    key: {
+      type: String,
+      required: true
+    },
+    content: {
+      type: String,
+      required: true
+    },
+    // extracted from a conversation, or written by the user; extraction never overwrites the user
+    source: {
+      type: String,
+      enum: ['extracted', 'user'],
+      default: 'extracted'
+    },
+    // The conversation it was last extracted from
+    conversationId: {
+      type: String
+    }
+  },
+  { timestamps: true }
+);
+
+agentMemorySchema.index({ agentId: 1, category: 1, key: 1 }, { unique: true });
+agentMemorySchema.index({ agentId: 1, updatedAt: -1 });
+
+const AgentMemory = mongoose.model('AgentMemory', agentMemorySchema);
+
+export default AgentMemory;
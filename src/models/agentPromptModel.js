@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// One version of an agent's system prompt; every edit adds a version, so earlier prompts can
+// be reviewed and restored
+const agentPromptSchema = new mongoose.Schema(
+  {
+    agentId: {
+      type: String,
+      required: true
+    },
+    version: {
+      type: Number,
+      required: true
+    },
+    systemPrompt: {
+      type: String,
+      required: true
+    },
+    // The user who made the edit
+    editedBy: {
+      type: String
+    },
+    // The version this one was restored from, if it was a restore
+    restoredFrom: {
+      type: Number
+    }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+agentPromptSchema.index({ agentId: 1, version: -1 }, { unique: true });
+
+const AgentPrompt = mongoose.model('AgentPrompt', agentPromptSchema);
+
+export default AgentPrompt;
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// pending from when it is queued until it commits (committed or failed on chain), cannot be
+// submitted (failed), or expires without committing (expired)
+export const TRANSACTION_STATUSES = ['pending', 'committed', 'failed', 'expired'];
+
+// A transaction an agent's wallet sent through the submission queue, and where it got to
+const agentTransactionSchema = new mongoose.Schema(
+  {
+    agentId: {
+      type: String,
+      required: true
+    },
+    sender: {
+      type: String,
+      required: true
+    },
+    // The network it was sent on, as config/networks.js resolves it
+    network: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    // The function it calls, or null for scripts
+    function: {
+      type: String,
+      default: null
+    },
+    status: {
+      type: String,
+      enum: TRANSACTION_STATUSES,
+      default: 'pending'
+    },
+    // Set once it is submitted; each retry may take another sequence number and hash
+    sequenceNumber: {
+      type: String
+    },
+    hash: {
+      type: String
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    vmStatus: {
+      type: String
+    },
+    error: {
+      type: String
+    },
+    submittedAt: {
+      type: Date
+    },
+    expiresAt: {
+      type: Date
+    },
+    completedAt: {
+      type: Date
+    }
+  },
+  { timestamps: true }
+);
+
+agentTransactionSchema.index({ agentId: 1, createdAt: -1 });
+agentTransactionSchema.index({ status: 1, expiresAt: 1 });
+agentTransactionSchema.index({ hash: 1 });
+
+const AgentTransaction = mongoose.model('AgentTransaction', agentTransactionSchema);
+
+export default AgentTransaction;
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+import { PRICE_DIRECTIONS, TRIGGER_TYPES } from '../config/triggers.js';
+import { actionSchema } from './scheduledTaskModel.js';
+
+// active triggers are checked every poll; completed ones (graduated tokens) have nothing left to see
+export const TRIGGER_STATUSES = ['active', 'paused', 'completed'];
+
+// What a trigger watches for (see src/config/triggers.js)
+const conditionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.keys(TRIGGER_TYPES),
+      required: true
+    },
+    asset: String,
+    minAmount: String,
+    symbol: String,
+    direction: {
+      type: String,
+      enum: PRICE_DIRECTIONS
+    },
+    price: Number,
+    floor: String,
+    token: String,
+    eventType: String
+  },
+  { _id: false }
+);
+
+// An action an agent runs when a chain condition is met. Each check is claimed by moving
+// nextCheckAt on and taking a fresh claimId; only the claim's holder may save what it saw
+const agentTriggerSchema = new mongoose.Schema(
+  {
+    triggerId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    agentId: {
+      type: String,
+      required: true
+    },
+    userId: {
+      type: String,
+      required: true
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    condition: {
+      type: conditionSchema,
+      required: true
+    },
+    action: {
+      type: actionSchema,
+      required: true
+    },
+    // Least time between firings; conditions met sooner are recorded as skipped
+    cooldownMs: {
+      type: Number,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: TRIGGER_STATUSES,
+      default: 'active'
+    },
+    // What the evaluator saw last, e.g. the last transaction version read or whether a price
+    // threshold was crossed; empty until the first check after the trigger is set or resumed
+    state: {
+      type: mongoose.Schema.Types.Mixed,
+      default: () => ({})
+    },
+    // Null unless active
+    nextCheckAt: {
+      type: Date,
+      default: null
+    },
+    claimId: {
+      type: String
+    },
+    lastCheckedAt: {
+      type: Date
+    },
+    lastFiredAt: {
+      type: Date
+    },
+    fireCount: {
+      type: Number,
+      default: 0
+    },
+    // Why the last check failed, e.g. the indexer was unreachable
+    lastError: {
+      type: String
+    }
+  },
+  { timestamps: true, minimize: false }
+);
+
+agentTriggerSchema.index({ status: 1, nextCheckAt: 1 });
+agentTriggerSchema.index({ agentId: 1, createdAt: -1 });
+
+const AgentTrigger = mongoose.model('AgentTrigger', agentTriggerSchema);
+
+export default AgentTrigger;
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// A server-to-server credential acting for one user with a subset of their permissions
+const apiKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      index: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    // Public part of the key, used to find it without scanning every hash
+    prefix: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    keyHash: {
+      type: String,
+      required: true
+    },
+    // Permissions the key may use; each must also be granted by the owner's role
+    scopes: {
+      type: [String],
+      default: []
+    },
+    rateLimitPerMinute: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null
+    },
+    lastUsedIp: {
+      type: String,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    rotatedAt: {
+      type: Date,
+      default: null
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// A LangGraph checkpoint: the agent's graph state after one step of a conversation thread
+const checkpointSchema = new mongoose.Schema(
+  {
+    threadId: {
+      type: String,
+      required: true
+    },
+    checkpointNs: {
+      type: String,
+      default: ''
+    },
+    checkpointId: {
+      type: String,
+      required: true
+    },
+    // The checkpoint this one was written after; forks share a parent with the original branch
+    parentCheckpointId: {
+      type: String,
+      default: null
+    },
+    agentId: {
+      type: String,
+      required: true,
+      index: true
+    },
+    conversationId: {
+      type: String,
+      required: true
+    },
+    // Checkpoint and metadata as written by the saver's serializer
+    type: {
+      type: String,
+      required: true
+    },
+    checkpoint: {
+      type: Buffer,
+      required: true
+    },
+    metadata: {
+      type: Buffer,
+      required: true
+    },
+    // Copied out of the metadata so checkpoints can be filtered without deserializing them
+    source: String,
+    step: Number
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Checkpoint IDs are time-ordered, so sorting on them lists a thread newest first
+checkpointSchema.index({ threadId: 1, checkpointNs: 1, checkpointId: -1 }, { unique: true });
+
+const Checkpoint = mongoose.model('Checkpoint', checkpointSchema);
+
+export default Checkpoint;
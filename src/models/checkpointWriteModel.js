@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// A pending write of a LangGraph task, kept with its checkpoint until the next step commits it
+const checkpointWriteSchema = new mongoose.Schema({
+  threadId: {
+    type: String,
+    required: true
+  },
+  checkpointNs: {
+    type: String,
+    default: ''
+  },
+  checkpointId: {
+    type: String,
+    required: true
+  },
+  agentId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  taskId: {
+    type: String,
+    required: true
+  },
+  idx: {
+    type: Number,
+    required: true
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: Buffer,
+    required: true
+  }
+});
+
+checkpointWriteSchema.index(
+  { threadId: 1, checkpointNs: 1, checkpointId: 1, taskId: 1, idx: 1 },
+  { unique: true }
+);
+
+const CheckpointWrite = mongoose.model('CheckpointWrite', checkpointWriteSchema);
+
+export default CheckpointWrite;
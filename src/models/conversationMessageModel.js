@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+// A tool the agent called while answering
+const toolCallSchema = new mongoose.Schema(
+  {
+    id: String,
+    name: {
+      type: String,
+      required: true
+    },
+    args: mongoose.Schema.Types.Mixed,
+    output: String,
+    status: {
+      type: String,
+      enum: ['pending', 'success', 'error']
+    },
+    transactionHashes: [String]
+  },
+  { _id: false }
+);
+
+// A message of an agent conversation, one document each so conversations can grow without limit
+const conversationMessageSchema = new mongoose.Schema({
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['user', 'assistant', 'system'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  // Tools the agent ran for an assistant message, and the transactions they submitted
+  toolCalls: {
+    type: [toolCallSchema],
+    default: undefined
+  },
+  transactionHashes: {
+    type: [String],
+    default: undefined
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// History is read in order from either end; the ID breaks timestamp ties
+conversationMessageSchema.index({ conversationId: 1, timestamp: 1, _id: 1 });
+// Full-text index on message content, for searching a user's conversations
+conversationMessageSchema.index({ content: 'text' });
+
+const ConversationMessage = mongoose.model('ConversationMessage', conversationMessageSchema);
+
+export default ConversationMessage;
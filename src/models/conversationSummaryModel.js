@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// The rolling summary of a conversation's older turns, and how far it reaches
+const conversationSummarySchema = new mongoose.Schema(
+  {
+    conversationId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    agentId: {
+      type: String,
+      required: true
+    },
+    text: {
+      type: String,
+      default: ''
+    },
+    // The last message the summary covers; later messages are summarized next
+    throughTimestamp: {
+      type: Date,
+      default: null
+    },
+    throughMessageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    summarizedMessages: {
+      type: Number,
+      default: 0
+    },
+    // Held while a worker summarizes, so each batch is summarized once
+    lockedUntil: {
+      type: Date,
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+conversationSummarySchema.index({ agentId: 1 });
+
+const ConversationSummary = mongoose.model('ConversationSummary', conversationSummarySchema);
+
+export default ConversationSummary;
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// Ledger entries are only needed while they count towards a rolling daily limit
+const SPEND_TTL_SECONDS = 2 * 24 * 60 * 60;
+
+// An amount an agent's wallet sent, counted towards its daily spending limits. Entries are
+// reserved before the transaction is signed and settled with its hash once it commits, so
+// concurrent transactions cannot both slip under a limit
+const policySpendSchema = new mongoose.Schema({
+  agentId: {
+    type: String,
+    required: true
+  },
+  // The asset as normalized by the policy (APT, a coin type or an asset address)
+  asset: {
+    type: String,
+    required: true
+  },
+  // In the asset's smallest unit, as a string since it may not fit a double
+  amount: {
+    type: String,
+    required: true
+  },
+  recipient: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['reserved', 'settled'],
+    default: 'reserved'
+  },
+  txHash: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+policySpendSchema.index({ agentId: 1, asset: 1, createdAt: -1 });
+policySpendSchema.index({ createdAt: 1 }, { expireAfterSeconds: SPEND_TTL_SECONDS });
+
+const PolicySpend = mongoose.model('PolicySpend', policySpendSchema);
+
+export default PolicySpend;
@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+
+// pending until decided or expired; approved runs end as executed or failed
+export const PROPOSAL_STATUSES = [
+  'pending',
+  'approved',
+  'rejected',
+  'expired',
+  'executed',
+  'failed'
+];
+
+// A transaction an agent prepared, summarized and simulated without being signed
+const proposedTransactionSchema = new mongoose.Schema(
+  {
+    summary: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    simulation: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  },
+  { _id: false }
+);
+
+// A tool call the paused run wants to make
+const proposedToolCallSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      required: true
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    args: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    // False for read-only tools the step also calls
+    requiresApproval: {
+      type: Boolean,
+      default: true
+    },
+    transactions: {
+      type: [proposedTransactionSchema],
+      default: []
+    }
+  },
+  { _id: false }
+);
+
+// Write actions of an agent in manual approval mode, held until its owner approves or rejects
+// them. The run is paused at checkpointId, and resumes from there once the proposal is decided
+const proposalSchema = new mongoose.Schema(
+  {
+    proposalId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    agentId: {
+      type: String,
+      required: true
+    },
+    userId: {
+      type: String,
+      required: true
+    },
+    conversationId: {
+      type: String,
+      required: true
+    },
+    checkpointId: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: PROPOSAL_STATUSES,
+      default: 'pending'
+    },
+    toolCalls: {
+      type: [proposedToolCallSchema],
+      default: []
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    decidedBy: {
+      type: String
+    },
+    decidedAt: {
+      type: Date
+    },
+    // Why it was rejected, expired or failed
+    reason: {
+      type: String
+    },
+    // Transactions the approved run sent
+    transactionHashes: {
+      type: [String],
+      default: undefined
+    }
+  },
+  { timestamps: true }
+);
+
+proposalSchema.index({ agentId: 1, status: 1, createdAt: -1 });
+proposalSchema.index({ status: 1, expiresAt: 1 });
+
+const Proposal = mongoose.model('Proposal', proposalSchema);
+
+export default Proposal;
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+import { ACTION_TYPES, SCHEDULE_TYPES } from '../config/schedules.js';
+
+// active tasks run at nextRunAt; paused ones wait to be resumed; completed ones have no more runs
+export const TASK_STATUSES = ['active', 'paused', 'completed'];
+
+// When a task runs (see src/config/schedules.js)
+const scheduleSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: SCHEDULE_TYPES,
+      required: true
+    },
+    cron: String,
+    timezone: String,
+    runAt: Date,
+    everyMs: Number,
+    startAt: Date
+  },
+  { _id: false }
+);
+
+// What a task or trigger does: send the agent a prompt, or run one of its tools
+export const actionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ACTION_TYPES,
+      required: true
+    },
+    prompt: String,
+    tool: String,
+    input: mongoose.Schema.Types.Mixed
+  },
+  { _id: false }
+);
+
+// An action an agent runs on a schedule. Each run is claimed by moving nextRunAt on from the time
+// it was due, so only one worker runs it
+const scheduledTaskSchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    agentId: {
+      type: String,
+      required: true
+    },
+    userId: {
+      type: String,
+      required: true
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    schedule: {
+      type: scheduleSchema,
+      required: true
+    },
+    action: {
+      type: actionSchema,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: TASK_STATUSES,
+      default: 'active'
+    },
+    // Null unless active
+    nextRunAt: {
+      type: Date,
+      default: null
+    },
+    lastRunAt: {
+      type: Date
+    },
+    runCount: {
+      type: Number,
+      default: 0
+    }
+  },
+  { timestamps: true }
+);
+
+scheduledTaskSchema.index({ status: 1, nextRunAt: 1 });
+scheduledTaskSchema.index({ agentId: 1, createdAt: -1 });
+
+const ScheduledTask = mongoose.model('ScheduledTask', scheduledTaskSchema);
+
+export default ScheduledTask;
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// A signed-in device: holds the current refresh token (hashed) for one login
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      index: true
+    },
+    // Wallet used to sign in, re-used when minting access tokens on refresh
+    address: {
+      type: String,
+      required: true
+    },
+    chain: {
+      type: String,
+      required: true
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true
+    },
+    // The hash that was rotated out last; presenting it again means the token leaked
+    previousTokenHash: {
+      type: String,
+      default: null
+    },
+    device: {
+      type: String,
+      default: 'unknown'
+    },
+    ip: {
+      type: String,
+      default: 'unknown'
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedReason: {
+      type: String,
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB drop sessions a week after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// A short-lived entry of the shared store: a sign-in nonce, a rate-limit counter
+// or an idempotency record, grouped by namespace
+const storeEntrySchema = new mongoose.Schema({
+  namespace: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+storeEntrySchema.index({ namespace: 1, key: 1 }, { unique: true });
+
+// MongoDB removes entries shortly after they expire; reads still filter on expiresAt
+// because the TTL monitor only runs about once a minute
+storeEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const StoreEntry = mongoose.model('StoreEntry', storeEntrySchema);
+
+export default StoreEntry;
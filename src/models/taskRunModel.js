@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+// Runs are never retried: one a worker left running (e.g. it restarted) ends as failed
+export const RUN_STATUSES = ['running', 'succeeded', 'failed'];
+
+// One run of a scheduled task
+const taskRunSchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: String,
+      required: true
+    },
+    agentId: {
+      type: String,
+      required: true
+    },
+    userId: {
+      type: String,
+      required: true
+    },
+    // When the run was due; a task runs at most once for each
+    scheduledFor: {
+      type: Date,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: RUN_STATUSES,
+      default: 'running'
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now
+    },
+    finishedAt: {
+      type: Date
+    },
+    // The agent's reply to a prompt, or the output of a tool
+    response: {
+      type: String
+    },
+    toolCalls: {
+      type: [
+        new mongoose.Schema(
+          {
+            name: String,
+            status: String
+          },
+          { _id: false }
+        )
+      ],
+      default: undefined
+    },
+    transactionHashes: {
+      type: [String],
+      default: undefined
+    },
+    // Prompts run in the agent's conversation, and may stop for approval
+    conversationId: {
+      type: String
+    },
+    proposalId: {
+      type: String
+    },
+    error: {
+      type: String
+    }
+  },
+  { timestamps: true }
+);
+
+taskRunSchema.index({ taskId: 1, scheduledFor: 1 }, { unique: true });
+taskRunSchema.index({ taskId: 1, startedAt: -1 });
+taskRunSchema.index({ status: 1, startedAt: 1 });
+
+const TaskRun = mongoose.model('TaskRun', taskRunSchema);
+
+export default TaskRun;
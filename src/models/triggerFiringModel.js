@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+
+// skipped firings came within the trigger's cooldown and ran nothing; like task runs, firings are
+// never retried
+export const FIRING_STATUSES = ['running', 'succeeded', 'failed', 'skipped'];
+
+// What a trigger saw, e.g. a deposit or a price crossing its threshold
+const triggerEventSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true
+    },
+    description: {
+      type: String,
+      required: true
+    },
+    details: mongoose.Schema.Types.Mixed
+  },
+  { _id: false }
+);
+
+// One firing of an agent trigger, and the action it caused
+const triggerFiringSchema = new mongoose.Schema(
+  {
+    triggerId: {
+      type: String,
+      required: true
+    },
+    agentId: {
+      type: String,
+      required: true
+    },
+    userId: {
+      type: String,
+      required: true
+    },
+    // The last event's key; a trigger fires at most once for each
+    eventKey: {
+      type: String,
+      required: true
+    },
+    events: {
+      type: [triggerEventSchema],
+      default: []
+    },
+    status: {
+      type: String,
+      enum: FIRING_STATUSES,
+      default: 'running'
+    },
+    firedAt: {
+      type: Date,
+      default: Date.now
+    },
+    finishedAt: {
+      type: Date
+    },
+    // The agent's reply to a prompt, or the output of a tool
+    response: {
+      type: String
+    },
+    toolCalls: {
+      type: [
+        new mongoose.Schema(
+          {
+            name: String,
+            status: String
+          },
+          { _id: false }
+        )
+      ],
+      default: undefined
+    },
+    transactionHashes: {
+      type: [String],
+      default: undefined
+    },
+    conversationId: {
+      type: String
+    },
+    proposalId: {
+      type: String
+    },
+    error: {
+      type: String
+    }
+  },
+  { timestamps: true }
+);
+
+triggerFiringSchema.index({ triggerId: 1, eventKey: 1 }, { unique: true });
+triggerFiringSchema.index({ triggerId: 1, _id: -1 });
+triggerFiringSchema.index({ status: 1, firedAt: 1 });
+
+const TriggerFiring = mongoose.model('TriggerFiring', triggerFiringSchema);
+
+export default TriggerFiring;
@@ -1,13 +1,96 @@
 import mongoose from 'mongoose';
+import { WALLET_CHAINS, walletKey } from '../utils/wallets.js';
+import { DEFAULT_ROLE, ROLES } from '../config/roles.js';
 
-const userSchema = new mongoose.Schema({
-  address: {
-    type: String,
-    required: true,
-    unique: true,
+// A wallet the user has proven control of with a signature
+const walletSchema = new mongoose.Schema(
+  {
+    chain: {
+      type: String,
+      enum: WALLET_CHAINS,
+      required: true
+    },
+    address: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    // Lower-cased "<chain>:<address>", unique across all users
+    key: {
+      type: String,
+      required: true
+    },
+    label: {
+      type: String,
+      trim: true
+    },
+    verifiedAt: {
+      type: Date,
+      default: Date.now
+    }
   },
+  { _id: false }
+);
+
+const userSchema = new mongoose.Schema(
+  {
+    // Primary address: the first wallet the user signed in with
+    address: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    wallets: {
+      type: [walletSchema],
+      default: []
+    },
+    // Determines the permissions granted, see config/roles.js
+    role: {
+      type: String,
+      enum: ROLES,
+      default: DEFAULT_ROLE,
+      index: true
+    }
+  },
+  { timestamps: true }
+);
+
+// A wallet can only ever belong to one user
+userSchema.index({ 'wallets.key': 1 }, { unique: true, sparse: true });
+
+userSchema.pre('validate', function (next) {
+  for (const wallet of this.wallets) {
+    wallet.key = walletKey(wallet.chain, wallet.address);
+  }
+  next();
 });
 
+/**
+ * Find the user owning a wallet, including legacy users that only have an address
+ * @param {string} chain - 'aptos' or 'evm'
+ * @param {string} address - The normalized wallet address
+ * @returns {Promise<Object|null>} The user or null
+ */
+userSchema.statics.findByWallet = function (chain, address) {
+  return this.findOne({
+    $or: [
+      { 'wallets.key': walletKey(chain, address) },
+      { address, 'wallets.0': { $exists: false } }
+    ]
+  });
+};
+
+/**
+ * Get the linked addresses, optionally for one chain family
+ * @param {string} chain - 'aptos' or 'evm' (optional)
+ * @returns {Array<string>} The wallet addresses
+ */
+userSchema.methods.getAddresses = function (chain) {
+  return this.wallets
+    .filter(wallet => !chain || wallet.chain === chain)
+    .map(wallet => wallet.address);
+};
+
 const User = mongoose.model('User', userSchema);
 
-export default User; 
\ No newline at end of file
+export default User;
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// An AES-256-GCM ciphertext with its nonce and authentication tag, all base64
+const sealedSchema = new mongoose.Schema(
+  {
+    ciphertext: {
+      type: String,
+      required: true
+    },
+    iv: {
+      type: String,
+      required: true
+    },
+    authTag: {
+      type: String,
+      required: true
+    }
+  },
+  { _id: false }
+);
+
+// An agent's private key under envelope encryption: the key is sealed with its own data key,
+// and the data key is sealed with the master key named by masterKeyId
+const vaultKeySchema = new mongoose.Schema(
+  {
+    agentId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    userId: {
+      type: String,
+      required: true,
+      index: true
+    },
+    address: {
+      type: String,
+      required: true
+    },
+    publicKey: {
+      type: String,
+      required: true
+    },
+    encryptedPrivateKey: {
+      type: sealedSchema,
+      required: true
+    },
+    encryptedDataKey: {
+      type: sealedSchema,
+      required: true
+    },
+    masterKeyId: {
+      type: String,
+      required: true,
+      index: true
+    },
+    // Set when the agent was swept as inactive; the key is kept so its funds stay recoverable
+    orphanedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+const VaultKey = mongoose.model('VaultKey', vaultKeySchema);
+
+export default VaultKey;
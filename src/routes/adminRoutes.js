@@ -0,0 +1,49 @@
+import express from 'express';
+import { adminController } from '../controllers/adminController.js';
+import { authenticateToken } from '../middleware/authenticateToken.js';
+import { requirePermission } from '../middleware/requirePermission.js';
+import { rateLimiter } from '../middleware/securityMiddleware.js';
+import { idempotency } from '../middleware/idempotency.js';
+
+const router = express.Router();
+
+/**
+ * Admin routes for agents, assistants, users and the key vault
+ * Every route requires a signed-in user whose role grants the listed permission
+ */
+router.use(authenticateToken);
+router.use(rateLimiter);
+router.use(idempotency());
+
+// Agents across all users
+router.get('/agents', requirePermission('agents:admin'), adminController.listAgents);
+router.get('/agents/stats', requirePermission('agents:admin'), adminController.getAgentStats);
+router.post(
+  '/agents/cleanup',
+  requirePermission('agents:admin'),
+  adminController.cleanupInactiveAgents
+);
+router.delete('/agents/:agentId', requirePermission('agents:admin'), adminController.removeAgent);
+
+// Assistant moderation
+router.get('/assistants', requirePermission('assistants:admin'), adminController.listAssistants);
+router.delete(
+  '/assistants/:id',
+  requirePermission('assistants:admin'),
+  adminController.removeAssistant
+);
+
+// Users and roles
+router.get('/users', requirePermission('users:read'), adminController.listUsers);
+router.get('/users/:userId', requirePermission('users:read'), adminController.getUser);
+router.put('/users/:userId/role', requirePermission('users:admin'), adminController.updateUserRole);
+
+// Key vault
+router.get('/vault/status', requirePermission('vault:admin'), adminController.getVaultStatus);
+router.post(
+  '/vault/rotate',
+  requirePermission('vault:admin'),
+  adminController.rotateVaultMasterKey
+);
+
+export default router;
@@ -2,41 +2,157 @@ import express from 'express';
 import { 
     initializeAgent, 
     processMessage, 
+    streamMessage,
+    listCheckpoints,
+    resumeRun,
+    forkRun,
     getAgentStatus, 
-    getAllAgents, 
     removeAgent,
     getUserAgents,
     removeUserAgents,
     updateAgentName,
-    cleanupInactiveAgents
+    updateAgent,
+    getPromptVersions,
+    restorePromptVersion,
+    fundAgent,
+    listTools,
+    getAgentTools,
+    getAgentPolicy,
+    updateAgentPolicy,
+    removeAgentPolicy,
+    listProposals,
+    getProposal,
+    approveProposal,
+    rejectProposal,
+    simulateTransaction,
+    simulateEvmTransaction,
+    listTransactions,
+    getAgentConversation,
+    clearAgentConversation,
+    exportAgentConversation,
+    searchConversations,
+    getAgentMemories,
+    updateAgentMemory,
+    deleteAgentMemory,
+    listScheduledTasks,
+    createScheduledTask,
+    getScheduledTask,
+    updateScheduledTask,
+    pauseScheduledTask,
+    resumeScheduledTask,
+    deleteScheduledTask,
+    listTaskRuns,
+    listTriggers,
+    createTrigger,
+    getTrigger,
+    updateTrigger,
+    pauseTrigger,
+    resumeTrigger,
+    deleteTrigger,
+    listTriggerFirings
 } from '../controllers/agentController.js';
 import { rateLimiter, validateRequest } from '../middleware/securityMiddleware.js';
+import { authenticateToken } from '../middleware/authenticateToken.js';
+import { authorizeAgent, requireSameUser } from '../middleware/agentAccess.js';
+import { requirePermission } from '../middleware/requirePermission.js';
+import { idempotency } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
 /**
  * Agent routes for interacting with the Aptos blockchain via move-agent-kit
  * Supports multiple agents per user with enhanced security
+ * Every route acts on behalf of the user in the access token; agent routes
+ * answer 403 for agents owned by someone else
  */
 
-// Security middleware for all routes
+// Security middleware for all routes; authentication comes first so requests are rate limited
+// per user rather than per IP
+router.use(authenticateToken);
 router.use(rateLimiter);
+router.use(idempotency());
+
+const canRead = requirePermission('agents:read');
+const canWrite = requirePermission('agents:write');
 
 // Agent creation and message processing
-router.post('/initialize', validateRequest('body', ['privateKey', 'userId']), initializeAgent);
-router.post('/message', validateRequest('body', ['agentId', 'messages']), processMessage);
+router.post('/initialize', canWrite, requireSameUser, initializeAgent);
+router.post('/message', canWrite, validateRequest('body', ['agentId', 'message']), authorizeAgent, processMessage);
+
+// Tools agents can be given, for allowlist toggles
+router.get('/tools', canRead, listTools);
+
+// Simulate an EVM transaction without sending it
+router.post('/simulate/evm', canRead, validateRequest('body', ['chain', 'from', 'to']), simulateEvmTransaction);
 
-// User agent management
-router.get('/user/:userId', validateRequest('params', ['userId']), getUserAgents);
-router.delete('/user/:userId', validateRequest('params', ['userId']), removeUserAgents);
+// Search the messages of all the user's agent conversations
+router.get('/conversations/search', canRead, searchConversations);
+
+// User agent management ("me" or the caller's own user ID or wallet)
+router.get('/user/:userId', canRead, validateRequest('params', ['userId']), requireSameUser, getUserAgents);
+router.delete('/user/:userId', canWrite, validateRequest('params', ['userId']), requireSameUser, removeUserAgents);
 
 // Agent-specific operations
-router.get('/:agentId', validateRequest('params', ['agentId']), getAgentStatus);
-router.put('/:agentId/name', validateRequest('params, body', ['agentId', 'name']), updateAgentName);
-router.delete('/:agentId', validateRequest('params', ['agentId']), removeAgent);
+router.get('/:agentId', canRead, validateRequest('params', ['agentId']), authorizeAgent, getAgentStatus);
+router.post('/:agentId/message/stream', canWrite, validateRequest('body', ['message']), authorizeAgent, streamMessage);
+router.patch('/:agentId', canWrite, authorizeAgent, updateAgent);
+router.put('/:agentId/name', canWrite, validateRequest('body', ['name']), authorizeAgent, updateAgentName);
+router.get('/:agentId/persona/versions', canRead, authorizeAgent, getPromptVersions);
+router.post('/:agentId/persona/versions/:version/restore', canWrite, authorizeAgent, restorePromptVersion);
+router.post('/:agentId/faucet', canWrite, authorizeAgent, fundAgent);
+router.get('/:agentId/tools', canRead, authorizeAgent, getAgentTools);
+router.post('/:agentId/simulate', canRead, validateRequest('body', ['function']), authorizeAgent, simulateTransaction);
+router.get('/:agentId/transactions', canRead, authorizeAgent, listTransactions);
+router.get('/:agentId/policy', canRead, authorizeAgent, getAgentPolicy);
+router.put('/:agentId/policy', canWrite, authorizeAgent, updateAgentPolicy);
+router.delete('/:agentId/policy', canWrite, authorizeAgent, removeAgentPolicy);
+router.delete('/:agentId', canWrite, validateRequest('params', ['agentId']), authorizeAgent, removeAgent);
+
+// The agent's conversation: page through it, export it or clear it
+router.get('/:agentId/conversation', canRead, authorizeAgent, getAgentConversation);
+router.get('/:agentId/conversation/export', canRead, authorizeAgent, exportAgentConversation);
+router.delete('/:agentId/conversation', canWrite, authorizeAgent, clearAgentConversation);
+
+// What the agent remembers of older turns and earlier conversations
+router.get('/:agentId/memories', canRead, authorizeAgent, getAgentMemories);
+router.patch('/:agentId/memories/:memoryId', canWrite, authorizeAgent, updateAgentMemory);
+router.delete('/:agentId/memories/:memoryId', canWrite, authorizeAgent, deleteAgentMemory);
+
+// Tasks the agent runs on a schedule, and their run history
+router.get('/:agentId/tasks', canRead, authorizeAgent, listScheduledTasks);
+router.post('/:agentId/tasks', canWrite, authorizeAgent, createScheduledTask);
+router.get('/:agentId/tasks/:taskId', canRead, authorizeAgent, getScheduledTask);
+router.patch('/:agentId/tasks/:taskId', canWrite, authorizeAgent, updateScheduledTask);
+router.delete('/:agentId/tasks/:taskId', canWrite, authorizeAgent, deleteScheduledTask);
+router.post('/:agentId/tasks/:taskId/pause', canWrite, authorizeAgent, pauseScheduledTask);
+router.post('/:agentId/tasks/:taskId/resume', canWrite, authorizeAgent, resumeScheduledTask);
+router.get('/:agentId/tasks/:taskId/runs', canRead, authorizeAgent, listTaskRuns);
+
+// Actions the agent runs when it sees a chain condition met, and their firings
+router.get('/:agentId/triggers', canRead, authorizeAgent, listTriggers);
+router.post('/:agentId/triggers', canWrite, authorizeAgent, createTrigger);
+router.get('/:agentId/triggers/:triggerId', canRead, authorizeAgent, getTrigger);
+router.patch('/:agentId/triggers/:triggerId', canWrite, authorizeAgent, updateTrigger);
+router.delete('/:agentId/triggers/:triggerId', canWrite, authorizeAgent, deleteTrigger);
+router.post('/:agentId/triggers/:triggerId/pause', canWrite, authorizeAgent, pauseTrigger);
+router.post('/:agentId/triggers/:triggerId/resume', canWrite, authorizeAgent, resumeTrigger);
+router.get('/:agentId/triggers/:triggerId/firings', canRead, authorizeAgent, listTriggerFirings);
+
+// Checkpoints of the agent's conversation: list them, resume an interrupted run, or fork
+router.get('/:agentId/checkpoints', canRead, authorizeAgent, listCheckpoints);
+router.post('/:agentId/checkpoints/resume', canWrite, authorizeAgent, resumeRun);
+router.post(
+    '/:agentId/checkpoints/:checkpointId/fork',
+    canWrite,
+    validateRequest('body', ['message']),
+    authorizeAgent,
+    forkRun
+);
 
-// Admin endpoints (should have authentication middleware in production)
-router.get('/admin/all', getAllAgents);
-router.post('/admin/cleanup', cleanupInactiveAgents);
+// Write actions of agents in manual approval mode, waiting to be approved or rejected
+router.get('/:agentId/proposals', canRead, authorizeAgent, listProposals);
+router.get('/:agentId/proposals/:proposalId', canRead, authorizeAgent, getProposal);
+router.post('/:agentId/proposals/:proposalId/approve', canWrite, authorizeAgent, approveProposal);
+router.post('/:agentId/proposals/:proposalId/reject', canWrite, authorizeAgent, rejectProposal);
 
-export default router; 
\ No newline at end of file
+export default router; 
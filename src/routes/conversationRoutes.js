@@ -1,11 +1,17 @@
 import express from 'express';
 import { getConversationByThreadId, addMessageToConversation } from '../controllers/conversationController.js';
 import { authenticateToken } from '../middleware/authenticateToken.js';
+import { requirePermission } from '../middleware/requirePermission.js';
 
 const router = express.Router();
 
 // Route to get conversation by threadId
-router.get('/:threadId', authenticateToken, getConversationByThreadId);
+router.get(
+  '/:threadId',
+  authenticateToken,
+  requirePermission('agents:read'),
+  getConversationByThreadId
+);
 
 // Route to add a message to a conversation
 router.post('/:threadId/messages', addMessageToConversation);
@@ -1,12 +1,59 @@
 import express from 'express';
-import { authenticateUser, registerUser } from '../controllers/userController.js';
+import {
+  authenticateUser,
+  createApiKey,
+  getCurrentUser,
+  getNonce,
+  getSiweNonce,
+  getUserAssistants,
+  linkWallet,
+  listApiKeys,
+  listSessions,
+  logout,
+  refreshAccessToken,
+  registerUser,
+  revokeApiKey,
+  revokeOtherSessions,
+  revokeSession,
+  rotateApiKey,
+  unlinkWallet,
+  verifySiwe
+} from '../controllers/userController.js';
+import { authenticateToken, requireSession } from '../middleware/authenticateToken.js';
+import { idempotency } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
+// Issue a single-use sign-in challenge for a wallet address
+router.post('/nonce', getNonce);
+
 // Define the route for authentication
 router.post('/authenticate', authenticateUser);
 
+// Sign-In with Ethereum (EIP-4361) for EVM wallets
+router.post('/siwe/nonce', getSiweNonce);
+router.post('/siwe/verify', verifySiwe);
+
 // Define the route for user registration
 router.post('/register', registerUser);
 
-export default router; 
\ No newline at end of file
+// Session lifecycle: rotate refresh tokens and end the current session
+router.post('/token/refresh', refreshAccessToken);
+router.post('/logout', authenticateToken, requireSession, logout);
+
+// The authenticated user's identity and linked wallets
+router.get('/me', authenticateToken, getCurrentUser);
+router.get('/me/assistants', authenticateToken, getUserAssistants);
+router.post('/me/wallets', authenticateToken, requireSession, linkWallet);
+router.delete('/me/wallets/:chain/:address', authenticateToken, requireSession, unlinkWallet);
+router.get('/me/sessions', authenticateToken, requireSession, listSessions);
+router.delete('/me/sessions', authenticateToken, requireSession, revokeOtherSessions);
+router.delete('/me/sessions/:sessionId', authenticateToken, requireSession, revokeSession);
+
+// Scoped API keys for bots and backend jobs; managed from a signed-in session only
+router.get('/me/api-keys', authenticateToken, requireSession, listApiKeys);
+router.post('/me/api-keys', authenticateToken, requireSession, idempotency(), createApiKey);
+router.post('/me/api-keys/:keyId/rotate', authenticateToken, requireSession, rotateApiKey);
+router.delete('/me/api-keys/:keyId', authenticateToken, requireSession, revokeApiKey);
+
+export default router;
@@ -0,0 +1,25 @@
+/**
+ * Move the messages embedded in conversation documents into their own collection
+ * Safe to run while the server is up, and to run again if it was interrupted:
+ *   npm run migrate:messages
+ */
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { ConversationService } from '../services/conversationService.js';
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    const migrated = await new ConversationService().migrateEmbeddedMessages();
+    console.log(`Moved the messages of ${migrated} conversations`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+migrate().catch(error => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,159 @@
+import { Account } from '@aptos-labs/ts-sdk';
+import { AgentRuntimeManager } from '../agentRuntimeManager';
+
+describe('Agent Runtime Manager', () => {
+  const keys = new Map();
+  let manager;
+  let loadPrivateKey;
+
+  const addAgent = (agentId, userId = 'user-1') => {
+    const account = Account.generate();
+    keys.set(agentId, { userId, privateKey: account.privateKey.toString() });
+    return { agentId, userId, address: account.accountAddress.toStringLong() };
+  };
+
+  beforeEach(() => {
+    keys.clear();
+    loadPrivateKey = jest.fn((agentId, userId) => {
+      const key = keys.get(agentId);
+      return key && key.userId === userId
+        ? Promise.resolve(key.privateKey)
+        : Promise.reject(new Error('No private key stored for this agent'));
+    });
+    manager = new AgentRuntimeManager({
+      aptos: {},
+      loadPrivateKey,
+      createLLMAgent: jest.fn(runtime => ({ runtime })),
+      maxSize: 2,
+      idleTimeoutMs: 1000
+    });
+  });
+
+  afterEach(() => {
+    manager.close();
+    jest.restoreAllMocks();
+  });
+
+  it('should keep a separate runtime for each agent', async () => {
+    const first = addAgent('agent-1');
+    const second = addAgent('agent-2');
+
+    const [a, b] = await Promise.all([manager.acquire(first), manager.acquire(second)]);
+
+    expect(a.runtime).not.toBe(b.runtime);
+    expect(a.runtime.account.getAddress().toStringLong()).toBe(first.address);
+    expect(b.runtime.account.getAddress().toStringLong()).toBe(second.address);
+  });
+
+  it('should load a key once for concurrent and repeated requests', async () => {
+    const agent = addAgent('agent-1');
+
+    const [a, b] = await Promise.all([manager.acquire(agent), manager.acquire(agent)]);
+    const c = await manager.acquire(agent);
+
+    expect(a).toBe(b);
+    expect(c).toBe(a);
+    expect(loadPrivateKey).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not hand a runtime to another user', async () => {
+    const agent = addAgent('agent-1');
+    await manager.acquire(agent);
+
+    await expect(manager.acquire({ agentId: 'agent-1', userId: 'user-2' })).rejects.toThrow(
+      'No private key stored'
+    );
+  });
+
+  it('should evict the least recently used runtime when full', async () => {
+    const first = addAgent('agent-1');
+    const second = addAgent('agent-2');
+    const third = addAgent('agent-3');
+
+    await manager.acquire(first);
+    await manager.acquire(second);
+    await manager.acquire(first);
+    await manager.acquire(third);
+
+    expect([...manager.entries.keys()]).toEqual(['agent-1', 'agent-3']);
+  });
+
+  it('should drop idle runtimes and rehydrate them on next use', async () => {
+    const agent = addAgent('agent-1');
+    const entry = await manager.acquire(agent);
+
+    jest.spyOn(Date, 'now').mockReturnValue(entry.lastUsedAt + 1001);
+    expect(manager.sweepIdle()).toBe(1);
+
+    await manager.acquire(agent);
+    expect(loadPrivateKey).toHaveBeenCalledTimes(2);
+  });
+
+  it('should build the LLM agent once per runtime', async () => {
+    const agent = addAgent('agent-1');
+
+    const llmAgent = await manager.getLLMAgent(agent);
+
+    await expect(manager.getLLMAgent(agent)).resolves.toBe(llmAgent);
+    expect(manager.createLLMAgent).toHaveBeenCalledTimes(1);
+  });
+
+  it('should rebuild the LLM agent when the persona or tools change', async () => {
+    const agent = { ...addAgent('agent-1'), revision: 1, persona: { model: 'gpt-4o' } };
+    await manager.getLLMAgent(agent);
+
+    await manager.getLLMAgent({
+      ...agent,
+      revision: 2,
+      persona: { model: 'gpt-4o-mini' },
+      tools: { preset: 'payments' }
+    });
+    // A request holding an older agent record keeps the newer LLM agent
+    await manager.getLLMAgent(agent);
+
+    expect(manager.createLLMAgent).toHaveBeenCalledTimes(2);
+    expect(manager.createLLMAgent).toHaveBeenLastCalledWith(expect.anything(), {
+      persona: { model: 'gpt-4o-mini' },
+      network: undefined,
+      tools: { preset: 'payments' },
+      approvalMode: undefined
+    });
+  });
+
+  it('should rebuild the runtime when the agent moves to another network', async () => {
+    manager.getAptos = jest.fn(network => ({ network: network?.name }));
+    const agent = { ...addAgent('agent-1'), network: { name: 'mainnet' } };
+
+    const first = await manager.acquire(agent);
+    await expect(manager.acquire({ agentId: 'agent-1', userId: 'user-1' })).resolves.toBe(first);
+    const second = await manager.acquire({ ...agent, network: { name: 'devnet' } });
+
+    expect(second).not.toBe(first);
+    expect(second.runtime.aptos).toEqual({ network: 'devnet' });
+    expect(loadPrivateKey).toHaveBeenCalledTimes(2);
+  });
+
+  it('should rebuild a runtime whose key another worker replaced', async () => {
+    const agent = addAgent('agent-1');
+    const first = await manager.acquire(agent);
+
+    // Another worker stores a new key and updates the agent's address
+    const replaced = addAgent('agent-1');
+    const second = await manager.acquire(replaced);
+
+    expect(second).not.toBe(first);
+    expect(second.address).toBe(replaced.address);
+    await expect(manager.acquire(replaced)).resolves.toBe(second);
+    expect(loadPrivateKey).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not pool a runtime whose key was replaced while loading', async () => {
+    const agent = addAgent('agent-1');
+
+    const acquiring = manager.acquire(agent);
+    manager.evict('agent-1');
+    await acquiring;
+
+    expect(manager.getStats().size).toBe(0);
+  });
+});
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+import { ApiKeyService } from '../apiKeyService';
+import ApiKey from '../../models/apiKeyModel';
+
+jest.mock('../../models/apiKeyModel', () => ({
+  __esModule: true,
+  default: {
+    countDocuments: jest.fn(),
+    create: jest.fn(),
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn()
+  }
+}));
+
+describe('API Key Service', () => {
+  const apiKeyService = new ApiKeyService();
+  const keyId = new mongoose.Types.ObjectId().toString();
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    ApiKey.countDocuments.mockImplementation(() => Promise.resolve(0));
+    ApiKey.create.mockImplementation(data => {
+      stored = { ...data, _id: keyId, id: keyId, revokedAt: null, lastUsedAt: null };
+      return Promise.resolve(stored);
+    });
+    ApiKey.findOne.mockImplementation(({ prefix }) =>
+      Promise.resolve(stored && stored.prefix === prefix ? stored : null)
+    );
+    ApiKey.findOneAndUpdate.mockImplementation((filter, update) => {
+      stored = { ...stored, ...update };
+      return Promise.resolve(stored);
+    });
+    ApiKey.updateOne.mockImplementation((filter, update) => {
+      stored = { ...stored, ...update };
+      return Promise.resolve({ modifiedCount: 1 });
+    });
+  });
+
+  const createKey = (options = {}) =>
+    apiKeyService.createKey('user-1', { name: 'Bot', scopes: ['agents:read'], ...options });
+
+  it('should hand out the key once and store only its hash', async () => {
+    const { key } = await createKey();
+    const secret = key.split('_').slice(2).join('_');
+
+    expect(key).toMatch(/^mm_[0-9a-f]{12}_/);
+    expect(stored.keyHash).toHaveLength(64);
+    expect(stored.keyHash).not.toContain(secret);
+    expect(stored.rateLimitPerMinute).toBe(60);
+  });
+
+  it('should reject unknown scopes', async () => {
+    await expect(createKey({ scopes: ['agents:read', 'wallets:drain'] })).rejects.toMatchObject({
+      status: 400
+    });
+  });
+
+  it('should verify a valid key and record its use', async () => {
+    const { key } = await createKey();
+    const apiKey = await apiKeyService.verifyKey(key, '10.0.0.1');
+
+    expect(apiKey.userId).toBe('user-1');
+    expect(ApiKey.updateOne).toHaveBeenCalledWith(
+      { _id: keyId },
+      expect.objectContaining({ lastUsedIp: '10.0.0.1' })
+    );
+  });
+
+  it('should reject tampered, revoked and expired keys', async () => {
+    const { key } = await createKey();
+
+    await expect(apiKeyService.verifyKey(`${key.slice(0, -1)}x`)).resolves.toBeNull();
+    await expect(apiKeyService.verifyKey('not-a-key')).resolves.toBeNull();
+
+    stored.expiresAt = new Date(Date.now() - 1000);
+    await expect(apiKeyService.verifyKey(key)).resolves.toBeNull();
+
+    stored.expiresAt = null;
+    stored.revokedAt = new Date();
+    await expect(apiKeyService.verifyKey(key)).resolves.toBeNull();
+  });
+
+  it('should stop accepting the old key after rotation', async () => {
+    const { key } = await createKey();
+    const rotated = await apiKeyService.rotateKey('user-1', keyId);
+
+    expect(rotated.key).not.toBe(key);
+    await expect(apiKeyService.verifyKey(key)).resolves.toBeNull();
+    await expect(apiKeyService.verifyKey(rotated.key)).resolves.toMatchObject({ userId: 'user-1' });
+  });
+});
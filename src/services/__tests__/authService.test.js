@@ -0,0 +1,116 @@
+import { ethers } from 'ethers';
+import { AuthService } from '../authService';
+import { MemoryStore } from '../store/memoryStore';
+
+describe('Auth Service', () => {
+  const address = '0x' + 'a'.repeat(64);
+  let authService;
+
+  beforeEach(() => {
+    authService = new AuthService(new MemoryStore());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should issue a challenge whose message embeds the nonce', async () => {
+    const challenge = await authService.issueChallenge(address);
+
+    expect(challenge.nonce).toMatch(/^[0-9a-f]{32}$/);
+    expect(challenge.message).toContain(address);
+    expect(challenge.message).toContain(`Nonce: ${challenge.nonce}`);
+    expect(challenge.expiresAt.getTime()).toBeGreaterThan(challenge.issuedAt.getTime());
+  });
+
+  it('should only accept a nonce once', async () => {
+    const { nonce } = await authService.issueChallenge(address);
+
+    await expect(authService.consumeChallenge(address, nonce)).resolves.not.toBeNull();
+    await expect(authService.consumeChallenge(address, nonce)).resolves.toBeNull();
+  });
+
+  it('should accept a nonce on another instance sharing the store', async () => {
+    const store = new MemoryStore();
+    const { nonce } = await new AuthService(store).issueChallenge(address);
+
+    await expect(new AuthService(store).consumeChallenge(address, nonce)).resolves.not.toBeNull();
+  });
+
+  it('should reject a wrong nonce and keep the pending challenge', async () => {
+    const { nonce } = await authService.issueChallenge(address);
+
+    await expect(authService.consumeChallenge(address, 'not-the-nonce')).resolves.toBeNull();
+    await expect(authService.consumeChallenge(address, nonce)).resolves.not.toBeNull();
+  });
+
+  it('should reject an expired challenge', async () => {
+    const { nonce, expiresAt } = await authService.issueChallenge(address);
+    jest.spyOn(Date, 'now').mockReturnValue(expiresAt.getTime() + 1000);
+
+    await expect(authService.consumeChallenge(address, nonce)).resolves.toBeNull();
+  });
+
+  describe('Sign-In with Ethereum', () => {
+    const wallet = ethers.Wallet.createRandom();
+
+    it('should verify a signed challenge and return the checksummed address', async () => {
+      const { message } = await authService.issueSiweChallenge(wallet.address, 1);
+      const signature = await wallet.signMessage(message);
+
+      await expect(authService.verifySiweLogin(message, signature)).resolves.toEqual({
+        address: wallet.address,
+        chainId: 1
+      });
+    });
+
+    it('should reject a message signed by another wallet', async () => {
+      const { message } = await authService.issueSiweChallenge(wallet.address, 1);
+      const signature = await ethers.Wallet.createRandom().signMessage(message);
+
+      await expect(authService.verifySiweLogin(message, signature)).rejects.toThrow(
+        'Invalid signature'
+      );
+    });
+
+    it('should reject a replayed message', async () => {
+      const { message } = await authService.issueSiweChallenge(wallet.address, 1);
+      const signature = await wallet.signMessage(message);
+      await authService.verifySiweLogin(message, signature);
+
+      await expect(authService.verifySiweLogin(message, signature)).rejects.toThrow(
+        'Invalid or expired nonce'
+      );
+    });
+
+    it('should reject a message for another domain', async () => {
+      const { message } = await authService.issueSiweChallenge(wallet.address, 1);
+      const forged = message.replace(/^[^ ]+/, 'evil.example');
+      const signature = await wallet.signMessage(forged);
+
+      await expect(authService.verifySiweLogin(forged, signature)).rejects.toThrow(
+        'SIWE domain mismatch'
+      );
+    });
+
+    it('should reject a message that is not the one issued, and keep the challenge', async () => {
+      const { message } = await authService.issueSiweChallenge(wallet.address, 1);
+      const forged = message.replace(/^URI: .*$/m, 'URI: https://evil.example');
+      const signature = await wallet.signMessage(forged);
+
+      await expect(authService.verifySiweLogin(forged, signature)).rejects.toThrow(
+        'Invalid or expired nonce'
+      );
+      await expect(
+        authService.verifySiweLogin(message, await wallet.signMessage(message))
+      ).resolves.toMatchObject({ address: wallet.address });
+    });
+
+    it('should refuse chains that are not configured', async () => {
+      await expect(authService.issueSiweChallenge(wallet.address, 137)).rejects.toMatchObject({
+        status: 400,
+        message: 'Unsupported chain ID: 137'
+      });
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import mongoose from 'mongoose';
+import { ConversationService, decodeCursor, encodeCursor } from '../conversationService';
+
+// In-memory stand-in for the message collection, covering the queries the service makes
+jest.mock('../../models/conversationMessageModel', () => {
+  let docs = [];
+  const same = (a, b) => String(a) === String(b);
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([key, value]) => {
+      if (key === '$or') {
+        return value.some(option => matches(doc, option));
+      }
+      if (value?.$lt !== undefined) {
+        return doc[key] < value.$lt;
+      }
+      if (value instanceof Date) {
+        return doc[key].getTime() === value.getTime();
+      }
+      return same(doc[key], value);
+    });
+  const byPosition = (a, b) => a.timestamp - b.timestamp || String(a._id).localeCompare(b._id);
+
+  return {
+    __esModule: true,
+    default: {
+      reset: () => {
+        docs = [];
+      },
+      create: jest.fn(fields => {
+        const doc = { _id: new (jest.requireActual('mongoose').Types.ObjectId)(), ...fields };
+        docs.push(doc);
+        return Promise.resolve(doc);
+      }),
+      find: jest.fn(filter => {
+        let found = docs.filter(doc => matches(doc, filter));
+        const chain = {
+          sort: order => {
+            found.sort(byPosition);
+            if (order.timestamp < 0) {
+              found.reverse();
+            }
+            return chain;
+          },
+          limit: count => {
+            found = found.slice(0, count);
+            return chain;
+          },
+          select: () => chain,
+          lean: () => Promise.resolve(found)
+        };
+        return chain;
+      })
+    }
+  };
+});
+
+const ConversationMessage = jest.requireMock('../../models/conversationMessageModel').default;
+const Conversation = mongoose.model('Conversation');
+
+describe('Conversation Service', () => {
+  const conversationId = new mongoose.Types.ObjectId();
+  const service = new ConversationService();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ConversationMessage.reset();
+    jest
+      .spyOn(Conversation, 'exists')
+      .mockImplementation(filter =>
+        Promise.resolve(same(filter._id) ? { _id: conversationId } : null)
+      );
+    jest
+      .spyOn(Conversation, 'findByIdAndUpdate')
+      .mockImplementation(id => Promise.resolve(same(id) ? { _id: conversationId } : null));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const same = id => String(id) === String(conversationId);
+
+  // Add messages a second apart, so their order is that of their timestamps
+  const addMessages = async count => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T12:00:00Z'), doNotFake: ['nextTick'] });
+    for (let i = 1; i <= count; i += 1) {
+      await service.addMessageToConversation(conversationId, i % 2 ? 'user' : 'assistant', `m${i}`);
+      jest.advanceTimersByTime(1000);
+    }
+    jest.useRealTimers();
+  };
+
+  it('should store each message as its own document', async () => {
+    await service.addMessageToConversation(conversationId, 'assistant', 'Sent', {
+      toolCalls: [],
+      transactionHashes: ['0x1']
+    });
+
+    expect(ConversationMessage.create).toHaveBeenCalledWith({
+      conversationId,
+      role: 'assistant',
+      content: 'Sent',
+      transactionHashes: ['0x1'],
+      timestamp: expect.any(Date)
+    });
+  });
+
+  it('should not add messages to conversations that do not exist', async () => {
+    await expect(
+      service.addMessageToConversation(new mongoose.Types.ObjectId(), 'user', 'Hello')
+    ).rejects.toThrow('Conversation not found');
+    await expect(
+      service.addMessageToConversation(conversationId, 'robot', 'Hello')
+    ).rejects.toThrow('Invalid message role');
+    expect(ConversationMessage.create).not.toHaveBeenCalled();
+  });
+
+  it('should return the latest messages oldest first', async () => {
+    await addMessages(5);
+
+    const latest = await service.getConversationMessages(conversationId, 2);
+    const all = await service.getConversationMessages(conversationId, 0);
+
+    expect(latest.map(message => message.content)).toEqual(['m4', 'm5']);
+    expect(all.map(message => message.content)).toEqual(['m1', 'm2', 'm3', 'm4', 'm5']);
+    await expect(service.getConversationMessages(new mongoose.Types.ObjectId())).rejects.toThrow(
+      'Conversation not found'
+    );
+  });
+
+  it('should page back through the history with cursors', async () => {
+    await addMessages(5);
+
+    const first = await service.getMessagesPage(conversationId, { limit: 2 });
+    const second = await service.getMessagesPage(conversationId, {
+      limit: 2,
+      before: first.nextCursor
+    });
+    const last = await service.getMessagesPage(conversationId, {
+      limit: 2,
+      before: second.nextCursor
+    });
+
+    expect(first.messages.map(message => message.content)).toEqual(['m4', 'm5']);
+    expect(second.messages.map(message => message.content)).toEqual(['m2', 'm3']);
+    expect(last).toEqual({
+      messages: [expect.objectContaining({ content: 'm1' })],
+      nextCursor: null
+    });
+  });
+
+  describe('history cursors', () => {
+    it('should round-trip the position of a message', () => {
+      const message = {
+        _id: new mongoose.Types.ObjectId(),
+        timestamp: new Date('2026-01-01T12:00:00.123Z')
+      };
+
+      const { timestamp, id } = decodeCursor(encodeCursor(message));
+
+      expect(timestamp).toEqual(message.timestamp);
+      expect(id.equals(message._id)).toBe(true);
+    });
+
+    it('should reject cursors it did not make', () => {
+      expect(() => decodeCursor('not-a-cursor')).toThrow(expect.objectContaining({ status: 400 }));
+      expect(() => decodeCursor(Buffer.from('123:nope').toString('base64url'))).toThrow(
+        'Invalid cursor'
+      );
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import { Account } from '@aptos-labs/ts-sdk';
+import { KeyVault } from '../keyVault';
+import VaultKey from '../../models/vaultKeyModel';
+
+jest.mock('../../models/vaultKeyModel', () => ({
+  __esModule: true,
+  default: {
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    find: jest.fn(),
+    updateOne: jest.fn()
+  }
+}));
+
+const masterKey = () => crypto.randomBytes(32).toString('base64');
+
+describe('Key Vault', () => {
+  const keyVault = new KeyVault();
+  const originalEnv = process.env;
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv, VAULT_MASTER_KEYS: `k1:${masterKey()}` };
+    stored = null;
+
+    VaultKey.findOneAndUpdate.mockImplementation((filter, update) => {
+      stored = { ...stored, ...update };
+      return Promise.resolve(stored);
+    });
+    VaultKey.findOne.mockImplementation(({ agentId }) =>
+      Promise.resolve(stored && stored.agentId === agentId ? stored : null)
+    );
+    VaultKey.find.mockImplementation(() => ({
+      cursor: () => (stored ? [stored] : [])
+    }));
+    VaultKey.updateOne.mockImplementation((filter, update) => {
+      stored = { ...stored, ...update };
+      return Promise.resolve({ modifiedCount: 1 });
+    });
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('should store a key encrypted and decrypt it for its owner', async () => {
+    const account = Account.generate();
+    const info = await keyVault.storePrivateKey('agent-1', 'user-1', account.privateKey.toString());
+
+    expect(info).toMatchObject({
+      address: account.accountAddress.toStringLong(),
+      masterKeyId: 'k1'
+    });
+    expect(info).not.toHaveProperty('encryptedPrivateKey');
+    expect(JSON.stringify(stored)).not.toContain(account.privateKey.toString().slice(2));
+
+    const privateKey = await keyVault.decryptPrivateKey('agent-1', 'user-1');
+    expect(privateKey).toBe(account.privateKey.toAIP80String());
+  });
+
+  it('should not decrypt a key for another user', async () => {
+    await keyVault.generateKey('agent-1', 'user-1');
+
+    await expect(keyVault.decryptPrivateKey('agent-1', 'user-2')).rejects.toMatchObject({
+      status: 404
+    });
+  });
+
+  it('should reject ciphertext moved to another agent', async () => {
+    await keyVault.generateKey('agent-1', 'user-1');
+    stored.agentId = 'agent-2';
+
+    await expect(keyVault.decryptPrivateKey('agent-2', 'user-1')).rejects.toThrow();
+  });
+
+  it('should reject an invalid private key', async () => {
+    await expect(keyVault.storePrivateKey('agent-1', 'user-1', 'not-a-key')).rejects.toMatchObject({
+      status: 400
+    });
+  });
+
+  it('should re-wrap keys under a new master key', async () => {
+    const info = await keyVault.generateKey('agent-1', 'user-1');
+    const privateKey = await keyVault.decryptPrivateKey('agent-1', 'user-1');
+
+    process.env.VAULT_MASTER_KEYS = `${process.env.VAULT_MASTER_KEYS},k2:${masterKey()}`;
+    await expect(keyVault.rotateMasterKey()).resolves.toEqual({
+      activeMasterKeyId: 'k2',
+      rewrapped: 1
+    });
+    expect(stored.masterKeyId).toBe('k2');
+
+    // The old master key is no longer needed
+    process.env.VAULT_MASTER_KEYS = process.env.VAULT_MASTER_KEYS.split(',')[1];
+    await expect(keyVault.decryptPrivateKey('agent-1', 'user-1')).resolves.toBe(privateKey);
+    expect(stored.address).toBe(info.address);
+  });
+
+  it('should refuse to work without master keys', async () => {
+    delete process.env.VAULT_MASTER_KEYS;
+
+    await expect(keyVault.generateKey('agent-1', 'user-1')).rejects.toThrow(
+      'Key vault is not configured'
+    );
+  });
+});
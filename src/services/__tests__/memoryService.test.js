@@ -0,0 +1,145 @@
+import mongoose from 'mongoose';
+import { MemoryService } from '../memoryService';
+
+const chain = result => {
+  const query = {
+    sort: () => query,
+    limit: () => query,
+    skip: () => query,
+    select: () => query,
+    lean: () => Promise.resolve(result)
+  };
+  return query;
+};
+
+jest.mock('../../models/conversationSummaryModel', () => ({
+  __esModule: true,
+  default: { findOneAndUpdate: jest.fn(), updateOne: jest.fn(() => Promise.resolve()) }
+}));
+jest.mock('../../models/conversationMessageModel', () => ({
+  __esModule: true,
+  default: { find: jest.fn() }
+}));
+jest.mock('../../models/agentMemoryModel', () => ({
+  __esModule: true,
+  default: {
+    updateOne: jest.fn(() => Promise.resolve()),
+    find: jest.fn(),
+    deleteMany: jest.fn(() => Promise.resolve())
+  }
+}));
+
+const ConversationSummary = jest.requireMock('../../models/conversationSummaryModel').default;
+const ConversationMessage = jest.requireMock('../../models/conversationMessageModel').default;
+const AgentMemory = jest.requireMock('../../models/agentMemoryModel').default;
+
+const agent = { agentId: 'agent-1', userId: 'user-1' };
+const summaryId = new mongoose.Types.ObjectId();
+
+const messages = count =>
+  Array.from({ length: count }, (_, i) => ({
+    _id: new mongoose.Types.ObjectId(),
+    role: i % 2 ? 'assistant' : 'user',
+    content: `m${i + 1}`,
+    timestamp: new Date(Date.UTC(2026, 0, 1, 12, 0, i))
+  }));
+
+const modelReplying = content => {
+  const model = { invoke: jest.fn(() => Promise.resolve({ content })) };
+  return { model, createModel: () => model };
+};
+
+describe('Memory Service', () => {
+  const service = new MemoryService({ recentMessages: 2, batchSize: 3, maxMemories: 10 });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ConversationSummary.findOneAndUpdate.mockImplementation((filter, update) =>
+      Promise.resolve({ _id: summaryId, text: 'Earlier summary', ...(update.$set || {}) })
+    );
+    AgentMemory.find.mockReturnValue(chain([]));
+  });
+
+  it('should wait until older messages fill a batch', async () => {
+    ConversationMessage.find.mockReturnValue(chain(messages(4)));
+    const { model, createModel } = modelReplying('{}');
+
+    await expect(service.summarize(agent, 'conversation-1', createModel)).resolves.toBeNull();
+    expect(model.invoke).not.toHaveBeenCalled();
+    expect(ConversationSummary.updateOne).toHaveBeenCalledWith(
+      { _id: summaryId },
+      { $set: { lockedUntil: null } }
+    );
+  });
+
+  it('should fold the oldest batch into the summary and remember durable facts', async () => {
+    const pending = messages(5);
+    ConversationMessage.find.mockReturnValue(chain(pending));
+    const { model, createModel } = modelReplying(
+      JSON.stringify({
+        summary: 'The user sent 1 APT.',
+        memories: [{ category: 'preferred_token', key: 'APT', content: 'Holds APT' }]
+      })
+    );
+
+    await service.summarize(agent, 'conversation-1', createModel);
+
+    const [, prompt] = model.invoke.mock.calls[0][0];
+    expect(prompt.content).toContain('Current summary:\nEarlier summary');
+    expect(prompt.content).toContain('user: m1\nassistant: m2\nuser: m3');
+    expect(prompt.content).not.toContain('m4');
+    expect(AgentMemory.updateOne).toHaveBeenCalledWith(
+      { agentId: 'agent-1', category: 'preferred_token', key: 'apt', source: 'extracted' },
+      { $set: { content: 'Holds APT', conversationId: 'conversation-1', userId: 'user-1' } },
+      { upsert: true }
+    );
+    expect(ConversationSummary.findOneAndUpdate).toHaveBeenLastCalledWith(
+      { _id: summaryId },
+      {
+        $set: {
+          text: 'The user sent 1 APT.',
+          throughTimestamp: pending[2].timestamp,
+          throughMessageId: pending[2]._id,
+          lockedUntil: null
+        },
+        $inc: { summarizedMessages: 3 }
+      },
+      { new: true }
+    );
+  });
+
+  it('should leave memories the user edited alone', async () => {
+    ConversationMessage.find.mockReturnValue(chain(messages(5)));
+    AgentMemory.updateOne.mockImplementationOnce(() =>
+      Promise.reject(Object.assign(new Error('duplicate key'), { code: 11000 }))
+    );
+    const { createModel } = modelReplying(
+      '{"summary": "s", "memories": [{"category": "risk_tolerance", "content": "Degen"}]}'
+    );
+
+    await expect(service.summarize(agent, 'conversation-1', createModel)).resolves.toBeTruthy();
+  });
+
+  it('should skip conversations another worker is summarizing', async () => {
+    ConversationSummary.findOneAndUpdate.mockImplementationOnce(() =>
+      Promise.reject(Object.assign(new Error('duplicate key'), { code: 11000 }))
+    );
+    const { model, createModel } = modelReplying('{}');
+
+    await expect(service.summarize(agent, 'conversation-1', createModel)).resolves.toBeNull();
+    expect(model.invoke).not.toHaveBeenCalled();
+  });
+
+  it('should release the conversation when the summary cannot be read', async () => {
+    ConversationMessage.find.mockReturnValue(chain(messages(5)));
+    const { createModel } = modelReplying('Sorry, I cannot do that.');
+
+    await expect(service.summarize(agent, 'conversation-1', createModel)).rejects.toThrow(
+      'no summary'
+    );
+    expect(ConversationSummary.updateOne).toHaveBeenCalledWith(
+      { _id: summaryId },
+      { $set: { lockedUntil: null } }
+    );
+  });
+});
@@ -0,0 +1,183 @@
+import { Annotation, StateGraph, START, END } from '@langchain/langgraph';
+import { MongoCheckpointSaver, parseThreadId, threadIdFor } from '../mongoCheckpointSaver';
+import Checkpoint from '../../models/checkpointModel';
+import CheckpointWrite from '../../models/checkpointWriteModel';
+
+// In-memory stand-in for a Mongoose model, covering the queries the saver makes
+const fakeModel = () => {
+  let docs = [];
+
+  const matches = (doc, query) =>
+    Object.entries(query).every(([key, value]) =>
+      value && typeof value === 'object' && '$lt' in value
+        ? doc[key] < value.$lt
+        : doc[key] === value
+    );
+
+  const query = (filter, single = false) => {
+    let results = docs.filter(doc => matches(doc, filter));
+    const chain = {
+      sort: spec => {
+        const [[key, direction]] = Object.entries(spec);
+        results = [...results].sort((a, b) => (a[key] < b[key] ? -direction : direction));
+        return chain;
+      },
+      limit: count => {
+        results = results.slice(0, count);
+        return chain;
+      },
+      lean: () => chain,
+      cursor: () => results,
+      then: (resolve, reject) =>
+        Promise.resolve(single ? results[0] || null : results).then(resolve, reject)
+    };
+    return chain;
+  };
+
+  const upsert = (filter, update) => {
+    const existing = docs.find(doc => matches(doc, filter));
+    if (update.$setOnInsert) {
+      if (!existing) {
+        docs.push({ ...filter, ...update.$setOnInsert });
+      }
+      return;
+    }
+    const fields = update.$set || update;
+    if (existing) {
+      Object.assign(existing, fields);
+    } else {
+      docs.push({ ...filter, ...fields });
+    }
+  };
+
+  return {
+    reset: () => {
+      docs = [];
+    },
+    find: jest.fn(query),
+    findOne: jest.fn(filter => query(filter, true)),
+    updateOne: jest.fn((filter, update) => Promise.resolve(upsert(filter, update))),
+    bulkWrite: jest.fn(operations =>
+      Promise.resolve(
+        operations.forEach(({ updateOne }) => upsert(updateOne.filter, updateOne.update))
+      )
+    ),
+    deleteMany: jest.fn(filter => {
+      const before = docs.length;
+      docs = docs.filter(doc => !matches(doc, filter));
+      return Promise.resolve({ deletedCount: before - docs.length });
+    })
+  };
+};
+
+jest.mock('../../models/checkpointModel', () => ({ __esModule: true, default: fakeModel() }));
+jest.mock('../../models/checkpointWriteModel', () => ({ __esModule: true, default: fakeModel() }));
+
+// A two-step graph that records the steps it ran
+const State = Annotation.Root({
+  steps: Annotation({ reducer: (a, b) => a.concat(b), default: () => [] })
+});
+
+const buildGraph = (saver, options = {}) =>
+  new StateGraph(State)
+    .addNode('plan', state => ({ steps: [`plan:${state.steps.length}`] }))
+    .addNode('act', () => ({ steps: ['act'] }))
+    .addEdge(START, 'plan')
+    .addEdge('plan', 'act')
+    .addEdge('act', END)
+    .compile({ checkpointer: saver, ...options });
+
+describe('Mongo Checkpoint Saver', () => {
+  const threadId = threadIdFor('agent-1', 'conversation-1');
+  const config = { configurable: { thread_id: threadId } };
+  let saver;
+
+  beforeEach(() => {
+    Checkpoint.reset();
+    CheckpointWrite.reset();
+    saver = new MongoCheckpointSaver();
+  });
+
+  it('should split thread IDs into agent and conversation', () => {
+    expect(parseThreadId(threadId)).toEqual({
+      agentId: 'agent-1',
+      conversationId: 'conversation-1'
+    });
+    expect(() => parseThreadId('no-separator')).toThrow('Invalid checkpoint thread ID');
+  });
+
+  it('should continue a thread from its latest checkpoint', async () => {
+    const graph = buildGraph(saver);
+
+    await graph.invoke({ steps: ['start'] }, config);
+    const result = await graph.invoke({ steps: ['again'] }, config);
+
+    expect(result.steps).toEqual(['start', 'plan:1', 'act', 'again', 'plan:4', 'act']);
+    expect(Checkpoint.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ threadId }),
+      expect.objectContaining({ agentId: 'agent-1', conversationId: 'conversation-1' }),
+      { upsert: true }
+    );
+  });
+
+  it('should list checkpoints newest first with their parents', async () => {
+    await buildGraph(saver).invoke({ steps: ['start'] }, config);
+
+    const checkpoints = [];
+    for await (const tuple of saver.list(config)) {
+      checkpoints.push(tuple);
+    }
+
+    expect(checkpoints.map(tuple => tuple.metadata.step)).toEqual([2, 1, 0, -1]);
+    expect(checkpoints[0].parentConfig.configurable.checkpoint_id).toBe(
+      checkpoints[1].config.configurable.checkpoint_id
+    );
+
+    const page = [];
+    for await (const tuple of saver.list(config, { limit: 2, before: checkpoints[0].config })) {
+      page.push(tuple.metadata.step);
+    }
+    expect(page).toEqual([1, 0]);
+
+    const byAgent = [];
+    for await (const tuple of saver.list({ configurable: { agent_id: 'agent-1' } }, { limit: 1 })) {
+      byAgent.push(tuple);
+    }
+    expect(byAgent).toHaveLength(1);
+  });
+
+  it('should resume an interrupted run', async () => {
+    const graph = buildGraph(saver, { interruptBefore: ['act'] });
+
+    await graph.invoke({ steps: ['start'] }, config);
+    expect((await graph.getState(config)).next).toEqual(['act']);
+
+    const result = await graph.invoke(null, config);
+    expect(result.steps).toEqual(['start', 'plan:1', 'act']);
+    expect((await graph.getState(config)).next).toEqual([]);
+  });
+
+  it('should fork from an earlier checkpoint', async () => {
+    const graph = buildGraph(saver);
+    await graph.invoke({ steps: ['start'] }, config);
+
+    const history = [];
+    for await (const snapshot of graph.getStateHistory(config)) {
+      history.push(snapshot);
+    }
+    const afterPlan = history.find(snapshot => snapshot.next[0] === 'act');
+
+    const forked = await graph.invoke({ steps: ['fork'] }, afterPlan.config);
+    expect(forked.steps).toEqual(['start', 'plan:1', 'fork', 'plan:3', 'act']);
+
+    // The fork is now the thread's latest state
+    expect((await graph.getState(config)).values.steps).toEqual(forked.steps);
+  });
+
+  it('should delete the checkpoints of an agent', async () => {
+    await buildGraph(saver).invoke({ steps: ['start'] }, config);
+
+    await expect(saver.deleteAgent('agent-1')).resolves.toBe(4);
+    await expect(saver.getTuple(config)).resolves.toBeUndefined();
+  });
+});
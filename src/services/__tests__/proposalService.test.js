@@ -0,0 +1,101 @@
+import { ProposalService } from '../proposalService';
+
+// In-memory stand-in for the proposal collection, covering the queries the service makes
+jest.mock('../../models/proposalModel', () => {
+  let docs = [];
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([key, value]) => {
+      if (key === 'expiresAt') {
+        return value.$gt ? doc.expiresAt > value.$gt : doc.expiresAt <= value.$lte;
+      }
+      return doc[key] === value;
+    });
+
+  return {
+    __esModule: true,
+    PROPOSAL_STATUSES: ['pending', 'approved', 'rejected', 'expired', 'executed', 'failed'],
+    default: {
+      reset: () => {
+        docs = [];
+      },
+      create: jest.fn(fields => {
+        const doc = { status: 'pending', ...fields };
+        docs.push(doc);
+        return Promise.resolve(doc);
+      }),
+      findOne: jest.fn(filter => Promise.resolve(docs.find(doc => matches(doc, filter)) || null)),
+      findOneAndUpdate: jest.fn((filter, update) => {
+        const doc = docs.find(candidate => matches(candidate, filter));
+        if (doc) {
+          Object.assign(doc, update.$set);
+        }
+        return Promise.resolve(doc || null);
+      })
+    }
+  };
+});
+
+const Proposal = jest.requireMock('../../models/proposalModel').default;
+
+const fields = {
+  agentId: 'agent-1',
+  userId: 'user-1',
+  conversationId: 'conversation-1',
+  checkpointId: 'checkpoint-1',
+  toolCalls: [{ id: 'call-1', name: 'aptos_transfer_token', args: {}, requiresApproval: true }]
+};
+
+describe('Proposal Service', () => {
+  beforeEach(() => {
+    Proposal.reset();
+  });
+
+  it('should create pending proposals that expire after the TTL', async () => {
+    const service = new ProposalService({ ttlMs: 1000 });
+    const before = Date.now();
+    const proposal = await service.create(fields);
+
+    expect(proposal.status).toBe('pending');
+    expect(proposal.proposalId).toEqual(expect.any(String));
+    expect(proposal.expiresAt.getTime()).toBeGreaterThanOrEqual(before + 1000);
+    await expect(service.findPending('agent-1', 'conversation-1')).resolves.toBe(proposal);
+  });
+
+  it('should decide a proposal only once', async () => {
+    const service = new ProposalService();
+    const { proposalId } = await service.create(fields);
+
+    const approved = await service.transition('agent-1', proposalId, 'pending', 'approved', {
+      decidedBy: 'user-1'
+    });
+    expect(approved).toMatchObject({ status: 'approved', decidedBy: 'user-1' });
+    expect(approved.decidedAt).toBeInstanceOf(Date);
+    await expect(
+      service.transition('agent-1', proposalId, 'pending', 'rejected')
+    ).resolves.toBeNull();
+    await expect(
+      service.transition('agent-2', proposalId, 'approved', 'executed')
+    ).resolves.toBeNull();
+  });
+
+  it('should not let overdue proposals be approved, only expired', async () => {
+    const service = new ProposalService({ ttlMs: -1 });
+    const first = await service.create(fields);
+    await service.create({ ...fields, conversationId: 'conversation-2' });
+
+    await expect(
+      service.transition('agent-1', first.proposalId, 'pending', 'approved')
+    ).resolves.toBeNull();
+
+    const expired = await service.claimExpired();
+    expect(expired).toHaveLength(2);
+    expect(expired.every(proposal => proposal.status === 'expired')).toBe(true);
+    await expect(service.claimExpired()).resolves.toEqual([]);
+  });
+
+  it('should reject unknown status filters', async () => {
+    await expect(new ProposalService().list('agent-1', { status: 'open' })).rejects.toMatchObject({
+      status: 400
+    });
+  });
+});
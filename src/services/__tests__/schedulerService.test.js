@@ -0,0 +1,213 @@
+import { SchedulerService } from '../schedulerService';
+
+// In-memory stand-ins for the task and run collections, covering the queries the service makes;
+// defaults are the schema's
+function mockCollection({ defaults = {}, unique = [] } = {}) {
+  let docs = [];
+  let nextId = 1;
+  const same = (a, b) => (a instanceof Date || b instanceof Date ? +a === +b : a === b);
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([key, condition]) => {
+      if (key === '$or') {
+        return condition.some(alternative => matches(doc, alternative));
+      }
+      const value = doc[key];
+      if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+        return (
+          (!('$lte' in condition) || (value && value <= condition.$lte)) &&
+          (!('$lt' in condition) || (value && value < condition.$lt)) &&
+          (!('$ne' in condition) || !same(value, condition.$ne))
+        );
+      }
+      return same(value, condition ?? null) || (condition === null && value === undefined);
+    });
+  const apply = (doc, update) => {
+    Object.assign(doc, update.$set);
+    for (const [key, amount] of Object.entries(update.$inc || {})) {
+      doc[key] = (doc[key] || 0) + amount;
+    }
+  };
+  const query = result => {
+    const chain = {
+      sort: () => chain,
+      limit: () => chain,
+      then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return chain;
+  };
+
+  return {
+    reset: () => {
+      docs = [];
+    },
+    docs: () => docs,
+    create: jest.fn(fields => {
+      if (docs.some(doc => unique.every(key => same(doc[key], fields[key])))) {
+        return Promise.reject(Object.assign(new Error('duplicate key'), { code: 11000 }));
+      }
+      const doc = { _id: nextId++, ...defaults, ...fields };
+      docs.push(doc);
+      return Promise.resolve(doc);
+    }),
+    find: jest.fn(filter =>
+      query(docs.filter(doc => matches(doc, filter)).map(doc => ({ ...doc })))
+    ),
+    findOne: jest.fn(filter => Promise.resolve(docs.find(doc => matches(doc, filter)) || null)),
+    findOneAndUpdate: jest.fn((filter, update) => {
+      const doc = docs.find(candidate => matches(candidate, filter));
+      if (doc) {
+        apply(doc, update);
+      }
+      return Promise.resolve(doc ? { ...doc } : null);
+    }),
+    updateMany: jest.fn((filter, update) => {
+      const matched = docs.filter(doc => matches(doc, filter));
+      matched.forEach(doc => apply(doc, update));
+      return Promise.resolve({ modifiedCount: matched.length });
+    }),
+    countDocuments: jest.fn(filter =>
+      Promise.resolve(docs.filter(doc => matches(doc, filter)).length)
+    )
+  };
+}
+
+jest.mock('../../models/scheduledTaskModel', () => ({
+  __esModule: true,
+  TASK_STATUSES: ['active', 'paused', 'completed'],
+  default: mockCollection({ defaults: { status: 'active', runCount: 0 } })
+}));
+jest.mock('../../models/taskRunModel', () => ({
+  __esModule: true,
+  default: mockCollection({ defaults: { status: 'running' }, unique: ['taskId', 'scheduledFor'] })
+}));
+
+const ScheduledTask = jest.requireMock('../../models/scheduledTaskModel').default;
+const TaskRun = jest.requireMock('../../models/taskRunModel').default;
+
+const agent = { agentId: 'agent-1', userId: 'user-1' };
+const prompt = { type: 'prompt', prompt: 'Send me my balance' };
+
+// Create a task and make it due
+const dueTask = async (service, schedule) => {
+  const task = await service.create(agent, { name: 'Balance', schedule, action: prompt });
+  const stored = ScheduledTask.docs().find(doc => doc.taskId === task.taskId);
+  stored.nextRunAt = new Date(Date.now() - 1000);
+  return stored;
+};
+
+describe('Scheduler Service', () => {
+  beforeEach(() => {
+    ScheduledTask.reset();
+    TaskRun.reset();
+  });
+
+  it('should run a due task once even when several workers poll', async () => {
+    const workers = [new SchedulerService(), new SchedulerService(), new SchedulerService()];
+    const task = await dueTask(workers[0], { type: 'interval', everyMs: 60 * 60 * 1000 });
+    const execute = jest.fn(() => Promise.resolve({ status: 'succeeded', response: '1 APT' }));
+
+    const started = await Promise.all(workers.map(worker => worker.runDue(execute)));
+
+    expect(started.reduce((sum, count) => sum + count, 0)).toBe(1);
+    expect(execute).toHaveBeenCalledTimes(1);
+    expect(TaskRun.docs()).toEqual([
+      expect.objectContaining({ taskId: task.taskId, status: 'succeeded', response: '1 APT' })
+    ]);
+    expect(task).toMatchObject({ status: 'active', runCount: 1 });
+    expect(task.nextRunAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('should complete one-shot tasks after their run', async () => {
+    const service = new SchedulerService();
+    const task = await dueTask(service, {
+      type: 'once',
+      runAt: new Date(Date.now() + 60 * 1000).toISOString()
+    });
+    task.schedule.runAt = task.nextRunAt;
+
+    await service.runDue(() => Promise.resolve({ status: 'succeeded' }));
+
+    expect(task).toMatchObject({ status: 'completed', nextRunAt: null, runCount: 1 });
+  });
+
+  it('should record runs that throw as failed, without retrying them', async () => {
+    const service = new SchedulerService();
+    await dueTask(service, { type: 'interval', everyMs: 60 * 60 * 1000 });
+    const execute = jest.fn(() => Promise.reject(new Error('The agent has no wallet yet')));
+
+    await service.runDue(execute);
+    await service.runDue(execute);
+
+    expect(execute).toHaveBeenCalledTimes(1);
+    expect(TaskRun.docs()).toEqual([
+      expect.objectContaining({ status: 'failed', error: 'The agent has no wallet yet' })
+    ]);
+  });
+
+  it('should fail runs interrupted by a restart', async () => {
+    const service = new SchedulerService({ runTimeoutMs: 1000 });
+    await TaskRun.create({
+      taskId: 'task-1',
+      scheduledFor: new Date(0),
+      status: 'running',
+      startedAt: new Date(Date.now() - 5000)
+    });
+
+    await expect(service.failInterrupted()).resolves.toBe(1);
+    expect(TaskRun.docs()[0]).toMatchObject({
+      status: 'failed',
+      error: 'The run was interrupted before it finished'
+    });
+  });
+
+  it('should record how a slow run ended after it was failed as interrupted', async () => {
+    const service = new SchedulerService({ runTimeoutMs: 1000 });
+    const run = await TaskRun.create({
+      taskId: 'task-1',
+      scheduledFor: new Date(0),
+      status: 'running',
+      startedAt: new Date(Date.now() - 5000)
+    });
+    await service.failInterrupted();
+
+    await service.finishRun(run, { status: 'succeeded', transactionHashes: ['0xabc'] });
+    expect(TaskRun.docs()[0]).toMatchObject({
+      status: 'succeeded',
+      error: null,
+      transactionHashes: ['0xabc']
+    });
+
+    // A run that finished is not overwritten
+    await expect(service.finishRun(run, { status: 'failed' })).resolves.toBeNull();
+  });
+
+  it('should pause and resume tasks', async () => {
+    const service = new SchedulerService();
+    const task = await dueTask(service, { type: 'interval', everyMs: 60 * 60 * 1000 });
+
+    await expect(service.pause('agent-1', task.taskId)).resolves.toMatchObject({
+      status: 'paused',
+      nextRunAt: null
+    });
+    await expect(service.runDue(jest.fn())).resolves.toBe(0);
+    await expect(service.pause('agent-1', task.taskId)).rejects.toMatchObject({ status: 409 });
+
+    const resumed = await service.resume('agent-1', task.taskId);
+    expect(resumed.status).toBe('active');
+    expect(resumed.nextRunAt.getTime()).toBeGreaterThan(Date.now());
+    await expect(service.resume('agent-2', task.taskId)).resolves.toBeNull();
+  });
+
+  it('should limit how many tasks an agent has', async () => {
+    const service = new SchedulerService({ maxTasks: 1 });
+    await dueTask(service, { type: 'interval', everyMs: 60 * 60 * 1000 });
+
+    await expect(
+      service.create(agent, {
+        name: 'Another',
+        schedule: { type: 'cron', cron: '@daily' },
+        action: prompt
+      })
+    ).rejects.toMatchObject({ status: 409 });
+  });
+});
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+import { SessionService } from '../sessionService';
+import Session from '../../models/sessionModel';
+
+jest.mock('../../models/sessionModel', () => ({
+  __esModule: true,
+  default: {
+    create: jest.fn(),
+    findById: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn()
+  }
+}));
+
+describe('Session Service', () => {
+  const sessionService = new SessionService();
+  const sessionId = new mongoose.Types.ObjectId().toString();
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    Session.create.mockImplementation(data => {
+      stored = { ...data, _id: sessionId, id: sessionId, revokedAt: null, previousTokenHash: null };
+      return Promise.resolve(stored);
+    });
+    Session.findById.mockImplementation(() => Promise.resolve(stored));
+    Session.findOneAndUpdate.mockImplementation((filter, update) => {
+      if (filter.refreshTokenHash !== stored.refreshTokenHash || stored.revokedAt) {
+        return Promise.resolve(null);
+      }
+      stored = { ...stored, ...update };
+      return Promise.resolve(stored);
+    });
+    Session.updateOne.mockImplementation((filter, update) => {
+      stored = { ...stored, ...update };
+      return Promise.resolve({ modifiedCount: 1 });
+    });
+  });
+
+  const startSession = () =>
+    sessionService.createSession('user-1', { address: '0x1', chain: 'aptos', device: 'test' });
+
+  it('should issue a refresh token prefixed with the session id and store only its hash', async () => {
+    const { refreshToken } = await startSession();
+    const [id, secret] = refreshToken.split('.');
+
+    expect(id).toBe(sessionId);
+    expect(stored.refreshTokenHash).toHaveLength(64);
+    expect(stored.refreshTokenHash).not.toContain(secret);
+  });
+
+  it('should rotate the refresh token on use', async () => {
+    const { refreshToken } = await startSession();
+    const rotated = await sessionService.rotateRefreshToken(refreshToken);
+
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    await expect(sessionService.rotateRefreshToken(rotated.refreshToken)).resolves.toBeDefined();
+  });
+
+  it('should revoke the session when a rotated token is replayed', async () => {
+    const { refreshToken } = await startSession();
+    await sessionService.rotateRefreshToken(refreshToken);
+
+    await expect(sessionService.rotateRefreshToken(refreshToken)).rejects.toMatchObject({
+      status: 401
+    });
+    expect(stored.revokedReason).toBe('refresh_token_reuse');
+  });
+
+  it('should reject malformed tokens', async () => {
+    await expect(sessionService.rotateRefreshToken('garbage')).rejects.toMatchObject({
+      status: 401
+    });
+  });
+});
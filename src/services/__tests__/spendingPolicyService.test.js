@@ -0,0 +1,400 @@
+import {
+  AccountAddress,
+  EntryFunction,
+  MoveVector,
+  TransactionPayloadEntryFunction,
+  U64,
+  parseTypeTag
+} from '@aptos-labs/ts-sdk';
+import {
+  SpendingPolicyService,
+  describeTransaction,
+  evaluatePolicy
+} from '../spendingPolicyService';
+import { PolicySigner, captureTransactions } from '../policySigner';
+import PolicySpend from '../../models/policySpendModel';
+
+// In-memory stand-in for the spend ledger, covering the queries the service makes
+jest.mock('../../models/policySpendModel', () => {
+  let docs = [];
+  let nextId = 1;
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([key, value]) => {
+      if (key === '_id') {
+        return value.$in.includes(doc._id);
+      }
+      if (key === 'createdAt') {
+        return doc.createdAt > value.$gt && (!value.$lte || doc.createdAt <= value.$lte);
+      }
+      return doc[key] === value;
+    });
+
+  return {
+    __esModule: true,
+    default: {
+      docs: () => docs,
+      reset: () => {
+        docs = [];
+      },
+      insertMany: jest.fn(entries => {
+        const created = entries.map(entry => ({ _id: nextId++, status: 'reserved', ...entry }));
+        docs.push(...created);
+        return Promise.resolve(created);
+      }),
+      find: jest.fn(filter => {
+        const chain = {
+          select: () => chain,
+          lean: () => Promise.resolve(docs.filter(doc => matches(doc, filter)))
+        };
+        return chain;
+      }),
+      updateMany: jest.fn((filter, update) => {
+        docs.filter(doc => matches(doc, filter)).forEach(doc => Object.assign(doc, update.$set));
+        return Promise.resolve();
+      }),
+      deleteMany: jest.fn(filter => {
+        docs = docs.filter(doc => !matches(doc, filter));
+        return Promise.resolve();
+      })
+    }
+  };
+});
+
+const address = suffix => `0x${suffix.padStart(64, '0')}`;
+
+// The result of simulating a transaction that succeeds or aborts, with its write set
+const simulated = (success, changes = []) => ({
+  success,
+  vm_status: success ? 'Executed successfully' : 'Move abort in 0x1::coin: 0x10006',
+  gas_used: '10',
+  gas_unit_price: '100',
+  changes
+});
+const APT_STORE = '0x1::coin::CoinStore<0x1::aptos_coin::AptosCoin>';
+const bob = address('b0b');
+const eve = address('e5e');
+
+// A transaction calling an entry function, as move-agent-kit builds them
+const transactionFor = (functionId, typeArgs, args) => {
+  const [moduleAddress, moduleName, functionName] = functionId.split('::');
+  const entryFunction = EntryFunction.build(
+    `${moduleAddress}::${moduleName}`,
+    functionName,
+    typeArgs.map(tag => parseTypeTag(tag)),
+    args
+  );
+  return { rawTransaction: { payload: new TransactionPayloadEntryFunction(entryFunction) } };
+};
+
+const sendApt = (to, amount) =>
+  transactionFor(
+    '0x1::coin::transfer',
+    ['0x1::aptos_coin::AptosCoin'],
+    [AccountAddress.from(to), new U64(amount)]
+  );
+
+describe('Spending Policy Service', () => {
+  const noon = new Date('2026-01-01T12:00:00Z');
+
+  beforeEach(() => {
+    PolicySpend.reset();
+  });
+
+  it('should describe the transfers a transaction makes', () => {
+    expect(describeTransaction(sendApt(bob, 5))).toEqual({
+      script: false,
+      contract: `${address('1')}::coin::transfer`,
+      transfers: [{ recipient: bob, asset: 'APT', amount: 5n }]
+    });
+
+    const batch = transactionFor(
+      '0x1::aptos_account::batch_transfer',
+      [],
+      [new MoveVector([AccountAddress.from(bob), AccountAddress.from(eve)]), MoveVector.U64([1, 2])]
+    );
+    expect(describeTransaction(batch).transfers).toEqual([
+      { recipient: bob, asset: 'APT', amount: 1n },
+      { recipient: eve, asset: 'APT', amount: 2n }
+    ]);
+
+    const swap = transactionFor(`${address('abc')}::router::swap`, [], [new U64(7)]);
+    expect(describeTransaction(swap)).toEqual({
+      script: false,
+      contract: `${address('abc')}::router::swap`,
+      transfers: []
+    });
+  });
+
+  it('should report every rule a transaction breaks', () => {
+    const policy = {
+      limits: [{ asset: 'APT', perTransaction: '10' }],
+      recipients: { allow: [], deny: [eve] },
+      contracts: { allow: [`${address('1')}::aptos_account`] },
+      blockedHours: { timezone: 'UTC', hours: [12] }
+    };
+
+    const codes = evaluatePolicy(policy, describeTransaction(sendApt(eve, 11)), noon).map(
+      violation => violation.code
+    );
+    expect(codes).toEqual([
+      'blocked_hours',
+      'contract_not_allowed',
+      'recipient_denied',
+      'per_transaction_limit'
+    ]);
+    expect(evaluatePolicy(null, describeTransaction(sendApt(eve, 11)), noon)).toEqual([]);
+    expect(
+      evaluatePolicy({ recipients: { allow: [bob] } }, describeTransaction(sendApt(eve, 1)))
+    ).toEqual([expect.objectContaining({ code: 'recipient_not_allowed', recipient: eve })]);
+    expect(evaluatePolicy({ limits: [{ asset: 'APT' }] }, { script: true, transfers: [] })).toEqual(
+      [expect.objectContaining({ code: 'script_not_allowed' })]
+    );
+  });
+
+  it('should count the rolling daily limit across transactions', async () => {
+    const service = new SpendingPolicyService({
+      loadPolicy: () => Promise.resolve({ limits: [{ asset: 'APT', daily: '100' }] })
+    });
+
+    const first = await service.authorize('agent-1', sendApt(bob, 60), noon);
+    await service.settle(first, '0xhash');
+    await expect(service.authorize('agent-1', sendApt(bob, 50), noon)).rejects.toMatchObject({
+      status: 403,
+      violations: [
+        expect.objectContaining({ code: 'daily_limit', spent: '60', amount: '50', limit: '100' })
+      ]
+    });
+    // The refused transaction's reservation is dropped, and the window rolls over
+    expect(PolicySpend.docs()).toEqual([
+      expect.objectContaining({ amount: '60', status: 'settled', txHash: '0xhash' })
+    ]);
+    const tomorrow = new Date(noon.getTime() + 24 * 60 * 60 * 1000 + 1);
+    await expect(service.authorize('agent-1', sendApt(bob, 50), tomorrow)).resolves.toHaveLength(1);
+  });
+
+  it('should refuse to sign transactions the policy does not allow', async () => {
+    const service = new SpendingPolicyService({
+      loadPolicy: () => Promise.resolve({ recipients: { deny: [eve] } })
+    });
+    const aptos = {
+      transaction: {
+        sign: jest.fn(),
+        simulate: { simple: () => Promise.resolve([simulated(true)]) },
+        submit: { simple: jest.fn() }
+      },
+      waitForTransaction: jest.fn()
+    };
+    const signer = new PolicySigner({}, aptos, service.guardFor('agent-1'));
+
+    await expect(signer.sendTransaction(sendApt(eve, 1))).rejects.toMatchObject({
+      message: expect.stringContaining('Blocked by spending policy'),
+      violations: [expect.objectContaining({ code: 'recipient_denied' })]
+    });
+    expect(aptos.transaction.sign).not.toHaveBeenCalled();
+  });
+
+  it('should count what other calls take from the wallet against the limits', async () => {
+    const agent = address('a11ce');
+    const service = new SpendingPolicyService({
+      loadPolicy: () => Promise.resolve({ limits: [{ asset: 'APT', perTransaction: '60000' }] })
+    });
+    // A swap whose arguments say nothing of the APT it takes: 100000 down to 9000 octas, of
+    // which 1000 is gas
+    const swap = transactionFor(`${address('abc')}::router::swap`, [], [new U64(7)]);
+    swap.rawTransaction.sender = AccountAddress.from(agent);
+    const aptos = {
+      getAccountResource: () => Promise.resolve({ coin: { value: '100000' } }),
+      transaction: {
+        sign: jest.fn(),
+        simulate: {
+          simple: () =>
+            Promise.resolve([
+              simulated(true, [
+                {
+                  type: 'write_resource',
+                  address: agent,
+                  data: { type: APT_STORE, data: { coin: { value: '9000' } } }
+                }
+              ])
+            ])
+        },
+        submit: { simple: jest.fn() }
+      },
+      waitForTransaction: jest.fn()
+    };
+    const signer = new PolicySigner({}, aptos, service.guardFor('agent-1'));
+
+    await expect(signer.sendTransaction(swap)).rejects.toMatchObject({
+      violations: [
+        expect.objectContaining({ code: 'per_transaction_limit', asset: 'APT', amount: '90000' })
+      ]
+    });
+    // Without a simulation there is nothing to count it with
+    await expect(service.authorize('agent-1', swap, noon)).rejects.toMatchObject({
+      violations: [expect.objectContaining({ code: 'unchecked_spending' })]
+    });
+    expect(aptos.transaction.submit.simple).not.toHaveBeenCalled();
+    expect(PolicySpend.docs()).toEqual([]);
+
+    const reserved = await service.authorize('agent-1', swap, noon, {
+      fee: '1000',
+      balanceChanges: [{ address: agent, asset: 'APT', amount: '-51000' }]
+    });
+    expect(reserved).toHaveLength(1);
+    expect(PolicySpend.docs()).toEqual([
+      expect.objectContaining({ asset: 'APT', amount: '50000', status: 'reserved' })
+    ]);
+  });
+
+  it('should check who other calls pay against the recipient lists', async () => {
+    const agent = address('a11ce');
+    const service = new SpendingPolicyService({
+      loadPolicy: () => Promise.resolve({ recipients: { allow: [bob] } })
+    });
+    const call = transactionFor(`${address('abc')}::vault::withdraw_to`, [], [new U64(7)]);
+    call.rawTransaction.sender = AccountAddress.from(agent);
+
+    await expect(service.authorize('agent-1', call, noon)).rejects.toMatchObject({
+      violations: [expect.objectContaining({ code: 'unchecked_recipients' })]
+    });
+    await expect(
+      service.authorize('agent-1', call, noon, {
+        fee: '1000',
+        balanceChanges: [
+          { address: agent, asset: 'APT', amount: '-6000' },
+          { address: eve, asset: 'APT', amount: '5000' }
+        ]
+      })
+    ).rejects.toMatchObject({
+      violations: [expect.objectContaining({ code: 'recipient_not_allowed', recipient: eve })]
+    });
+    await expect(
+      service.authorize('agent-1', call, noon, {
+        fee: '1000',
+        balanceChanges: [
+          { address: agent, asset: 'APT', amount: '-6000' },
+          { address: bob, asset: 'APT', amount: '5000' }
+        ]
+      })
+    ).resolves.toHaveLength(1);
+  });
+
+  it('should release what a failed transaction reserved', async () => {
+    const service = new SpendingPolicyService({ loadPolicy: () => Promise.resolve(null) });
+    const aptos = {
+      transaction: {
+        sign: jest.fn(() => 'signature'),
+        simulate: { simple: () => Promise.resolve([simulated(true)]) },
+        submit: { simple: () => Promise.resolve({ hash: '0x1' }) }
+      },
+      waitForTransaction: () => Promise.resolve({ success: false, hash: '0x1' })
+    };
+    const signer = new PolicySigner({}, aptos, service.guardFor('agent-1'));
+
+    await expect(signer.sendTransaction(sendApt(bob, 5))).resolves.toBe('0x1');
+    expect(aptos.transaction.sign).toHaveBeenCalled();
+    expect(PolicySpend.docs()).toEqual([]);
+  });
+
+  it('should submit through the sender when it has one', async () => {
+    const service = new SpendingPolicyService({ loadPolicy: () => Promise.resolve(null) });
+    const aptos = {
+      transaction: {
+        sign: jest.fn(),
+        simulate: { simple: () => Promise.resolve([simulated(true)]) },
+        submit: { simple: jest.fn() }
+      },
+      waitForTransaction: jest.fn()
+    };
+    const sender = { send: jest.fn(() => Promise.resolve({ success: true, hash: '0x2' })) };
+    const signer = new PolicySigner({}, aptos, service.guardFor('agent-1'), sender);
+    const transaction = sendApt(bob, 5);
+
+    await expect(signer.sendTransaction(transaction)).resolves.toBe('0x2');
+    expect(sender.send).toHaveBeenCalledWith(aptos, {}, transaction);
+    expect(aptos.transaction.submit.simple).not.toHaveBeenCalled();
+    expect(PolicySpend.docs()).toEqual([
+      expect.objectContaining({ status: 'settled', txHash: '0x2' })
+    ]);
+  });
+
+  it('should simulate a stale transaction with the sequence number the queue gives it', async () => {
+    const service = new SpendingPolicyService({ loadPolicy: () => Promise.resolve(null) });
+    const stale = Object.assign(new Error('Invalid transaction: SEQUENCE_NUMBER_TOO_OLD'), {
+      data: { error_code: 'vm_error', message: 'Invalid transaction: SEQUENCE_NUMBER_TOO_OLD' }
+    });
+    const simulate = jest.fn(({ transaction }) =>
+      transaction.rawTransaction.sequence_number === 5n
+        ? Promise.resolve([simulated(true)])
+        : Promise.reject(stale)
+    );
+    const aptos = {
+      getAccountInfo: () => Promise.resolve({ sequence_number: '5' }),
+      transaction: { simulate: { simple: simulate } }
+    };
+    const sender = { send: jest.fn(() => Promise.resolve({ success: true, hash: '0x4' })) };
+    const signer = new PolicySigner({}, aptos, service.guardFor('agent-1'), sender);
+    const transaction = sendApt(bob, 5);
+    transaction.rawTransaction.sender = AccountAddress.from(address('a11ce'));
+    transaction.rawTransaction.sequence_number = 4n;
+    transaction.rawTransaction.expiration_timestamp_secs = 1767268800n;
+
+    await expect(signer.sendTransaction(transaction)).resolves.toBe('0x4');
+    expect(simulate).toHaveBeenCalledTimes(2);
+    expect(sender.send).toHaveBeenCalledWith(aptos, {}, transaction);
+  });
+
+  it('should release what an expired transaction reserved', async () => {
+    const service = new SpendingPolicyService({ loadPolicy: () => Promise.resolve(null) });
+    const aptos = {
+      transaction: { simulate: { simple: () => Promise.resolve([simulated(true)]) } }
+    };
+    const expired = Object.assign(new Error('expired'), {
+      code: 'TRANSACTION_EXPIRED',
+      hash: '0x3'
+    });
+    const sender = { send: () => Promise.reject(expired) };
+    const signer = new PolicySigner({}, aptos, service.guardFor('agent-1'), sender);
+
+    await expect(signer.sendTransaction(sendApt(bob, 5))).rejects.toBe(expired);
+    expect(PolicySpend.docs()).toEqual([]);
+  });
+
+  it('should collect transactions for review instead of signing them', async () => {
+    const service = new SpendingPolicyService({ loadPolicy: () => Promise.resolve(null) });
+    const aptos = {
+      transaction: { sign: jest.fn(), submit: { simple: jest.fn() } },
+      waitForTransaction: jest.fn()
+    };
+    const signer = new PolicySigner({}, aptos, service.guardFor('agent-1'));
+    const transaction = sendApt(bob, 5);
+
+    const { output, transactions } = await captureTransactions(() =>
+      signer.sendTransaction(transaction).catch(error => error.message)
+    );
+    expect(output).toMatch(/prepared for review/);
+    expect(transactions).toEqual([transaction]);
+    expect(aptos.transaction.sign).not.toHaveBeenCalled();
+    expect(PolicySpend.docs()).toEqual([]);
+  });
+
+  it('should not submit transactions whose simulation fails', async () => {
+    const service = new SpendingPolicyService({ loadPolicy: () => Promise.resolve(null) });
+    const aptos = {
+      transaction: {
+        sign: jest.fn(),
+        simulate: { simple: () => Promise.resolve([simulated(false)]) },
+        submit: { simple: jest.fn() }
+      },
+      waitForTransaction: jest.fn()
+    };
+    const signer = new PolicySigner({}, aptos, service.guardFor('agent-1'));
+
+    await expect(signer.sendTransaction(sendApt(bob, 5))).rejects.toMatchObject({
+      message: expect.stringContaining('invalid argument'),
+      simulation: expect.objectContaining({ success: false })
+    });
+    expect(aptos.transaction.submit.simple).not.toHaveBeenCalled();
+    expect(PolicySpend.docs()).toEqual([]);
+  });
+});
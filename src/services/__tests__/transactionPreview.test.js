@@ -0,0 +1,94 @@
+import { balanceChanges, formatUnits, simulateTransaction } from '../transactionPreview';
+
+const address = suffix => `0x${suffix.padStart(64, '0')}`;
+const alice = address('a11ce');
+const bob = address('b0b');
+const aliceStore = address('a5');
+const bobStore = address('b5');
+
+// A client whose chain holds the given resources, keyed by address and type
+const clientWith = resources => ({
+  getAccountResource: jest.fn(({ accountAddress, resourceType }) => {
+    const resource = resources[`${accountAddress}|${resourceType}`];
+    return resource
+      ? Promise.resolve(resource)
+      : Promise.reject(Object.assign(new Error('Not found'), { status: 404 }));
+  })
+});
+
+const fungibleStore = (storeAddress, metadata, balance) => ({
+  type: 'write_resource',
+  address: storeAddress,
+  data: {
+    type: '0x1::fungible_asset::FungibleStore',
+    data: { metadata: { inner: metadata }, balance, frozen: false }
+  }
+});
+
+describe('Transaction Preview', () => {
+  it('should format amounts in whole units', () => {
+    expect(formatUnits(12000n, 8)).toBe('0.00012');
+    expect(formatUnits(150000000n, 8)).toBe('1.5');
+    expect(formatUnits(-100000000n, 8)).toBe('-1');
+  });
+
+  it('should work out balance changes from the stores a transaction writes', async () => {
+    const aptos = clientWith({
+      [`${aliceStore}|0x1::fungible_asset::FungibleStore`]: { balance: '1000' },
+      [`${aliceStore}|0x1::object::ObjectCore`]: { owner: alice },
+      [`${bob}|0x1::coin::CoinStore<0xcafe::usd::USD>`]: { coin: { value: '5' } }
+    });
+    const changes = [
+      fungibleStore(aliceStore, '0xa', '700'),
+      // Bob's new primary store, created by the transfer
+      fungibleStore(bobStore, '0xa', '250'),
+      {
+        type: 'write_resource',
+        address: bobStore,
+        data: { type: '0x1::object::ObjectCore', data: { owner: bob } }
+      },
+      {
+        type: 'write_resource',
+        address: bob,
+        data: { type: '0x1::coin::CoinStore<0xcafe::usd::USD>', data: { coin: { value: '5' } } }
+      },
+      { type: 'write_table_item', handle: '0x1', key: '0x2', value: '0x3' }
+    ];
+
+    await expect(balanceChanges(aptos, changes)).resolves.toEqual([
+      { address: alice, asset: 'APT', amount: '-300' },
+      { address: bob, asset: 'APT', amount: '250' }
+    ]);
+  });
+
+  it('should report the fee and why a simulated transaction would fail', async () => {
+    const aptos = {
+      ...clientWith({}),
+      transaction: {
+        simulate: {
+          simple: () =>
+            Promise.resolve([
+              {
+                success: false,
+                vm_status:
+                  'Move abort in 0x1::coin: EINSUFFICIENT_BALANCE(0x10006): Not enough coins',
+                gas_used: '12',
+                gas_unit_price: '100',
+                changes: [],
+                events: []
+              }
+            ])
+        }
+      }
+    };
+
+    await expect(simulateTransaction(aptos, null, {})).resolves.toMatchObject({
+      success: false,
+      failure: { reason: '0x1::coin aborted: Not enough coins', abort: { code: '0x10006' } },
+      gasUnits: '12',
+      fee: '1200',
+      feeApt: '0.000012',
+      balanceChanges: []
+    });
+  });
+});
@@ -0,0 +1,234 @@
+import {
+  AccountAddress,
+  ChainId,
+  EntryFunction,
+  RawTransaction,
+  SimpleTransaction,
+  TransactionPayloadEntryFunction,
+  U64,
+  parseTypeTag
+} from '@aptos-labs/ts-sdk';
+import { TransactionQueue, retryReason } from '../transactionQueue';
+
+// In-memory stand-in for the transaction collection, covering the queries the queue makes
+jest.mock('../../models/agentTransactionModel', () => {
+  let docs = [];
+  let nextId = 1;
+  return {
+    __esModule: true,
+    TRANSACTION_STATUSES: ['pending', 'committed', 'failed', 'expired'],
+    default: {
+      reset: () => {
+        docs = [];
+      },
+      docs: () => docs,
+      create: jest.fn(fields => {
+        const doc = { _id: nextId++, status: 'pending', attempts: 0, ...fields };
+        docs.push(doc);
+        return Promise.resolve(doc);
+      }),
+      updateOne: jest.fn((filter, update) => {
+        const doc = docs.find(
+          candidate =>
+            candidate._id === filter._id && (!filter.status || candidate.status === filter.status)
+        );
+        if (doc) {
+          Object.assign(doc, update.$set);
+        }
+        return Promise.resolve({ modifiedCount: doc ? 1 : 0 });
+      })
+    }
+  };
+});
+
+const AgentTransaction = jest.requireMock('../../models/agentTransactionModel').default;
+
+const alice = AccountAddress.from(`0x${'a11ce'.padStart(64, '0')}`);
+const bob = AccountAddress.from(`0x${'b0b'.padStart(64, '0')}`);
+const account = { accountAddress: alice };
+const network = { name: 'testnet' };
+
+// A transfer built with a stale sequence number, as move-agent-kit builds them
+const transfer = () =>
+  new SimpleTransaction(
+    new RawTransaction(
+      alice,
+      0n,
+      new TransactionPayloadEntryFunction(
+        EntryFunction.build(
+          '0x1::coin',
+          'transfer',
+          [parseTypeTag('0x1::aptos_coin::AptosCoin')],
+          [bob, new U64(5)]
+        )
+      ),
+      2000n,
+      100n,
+      0n,
+      new ChainId(2)
+    )
+  );
+
+const apiError = (status, errorCode, message = errorCode) =>
+  Object.assign(new Error(message), { status, data: { error_code: errorCode, message } });
+
+// A fullnode whose account is at the given sequence number; submissions made with it commit
+const fakeAptos = (sequenceNumber = 7) => {
+  const chain = { sequenceNumber: BigInt(sequenceNumber), submitted: [] };
+  return {
+    chain,
+    getAccountInfo: jest.fn(() =>
+      Promise.resolve({ sequence_number: chain.sequenceNumber.toString() })
+    ),
+    getTransactionByHash: jest.fn(() => Promise.reject(apiError(404, 'transaction_not_found'))),
+    waitForTransaction: jest.fn(({ transactionHash }) =>
+      Promise.resolve({ hash: transactionHash, success: true, vm_status: 'Executed successfully' })
+    ),
+    transaction: {
+      sign: jest.fn(() => 'signature'),
+      submit: {
+        simple: jest.fn(({ transaction }) => {
+          const sent = transaction.rawTransaction.sequence_number;
+          chain.submitted.push(sent);
+          return Promise.resolve({ hash: `0x${sent.toString(16)}` });
+        })
+      }
+    }
+  };
+};
+
+describe('Transaction Queue', () => {
+  beforeEach(() => {
+    AgentTransaction.reset();
+  });
+
+  it('should give concurrent transactions consecutive sequence numbers', async () => {
+    const queue = new TransactionQueue();
+    const aptos = fakeAptos(7);
+    const sender = { agentId: 'agent-1', network, aptos, account };
+
+    const results = await Promise.all([1, 2, 3].map(() => queue.send(sender, transfer())));
+
+    expect(aptos.chain.submitted).toEqual([7n, 8n, 9n]);
+    expect(results.map(result => result.hash)).toEqual(['0x7', '0x8', '0x9']);
+    expect(aptos.getAccountInfo).toHaveBeenCalledTimes(1);
+    expect(AgentTransaction.docs()).toEqual([
+      expect.objectContaining({ status: 'committed', sequenceNumber: '7', attempts: 1 }),
+      expect.objectContaining({ status: 'committed', sequenceNumber: '8', attempts: 1 }),
+      expect.objectContaining({ status: 'committed', sequenceNumber: '9', attempts: 1 })
+    ]);
+    expect(AgentTransaction.docs()[0]).toMatchObject({
+      agentId: 'agent-1',
+      sender: alice.toStringLong(),
+      function: '0x0000000000000000000000000000000000000000000000000000000000000001::coin::transfer'
+    });
+    expect(queue.lanes.size).toBe(0);
+  });
+
+  it('should retry with a fresh sequence number when it is too old', async () => {
+    const queue = new TransactionQueue();
+    const aptos = fakeAptos(7);
+    const submit = aptos.transaction.submit.simple.getMockImplementation();
+    aptos.transaction.submit.simple.mockImplementationOnce(() => {
+      // Another worker sent from the account meanwhile
+      aptos.chain.sequenceNumber = 9n;
+      return Promise.reject(apiError(400, 'sequence_number_too_old'));
+    });
+    aptos.transaction.submit.simple.mockImplementation(submit);
+
+    const result = await queue.send({ agentId: 'agent-1', network, aptos, account }, transfer());
+
+    expect(result.hash).toBe('0x9');
+    expect(aptos.getAccountInfo).toHaveBeenCalledTimes(2);
+    expect(AgentTransaction.docs()[0]).toMatchObject({
+      status: 'committed',
+      sequenceNumber: '9',
+      attempts: 2
+    });
+  });
+
+  it('should back off and retry while the mempool is full', async () => {
+    const queue = new TransactionQueue({ retryDelayMs: 1 });
+    const aptos = fakeAptos(3);
+    const submit = aptos.transaction.submit.simple.getMockImplementation();
+    aptos.transaction.submit.simple
+      .mockImplementationOnce(() => Promise.reject(apiError(400, 'mempool_is_full')))
+      .mockImplementationOnce(() => Promise.reject(apiError(400, 'mempool_is_full')));
+    aptos.transaction.submit.simple.mockImplementation(submit);
+
+    const result = await queue.send({ agentId: 'agent-1', network, aptos, account }, transfer());
+
+    expect(result.hash).toBe('0x3');
+    expect(aptos.transaction.submit.simple).toHaveBeenCalledTimes(3);
+    expect(AgentTransaction.docs()[0]).toMatchObject({ status: 'committed', attempts: 3 });
+  });
+
+  it('should record transactions that cannot be submitted as failed', async () => {
+    const queue = new TransactionQueue({ maxAttempts: 2 });
+    const aptos = fakeAptos(3);
+    aptos.transaction.submit.simple.mockImplementation(() =>
+      Promise.reject(apiError(400, 'vm_error', 'INSUFFICIENT_BALANCE_FOR_TRANSACTION_FEE'))
+    );
+
+    await expect(
+      queue.send({ agentId: 'agent-1', network, aptos, account }, transfer())
+    ).rejects.toThrow('INSUFFICIENT_BALANCE_FOR_TRANSACTION_FEE');
+    expect(aptos.transaction.submit.simple).toHaveBeenCalledTimes(1);
+    expect(AgentTransaction.docs()[0]).toMatchObject({
+      status: 'failed',
+      error: 'INSUFFICIENT_BALANCE_FOR_TRANSACTION_FEE'
+    });
+  });
+
+  it('should record transactions that abort on chain as failed', async () => {
+    const queue = new TransactionQueue();
+    const aptos = fakeAptos(3);
+    aptos.waitForTransaction.mockImplementation(({ transactionHash }) =>
+      Promise.resolve({ hash: transactionHash, success: false, vm_status: 'Out of gas' })
+    );
+
+    const result = await queue.send({ agentId: 'agent-1', network, aptos, account }, transfer());
+
+    expect(result.success).toBe(false);
+    expect(AgentTransaction.docs()[0]).toMatchObject({ status: 'failed', vmStatus: 'Out of gas' });
+  });
+
+  it('should expire transactions that do not commit in time', async () => {
+    const queue = new TransactionQueue({ commitTimeoutMs: 0 });
+    const aptos = fakeAptos(3);
+    aptos.waitForTransaction.mockImplementation(() => Promise.reject(new Error('Timed out')));
+
+    await expect(
+      queue.send({ agentId: 'agent-1', network, aptos, account }, transfer())
+    ).rejects.toMatchObject({ code: 'TRANSACTION_EXPIRED', hash: '0x3' });
+    expect(AgentTransaction.docs()[0]).toMatchObject({ status: 'expired', hash: '0x3' });
+
+    // The sequence number is read from the chain again for the next transaction
+    aptos.waitForTransaction.mockImplementation(({ transactionHash }) =>
+      Promise.resolve({ hash: transactionHash, success: true })
+    );
+    await queue.send({ agentId: 'agent-1', network, aptos, account }, transfer());
+    expect(aptos.getAccountInfo).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reject unknown statuses when listing', async () => {
+    const queue = new TransactionQueue();
+    await expect(queue.list('agent-1', { status: 'lost' })).rejects.toMatchObject({ status: 400 });
+  });
+
+  describe('retryReason', () => {
+    it('should tell which refusals are worth retrying', () => {
+      expect(retryReason(apiError(400, 'sequence_number_too_old'))).toBe('sequence_too_old');
+      expect(retryReason(apiError(400, 'vm_error', 'SEQUENCE_NUMBER_TOO_OLD'))).toBe(
+        'sequence_too_old'
+      );
+      expect(retryReason(apiError(400, 'vm_error', 'SEQUENCE_NUMBER_TOO_NEW'))).toBe(
+        'sequence_too_new'
+      );
+      expect(retryReason(apiError(400, 'invalid_transaction_update'))).toBe('sequence_in_mempool');
+      expect(retryReason(apiError(400, 'mempool_is_full'))).toBe('mempool_full');
+      expect(retryReason(apiError(400, 'vm_error', 'INVALID_AUTH_KEY'))).toBeNull();
+      expect(retryReason(new Error('socket hang up'))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,195 @@
+import { evaluateCondition } from '../triggerEvaluator';
+
+const AGENT = `0x${'a'.repeat(64)}`;
+const DONOR = `0x${'d'.repeat(64)}`;
+const TOKEN = `0x${'7'.repeat(64)}`;
+
+// A stand-in for the Aptos client, answering indexer queries from fixed rows
+const fakeAptos = ({ activities = [], events = [], balance = 0, senders = {} } = {}) => ({
+  getLedgerInfo: jest.fn(() => Promise.resolve({ ledger_version: '1000' })),
+  queryIndexer: jest.fn(({ query: { variables } }) =>
+    Promise.resolve(
+      variables.owner
+        ? {
+            fungible_asset_activities: activities.filter(
+              row => Number(row.transaction_version) > Number(variables.after)
+            )
+          }
+        : {
+            events: events.filter(row => Number(row.transaction_version) > Number(variables.after))
+          }
+    )
+  ),
+  getTransactionByVersion: jest.fn(({ ledgerVersion }) =>
+    Promise.resolve({ hash: `0xhash${ledgerVersion}`, sender: senders[ledgerVersion] || DONOR })
+  ),
+  getAccountAPTAmount: jest.fn(() => Promise.resolve(balance)),
+  getAccountCoinAmount: jest.fn(() => Promise.resolve(balance))
+});
+
+const deposit = (version, amount, assetType = '0x1::aptos_coin::AptosCoin') => ({
+  transaction_version: version,
+  event_index: 0,
+  asset_type: assetType,
+  amount
+});
+
+describe('Trigger Evaluator', () => {
+  describe('incoming transfers', () => {
+    const condition = { type: 'incoming_transfer', asset: 'APT', minAmount: '100' };
+
+    it('should take the latest version as a baseline on the first check', async () => {
+      const aptos = fakeAptos({ activities: [deposit(900, 500)] });
+
+      const result = await evaluateCondition(condition, {}, { aptos, address: AGENT });
+
+      expect(result).toEqual({ state: { version: '1000' }, events: [], done: false });
+      expect(aptos.queryIndexer).not.toHaveBeenCalled();
+    });
+
+    it('should fire for deposits of the asset from others, at least the minimum', async () => {
+      const aptos = fakeAptos({
+        activities: [
+          deposit(1001, 500),
+          deposit(1002, 50),
+          deposit(1003, 500, '0x1::other::Coin'),
+          deposit(1004, 700),
+          deposit(1005, 900)
+        ],
+        senders: { 1004: AGENT }
+      });
+
+      const result = await evaluateCondition(
+        condition,
+        { version: '1000' },
+        { aptos, address: AGENT }
+      );
+
+      expect(result.state).toEqual({ version: '1005' });
+      expect(result.events.map(({ key }) => key)).toEqual(['transfer:1001:0', 'transfer:1005:0']);
+      expect(result.events[0]).toMatchObject({
+        description: `Received 500 of APT (smallest unit) from ${DONOR}`,
+        details: { hash: '0xhash1001', sender: DONOR, amount: '500' }
+      });
+    });
+
+    it('should keep its place when nothing arrived', async () => {
+      const aptos = fakeAptos();
+
+      const result = await evaluateCondition(
+        condition,
+        { version: '1000' },
+        { aptos, address: AGENT }
+      );
+
+      expect(result).toEqual({ state: { version: '1000' }, events: [], done: false });
+    });
+  });
+
+  describe('thresholds', () => {
+    const condition = { type: 'price_threshold', symbol: 'APT', direction: 'below', price: 5 };
+    const pricesAt = price => ({ getUsdPrice: jest.fn(() => Promise.resolve(price)) });
+
+    it('should not fire for a threshold already crossed when it was set', async () => {
+      const result = await evaluateCondition(condition, {}, { prices: pricesAt(4) });
+
+      expect(result).toEqual({ state: { met: true }, events: [], done: false });
+    });
+
+    it('should fire once each time the threshold is crossed', async () => {
+      let state = { met: false };
+      const fired = [];
+      for (const price of [6, 4.9, 4.5, 5.5, 4]) {
+        const result = await evaluateCondition(condition, state, { prices: pricesAt(price) });
+        state = result.state;
+        fired.push(...result.events.map(({ key }) => key));
+      }
+
+      expect(fired).toEqual(['price:1', 'price:2']);
+    });
+
+    it('should fire when the wallet balance falls below the floor', async () => {
+      const floor = { type: 'balance_floor', asset: 'APT', floor: '1000' };
+      const aptos = fakeAptos({ balance: 400 });
+
+      const result = await evaluateCondition(floor, { met: false }, { aptos, address: AGENT });
+
+      expect(aptos.getAccountAPTAmount).toHaveBeenCalledWith({ accountAddress: AGENT });
+      expect(result.events).toEqual([
+        expect.objectContaining({
+          key: 'balance:1',
+          details: { asset: 'APT', balance: '400', floor: '1000' }
+        })
+      ]);
+    });
+
+    it('should read other assets by coin type or metadata address', async () => {
+      const aptos = fakeAptos({ balance: 5000 });
+      const context = { aptos, address: AGENT };
+
+      await evaluateCondition(
+        { type: 'balance_floor', asset: '0x1::other::Coin', floor: '1' },
+        {},
+        context
+      );
+      await evaluateCondition({ type: 'balance_floor', asset: TOKEN, floor: '1' }, {}, context);
+
+      expect(aptos.getAccountCoinAmount.mock.calls).toEqual([
+        [{ accountAddress: AGENT, coinType: '0x1::other::Coin' }],
+        [{ accountAddress: AGENT, faMetadataAddress: TOKEN }]
+      ]);
+    });
+  });
+
+  describe('token graduations', () => {
+    const condition = {
+      type: 'token_graduation',
+      token: TOKEN,
+      eventType: '0xbeef::curve::Graduated'
+    };
+
+    it('should fire and finish when the launchpad reports the token graduated', async () => {
+      const aptos = fakeAptos({
+        events: [
+          { transaction_version: 1001, event_index: 2, data: { token: `0x${'8'.repeat(64)}` } },
+          {
+            transaction_version: 1002,
+            event_index: 0,
+            data: { pool: { token_address: '0x' + '7'.repeat(64) } }
+          }
+        ]
+      });
+
+      const result = await evaluateCondition(
+        condition,
+        { version: '1000' },
+        { aptos, address: AGENT }
+      );
+
+      expect(result.done).toBe(true);
+      expect(result.state).toEqual({ version: '1002' });
+      expect(result.events).toEqual([
+        expect.objectContaining({
+          key: 'graduation:1002:0',
+          details: expect.objectContaining({ token: TOKEN })
+        })
+      ]);
+    });
+
+    it('should move past other tokens graduating', async () => {
+      const aptos = fakeAptos({
+        events: [
+          { transaction_version: 1001, event_index: 0, data: { token: `0x${'8'.repeat(64)}` } }
+        ]
+      });
+
+      const result = await evaluateCondition(
+        condition,
+        { version: '1000' },
+        { aptos, address: AGENT }
+      );
+
+      expect(result).toEqual({ state: { version: '1001' }, events: [], done: false });
+    });
+  });
+});
@@ -0,0 +1,275 @@
+import { TriggerService } from '../triggerService';
+
+// In-memory stand-ins for the trigger and firing collections, covering the queries the service
+// makes; defaults are the schema's
+function mockCollection({ defaults = {}, unique = [] } = {}) {
+  let docs = [];
+  let nextId = 1;
+  const same = (a, b) => (a instanceof Date || b instanceof Date ? +a === +b : a === b);
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([key, condition]) => {
+      if (key === '$or') {
+        return condition.some(alternative => matches(doc, alternative));
+      }
+      const value = doc[key];
+      if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+        return (
+          (!('$lte' in condition) || (value && value <= condition.$lte)) &&
+          (!('$lt' in condition) || (value && value < condition.$lt)) &&
+          (!('$ne' in condition) || !same(value, condition.$ne))
+        );
+      }
+      return same(value, condition ?? null) || (condition === null && value === undefined);
+    });
+  const apply = (doc, update) => {
+    Object.assign(doc, update.$set);
+    for (const key of Object.keys(update.$unset || {})) {
+      delete doc[key];
+    }
+    for (const [key, amount] of Object.entries(update.$inc || {})) {
+      doc[key] = (doc[key] || 0) + amount;
+    }
+  };
+  const query = result => {
+    const chain = {
+      sort: () => chain,
+      limit: () => chain,
+      then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return chain;
+  };
+
+  return {
+    reset: () => {
+      docs = [];
+    },
+    docs: () => docs,
+    create: jest.fn(fields => {
+      if (docs.some(doc => unique.every(key => same(doc[key], fields[key])))) {
+        return Promise.reject(Object.assign(new Error('duplicate key'), { code: 11000 }));
+      }
+      const doc = { _id: nextId++, ...defaults, ...fields };
+      docs.push(doc);
+      return Promise.resolve(doc);
+    }),
+    find: jest.fn(filter =>
+      query(docs.filter(doc => matches(doc, filter)).map(doc => ({ ...doc })))
+    ),
+    findOne: jest.fn(filter => Promise.resolve(docs.find(doc => matches(doc, filter)) || null)),
+    findOneAndUpdate: jest.fn((filter, update) => {
+      const doc = docs.find(candidate => matches(candidate, filter));
+      if (doc) {
+        apply(doc, update);
+      }
+      return Promise.resolve(doc ? { ...doc } : null);
+    }),
+    updateOne: jest.fn((filter, update) => {
+      const doc = docs.find(candidate => matches(candidate, filter));
+      if (doc) {
+        apply(doc, update);
+      }
+      return Promise.resolve({ modifiedCount: doc ? 1 : 0 });
+    }),
+    updateMany: jest.fn((filter, update) => {
+      const matched = docs.filter(doc => matches(doc, filter));
+      matched.forEach(doc => apply(doc, update));
+      return Promise.resolve({ modifiedCount: matched.length });
+    }),
+    countDocuments: jest.fn(filter =>
+      Promise.resolve(docs.filter(doc => matches(doc, filter)).length)
+    )
+  };
+}
+
+jest.mock('../../models/agentTriggerModel', () => ({
+  __esModule: true,
+  TRIGGER_STATUSES: ['active', 'paused', 'completed'],
+  default: mockCollection({ defaults: { status: 'active', state: {}, fireCount: 0 } })
+}));
+jest.mock('../../models/triggerFiringModel', () => ({
+  __esModule: true,
+  default: mockCollection({ defaults: { status: 'running' }, unique: ['triggerId', 'eventKey'] })
+}));
+
+const AgentTrigger = jest.requireMock('../../models/agentTriggerModel').default;
+const TriggerFiring = jest.requireMock('../../models/triggerFiringModel').default;
+
+const agent = { agentId: 'agent-1', userId: 'user-1' };
+const transfer = { type: 'incoming_transfer', asset: 'APT', minAmount: '100000000' };
+const prompt = { type: 'prompt', prompt: 'Thank the sender' };
+
+const event = key => ({ key, description: `Event ${key}`, details: {} });
+
+// Set a trigger and return its stored record
+const setTrigger = async (service, fields = {}) => {
+  const trigger = await service.create(agent, {
+    name: 'Donations',
+    condition: transfer,
+    action: prompt,
+    ...fields
+  });
+  return AgentTrigger.docs().find(doc => doc.triggerId === trigger.triggerId);
+};
+
+describe('Trigger Service', () => {
+  beforeEach(() => {
+    AgentTrigger.reset();
+    TriggerFiring.reset();
+  });
+
+  it('should check a due trigger once even when several workers poll', async () => {
+    const workers = [new TriggerService(), new TriggerService(), new TriggerService()];
+    const trigger = await setTrigger(workers[0]);
+    const evaluate = jest.fn(() =>
+      Promise.resolve({ state: { version: '1005' }, events: [event('transfer:1005:0')] })
+    );
+    const execute = jest.fn(() => Promise.resolve({ status: 'succeeded', response: 'Thanks!' }));
+
+    const checked = await Promise.all(workers.map(worker => worker.evaluateDue(evaluate, execute)));
+
+    expect(checked.reduce((sum, count) => sum + count, 0)).toBe(1);
+    expect(execute).toHaveBeenCalledTimes(1);
+    expect(execute.mock.calls[0][1]).toEqual([event('transfer:1005:0')]);
+    expect(TriggerFiring.docs()).toEqual([
+      expect.objectContaining({
+        triggerId: trigger.triggerId,
+        eventKey: 'transfer:1005:0',
+        status: 'succeeded',
+        response: 'Thanks!'
+      })
+    ]);
+    expect(trigger).toMatchObject({ status: 'active', state: { version: '1005' }, fireCount: 1 });
+    expect(trigger.nextCheckAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('should save what a check saw without firing when nothing happened', async () => {
+    const service = new TriggerService();
+    const trigger = await setTrigger(service);
+    const execute = jest.fn();
+
+    await service.evaluateDue(
+      () => Promise.resolve({ state: { version: '1000' }, events: [] }),
+      execute
+    );
+
+    expect(execute).not.toHaveBeenCalled();
+    expect(TriggerFiring.docs()).toEqual([]);
+    expect(trigger.state).toEqual({ version: '1000' });
+  });
+
+  it('should record firings within the cooldown as skipped', async () => {
+    const service = new TriggerService();
+    const trigger = await setTrigger(service, { cooldownMs: 60 * 60 * 1000 });
+    trigger.lastFiredAt = new Date(Date.now() - 1000);
+    const execute = jest.fn();
+
+    await service.evaluateDue(
+      () => Promise.resolve({ state: { met: true, crossings: 2 }, events: [event('price:2')] }),
+      execute
+    );
+
+    expect(execute).not.toHaveBeenCalled();
+    expect(TriggerFiring.docs()).toEqual([
+      expect.objectContaining({ eventKey: 'price:2', status: 'skipped' })
+    ]);
+    expect(trigger).toMatchObject({ fireCount: 0, state: { met: true, crossings: 2 } });
+  });
+
+  it('should keep its state and record the error when a check fails', async () => {
+    const service = new TriggerService();
+    const trigger = await setTrigger(service);
+    trigger.state = { version: '1000' };
+
+    await service.evaluateDue(() => Promise.reject(new Error('Indexer unavailable')), jest.fn());
+
+    expect(trigger).toMatchObject({ state: { version: '1000' }, lastError: 'Indexer unavailable' });
+    expect(TriggerFiring.docs()).toEqual([]);
+  });
+
+  it('should record actions that throw as failed, and complete finished triggers', async () => {
+    const service = new TriggerService();
+    const trigger = await setTrigger(service);
+
+    await service.evaluateDue(
+      () =>
+        Promise.resolve({
+          state: { version: '1002' },
+          events: [event('graduation:1002:0')],
+          done: true
+        }),
+      () => Promise.reject(new Error('The agent has no wallet yet'))
+    );
+
+    expect(trigger).toMatchObject({ status: 'completed', nextCheckAt: null });
+    expect(TriggerFiring.docs()).toEqual([
+      expect.objectContaining({ status: 'failed', error: 'The agent has no wallet yet' })
+    ]);
+  });
+
+  it('should record how a slow action ended after it was failed as interrupted', async () => {
+    const service = new TriggerService({ runTimeoutMs: 1000 });
+    const firing = await TriggerFiring.create({
+      triggerId: 'trigger-1',
+      eventKey: 'graduation:1002:0',
+      status: 'running',
+      firedAt: new Date(Date.now() - 5000)
+    });
+
+    await expect(service.failInterrupted()).resolves.toBe(1);
+    await service.finishFiring(firing, { status: 'succeeded', transactionHashes: ['0xabc'] });
+
+    expect(TriggerFiring.docs()[0]).toMatchObject({
+      status: 'succeeded',
+      error: null,
+      transactionHashes: ['0xabc']
+    });
+  });
+
+  it('should not fire a trigger paused while it was checked', async () => {
+    const service = new TriggerService();
+    const trigger = await setTrigger(service);
+    const execute = jest.fn();
+
+    await service.evaluateDue(async () => {
+      await service.pause('agent-1', trigger.triggerId);
+      return { state: { version: '1005' }, events: [event('transfer:1005:0')] };
+    }, execute);
+
+    expect(execute).not.toHaveBeenCalled();
+    expect(trigger).toMatchObject({ status: 'paused', state: {}, nextCheckAt: null });
+  });
+
+  it('should pause and resume triggers from a fresh baseline', async () => {
+    const service = new TriggerService();
+    const trigger = await setTrigger(service);
+    trigger.state = { version: '1000' };
+
+    await expect(service.pause('agent-1', trigger.triggerId)).resolves.toMatchObject({
+      status: 'paused',
+      state: {}
+    });
+    await expect(service.evaluateDue(jest.fn(), jest.fn())).resolves.toBe(0);
+    await expect(service.pause('agent-1', trigger.triggerId)).rejects.toMatchObject({
+      status: 409
+    });
+
+    await expect(service.resume('agent-1', trigger.triggerId)).resolves.toMatchObject({
+      status: 'active',
+      state: {}
+    });
+    await expect(service.resume('agent-2', trigger.triggerId)).resolves.toBeNull();
+  });
+
+  it('should limit how many triggers an agent has', async () => {
+    const service = new TriggerService({ maxTriggers: 1 });
+    await setTrigger(service);
+
+    await expect(
+      service.create(agent, {
+        name: 'Cheap APT',
+        condition: { type: 'price_threshold', symbol: 'APT', direction: 'below', price: 4 },
+        action: prompt
+      })
+    ).rejects.toMatchObject({ status: 409 });
+  });
+});
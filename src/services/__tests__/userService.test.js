@@ -0,0 +1,200 @@
+import { UserService } from '../userService';
+
+const mockFindById = jest.fn();
+const mockFindByWallet = jest.fn();
+const mockReassignAgents = jest.fn();
+const mockReassignConversations = jest.fn();
+
+// A user document as the model hands it out, saving in place
+function mockUserDoc({ id = '64b7f0c2a1b2c3d4e5f60719', ...fields }) {
+  return {
+    id,
+    _id: { equals: other => String(other) === id, toString: () => id },
+    role: 'user',
+    wallets: [],
+    ...fields,
+    save: jest.fn(() => Promise.resolve()),
+    getAddresses(chain) {
+      return this.wallets
+        .filter(wallet => !chain || wallet.chain === chain)
+        .map(wallet => wallet.address);
+    }
+  };
+}
+
+jest.mock('../../models/userModel', () => {
+  const User = jest.fn(fields => mockUserDoc(fields));
+  User.findById = (...args) => mockFindById(...args);
+  User.findByWallet = (...args) => mockFindByWallet(...args);
+  return { __esModule: true, default: User };
+});
+jest.mock('../agentService', () => ({
+  AgentService: jest.fn(() => ({ reassignUser: (...args) => mockReassignAgents(...args) }))
+}));
+jest.mock('../conversationService', () => ({
+  ConversationService: jest.fn(() => ({
+    reassignUser: (...args) => mockReassignConversations(...args)
+  }))
+}));
+
+// A lean query resolving to the stored document
+const storedUser = doc => ({ select: () => ({ lean: () => Promise.resolve(doc) }) });
+
+const USER_ID = '64b7f0c2a1b2c3d4e5f60718';
+const aptos = `0x${'a'.repeat(64)}`;
+const aptosOther = `0x${'b'.repeat(64)}`;
+const evm = '0x52908400098527886E0F7030069857D2E4169EE7';
+
+describe('User Service', () => {
+  const userService = new UserService();
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    delete process.env.ADMIN_ADDRESSES;
+    mockFindByWallet.mockResolvedValue(null);
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('findOrCreateByWallet', () => {
+    it('should create a user on first sign-in', async () => {
+      const user = await userService.findOrCreateByWallet('aptos', aptos);
+
+      expect(user).toMatchObject({
+        address: aptos,
+        role: 'user',
+        wallets: [{ chain: 'aptos', address: aptos }]
+      });
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it('should record the wallet of a legacy user and adopt their records', async () => {
+      const legacy = mockUserDoc({ id: USER_ID, address: aptos });
+      mockFindByWallet.mockResolvedValue(legacy);
+
+      const user = await userService.findOrCreateByWallet('aptos', aptos);
+
+      expect(user).toBe(legacy);
+      expect(user.wallets).toEqual([{ chain: 'aptos', address: aptos }]);
+      expect(user.save).toHaveBeenCalled();
+      expect(mockReassignAgents).toHaveBeenCalledWith(aptos, USER_ID);
+      expect(mockReassignConversations).toHaveBeenCalledWith(aptos, USER_ID);
+    });
+
+    it('should promote wallets listed in ADMIN_ADDRESSES, whatever their case', async () => {
+      process.env.ADMIN_ADDRESSES = ` ${aptosOther}, ${evm.toLowerCase()} `;
+
+      const admin = await userService.findOrCreateByWallet('evm', evm);
+      const user = await userService.findOrCreateByWallet('aptos', aptos);
+
+      expect(admin.role).toBe('admin');
+      expect(user.role).toBe('user');
+    });
+  });
+
+  describe('linkWallet', () => {
+    it('should link a wallet no one else owns', async () => {
+      const user = mockUserDoc({
+        id: USER_ID,
+        address: aptos,
+        wallets: [{ chain: 'aptos', address: aptos }]
+      });
+      mockFindById.mockResolvedValue(user);
+
+      await userService.linkWallet(USER_ID, 'evm', evm, 'MetaMask');
+
+      expect(user.getAddresses('evm')).toEqual([evm]);
+      expect(user.wallets[1]).toMatchObject({ label: 'MetaMask' });
+      expect(mockReassignAgents).toHaveBeenCalledWith(evm, USER_ID);
+    });
+
+    it('should refuse a wallet linked to another user', async () => {
+      mockFindById.mockResolvedValue(mockUserDoc({ id: USER_ID, address: aptos }));
+      mockFindByWallet.mockResolvedValue(mockUserDoc({ address: evm }));
+
+      await expect(userService.linkWallet(USER_ID, 'evm', evm)).rejects.toMatchObject({
+        status: 409
+      });
+    });
+  });
+
+  describe('unlinkWallet', () => {
+    it('should refuse to unlink the last wallet', async () => {
+      mockFindById.mockResolvedValue(
+        mockUserDoc({ id: USER_ID, address: aptos, wallets: [{ chain: 'aptos', address: aptos }] })
+      );
+
+      await expect(userService.unlinkWallet(USER_ID, 'aptos', aptos)).rejects.toMatchObject({
+        status: 400
+      });
+    });
+
+    it('should move the primary address to a remaining wallet', async () => {
+      const user = mockUserDoc({
+        id: USER_ID,
+        address: aptos,
+        wallets: [
+          { chain: 'aptos', address: aptos },
+          { chain: 'evm', address: evm }
+        ]
+      });
+      mockFindById.mockResolvedValue(user);
+
+      // Addresses are matched in their normalized form
+      await userService.unlinkWallet(USER_ID, 'aptos', `0x${'A'.repeat(64)}`);
+
+      expect(user.wallets).toEqual([{ chain: 'evm', address: evm }]);
+      expect(user.address).toBe(evm);
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it('should answer 404 for a wallet the user does not have', async () => {
+      mockFindById.mockResolvedValue(
+        mockUserDoc({ id: USER_ID, address: aptos, wallets: [{ chain: 'aptos', address: aptos }] })
+      );
+
+      await expect(userService.unlinkWallet(USER_ID, 'evm', evm)).rejects.toMatchObject({
+        status: 404
+      });
+    });
+  });
+
+  describe('resolveUserId', () => {
+    it('should resolve a user ID or any linked wallet to the user ID', async () => {
+      mockFindById.mockResolvedValue(mockUserDoc({ id: USER_ID, address: aptos }));
+      await expect(userService.resolveUserId(USER_ID)).resolves.toBe(USER_ID);
+
+      mockFindByWallet.mockImplementation((chain, address) =>
+        Promise.resolve(chain === 'evm' && address === evm ? mockUserDoc({ id: USER_ID }) : null)
+      );
+      await expect(userService.resolveUserId(evm.toLowerCase())).resolves.toBe(USER_ID);
+      await expect(userService.resolveUserId(aptosOther)).resolves.toBeNull();
+      await expect(userService.resolveUserId('nobody')).resolves.toBeNull();
+    });
+  });
+
+  describe('getRole', () => {
+    it('should return the stored role', async () => {
+      mockFindById.mockReturnValue(storedUser({ _id: USER_ID, role: 'admin' }));
+
+      await expect(userService.getRole(USER_ID)).resolves.toBe('admin');
+    });
+
+    it('should give users stored without a role the default one', async () => {
+      mockFindById.mockReturnValue(storedUser({ _id: USER_ID }));
+
+      await expect(userService.getRole(USER_ID)).resolves.toBe('user');
+    });
+
+    it('should return null for unknown users', async () => {
+      mockFindById.mockReturnValue(storedUser(null));
+
+      await expect(userService.getRole(USER_ID)).resolves.toBeNull();
+      await expect(userService.getRole('not-an-id')).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,293 @@
+import dotenv from 'dotenv';
+import {
+  Account,
+  AccountAddress,
+  Ed25519PrivateKey,
+  PrivateKey,
+  PrivateKeyVariants
+} from '@aptos-labs/ts-sdk';
+import { AgentRuntime } from 'move-agent-kit';
+import { networkKey } from '../config/networks.js';
+import { PolicySigner } from './policySigner.js';
+
+dotenv.config();
+
+const DEFAULT_MAX_SIZE = 100;
+const DEFAULT_IDLE_TIMEOUT_MS = 15 * 60 * 1000;
+
+/**
+ * Build an AgentRuntime that signs with the given private key
+ * @param {string} privateKeyStr - An Ed25519 private key (hex or AIP-80)
+ * @param {Aptos} aptos - The Aptos client the runtime talks to
+ * @param {Object} guard - Checks transactions before they are signed (see PolicySigner)
+ * @param {Object} sender - Submits transactions through the account's queue (see PolicySigner)
+ * @returns {{runtime: AgentRuntime, account: Account}} The runtime and its account
+ */
+export const createRuntime = (privateKeyStr, aptos, guard = null, sender = null) => {
+  const privateKey = new Ed25519PrivateKey(
+    PrivateKey.formatPrivateKey(privateKeyStr, PrivateKeyVariants.Ed25519)
+  );
+  const account = Account.fromPrivateKey({ privateKey });
+  return {
+    runtime: new AgentRuntime(new PolicySigner(account, aptos, guard, sender), aptos),
+    account
+  };
+};
+
+// An address in long form, or null if it is not one
+const longAddress = address => {
+  try {
+    return AccountAddress.from(address).toStringLong();
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Pool of isolated agent runtimes, one per agentId
+ * Each entry holds the agent's own signer, AgentRuntime and LangGraph agent, so concurrent
+ * requests never sign with another agent's key. Entries are rebuilt lazily from the key vault
+ * (and when the agent moves to another network or its wallet address no longer matches the
+ * pooled key), the least recently used one is evicted when the pool is full, and idle ones are
+ * dropped
+ */
+export class AgentRuntimeManager {
+  /**
+   * @param {Object} options - Pool options
+   * @param {Aptos} options.aptos - The Aptos client runtimes talk to
+   * @param {Function} options.getAptos - (network) => Aptos client for an agent's network;
+   *   defaults to the aptos client for every network
+   * @param {Function} options.loadPrivateKey - (agentId, userId) => Promise<string> private key
+   * @param {Function} options.createGuard - (agentId) => guard checking the agent's transactions
+   *   against its spending policy before they are signed; defaults to none
+   * @param {Function} options.createSender - (agentId, network) => sender submitting the agent's
+   *   transactions through its account's queue; defaults to submitting directly
+   * @param {Function} options.createLLMAgent - (runtime, {persona, network, tools, approvalMode})
+   *   => LangGraph agent for a runtime
+   * @param {number} options.maxSize - Most runtimes kept at once (AGENT_POOL_SIZE)
+   * @param {number} options.idleTimeoutMs - Drop runtimes unused for this long (AGENT_IDLE_TIMEOUT_MS)
+   */
+  constructor({
+    aptos,
+    getAptos = () => aptos,
+    loadPrivateKey,
+    createGuard = () => null,
+    createSender = () => null,
+    createLLMAgent,
+    maxSize = parseInt(process.env.AGENT_POOL_SIZE) || DEFAULT_MAX_SIZE,
+    idleTimeoutMs = parseInt(process.env.AGENT_IDLE_TIMEOUT_MS) || DEFAULT_IDLE_TIMEOUT_MS
+  }) {
+    this.getAptos = getAptos;
+    this.loadPrivateKey = loadPrivateKey;
+    this.createGuard = createGuard;
+    this.createSender = createSender;
+    this.createLLMAgent = createLLMAgent;
+    this.maxSize = maxSize;
+    this.idleTimeoutMs = idleTimeoutMs;
+    // Map iteration follows insertion order, so re-inserting on use keeps it in LRU order
+    this.entries = new Map();
+    this.pending = new Map();
+    // Bumped by explicit evictions so a rehydration that raced one is not pooled
+    this.epoch = 0;
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Get the runtime for an agent, rehydrating it from the key vault if it is not pooled
+   * @param {{agentId: string, userId: string, network: Object, address: string}} agent - The
+   *   agent to act as; without a network the pooled runtime is used as is, and a new one runs on
+   *   mainnet. Its address is the wallet it should sign as: a pooled runtime signing as another
+   *   is stale, e.g. because another worker replaced the key, and is rebuilt from the vault
+   * @returns {Promise<Object>} The pool entry: {agentId, userId, address, network, runtime, llmAgent}
+   */
+  async acquire({ agentId, userId, network, address }) {
+    try {
+      const entry = this.entries.get(agentId);
+      const sameNetwork =
+        !entry || network === undefined || entry.networkKey === networkKey(network);
+      const sameKey = !entry || !address || entry.address === longAddress(address);
+      if (entry && entry.userId === userId && sameNetwork && sameKey) {
+        this.touch(entry);
+        return entry;
+      }
+      if (entry) {
+        this.entries.delete(agentId);
+      }
+
+      // Concurrent requests for the same agent share one rehydration
+      const pendingKey = `${agentId}:${userId}`;
+      let pending = this.pending.get(pendingKey);
+      if (!pending) {
+        pending = this.rehydrate(agentId, userId, network).finally(() => {
+          if (this.pending.get(pendingKey) === pending) {
+            this.pending.delete(pendingKey);
+          }
+        });
+        this.pending.set(pendingKey, pending);
+      }
+      const rehydrated = await pending;
+      this.touch(rehydrated);
+      return rehydrated;
+    } catch (error) {
+      console.error('Error in acquire:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the LangGraph agent for an agent, building it on first use
+   * It is rebuilt when the agent record carries a newer revision than the one it was built
+   * from, so persona, tool and approval mode edits take effect in every worker on the agent's next message
+   * @param {Object} agent - The agent record to act as ({agentId, userId, revision, persona,
+   *   network, tools, approvalMode})
+   * @returns {Promise<Object>} The LangGraph agent bound to the agent's runtime
+   */
+  async getLLMAgent(agent) {
+    const entry = await this.acquire(agent);
+    const revision = agent.revision ?? 0;
+    if (!entry.llmAgent || revision > entry.revision) {
+      entry.llmAgent = await this.createLLMAgent(entry.runtime, {
+        persona: agent.persona,
+        network: entry.network,
+        tools: agent.tools,
+        approvalMode: agent.approvalMode
+      });
+      entry.revision = revision;
+    }
+    return entry.llmAgent;
+  }
+
+  /**
+   * Load an agent's key from the vault and add its runtime to the pool
+   * @param {string} agentId - The agent ID
+   * @param {string} userId - The owner's user ID
+   * @param {Object} network - The agent's network
+   * @returns {Promise<Object>} The new pool entry
+   */
+  async rehydrate(agentId, userId, network) {
+    const epoch = this.epoch;
+    const privateKey = await this.loadPrivateKey(agentId, userId);
+    const { runtime, account } = createRuntime(
+      privateKey,
+      this.getAptos(network),
+      this.createGuard(agentId),
+      this.createSender(agentId, network)
+    );
+    const entry = {
+      agentId,
+      userId,
+      address: account.accountAddress.toStringLong(),
+      network,
+      networkKey: networkKey(network),
+      runtime,
+      llmAgent: null,
+      revision: 0,
+      lastUsedAt: Date.now()
+    };
+
+    // The key may have changed while it was loading; serve this request but do not pool it
+    if (epoch !== this.epoch) {
+      return entry;
+    }
+
+    this.entries.set(agentId, entry);
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.startSweeping();
+    return entry;
+  }
+
+  // Mark an entry as most recently used
+  touch(entry) {
+    entry.lastUsedAt = Date.now();
+    if (this.entries.get(entry.agentId) === entry) {
+      this.entries.delete(entry.agentId);
+      this.entries.set(entry.agentId, entry);
+    }
+  }
+
+  /**
+   * Drop an agent's runtime, e.g. after its key changed or the agent was removed
+   * @param {string} agentId - The agent ID
+   * @returns {boolean} True if a runtime was pooled
+   */
+  evict(agentId) {
+    this.epoch++;
+    for (const pendingKey of this.pending.keys()) {
+      if (pendingKey.startsWith(`${agentId}:`)) {
+        this.pending.delete(pendingKey);
+      }
+    }
+    return this.entries.delete(agentId);
+  }
+
+  /**
+   * Drop every runtime belonging to a user
+   * @param {string} userId - The user ID
+   * @returns {number} The number of runtimes dropped
+   */
+  evictUser(userId) {
+    this.epoch++;
+    for (const pendingKey of this.pending.keys()) {
+      if (pendingKey.endsWith(`:${userId}`)) {
+        this.pending.delete(pendingKey);
+      }
+    }
+    let count = 0;
+    for (const [agentId, entry] of this.entries) {
+      if (entry.userId === userId) {
+        this.entries.delete(agentId);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Drop runtimes that have been idle longer than the idle timeout
+   * @returns {number} The number of runtimes dropped
+   */
+  sweepIdle() {
+    const cutoff = Date.now() - this.idleTimeoutMs;
+    let count = 0;
+    // Oldest entries come first, so stop at the first one still in use
+    for (const [agentId, entry] of this.entries) {
+      if (entry.lastUsedAt > cutoff) {
+        break;
+      }
+      this.entries.delete(agentId);
+      count++;
+    }
+    if (this.entries.size === 0) {
+      this.close();
+    }
+    return count;
+  }
+
+  // Sweep while there is something to sweep; the timer never keeps the process alive
+  startSweeping() {
+    if (this.sweepTimer) {
+      return;
+    }
+    const interval = Math.max(Math.min(this.idleTimeoutMs, 60 * 1000), 1000);
+    this.sweepTimer = setInterval(() => this.sweepIdle(), interval);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Stop the idle sweep timer
+   */
+  close() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Describe the pool for monitoring
+   * @returns {{size: number, maxSize: number, idleTimeoutMs: number}} The pool statistics
+   */
+  getStats() {
+    return { size: this.entries.size, maxSize: this.maxSize, idleTimeoutMs: this.idleTimeoutMs };
+  }
+}
@@ -1,9 +1,161 @@
 import mongoose from 'mongoose';
 import crypto from 'crypto';
 import dotenv from 'dotenv';
+import AgentPrompt from '../models/agentPromptModel.js';
+import PolicySpend from '../models/policySpendModel.js';
+import Proposal from '../models/proposalModel.js';
+import AgentTransaction from '../models/agentTransactionModel.js';
+import AgentMemory from '../models/agentMemoryModel.js';
+import ConversationSummary from '../models/conversationSummaryModel.js';
+import ScheduledTask from '../models/scheduledTaskModel.js';
+import TaskRun from '../models/taskRunModel.js';
+import AgentTrigger from '../models/agentTriggerModel.js';
+import TriggerFiring from '../models/triggerFiringModel.js';
+import { DEFAULT_PERSONA, validatePersona } from '../config/personas.js';
+import { DEFAULT_NETWORK, validateNetwork } from '../config/networks.js';
+import {
+  APPROVAL_MODES,
+  CUSTOM_PRESET,
+  DEFAULT_APPROVAL_MODE,
+  DEFAULT_TOOL_PRESET,
+  validateToolSettings
+} from '../config/tools.js';
+import { normalizePolicy, validatePolicy } from '../config/policies.js';
+import { ConversationService } from './conversationService.js';
+import { keyVault } from './keyVault.js';
+import { checkpointSaver } from './mongoCheckpointSaver.js';
+import { httpError } from '../utils/httpError.js';
 
 dotenv.config();
 
+const conversationService = new ConversationService();
+
+// Collections of per-agent records, deleted with the agent
+const AGENT_DATA_MODELS = [
+  AgentPrompt,
+  PolicySpend,
+  Proposal,
+  AgentTransaction,
+  AgentMemory,
+  ConversationSummary,
+  ScheduledTask,
+  TaskRun,
+  AgentTrigger,
+  TriggerFiring
+];
+
+// Persona fields an agent's owner can edit
+const PERSONA_FIELDS = ['systemPrompt', 'provider', 'model', 'temperature', 'maxTokens'];
+
+// The model and prompt an agent runs with
+const personaSchema = new mongoose.Schema(
+  {
+    // Null runs the built-in system prompt
+    systemPrompt: {
+      type: String,
+      default: null
+    },
+    // Latest version in the agent's prompt history; 0 until the prompt is first edited
+    promptVersion: {
+      type: Number,
+      default: 0
+    },
+    provider: {
+      type: String,
+      default: DEFAULT_PERSONA.provider
+    },
+    model: {
+      type: String,
+      default: DEFAULT_PERSONA.model
+    },
+    temperature: {
+      type: Number,
+      default: DEFAULT_PERSONA.temperature
+    },
+    maxTokens: {
+      type: Number,
+      default: DEFAULT_PERSONA.maxTokens
+    }
+  },
+  { _id: false }
+);
+
+// The Aptos network an agent runs on; the URLs are only set for custom networks
+const networkSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      default: DEFAULT_NETWORK.name
+    },
+    fullnodeUrl: {
+      type: String
+    },
+    indexerUrl: {
+      type: String
+    },
+    faucetUrl: {
+      type: String
+    }
+  },
+  { _id: false }
+);
+
+// The tools an agent may use: a preset, or (with the custom preset) families and tool names
+const toolSettingsSchema = new mongoose.Schema(
+  {
+    preset: {
+      type: String,
+      default: DEFAULT_TOOL_PRESET
+    },
+    families: {
+      type: [String],
+      default: undefined
+    },
+    tools: {
+      type: [String],
+      default: undefined
+    }
+  },
+  { _id: false }
+);
+
+// What an agent's wallet may sign (see src/config/policies.js); amounts are strings of base units
+const policySchema = new mongoose.Schema(
+  {
+    limits: {
+      type: [
+        new mongoose.Schema(
+          {
+            asset: { type: String, required: true },
+            perTransaction: { type: String, default: null },
+            daily: { type: String, default: null }
+          },
+          { _id: false }
+        )
+      ],
+      default: []
+    },
+    recipients: {
+      allow: { type: [String], default: [] },
+      deny: { type: [String], default: [] }
+    },
+    contracts: {
+      allow: { type: [String], default: [] }
+    },
+    blockedHours: {
+      type: new mongoose.Schema(
+        {
+          timezone: { type: String, default: 'UTC' },
+          hours: { type: [Number], default: [] }
+        },
+        { _id: false }
+      ),
+      default: null
+    }
+  },
+  { _id: false }
+);
+
 // Define schema for an agent
 const agentSchema = new mongoose.Schema({
   userId: {
@@ -21,6 +173,39 @@ const agentSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Wallet address of the agent's key in the vault
+  address: {
+    type: String
+  },
+  persona: {
+    type: personaSchema,
+    default: () => ({})
+  },
+  network: {
+    type: networkSchema,
+    default: () => ({})
+  },
+  tools: {
+    type: toolSettingsSchema,
+    default: () => ({})
+  },
+  // manual turns the agent's write actions into proposals its owner approves first
+  approvalMode: {
+    type: String,
+    enum: APPROVAL_MODES,
+    default: DEFAULT_APPROVAL_MODE
+  },
+  // Null lets the agent's wallet sign anything
+  policy: {
+    type: policySchema,
+    default: null
+  },
+  // Bumped whenever the agent's persona, tools or approval mode change, so pooled LLM agents built from an
+  // older setup are rebuilt
+  revision: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -37,6 +222,30 @@ agentSchema.index({ userId: 1, agentId: 1 }, { unique: true });
 // Create the model
 const Agent = mongoose.model('Agent', agentSchema);
 
+/**
+ * Validate a network and keep only the fields it uses
+ * @param {Object} network - The network
+ * @returns {Object} The network to store
+ */
+const checkNetwork = network => {
+  const errors = validateNetwork(network);
+  if (errors.length > 0) {
+    const error = httpError(400, `Invalid network: ${errors.join('; ')}`);
+    error.details = errors;
+    throw error;
+  }
+  const { name, fullnodeUrl, indexerUrl, faucetUrl } = network;
+  return name === 'custom' ? { name, fullnodeUrl, indexerUrl, faucetUrl } : { name };
+};
+
+/**
+ * Match an agent record at the revision it was read at; agents created before revisions have
+ * none stored
+ * @param {Object} agent - The agent as read
+ * @returns {number|Object} The revision filter
+ */
+const revisionFilter = agent => (agent.revision ? agent.revision : { $in: [0, null] });
+
 /**
  * Service for managing agents
  */
@@ -46,32 +255,40 @@ export class AgentService {
    * @param {string} userId - The user ID
    * @param {string} agentId - The agent ID (creates new one if not provided)
    * @param {string} name - The agent name
+   * @param {string} address - The agent's wallet address (optional)
+   * @param {Object} network - The agent's network (optional; new agents default to mainnet)
    * @returns {Promise<Object>} The agent object
    */
-  async createOrUpdateAgent(userId, agentId, name) {
+  async createOrUpdateAgent(userId, agentId, name, address, network) {
     try {
+      const networkFields = network === undefined ? undefined : checkNetwork(network);
+
       // Generate a new agentId if not provided
       const finalAgentId = agentId || crypto.randomUUID();
-      
+
       // Try to find existing agent
       let agent = await Agent.findOne({ userId, agentId: finalAgentId });
-      
+
       // If agent exists, update name and lastActive
       if (agent) {
         agent.name = name || agent.name;
+        agent.address = address || agent.address;
+        agent.network = networkFields || agent.network;
         agent.lastActive = new Date();
         await agent.save();
         return agent;
       }
-      
+
       // Create new agent
       agent = new Agent({
         userId,
         agentId: finalAgentId,
         name: name || 'My Agent',
+        address,
+        network: networkFields,
         lastActive: new Date()
       });
-      
+
       await agent.save();
       return agent;
     } catch (error) {
@@ -79,7 +296,7 @@ export class AgentService {
       throw error;
     }
   }
-  
+
   /**
    * Get an agent by user ID and agent ID
    * @param {string} userId - The user ID
@@ -94,7 +311,21 @@ export class AgentService {
       throw error;
     }
   }
-  
+
+  /**
+   * Get an agent by its ID alone, whoever owns it
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<Object|null>} The agent object or null if not found
+   */
+  async getAgentById(agentId) {
+    try {
+      return await Agent.findOne({ agentId });
+    } catch (error) {
+      console.error('Error in getAgentById:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get all agents for a user
    * @param {string} userId - The user ID
@@ -108,7 +339,27 @@ export class AgentService {
       throw error;
     }
   }
-  
+
+  /**
+   * List agents across all users, most recently active first
+   * @param {Object} options - { page, limit, userId } (userId narrows to one owner)
+   * @returns {Promise<{agents: Array, total: number}>} The page of agents and the total count
+   */
+  async listAgents({ page = 1, limit = 20, userId } = {}) {
+    try {
+      const query = userId ? { userId } : {};
+      const agents = await Agent.find(query)
+        .sort({ lastActive: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+      const total = await Agent.countDocuments(query);
+      return { agents, total };
+    } catch (error) {
+      console.error('Error in listAgents:', error);
+      throw error;
+    }
+  }
+
   /**
    * Remove an agent
    * @param {string} userId - The user ID
@@ -118,13 +369,297 @@ export class AgentService {
   async removeAgent(userId, agentId) {
     try {
       const result = await Agent.findOneAndDelete({ userId, agentId });
+      if (result) {
+        await this.deleteAgentData([agentId]);
+      }
       return !!result;
     } catch (error) {
       console.error('Error in removeAgent:', error);
       throw error;
     }
   }
-  
+
+  /**
+   * Remove all agents of a user
+   * @param {string} userId - The user ID
+   * @returns {Promise<number>} The number of agents removed
+   */
+  async removeUserAgents(userId) {
+    try {
+      const agentIds = await Agent.distinct('agentId', { userId });
+      const result = await Agent.deleteMany({ userId });
+      await this.deleteAgentData(agentIds);
+      return result.deletedCount;
+    } catch (error) {
+      console.error('Error in removeUserAgents:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete everything stored for removed agents: their records in every per-agent collection,
+   * conversations, checkpoints and vault keys. Pooled runtimes are per process, so callers
+   * evict those
+   * @param {Array<string>} agentIds - The agent IDs
+   * @param {Object} options - Deletion options
+   * @param {boolean} options.keepKeys - Keep the vault keys, marked orphaned, instead of
+   *   deleting them; for removals the owner did not ask for
+   * @returns {Promise<void>}
+   */
+  async deleteAgentData(agentIds, { keepKeys = false } = {}) {
+    try {
+      if (agentIds.length === 0) {
+        return;
+      }
+      for (const Model of AGENT_DATA_MODELS) {
+        await Model.deleteMany({ agentId: { $in: agentIds } });
+      }
+      await conversationService.deleteAgentConversations(agentIds);
+      for (const agentId of agentIds) {
+        await checkpointSaver.deleteAgent(agentId);
+      }
+      if (keepKeys) {
+        await keyVault.orphanAgentKeys(agentIds);
+      } else {
+        await keyVault.deleteAgentKeys(agentIds);
+      }
+    } catch (error) {
+      console.error('Error in deleteAgentData:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename an agent
+   * @param {string} userId - The user ID
+   * @param {string} agentId - The agent ID
+   * @param {string} name - The new name
+   * @returns {Promise<Object|null>} The updated agent or null if not found
+   */
+  async updateAgentName(userId, agentId, name) {
+    try {
+      return await Agent.findOneAndUpdate(
+        { userId, agentId },
+        { name, lastActive: new Date() },
+        { new: true }
+      );
+    } catch (error) {
+      console.error('Error in updateAgentName:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an agent's persona; a new system prompt is saved as the next prompt version
+   * @param {string} userId - The user ID
+   * @param {string} agentId - The agent ID
+   * @param {Object} changes - Any of systemPrompt, provider, model, temperature, maxTokens
+   * @param {Object} options - editedBy (the user making the edit), and restoredFrom (the
+   *   version a restored prompt came from)
+   * @returns {Promise<Object|null>} The updated agent or null if not found
+   */
+  async updatePersona(userId, agentId, changes, { editedBy = userId, restoredFrom } = {}) {
+    try {
+      const agent = await Agent.findOne({ userId, agentId });
+      if (!agent) {
+        return null;
+      }
+
+      const update = Object.fromEntries(
+        Object.entries(changes).filter(
+          ([key, value]) => PERSONA_FIELDS.includes(key) && value !== undefined
+        )
+      );
+      const current = agent.persona.toObject();
+      const errors =
+        Object.keys(update).length > 0
+          ? validatePersona(update, current)
+          : [`Provide at least one of: ${PERSONA_FIELDS.join(', ')}`];
+      if (errors.length > 0) {
+        const error = httpError(400, `Invalid persona: ${errors.join('; ')}`);
+        error.details = errors;
+        throw error;
+      }
+
+      const $set = Object.fromEntries(
+        Object.entries(update).map(([key, value]) => [`persona.${key}`, value])
+      );
+      const promptChanged =
+        update.systemPrompt !== undefined && update.systemPrompt !== current.systemPrompt;
+      const version = current.promptVersion + 1;
+      if (promptChanged) {
+        $set['persona.promptVersion'] = version;
+      }
+
+      // Only apply the edit to the persona it was validated against
+      const updated = await Agent.findOneAndUpdate(
+        { userId, agentId, revision: revisionFilter(agent) },
+        { $set, $inc: { revision: 1 } },
+        { new: true }
+      );
+      if (!updated) {
+        throw httpError(409, 'The persona was changed by another request; try again');
+      }
+
+      if (promptChanged) {
+        await AgentPrompt.create({
+          agentId,
+          version,
+          systemPrompt: update.systemPrompt,
+          editedBy,
+          restoredFrom
+        });
+      }
+      return updated;
+    } catch (error) {
+      console.error('Error in updatePersona:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set the tools an agent may use
+   * @param {string} userId - The user ID
+   * @param {string} agentId - The agent ID
+   * @param {Object} settings - {preset} for a preset, or {families, tools} for a custom allowlist
+   * @returns {Promise<Object|null>} The updated agent or null if not found
+   */
+  async updateTools(userId, agentId, settings) {
+    try {
+      const errors = validateToolSettings(settings);
+      if (errors.length > 0) {
+        const error = httpError(400, `Invalid tools: ${errors.join('; ')}`);
+        error.details = errors;
+        throw error;
+      }
+
+      const preset = settings.preset || CUSTOM_PRESET;
+      const tools =
+        preset === CUSTOM_PRESET
+          ? { preset, families: settings.families || [], tools: settings.tools || [] }
+          : { preset };
+      return await Agent.findOneAndUpdate(
+        { userId, agentId },
+        { tools, $inc: { revision: 1 } },
+        { new: true }
+      );
+    } catch (error) {
+      console.error('Error in updateTools:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set whether an agent's write actions run at once or wait for its owner's approval
+   * @param {string} userId - The user ID
+   * @param {string} agentId - The agent ID
+   * @param {string} approvalMode - auto or manual
+   * @returns {Promise<Object|null>} The updated agent or null if not found
+   */
+  async updateApprovalMode(userId, agentId, approvalMode) {
+    try {
+      if (!APPROVAL_MODES.includes(approvalMode)) {
+        throw httpError(400, `approvalMode must be one of: ${APPROVAL_MODES.join(', ')}`);
+      }
+
+      return await Agent.findOneAndUpdate(
+        { userId, agentId },
+        { approvalMode, $inc: { revision: 1 } },
+        { new: true }
+      );
+    } catch (error) {
+      console.error('Error in updateApprovalMode:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set the spending policy an agent's wallet signs under; it applies from the next transaction
+   * @param {string} userId - The user ID
+   * @param {string} agentId - The agent ID
+   * @param {Object|null} policy - The policy, or null to remove it
+   * @returns {Promise<Object|null>} The updated agent or null if not found
+   */
+  async updatePolicy(userId, agentId, policy) {
+    try {
+      const errors = policy === null ? [] : validatePolicy(policy);
+      if (errors.length > 0) {
+        const error = httpError(400, `Invalid policy: ${errors.join('; ')}`);
+        error.details = errors;
+        throw error;
+      }
+
+      return await Agent.findOneAndUpdate(
+        { userId, agentId },
+        { policy: policy === null ? null : normalizePolicy(policy) },
+        { new: true }
+      );
+    } catch (error) {
+      console.error('Error in updatePolicy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move an agent to another network; its runtime is rebuilt for the network on next use
+   * @param {string} userId - The user ID
+   * @param {string} agentId - The agent ID
+   * @param {Object} network - {name, fullnodeUrl, indexerUrl, faucetUrl}
+   * @returns {Promise<Object|null>} The updated agent or null if not found
+   */
+  async updateNetwork(userId, agentId, network) {
+    try {
+      return await Agent.findOneAndUpdate(
+        { userId, agentId },
+        { network: checkNetwork(network) },
+        { new: true }
+      );
+    } catch (error) {
+      console.error('Error in updateNetwork:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the versions of an agent's system prompt, newest first
+   * @param {string} agentId - The agent ID
+   * @param {number} limit - Most versions to return
+   * @returns {Promise<Array>} The prompt versions
+   */
+  async getPromptVersions(agentId, limit = 20) {
+    try {
+      return await AgentPrompt.find({ agentId }).sort({ version: -1 }).limit(limit);
+    } catch (error) {
+      console.error('Error in getPromptVersions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make an earlier system prompt current again, as a new version
+   * @param {string} userId - The user ID
+   * @param {string} agentId - The agent ID
+   * @param {number} version - The version to restore
+   * @returns {Promise<Object|null>} The updated agent or null if not found
+   */
+  async restorePromptVersion(userId, agentId, version) {
+    try {
+      const prompt = await AgentPrompt.findOne({ agentId, version });
+      if (!prompt) {
+        throw httpError(404, 'Prompt version not found');
+      }
+      return await this.updatePersona(
+        userId,
+        agentId,
+        { systemPrompt: prompt.systemPrompt },
+        { restoredFrom: version }
+      );
+    } catch (error) {
+      console.error('Error in restorePromptVersion:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update agent activity timestamp
    * @param {string} userId - The user ID
@@ -143,20 +678,51 @@ export class AgentService {
       throw error;
     }
   }
-  
+
+  /**
+   * Move every agent owned by one user key onto another (e.g. a wallet address onto a user ID)
+   * @param {string} fromUserId - The current owner key
+   * @param {string} toUserId - The new owner key
+   * @returns {Promise<number>} The number of agents moved
+   */
+  async reassignUser(fromUserId, toUserId) {
+    try {
+      if (!fromUserId || fromUserId === toUserId) {
+        return 0;
+      }
+      const result = await Agent.updateMany({ userId: fromUserId }, { userId: toUserId });
+      return result.modifiedCount;
+    } catch (error) {
+      console.error('Error in reassignUser:', error);
+      throw error;
+    }
+  }
+
   /**
    * Remove inactive agents (not used for longer than the specified time)
+   * Agents with an active scheduled task or trigger are kept, since they still act unattended.
+   * The vault keys of removed agents are kept, marked orphaned, as their wallets may hold funds
    * @param {Date} cutoffDate - Remove agents not active since this date
    * @returns {Promise<Object>} The result of the delete operation with count and removed agents
    */
   async removeInactiveAgents(cutoffDate) {
     try {
+      const unattended = [
+        ...(await ScheduledTask.distinct('agentId', { status: 'active' })),
+        ...(await AgentTrigger.distinct('agentId', { status: 'active' }))
+      ];
+
       // First get the list of inactive agents for reporting
-      const inactiveAgents = await Agent.find({ lastActive: { $lt: cutoffDate } });
-      
+      const inactiveAgents = await Agent.find({
+        lastActive: { $lt: cutoffDate },
+        agentId: { $nin: unattended }
+      });
+
       // Then delete them
-      const result = await Agent.deleteMany({ lastActive: { $lt: cutoffDate } });
-      
+      const agentIds = inactiveAgents.map(agent => agent.agentId);
+      const result = await Agent.deleteMany({ agentId: { $in: agentIds } });
+      await this.deleteAgentData(agentIds, { keepKeys: true });
+
       return {
         count: result.deletedCount,
         inactiveAgents
@@ -166,7 +732,7 @@ export class AgentService {
       throw error;
     }
   }
-  
+
   /**
    * Count total agents in the system
    * @returns {Promise<number>} The total count of agents
@@ -179,7 +745,7 @@ export class AgentService {
       throw error;
     }
   }
-  
+
   /**
    * Get system stats about agents
    * @returns {Promise<Object>} Statistics about agents
@@ -193,7 +759,7 @@ export class AgentService {
       const createdInLast7Days = await Agent.countDocuments({
         createdAt: { $gt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
       });
-      
+
       return {
         totalAgents: totalCount,
         activeInLast24Hours,
@@ -204,4 +770,4 @@ export class AgentService {
       throw error;
     }
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,204 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import ApiKey from '../models/apiKeyModel.js';
+import { PERMISSIONS } from '../config/roles.js';
+import { httpError } from '../utils/httpError.js';
+
+dotenv.config();
+
+const KEY_PREFIX = 'mm';
+const KEY_PATTERN = new RegExp(`^${KEY_PREFIX}_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$`);
+const MAX_KEYS_PER_USER = 25;
+const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 60;
+
+// Only write lastUsedAt when it is older than this, to avoid a write on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const hashKey = secret => crypto.createHash('sha256').update(secret).digest('hex');
+
+const safeEqual = (a, b) =>
+  typeof a === 'string' &&
+  typeof b === 'string' &&
+  a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Generate a key of the form "mm_<prefix>_<secret>"; only the prefix and the hash are stored
+const generateKey = () => {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { prefix, secret, key: `${KEY_PREFIX}_${prefix}_${secret}` };
+};
+
+/**
+ * Service for scoped API keys used by bots and backend jobs
+ * Keys are shown once on creation or rotation; only their SHA-256 hash is kept
+ */
+export class ApiKeyService {
+  /**
+   * Validate requested scopes against the known permissions
+   * @param {Array<string>} scopes - The requested scopes
+   * @returns {Array<string>} The de-duplicated scopes
+   */
+  validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw httpError(400, 'At least one scope is required');
+    }
+
+    const unknown = scopes.filter(scope => !PERMISSIONS.includes(scope));
+    if (unknown.length > 0) {
+      throw httpError(400, `Unknown scopes: ${unknown.join(', ')}`);
+    }
+
+    return [...new Set(scopes)];
+  }
+
+  /**
+   * Create an API key for a user
+   * @param {string} userId - The user ID
+   * @param {Object} options - { name, scopes, rateLimitPerMinute, expiresAt }
+   * @returns {Promise<{apiKey: Object, key: string}>} The stored key and the plain key to hand out
+   */
+  async createKey(userId, { name, scopes, rateLimitPerMinute, expiresAt }) {
+    try {
+      if (typeof name !== 'string' || !name.trim()) {
+        throw httpError(400, 'name is required');
+      }
+
+      const activeKeys = await ApiKey.countDocuments({ userId, revokedAt: null });
+      if (activeKeys >= MAX_KEYS_PER_USER) {
+        throw httpError(400, `A user can have at most ${MAX_KEYS_PER_USER} active API keys`);
+      }
+
+      const limit =
+        rateLimitPerMinute === undefined
+          ? DEFAULT_RATE_LIMIT_PER_MINUTE
+          : Number(rateLimitPerMinute);
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw httpError(400, 'rateLimitPerMinute must be a positive integer');
+      }
+
+      const expiry = expiresAt ? new Date(expiresAt) : null;
+      if (expiry && (isNaN(expiry.getTime()) || expiry <= new Date())) {
+        throw httpError(400, 'expiresAt must be a date in the future');
+      }
+
+      const { prefix, secret, key } = generateKey();
+      const apiKey = await ApiKey.create({
+        userId,
+        name: name.trim(),
+        prefix,
+        keyHash: hashKey(secret),
+        scopes: this.validateScopes(scopes),
+        rateLimitPerMinute: limit,
+        expiresAt: expiry
+      });
+
+      return { apiKey, key };
+    } catch (error) {
+      console.error('Error in createKey:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's API keys that have not been revoked
+   * @param {string} userId - The user ID
+   * @returns {Promise<Array>} The keys, newest first
+   */
+  async listKeys(userId) {
+    try {
+      return await ApiKey.find({ userId, revokedAt: null }).sort({ createdAt: -1 });
+    } catch (error) {
+      console.error('Error in listKeys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the secret of a key, keeping its name, scopes and limits; the old key stops working
+   * @param {string} userId - The user ID
+   * @param {string} keyId - The API key ID
+   * @returns {Promise<{apiKey: Object, key: string}|null>} The rotated key, or null if not found
+   */
+  async rotateKey(userId, keyId) {
+    try {
+      if (!mongoose.isValidObjectId(keyId)) {
+        return null;
+      }
+
+      const { prefix, secret, key } = generateKey();
+      const apiKey = await ApiKey.findOneAndUpdate(
+        { _id: keyId, userId, revokedAt: null },
+        { prefix, keyHash: hashKey(secret), rotatedAt: new Date() },
+        { new: true }
+      );
+
+      return apiKey ? { apiKey, key } : null;
+    } catch (error) {
+      console.error('Error in rotateKey:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke one of a user's API keys
+   * @param {string} userId - The user ID
+   * @param {string} keyId - The API key ID
+   * @returns {Promise<boolean>} True if a key was revoked
+   */
+  async revokeKey(userId, keyId) {
+    try {
+      if (!mongoose.isValidObjectId(keyId)) {
+        return false;
+      }
+
+      const result = await ApiKey.updateOne(
+        { _id: keyId, userId, revokedAt: null },
+        { revokedAt: new Date() }
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      console.error('Error in revokeKey:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up the active key for a presented API key and record its use
+   * @param {string} key - The plain key from the X-API-Key header
+   * @param {string} ip - The caller's IP address
+   * @returns {Promise<Object|null>} The API key, or null if unknown, revoked or expired
+   */
+  async verifyKey(key, ip) {
+    try {
+      const match = typeof key === 'string' && KEY_PATTERN.exec(key);
+      if (!match) {
+        return null;
+      }
+      const [, prefix, secret] = match;
+
+      const apiKey = await ApiKey.findOne({ prefix });
+      if (!apiKey || apiKey.revokedAt || !safeEqual(apiKey.keyHash, hashKey(secret))) {
+        return null;
+      }
+      if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+        return null;
+      }
+
+      if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > TOUCH_INTERVAL_MS) {
+        apiKey.lastUsedAt = new Date();
+        apiKey.lastUsedIp = ip || null;
+        await ApiKey.updateOne(
+          { _id: apiKey._id },
+          { lastUsedAt: apiKey.lastUsedAt, lastUsedIp: apiKey.lastUsedIp }
+        );
+      }
+
+      return apiKey;
+    } catch (error) {
+      console.error('Error in verifyKey:', error);
+      throw error;
+    }
+  }
+}
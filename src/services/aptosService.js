@@ -2,57 +2,160 @@ import {
     Aptos,
     Network,
     AptosConfig,
-    Ed25519PrivateKey,
     Account,
+    AccountAddress,
+    AuthenticationKey,
     Ed25519PublicKey,
     Ed25519Signature,
-    PrivateKey,
-    PrivateKeyVariants
+    convertAmountFromHumanReadableToOnChain
 } from '@aptos-labs/ts-sdk';
-import { AgentRuntime, LocalSigner, createAptosTools } from 'move-agent-kit';
+import { AgentRuntime } from 'move-agent-kit';
 import dotenv from 'dotenv';
+import { keyVault } from './keyVault.js';
+import { AgentRuntimeManager, createRuntime } from './agentRuntimeManager.js';
+import { checkpointSaver, parseThreadId, threadIdFor } from './mongoCheckpointSaver.js';
+import { DEFAULT_PERSONA, DEFAULT_SYSTEM_PROMPT, PROVIDERS } from '../config/personas.js';
+import { hasFaucet, networkKey, resolveNetwork } from '../config/networks.js';
+import { createAgentTools } from './toolRegistry.js';
+import { requiresApproval } from '../config/tools.js';
+import { spendingPolicy } from './spendingPolicyService.js';
+import { captureTransactions } from './policySigner.js';
+import { proposalService } from './proposalService.js';
+import { transactionQueue } from './transactionQueue.js';
+import { memoryService } from './memoryService.js';
+import { schedulerService } from './schedulerService.js';
+import { triggerService } from './triggerService.js';
+import { evaluateCondition } from './triggerEvaluator.js';
+import { priceFeed } from './priceFeed.js';
+import { ConversationService } from './conversationService.js';
+import { previewEntryFunction, simulateTransaction, summarizeTransaction } from './transactionPreview.js';
+import { AgentService } from './agentService.js';
+import { summarizeAgentRun } from '../utils/agentRun.js';
+import { httpError } from '../utils/httpError.js';
 // Add imports for LangChain
 import { ChatAnthropic } from '@langchain/anthropic';
-import { MemorySaver } from '@langchain/langgraph';
+import { ChatOpenAI } from '@langchain/openai';
 import { createReactAgent } from '@langchain/langgraph/prebuilt';
-import { AIMessage, HumanMessage, ChatMessage } from '@langchain/core/messages';
+import {
+    AIMessage,
+    HumanMessage,
+    ChatMessage,
+    SystemMessage,
+    ToolMessage,
+    trimMessages
+} from '@langchain/core/messages';
 
 dotenv.config();
 
+// How many of a thread's latest messages are sent to the model on each turn
+const CONTEXT_MESSAGES = parseInt(process.env.AGENT_CONTEXT_MESSAGES, 10) || 50;
+
+const APT_COIN_TYPE = '0x1::aptos_coin::AptosCoin';
+const APT_DECIMALS = 8;
+
+/**
+ * Format a LangChain message for the API
+ * @param {BaseMessage} msg - The message
+ * @returns {Object} The message with role and content
+ */
+const toRunMessage = msg => {
+    if (msg._getType() === 'human') {
+        return { content: msg.content, role: 'user' };
+    } else if (msg._getType() === 'ai') {
+        return {
+            content: msg.content,
+            role: 'assistant',
+            tool_calls: msg.tool_calls,
+        };
+    } else if (msg._getType() === 'tool') {
+        return {
+            content: msg.content,
+            role: 'tool',
+            tool_call_id: msg.tool_call_id,
+            name: msg.name
+        };
+    } else {
+        return { content: msg.content, role: msg._getType() };
+    }
+};
+
 /**
  * Service for interacting with the Aptos blockchain
  * Handles wallet creation, transaction management, and signature verification
+ * Methods that sign or act for an agent take the agent ({agentId, userId, network}) to act as,
+ * and run on that agent's own runtime from the pool, so no state is shared between agents and
+ * every call goes to the agent's network
  */
 class AptosService {
     /**
      * Initialize the Aptos service with default configuration
      */
     constructor() {
-        // Initialize with Aptos mainnet
+        // Initialize with Aptos mainnet, for wallets and agents that name no other network
         this.config = new AptosConfig({ network: Network.MAINNET });
         this.aptos = new Aptos(this.config);
-        this.agent = null;
-        this.llmAgent = null;
+        // One client per network agents run on
+        this.clients = new Map([[networkKey(null), this.aptos]]);
+        // Isolated runtimes per agent, rehydrated from the key vault on demand
+        this.runtimes = new AgentRuntimeManager({
+            getAptos: network => this.getAptosClient(network),
+            loadPrivateKey: (agentId, userId) => this.getPrivateKeyFromStorage(agentId, userId),
+            // Every transaction an agent signs is checked against its spending policy first
+            createGuard: agentId => this.spendingPolicy.guardFor(agentId),
+            // and submitted through its account's queue, which hands out sequence numbers
+            createSender: (agentId, network) => this.transactions.senderFor(agentId, network),
+            createLLMAgent: (runtime, setup) => this.createLLMAgent(runtime, setup)
+        });
+        this.spendingPolicy = spendingPolicy;
+        this.transactions = transactionQueue;
+        // What agents remember of older turns and earlier conversations
+        this.memory = memoryService;
+        this.transactionSweep = null;
+        // Write actions of agents in manual approval mode, waiting for their owner
+        this.proposals = proposalService;
+        this.agents = new AgentService();
+        this.proposalSweep = null;
+        // Tasks agents run on a schedule, and the conversations scheduled prompts run in
+        this.scheduler = schedulerService;
+        this.conversations = new ConversationService();
+        this.schedulerPoll = null;
+        // Actions agents run when a chain condition is met, and the prices they watch
+        this.triggers = triggerService;
+        this.prices = priceFeed;
+        this.triggerPoll = null;
+        // Durable LangGraph state, one thread per agent conversation
+        this.checkpointer = checkpointSaver;
+    }
+
+    /**
+     * Get the Aptos client for a network
+     * @param {Object} network - An agent's network; unset means mainnet
+     * @returns {Aptos} The client
+     */
+    getAptosClient(network) {
+        const key = networkKey(network);
+        let client = this.clients.get(key);
+        if (!client) {
+            const { name, fullnodeUrl, indexerUrl, faucetUrl } = resolveNetwork(network);
+            client = new Aptos(
+                name === Network.CUSTOM
+                    ? new AptosConfig({ network: Network.CUSTOM, fullnode: fullnodeUrl, indexer: indexerUrl, faucet: faucetUrl })
+                    : new AptosConfig({ network: name })
+            );
+            this.clients.set(key, client);
+        }
+        return client;
     }
 
     /**
-     * Initialize the Agent Runtime with a user's private key
+     * Create a standalone Agent Runtime for a private key, outside the pool
      * @param {string} privateKeyStr - The private key as a string
-     * @returns {Promise<AgentRuntime>} The initialized agent runtime
+     * @param {Object} network - The network to run on (defaults to mainnet)
+     * @returns {Promise<AgentRuntime>} The agent runtime
      */
-    async initializeAgent(privateKeyStr) {
+    async initializeAgent(privateKeyStr, network = null) {
         try {
-            // Create an account from the private key
-            const privateKey = new Ed25519PrivateKey(privateKeyStr);
-            const account = Account.fromPrivateKey({ privateKey });
-            
-            // Create a signer from the account
-            const signer = new LocalSigner(account);
-            
-            // Initialize the agent runtime
-            this.agent = new AgentRuntime(signer, this.aptos);
-            
-            return this.agent;
+            return createRuntime(privateKeyStr, this.getAptosClient(network)).runtime;
         } catch (error) {
             console.error('Error initializing agent:', error);
             throw new Error(`Failed to initialize agent: ${error.message}`);
@@ -60,52 +163,66 @@ class AptosService {
     }
 
     /**
-     * Initialize the LLM Agent with move-agent-kit
-     * @returns {Promise<Object>} The initialized LLM agent
+     * Resolve the runtime to act as
+     * @param {Object|AgentRuntime} agent - An agent ({agentId, userId}) or a standalone runtime
+     * @returns {Promise<AgentRuntime>} The agent's runtime
      */
-    async initializeLLMAgent() {
-        try {
-            // Check if we have API key
-            if (!process.env.ANTHROPIC_API_KEY) {
-                throw new Error('Missing ANTHROPIC_API_KEY environment variable');
-            }
+    async getRuntime(agent) {
+        if (agent instanceof AgentRuntime) {
+            return agent;
+        }
+        if (!agent?.agentId || !agent?.userId) {
+            throw new Error('An agent to act as is required');
+        }
+        const { runtime } = await this.runtimes.acquire(agent);
+        return runtime;
+    }
 
-            // Check if agent is initialized
-            if (!this.agent) {
-                throw new Error('Agent not initialized. Call initializeAgent first.');
-            }
+    /**
+     * Create the LLM Agent for a runtime with move-agent-kit
+     * @param {AgentRuntime} runtime - The runtime whose tools the agent uses
+     * @param {Object} setup - The agent's setup
+     * @param {Object} setup.persona - The agent's persona (system prompt, provider, model,
+     *   temperature, max tokens); unset fields fall back to the defaults
+     * @param {Object} setup.network - The agent's network; the faucet tool is only given off mainnet
+     * @param {Object} setup.tools - The agent's tool allowlist
+     * @param {string} setup.approvalMode - manual pauses the agent before every tool step, so
+     *   write actions can be proposed instead of run
+     * @returns {Object} The LLM agent
+     */
+    createLLMAgent(runtime, { persona = null, network = null, tools: toolSettings = null, approvalMode = null } = {}) {
+        try {
+            // Agent records hand over a Mongoose subdocument
+            const settings = typeof persona?.toObject === 'function' ? persona.toObject() : persona || {};
+            const llm = this.createChatModel(settings);
 
-            // Initialize LLM
-            const llm = new ChatAnthropic({
-                temperature: 0.7,
-                model: "claude-3-5-sonnet-latest",
-                apiKey: process.env.ANTHROPIC_API_KEY,
-            });
+            // Create the tools the agent's allowlist enables
+            const tools = createAgentTools(runtime, { network, tools: toolSettings });
 
-            // Create tools from agent
-            const tools = createAptosTools(this.agent);
-            const memory = new MemorySaver();
+            // Create React agent; each conversation's history lives in its checkpointed thread
+            const { name: networkName } = resolveNetwork(network);
+            const systemPrompt = new SystemMessage(
+                `${settings.systemPrompt || DEFAULT_SYSTEM_PROMPT}\n\nYou are connected to the Aptos ${networkName} network.` +
+                    (hasFaucet(network) ? '' : ' There is no faucet on this network.')
+            );
 
-            // Create React agent
-            this.llmAgent = createReactAgent({
+            return createReactAgent({
                 llm,
                 tools,
-                checkpointSaver: memory,
-                messageModifier: `
-                    You are a helpful agent that can interact onchain using the Aptos Agent Kit. You are
-                    empowered to interact onchain using your tools. If you ever need funds, you can request them from the
-                    faucet. If not, you can provide your wallet details and request funds from the user. If there is a 5XX
-                    (internal) HTTP error code, ask the user to try again later. If someone asks you to do something you
-                    can't do with your currently available tools, you must say so, and encourage them to implement it
-                    themselves using the Aptos Agent Kit, recommend they go to https://www.aptosagentkit.xyz for more information. Be
-                    concise and helpful with your responses. Refrain from restating your tools' descriptions unless it is explicitly requested.
-
-                    The response also contains token/token[] which contains the name and address of the token and the decimals.
-                    WHEN YOU RETURN ANY TOKEN AMOUNTS, RETURN THEM ACCORDING TO THE DECIMALS OF THE TOKEN.
-                `,
+                checkpointSaver: this.checkpointer,
+                interruptBefore: approvalMode === 'manual' ? ['tools'] : undefined,
+                // Only the latest messages of a long thread go to the model, starting on a user turn;
+                // what the agent remembers of older turns and earlier conversations joins the prompt
+                prompt: async (state, config) => [
+                    await this.withMemory(systemPrompt, config),
+                    ...(await trimMessages(state.messages, {
+                        strategy: 'last',
+                        maxTokens: CONTEXT_MESSAGES,
+                        tokenCounter: msgs => msgs.length,
+                        startOn: 'human'
+                    }))
+                ],
             });
-
-            return this.llmAgent;
         } catch (error) {
             console.error('Error initializing LLM agent:', error);
             throw new Error(`Failed to initialize LLM agent: ${error.message}`);
@@ -113,20 +230,254 @@ class AptosService {
     }
 
     /**
-     * Process a user message with the LLM agent
-     * @param {Array} messages - Array of message objects with role and content
+     * Create the chat model of a persona
+     * @param {Object} settings - The persona's provider, model, temperature and max tokens;
+     *   unset fields fall back to the defaults
+     * @returns {BaseChatModel} The chat model
+     */
+    createChatModel(settings = {}) {
+        const { provider, model, temperature, maxTokens } = { ...DEFAULT_PERSONA, ...settings };
+        const providerConfig = PROVIDERS[provider];
+        if (!providerConfig) {
+            throw new Error(`Unsupported LLM provider: ${provider}`);
+        }
+
+        // Check if we have API key
+        const apiKey = process.env[providerConfig.apiKeyEnv];
+        if (!apiKey) {
+            throw new Error(`Missing ${providerConfig.apiKeyEnv} environment variable`);
+        }
+
+        return provider === 'openai'
+            ? new ChatOpenAI({ model, temperature, maxTokens, apiKey })
+            : new ChatAnthropic({ model, temperature, maxTokens, apiKey });
+    }
+
+    /**
+     * Add what the agent remembers to its system prompt, for the thread a model call runs on
+     * Memory is a nice-to-have, so a failure to load it leaves it out rather than failing the run
+     * @param {SystemMessage} systemPrompt - The agent's system prompt
+     * @param {Object} config - The runnable config of the call
+     * @returns {Promise<SystemMessage>} The system prompt with the agent's memory
+     */
+    async withMemory(systemPrompt, config) {
+        const threadId = config?.configurable?.thread_id;
+        if (!threadId) {
+            return systemPrompt;
+        }
+        try {
+            const { agentId, conversationId } = parseThreadId(threadId);
+            const memory = await this.memory.getPromptContext(agentId, conversationId);
+            return memory ? new SystemMessage(`${systemPrompt.content}\n\n${memory}`) : systemPrompt;
+        } catch (error) {
+            console.error('Error loading agent memory:', error.message);
+            return systemPrompt;
+        }
+    }
+
+    /**
+     * Fold a conversation's older turns into the agent's memory, in the background
+     * @param {Object} agent - The agent ({agentId, userId, persona})
+     * @param {string} conversationId - The conversation ID
+     * @returns {Promise<Object|null>} The updated summary, or null; never rejects
+     */
+    async updateMemory(agent, conversationId) {
+        try {
+            const settings = typeof agent.persona?.toObject === 'function'
+                ? agent.persona.toObject()
+                : agent.persona || {};
+            return await this.memory.summarize(agent, conversationId, () => this.createChatModel(settings));
+        } catch (error) {
+            console.error(`Error updating memory of agent ${agent.agentId}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Build the LangGraph config of an agent conversation's thread
+     * @param {Object} agent - The agent ({agentId, userId})
+     * @param {string} conversationId - The conversation ID
+     * @param {string} checkpointId - Optional checkpoint to run from instead of the latest
+     * @returns {Object} The runnable config
+     */
+    threadConfig(agent, conversationId, checkpointId = null) {
+        if (!conversationId) {
+            throw new Error('A conversation is required to run an agent');
+        }
+        const configurable = { thread_id: threadIdFor(agent.agentId, String(conversationId)) };
+        if (checkpointId) {
+            configurable.checkpoint_id = checkpointId;
+        }
+        return { configurable };
+    }
+
+    /**
+     * Run an agent on its conversation thread
+     * An agent in manual approval mode pauses before every tool step: steps that only read
+     * carry on, and steps with write actions end the run with a proposal for its owner
+     * @param {Object} agent - The agent running ({agentId, userId, approvalMode, tools})
+     * @param {Object} llmAgent - The LLM agent
+     * @param {Object|null} input - The graph input, or null to continue an interrupted run
+     * @param {Object} config - The thread config
+     * @param {number} priorCount - How many of the thread's messages to leave out of the result
+     * @param {Object} options - Run options
+     * @param {boolean} options.showIntermediateSteps - Whether to stream intermediate steps
+     * @param {AbortSignal} options.signal - Cancels the run
+     * @returns {Promise<Object>} The messages this run produced and the proposal it ended with,
+     *   or the event stream
+     */
+    async runThread(agent, llmAgent, input, config, priorCount, { showIntermediateSteps = false, signal } = {}) {
+        if (showIntermediateSteps) {
+            // Get event stream with intermediate steps
+            const eventStream = await llmAgent.streamEvents(input, { ...config, version: "v2", signal });
+            return { eventStream: this.continueStream(agent, llmAgent, eventStream, config, signal) };
+        }
+
+        let result = await llmAgent.invoke(input, { ...config, signal });
+        let pause = await this.reviewPause(agent, llmAgent, config);
+        while (pause.continue) {
+            result = await llmAgent.invoke(null, { ...config, signal });
+            pause = await this.reviewPause(agent, llmAgent, config);
+        }
+        // Format the messages added after what the thread already held
+        return {
+            messages: result.messages.slice(priorCount).map(toRunMessage),
+            proposal: pause.proposal
+        };
+    }
+
+    /**
+     * Carry a streamed run on through the read-only steps an agent in manual approval mode
+     * pauses at; a proposal the run ends with is streamed as an on_proposal event
+     * @param {Object} agent - The agent running
+     * @param {Object} llmAgent - The LLM agent
+     * @param {AsyncIterable} eventStream - The run's first stream of events
+     * @param {Object} config - The thread config
+     * @param {AbortSignal} signal - Cancels the run
+     * @returns {AsyncGenerator<Object>} The LangGraph events
+     */
+    async *continueStream(agent, llmAgent, eventStream, config, signal) {
+        let events = eventStream;
+        for (;;) {
+            yield* events;
+            const pause = await this.reviewPause(agent, llmAgent, config);
+            if (pause.proposal) {
+                yield { event: 'on_proposal', data: { proposal: pause.proposal } };
+            }
+            if (!pause.continue) {
+                return;
+            }
+            events = await llmAgent.streamEvents(null, { ...config, version: "v2", signal });
+        }
+    }
+
+    /**
+     * Decide how a run of an agent in manual approval mode goes on from where it paused
+     * @param {Object} agent - The agent running
+     * @param {Object} llmAgent - The LLM agent
+     * @param {Object} config - The thread config
+     * @returns {Promise<{continue: boolean, proposal: Object|null}>} continue when the paused step
+     *   only reads, or the proposal made for a step with write actions
+     */
+    async reviewPause(agent, llmAgent, config) {
+        if (agent.approvalMode !== 'manual') {
+            return { continue: false, proposal: null };
+        }
+        const state = await llmAgent.getState(config);
+        if (!state.next?.includes('tools')) {
+            return { continue: false, proposal: null };
+        }
+        const calls = state.values.messages.at(-1)?.tool_calls || [];
+        if (!calls.some(call => requiresApproval(call.name))) {
+            return { continue: true, proposal: null };
+        }
+        return { continue: false, proposal: await this.proposeToolCalls(agent, state, calls) };
+    }
+
+    /**
+     * Propose the tool calls of a paused step, with a summary and simulation of every
+     * transaction the write actions would send
+     * @param {Object} agent - The agent running
+     * @param {Object} state - The paused thread state
+     * @param {Array} calls - The step's tool calls
+     * @returns {Promise<Object>} The proposal
+     */
+    async proposeToolCalls(agent, state, calls) {
+        const { runtime, network } = await this.runtimes.acquire(agent);
+        const tools = createAgentTools(runtime, { network, tools: agent.tools });
+        const publicKey = runtime.account.getPublicKey();
+
+        const toolCalls = [];
+        for (const call of calls) {
+            const toolCall = {
+                id: call.id,
+                name: call.name,
+                args: call.args,
+                requiresApproval: requiresApproval(call.name),
+                transactions: []
+            };
+            const tool = tools.find(candidate => candidate.name === call.name);
+            if (toolCall.requiresApproval && tool) {
+                // Run the tool up to the point it would sign, to see what it would send
+                let transactions = [];
+                try {
+                    ({ transactions } = await captureTransactions(() => tool.invoke(call.args)));
+                } catch (error) {
+                    console.error(`Error previewing ${call.name}:`, error.message);
+                }
+                for (const transaction of transactions) {
+                    toolCall.transactions.push({
+                        summary: summarizeTransaction(transaction),
+                        simulation: await simulateTransaction(runtime.aptos, publicKey, transaction)
+                    });
+                }
+            }
+            toolCalls.push(toolCall);
+        }
+
+        const { conversationId } = parseThreadId(state.config.configurable.thread_id);
+        return this.proposals.create({
+            agentId: agent.agentId,
+            userId: agent.userId,
+            conversationId,
+            checkpointId: state.config.configurable.checkpoint_id,
+            toolCalls
+        });
+    }
+
+    /**
+     * Process a user message with an agent's LLM agent
+     * A conversation's thread is checkpointed, so once it has state only the newest message is
+     * sent; the stored history seeds threads that have none yet
+     * @param {Object} agent - The agent to act as ({agentId, userId})
+     * @param {Array} messages - Array of message objects with role and content, newest last
      * @param {boolean} showIntermediateSteps - Whether to show intermediate steps
-     * @returns {Promise<Object>} Agent response
+     * @param {Object} options - Run options
+     * @param {string} options.conversationId - The conversation whose thread to run on
+     * @param {AbortSignal} options.signal - Cancels the run, e.g. when a streaming client leaves
+     * @returns {Promise<Object>} The messages this run produced, or the event stream
      */
-    async processAgentMessage(messages, showIntermediateSteps = false) {
+    async processAgentMessage(agent, messages, showIntermediateSteps = false, { conversationId, signal } = {}) {
         try {
-            // Check if LLM agent is initialized
-            if (!this.llmAgent) {
-                await this.initializeLLMAgent();
+            const llmAgent = await this.runtimes.getLLMAgent(agent);
+            const config = this.threadConfig(agent, conversationId);
+
+            const state = await llmAgent.getState(config);
+            if (state.next?.length > 0) {
+                const pending = await this.proposals.findPending(agent.agentId, conversationId);
+                const error = httpError(
+                    409,
+                    pending
+                        ? `Proposal ${pending.proposalId} is awaiting approval`
+                        : 'The previous run was interrupted; resume it or fork from an earlier checkpoint'
+                );
+                error.proposalId = pending?.proposalId;
+                throw error;
             }
+            const priorCount = state.values?.messages?.length || 0;
 
             // Format messages for LangChain if needed
-            const formattedMessages = messages.map(msg => {
+            const formattedMessages = (priorCount > 0 ? messages.slice(-1) : messages).map(msg => {
                 if (msg.role === 'user') {
                     return new HumanMessage(msg.content);
                 } else if (msg.role === 'assistant') {
@@ -136,65 +487,565 @@ class AptosService {
                 }
             });
 
-            if (!showIntermediateSteps) {
-                // Invoke the agent with messages
-                const result = await this.llmAgent.invoke({ messages: formattedMessages });
-                
-                // Format the response
-                return {
-                    messages: result.messages.map(msg => {
-                        if (msg._getType() === 'human') {
-                            return { content: msg.content, role: 'user' };
-                        } else if (msg._getType() === 'ai') {
-                            return {
-                                content: msg.content,
-                                role: 'assistant',
-                                tool_calls: msg.tool_calls,
-                            };
-                        } else {
-                            return { content: msg.content, role: msg._getType() };
-                        }
-                    }),
-                };
-            } else {
-                // Get event stream with intermediate steps
-                const eventStream = await this.llmAgent.streamEvents(
-                    { messages: formattedMessages },
-                    {
-                        version: "v2",
-                        configurable: {
-                            thread_id: "Aptos Agent Kit!",
-                        },
-                    }
-                );
+            return await this.runThread(
+                agent,
+                llmAgent,
+                { messages: formattedMessages },
+                config,
+                priorCount + formattedMessages.length,
+                { showIntermediateSteps, signal }
+            );
+        } catch (error) {
+            console.error('Error processing agent message:', error.message);
+            const wrapped = new Error(`Failed to process agent message: ${error.message}`);
+            wrapped.status = error.status;
+            throw wrapped;
+        }
+    }
+
+    /**
+     * List the checkpoints of an agent conversation, newest first
+     * @param {Object} agent - The agent ({agentId, userId})
+     * @param {string} conversationId - The conversation ID
+     * @param {Object} options - limit, and before (a checkpoint ID) to page back
+     * @returns {Promise<Array>} The checkpoints
+     */
+    async listCheckpoints(agent, conversationId, { limit = 20, before = null } = {}) {
+        try {
+            const config = this.threadConfig(agent, conversationId);
+            const options = { limit };
+            if (before) {
+                options.before = { configurable: { checkpoint_id: before } };
+            }
+
+            const checkpoints = [];
+            for await (const tuple of this.checkpointer.list(config, options)) {
+                checkpoints.push({
+                    checkpointId: tuple.config.configurable.checkpoint_id,
+                    parentCheckpointId: tuple.parentConfig?.configurable.checkpoint_id || null,
+                    source: tuple.metadata?.source,
+                    step: tuple.metadata?.step,
+                    createdAt: tuple.checkpoint.ts,
+                    messageCount: tuple.checkpoint.channel_values?.messages?.length || 0,
+                    // A checkpoint with writes still to apply was left mid-run
+                    pendingWrites: tuple.pendingWrites?.length || 0
+                });
+            }
+            return checkpoints;
+        } catch (error) {
+            console.error('Error listing checkpoints:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Resume an interrupted run from the latest checkpoint of its conversation
+     * @param {Object} agent - The agent ({agentId, userId})
+     * @param {string} conversationId - The conversation ID
+     * @param {Object} options - Run options
+     * @param {AbortSignal} options.signal - Cancels the run
+     * @returns {Promise<Object>} The messages the resumed run produced
+     */
+    async resumeAgentRun(agent, conversationId, { signal } = {}) {
+        try {
+            const llmAgent = await this.runtimes.getLLMAgent(agent);
+            const config = this.threadConfig(agent, conversationId);
+
+            const state = await llmAgent.getState(config);
+            if (!state.next?.length) {
+                throw httpError(409, 'Nothing to resume');
+            }
+            // Resuming must not run write actions that are waiting for approval
+            const pending = await this.proposals.findPending(agent.agentId, conversationId);
+            if (pending) {
+                const error = httpError(409, `Proposal ${pending.proposalId} is awaiting approval`);
+                error.proposalId = pending.proposalId;
+                throw error;
+            }
+            const pause = await this.reviewPause(agent, llmAgent, config);
+            if (pause.proposal) {
+                return { messages: [], proposal: pause.proposal };
+            }
+
+            return await this.runThread(
+                agent,
+                llmAgent,
+                null,
+                config,
+                state.values?.messages?.length || 0,
+                { signal }
+            );
+        } catch (error) {
+            console.error('Error resuming agent run:', error.message);
+            const wrapped = new Error(`Failed to resume agent run: ${error.message}`);
+            wrapped.status = error.status;
+            throw wrapped;
+        }
+    }
+
+    /**
+     * Fork a conversation from an earlier checkpoint with a new message
+     * The fork becomes the thread's latest checkpoint, so later turns continue from it
+     * @param {Object} agent - The agent ({agentId, userId})
+     * @param {string} conversationId - The conversation ID
+     * @param {string} checkpointId - The checkpoint to fork from
+     * @param {string} message - The user message to send from that point
+     * @param {Object} options - Run options
+     * @param {AbortSignal} options.signal - Cancels the run
+     * @returns {Promise<Object>} The messages the forked run produced
+     */
+    async forkAgentRun(agent, conversationId, checkpointId, message, { signal } = {}) {
+        try {
+            const llmAgent = await this.runtimes.getLLMAgent(agent);
+            const config = this.threadConfig(agent, conversationId, checkpointId);
+
+            const checkpoint = await this.checkpointer.getTuple(config);
+            if (!checkpoint) {
+                throw httpError(404, 'Checkpoint not found');
+            }
+            const priorCount = checkpoint.checkpoint.channel_values?.messages?.length || 0;
+
+            return await this.runThread(
+                agent,
+                llmAgent,
+                { messages: [new HumanMessage(message)] },
+                config,
+                priorCount + 1,
+                { signal }
+            );
+        } catch (error) {
+            console.error('Error forking agent run:', error.message);
+            const wrapped = new Error(`Failed to fork agent run: ${error.message}`);
+            wrapped.status = error.status;
+            throw wrapped;
+        }
+    }
+
+    /**
+     * Load a proposal and the paused run it belongs to
+     * A pending proposal whose conversation has moved on (it was forked or cleared) expires
+     * @param {Object} agent - The agent ({agentId, userId})
+     * @param {string} proposalId - The proposal ID
+     * @returns {Promise<Object>} The proposal, the LLM agent, the thread config and state
+     */
+    async loadProposalRun(agent, proposalId) {
+        const proposal = await this.proposals.get(agent.agentId, proposalId);
+        if (!proposal) {
+            throw httpError(404, 'Proposal not found');
+        }
+
+        const llmAgent = await this.runtimes.getLLMAgent(agent);
+        const config = this.threadConfig(agent, proposal.conversationId);
+        const state = await llmAgent.getState(config);
+        if (proposal.status === 'pending' && state.config?.configurable?.checkpoint_id !== proposal.checkpointId) {
+            await this.proposals.transition(agent.agentId, proposalId, 'pending', 'expired', {
+                reason: 'The conversation moved on'
+            });
+            throw httpError(409, 'The conversation has moved on since this proposal was made');
+        }
+        return { proposal, llmAgent, config, state };
+    }
+
+    // The error for deciding a proposal that is no longer pending
+    proposalDecided(proposal) {
+        const status = proposal.status === 'pending' ? 'expired' : proposal.status;
+        return httpError(409, `Proposal is already ${status}`);
+    }
+
+    /**
+     * Answer a proposal's tool calls without running them
+     * @param {Object} llmAgent - The LLM agent
+     * @param {Object} config - The thread config
+     * @param {Object} proposal - The proposal
+     * @param {string} message - Why the tools did not run, for the agent
+     */
+    async closeToolCalls(llmAgent, config, proposal, message) {
+        await llmAgent.updateState(
+            config,
+            {
+                messages: proposal.toolCalls.map(call => new ToolMessage({
+                    tool_call_id: call.id,
+                    name: call.name,
+                    content: JSON.stringify({ status: 'error', message })
+                }))
+            },
+            'tools'
+        );
+    }
+
+    /**
+     * Approve a proposal and resume its run from the checkpoint it paused at, so the proposed
+     * tools run and the agent reports the outcome
+     * @param {Object} agent - The agent ({agentId, userId})
+     * @param {string} proposalId - The proposal ID
+     * @param {string} userId - The user approving
+     * @param {Object} options - Run options
+     * @param {AbortSignal} options.signal - Cancels the run
+     * @returns {Promise<Object>} The decided proposal, the messages of the resumed run (from the
+     *   step that proposed the tools) and any proposal it ended with
+     */
+    async approveProposal(agent, proposalId, userId, { signal } = {}) {
+        try {
+            const { proposal, llmAgent, config, state } = await this.loadProposalRun(agent, proposalId);
+            const approved = await this.proposals.transition(agent.agentId, proposalId, 'pending', 'approved', {
+                decidedBy: userId
+            });
+            if (!approved) {
+                throw this.proposalDecided(proposal);
+            }
 
-                // Process and return stream
-                return { eventStream };
+            let run;
+            try {
+                run = await this.runThread(agent, llmAgent, null, config, state.values.messages.length - 1, { signal });
+            } catch (error) {
+                await this.proposals.transition(agent.agentId, proposalId, 'approved', 'failed', {
+                    reason: error.message
+                });
+                throw error;
             }
+            const decided = await this.proposals.transition(agent.agentId, proposalId, 'approved', 'executed', {
+                transactionHashes: summarizeAgentRun(run.messages).transactionHashes
+            });
+            return { ...run, decided };
         } catch (error) {
-            console.error('Error processing agent message:', error);
-            throw new Error(`Failed to process agent message: ${error.message}`);
+            console.error('Error approving proposal:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Reject a proposal; its run resumes with the tools answered as rejected, so the agent can
+     * respond without them
+     * @param {Object} agent - The agent ({agentId, userId})
+     * @param {string} proposalId - The proposal ID
+     * @param {string} userId - The user rejecting
+     * @param {string} reason - Why, passed on to the agent (optional)
+     * @param {Object} options - Run options
+     * @param {AbortSignal} options.signal - Cancels the run
+     * @returns {Promise<Object>} The decided proposal, and the messages of the resumed run (from
+     *   the step that proposed the tools)
+     */
+    async rejectProposal(agent, proposalId, userId, reason = null, { signal } = {}) {
+        try {
+            const { proposal, llmAgent, config, state } = await this.loadProposalRun(agent, proposalId);
+            const decided = await this.proposals.transition(agent.agentId, proposalId, 'pending', 'rejected', {
+                decidedBy: userId,
+                reason: reason || undefined
+            });
+            if (!decided) {
+                throw this.proposalDecided(proposal);
+            }
+
+            await this.closeToolCalls(
+                llmAgent,
+                config,
+                proposal,
+                `The user rejected this action${reason ? `: ${reason}` : ''}`
+            );
+            const run = await this.runThread(agent, llmAgent, null, config, state.values.messages.length - 1, { signal });
+            return { ...run, decided };
+        } catch (error) {
+            console.error('Error rejecting proposal:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Expire overdue proposals and close their runs without calling the model, so their
+     * conversations take new messages again
+     * @returns {Promise<number>} The number of proposals expired
+     */
+    async expireProposals() {
+        const expired = await this.proposals.claimExpired();
+        for (const proposal of expired) {
+            try {
+                const agent = await this.agents.getAgentById(proposal.agentId);
+                if (!agent) {
+                    continue;
+                }
+                const llmAgent = await this.runtimes.getLLMAgent(agent);
+                const config = this.threadConfig(agent, proposal.conversationId);
+                const state = await llmAgent.getState(config);
+                if (state.config?.configurable?.checkpoint_id !== proposal.checkpointId) {
+                    continue;
+                }
+                await this.closeToolCalls(llmAgent, config, proposal, 'This action expired before it was approved');
+                await llmAgent.updateState(
+                    config,
+                    { messages: [new AIMessage('The proposed action expired before it was approved, so nothing was sent.')] },
+                    'agent'
+                );
+            } catch (error) {
+                console.error(`Error expiring proposal ${proposal.proposalId}:`, error.message);
+            }
+        }
+        return expired.length;
+    }
+
+    /**
+     * Expire overdue proposals periodically (PROPOSAL_SWEEP_MS, default a minute); every worker
+     * may sweep, since each proposal is only claimed once
+     */
+    startProposalSweep() {
+        if (this.proposalSweep) {
+            return;
         }
+        const interval = parseInt(process.env.PROPOSAL_SWEEP_MS) || 60 * 1000;
+        this.proposalSweep = setInterval(() => {
+            this.expireProposals().catch(error => console.error('Error sweeping proposals:', error.message));
+        }, interval);
+        this.proposalSweep.unref();
     }
 
     /**
-     * Verifies a signature using the Aptos blockchain
+     * Settle agent transactions left pending past their expiry periodically (TX_SWEEP_MS,
+     * default a minute), e.g. by a restart while they were waiting to commit
+     */
+    startTransactionSweep() {
+        if (this.transactionSweep) {
+            return;
+        }
+        const interval = parseInt(process.env.TX_SWEEP_MS) || 60 * 1000;
+        this.transactionSweep = setInterval(() => {
+            this.transactions
+                .reconcile(network => this.getAptosClient(network))
+                .catch(error => console.error('Error sweeping transactions:', error.message));
+        }, interval);
+        this.transactionSweep.unref();
+    }
+
+    /**
+     * Run one of an agent's scheduled tasks
+     * @param {Object} task - The task
+     * @returns {Promise<Object>} The outcome of the run (see SchedulerService.finishRun)
+     */
+    async runScheduledTask(task) {
+        const agent = await this.agents.getAgentById(task.agentId);
+        if (!agent) {
+            throw new Error('The agent no longer exists');
+        }
+        if (!agent.address) {
+            throw new Error('The agent has no wallet yet');
+        }
+        // Unattended runs count as activity, so inactive-agent cleanup leaves the agent alone
+        await this.agents.updateAgentActivity(agent.userId, agent.agentId);
+        return task.action.type === 'tool'
+            ? this.runActionTool(agent, task.action)
+            : this.runActionPrompt(agent, `[Scheduled task: ${task.name}] ${task.action.prompt}`);
+    }
+
+    /**
+     * Send the agent the prompt of a scheduled task or trigger in its conversation, as if its
+     * owner had, so the reply and anything waiting for approval show up there
+     * @param {Object} agent - The agent
+     * @param {string} message - The prompt, labelled with what sent it
+     * @returns {Promise<Object>} The outcome of the run
+     */
+    async runActionPrompt(agent, message) {
+        const conversation = await this.conversations.getOrCreateConversation(agent.userId, agent.agentId);
+        const history = await this.conversations.getConversationMessages(conversation._id, 9);
+
+        // The prompt is saved only once the run went through, so a thread that refuses it (e.g.
+        // with a proposal awaiting approval) is not left with a prompt the agent never answered
+        const result = await this.processAgentMessage(
+            agent,
+            [...history.map(({ role, content }) => ({ role, content })), { role: 'user', content: message }],
+            false,
+            { conversationId: conversation._id }
+        );
+        const { reply, toolCalls, transactionHashes } = summarizeAgentRun(result.messages);
+        const response = reply || (result.proposal
+            ? `The agent is waiting for approval (proposal ${result.proposal.proposalId}).`
+            : 'The agent finished without a reply.');
+        await this.conversations.addMessageToConversation(conversation._id, 'user', message);
+        await this.conversations.addMessageToConversation(
+            conversation._id,
+            'assistant',
+            response,
+            { toolCalls, transactionHashes }
+        );
+        this.updateMemory(agent, conversation._id);
+
+        return {
+            status: 'succeeded',
+            response,
+            toolCalls: toolCalls.map(({ name, status }) => ({ name, status })),
+            transactionHashes,
+            conversationId: String(conversation._id),
+            proposalId: result.proposal?.proposalId
+        };
+    }
+
+    /**
+     * Run one of the agent's tools with the input of a scheduled task or trigger, under its
+     * spending policy
+     * Agents in manual approval mode cannot run tools that need approval unattended
+     * @param {Object} agent - The agent
+     * @param {Object} action - The tool and its input
+     * @returns {Promise<Object>} The outcome of the run
+     */
+    async runActionTool(agent, { tool: name, input }) {
+        if (agent.approvalMode === 'manual' && requiresApproval(name)) {
+            throw new Error(`${name} needs approval in manual approval mode; use a prompt instead`);
+        }
+        const runtime = await this.getRuntime(agent);
+        const tool = createAgentTools(runtime, { network: agent.network, tools: agent.tools })
+            .find(candidate => candidate.name === name);
+        if (!tool) {
+            throw new Error(`The agent cannot use ${name}`);
+        }
+
+        const output = await tool.invoke(JSON.stringify(input || {}));
+        // Read the output as if the agent had called the tool
+        const { toolCalls, transactionHashes } = summarizeAgentRun([
+            { role: 'assistant', content: '', tool_calls: [{ id: 'action', name, args: input }] },
+            { role: 'tool', tool_call_id: 'action', content: output }
+        ]);
+        const [{ status, output: response }] = toolCalls;
+        return {
+            status: status === 'error' ? 'failed' : 'succeeded',
+            response,
+            toolCalls: [{ name, status }],
+            transactionHashes,
+            error: status === 'error' ? response : undefined
+        };
+    }
+
+    /**
+     * Run due scheduled tasks periodically (SCHEDULE_POLL_MS, default 30s); every worker may
+     * poll, since each run is only claimed once
+     */
+    startScheduler() {
+        if (this.schedulerPoll) {
+            return;
+        }
+        const interval = parseInt(process.env.SCHEDULE_POLL_MS) || 30 * 1000;
+        let polling = false;
+        this.schedulerPoll = setInterval(() => {
+            // Runs can outlast the interval; the next poll waits for them
+            if (polling) {
+                return;
+            }
+            polling = true;
+            this.scheduler
+                .runDue(task => this.runScheduledTask(task))
+                .catch(error => console.error('Error running scheduled tasks:', error.message))
+                .finally(() => {
+                    polling = false;
+                });
+        }, interval);
+        this.schedulerPoll.unref();
+    }
+
+    /**
+     * Check a trigger's condition against its agent's wallet and network
+     * @param {Object} trigger - The trigger
+     * @returns {Promise<Object>} What the condition sees, as evaluateCondition returns it
+     */
+    async evaluateTrigger(trigger) {
+        const agent = await this.agents.getAgentById(trigger.agentId);
+        if (!agent?.address) {
+            throw new Error(agent ? 'The agent has no wallet yet' : 'The agent no longer exists');
+        }
+        return evaluateCondition(trigger.condition, trigger.state, {
+            aptos: this.getAptosClient(agent.network),
+            address: AccountAddress.from(agent.address).toStringLong(),
+            prices: this.prices
+        });
+    }
+
+    /**
+     * Run a trigger's action for what fired it; prompts are told what happened
+     * @param {Object} trigger - The trigger
+     * @param {Array} events - What fired it ({description})
+     * @returns {Promise<Object>} The outcome of the action
+     */
+    async runTriggerAction(trigger, events) {
+        const agent = await this.agents.getAgentById(trigger.agentId);
+        if (!agent?.address) {
+            throw new Error(agent ? 'The agent has no wallet yet' : 'The agent no longer exists');
+        }
+        await this.agents.updateAgentActivity(agent.userId, agent.agentId);
+        if (trigger.action.type === 'tool') {
+            return this.runActionTool(agent, trigger.action);
+        }
+        const happened = events.map(({ description }) => `- ${description}`).join('\n');
+        return this.runActionPrompt(
+            agent,
+            `[Trigger: ${trigger.name}] ${trigger.action.prompt}\n\nWhat happened:\n${happened}`
+        );
+    }
+
+    /**
+     * Check agent triggers periodically (TRIGGER_POLL_MS, default 60s); every worker may poll,
+     * since each check is only claimed once
+     */
+    startTriggerEvaluator() {
+        if (this.triggerPoll) {
+            return;
+        }
+        let polling = false;
+        this.triggerPoll = setInterval(() => {
+            // Actions can outlast the interval; the next poll waits for them
+            if (polling) {
+                return;
+            }
+            polling = true;
+            this.triggers
+                .evaluateDue(
+                    trigger => this.evaluateTrigger(trigger),
+                    (trigger, events) => this.runTriggerAction(trigger, events)
+                )
+                .catch(error => console.error('Error checking triggers:', error.message))
+                .finally(() => {
+                    polling = false;
+                });
+        // Each trigger is due one interval after its last check; polling more often keeps
+        // checks from slipping a whole interval late
+        }, Math.ceil(this.triggers.checkIntervalMs / 4));
+        this.triggerPoll.unref();
+    }
+
+    /**
+     * Verifies an Ed25519 signature made by an Aptos account
+     * The public key must control the account: it has to match the on-chain authentication
+     * key, or derive the address itself for accounts that have not been created on chain yet
      * @param {string} address - The account address
      * @param {string} message - The message that was signed
-     * @param {string} signature - The signature to verify
+     * @param {string} signature - The signature to verify (hex)
+     * @param {string} publicKey - The Ed25519 public key that produced the signature (hex)
      * @returns {Promise<boolean>} - True if signature is valid
      */
-    async verifySignature(address, message, signature) {
+    async verifySignature(address, message, signature, publicKey) {
         // Input validation
-        if (!address || !message || !signature) {
+        if (!address || !message || !signature || !publicKey) {
             throw new Error('Missing required parameters for signature verification');
         }
         
         try {
-            const accountInfo = await this.aptos.getAccountInfo({ accountAddress: address });
-            const publicKey = new Ed25519PublicKey(accountInfo.authentication_key);
-            return publicKey.verifySignature({
-                message,
+            const accountAddress = AccountAddress.from(address);
+            const ed25519PublicKey = new Ed25519PublicKey(publicKey);
+            const derivedAuthKey = AuthenticationKey.fromPublicKey({ publicKey: ed25519PublicKey })
+                .derivedAddress()
+                .toStringLong();
+
+            let expectedAuthKey;
+            try {
+                const accountInfo = await this.aptos.getAccountInfo({ accountAddress });
+                expectedAuthKey = AccountAddress.from(accountInfo.authentication_key).toStringLong();
+            } catch (error) {
+                if (error.status !== 404 && !error.message?.includes('account_not_found')) {
+                    throw error;
+                }
+                expectedAuthKey = accountAddress.toStringLong();
+            }
+
+            if (derivedAuthKey !== expectedAuthKey) {
+                return false;
+            }
+
+            return ed25519PublicKey.verifySignature({
+                message: Buffer.from(message, 'utf8'),
                 signature: new Ed25519Signature(signature)
             });
         } catch (error) {
@@ -211,9 +1062,6 @@ class AptosService {
         try {
             const account = Account.generate();
             
-            // Initialize agent for the new account
-            await this.initializeAgent(account.privateKey.toString());
-            
             return {
                 address: account.accountAddress.toString(),
                 privateKey: account.privateKey.toString()
@@ -231,13 +1079,7 @@ class AptosService {
      */
     async getUserAccount(privateKeyStr) {
         try {
-            const privateKey = new Ed25519PrivateKey(privateKeyStr);
-            const account = Account.fromPrivateKey({ privateKey });
-            
-            // Initialize agent for this account
-            await this.initializeAgent(privateKeyStr);
-            
-            return account;
+            return createRuntime(privateKeyStr, this.aptos).account;
         } catch (error) {
             console.error('Error getting user account:', error);
             throw new Error('Failed to retrieve user account');
@@ -246,24 +1088,18 @@ class AptosService {
 
     /**
      * Gets the balance of an account
-     * @param {string} address - Address to check balance
+     * @param {Object|AgentRuntime} agent - The agent to act as
+     * @param {string} address - Address to check balance (defaults to the agent's wallet)
      * @returns {Promise<string>} Account balance
      */
-    async getAccountBalance(address) {
-        // Input validation
-        if (!address) {
-            throw new Error('Address is required to check balance');
-        }
-
+    async getAccountBalance(agent, address = null) {
         try {
-            // Ensure agent is initialized
-            if (!this.agent) {
-                throw new Error('Agent not initialized. Call initializeAgent first.');
-            }
+            const runtime = await this.getRuntime(agent);
+            const accountAddress = address || runtime.account.getAddress().toStringLong();
             
             // Get balance using agent
-            const balance = await this.agent.aptos.getAccountAPTAmount({
-                accountAddress: address
+            const balance = await runtime.aptos.getAccountAPTAmount({
+                accountAddress
             });
             
             return balance.toString();
@@ -278,33 +1114,28 @@ class AptosService {
 
     /**
      * Gets token balance for a specific token
-     * @param {string} address - Address to check balance
+     * @param {Object|AgentRuntime} agent - The agent to act as
+     * @param {string} address - Address to check balance (defaults to the agent's wallet)
      * @param {string} tokenType - Token type/mint (optional)
      * @returns {Promise<string>} Token balance
      */
-    async getTokenBalance(address, tokenType = null) {
-        if (!address) {
-            throw new Error('Address is required to check token balance');
-        }
-
+    async getTokenBalance(agent, address = null, tokenType = null) {
         try {
-            // Ensure agent is initialized
-            if (!this.agent) {
-                throw new Error('Agent not initialized. Call initializeAgent first.');
-            }
+            const runtime = await this.getRuntime(agent);
+            address = address || runtime.account.getAddress().toStringLong();
             
             let balance;
             
             if (tokenType) {
                 if (tokenType.split('::').length === 3) {
                     // This is a coin type
-                    balance = await this.agent.aptos.getAccountCoinAmount({
+                    balance = await runtime.aptos.getAccountCoinAmount({
                         accountAddress: address,
                         coinType: tokenType
                     });
                 } else {
                     // This is a fungible asset
-                    const balances = await this.agent.aptos.getCurrentFungibleAssetBalances({
+                    const balances = await runtime.aptos.getCurrentFungibleAssetBalances({
                         options: {
                             where: {
                                 owner_address: { _eq: address },
@@ -317,7 +1148,7 @@ class AptosService {
                 }
             } else {
                 // Default to APT
-                balance = await this.agent.aptos.getAccountAPTAmount({
+                balance = await runtime.aptos.getAccountAPTAmount({
                     accountAddress: address
                 });
             }
@@ -331,12 +1162,13 @@ class AptosService {
 
     /**
      * Transfers tokens to a recipient address
+     * @param {Object|AgentRuntime} agent - The agent to sign as
      * @param {string} toAddress - Recipient address
-     * @param {number|string} amount - Amount to transfer
-     * @param {string} tokenType - Token type (optional, defaults to APT)
+     * @param {number|string} amount - Amount to transfer, in whole tokens (e.g. 0.1)
+     * @param {string} tokenType - Coin type or fungible asset address (optional, defaults to APT)
      * @returns {Promise<string>} Transaction hash
      */
-    async transferTokens(toAddress, amount, tokenType = null) {
+    async transferTokens(agent, toAddress, amount, tokenType = null) {
         // Input validation
         if (!toAddress || !amount) {
             throw new Error('Recipient address and amount are required');
@@ -347,48 +1179,75 @@ class AptosService {
         }
         
         try {
-            // Ensure agent is initialized
-            if (!this.agent) {
-                throw new Error('Agent not initialized. Call initializeAgent first.');
-            }
-            
-            let txResult;
-            
-            if (tokenType) {
-                // Transfer specific token
-                txResult = await this.agent.transferToken(toAddress, parseFloat(amount), tokenType);
-            } else {
-                // Transfer APT
-                txResult = await this.agent.transferTokens(toAddress, parseFloat(amount));
-            }
-            
-            return txResult.hash;
+            const runtime = await this.getRuntime(agent);
+            const mint = tokenType || APT_COIN_TYPE;
+            const decimals = await this.getTokenDecimals(runtime.aptos, mint);
+
+            // Signed by the agent's signer, so it is checked, simulated and queued like any other
+            return await runtime.transferTokens(
+                AccountAddress.from(toAddress),
+                convertAmountFromHumanReadableToOnChain(parseFloat(amount), decimals),
+                mint
+            );
         } catch (error) {
             console.error('Error transferring tokens:', error);
             throw new Error(`Token transfer failed: ${error.message}`);
         }
     }
+
+    /**
+     * Gets the decimals of a coin type or fungible asset
+     * @param {Aptos} aptos - The client for its network
+     * @param {string} tokenType - Coin type or fungible asset address
+     * @returns {Promise<number>} Its decimals
+     */
+    async getTokenDecimals(aptos, tokenType) {
+        if (tokenType === APT_COIN_TYPE) {
+            return APT_DECIMALS;
+        }
+        const [decimals] = tokenType.split('::').length === 3
+            ? await aptos.view({ payload: { function: '0x1::coin::decimals', typeArguments: [tokenType] } })
+            : await aptos.view({
+                payload: {
+                    function: '0x1::fungible_asset::decimals',
+                    typeArguments: ['0x1::fungible_asset::Metadata'],
+                    functionArguments: [tokenType]
+                }
+            });
+        return Number(decimals);
+    }
     
+    /**
+     * Simulate an entry function call from an agent's wallet, without signing it
+     * @param {Object} agent - The agent to simulate as ({agentId, userId, network})
+     * @param {Object} data - function, typeArguments and functionArguments
+     * @returns {Promise<{summary: Object, simulation: Object}>} The transaction's summary and
+     *   its simulation: success, decoded failure, gas units, fee and balance changes
+     */
+    async simulateAgentTransaction(agent, data) {
+        try {
+            const runtime = await this.getRuntime(agent);
+            return await previewEntryFunction(runtime.aptos, runtime.account, data);
+        } catch (error) {
+            console.error('Error simulating transaction:', error.message);
+            throw error;
+        }
+    }
+
     /**
      * Gets transaction details
      * @param {string} txHash - Transaction hash
+     * @param {Object} network - The network to look on (defaults to mainnet)
      * @returns {Promise<object>} Transaction details
      */
-    async getTransactionDetails(txHash) {
+    async getTransactionDetails(txHash, network = null) {
         if (!txHash) {
             throw new Error('Transaction hash is required');
         }
         
         try {
-            // Ensure agent is initialized
-            if (!this.agent) {
-                // We can use the Aptos client directly if agent is not initialized
-                return await this.aptos.getTransactionByHash({
-                    transactionHash: txHash
-                });
-            }
-            
-            return await this.agent.aptos.getTransactionByHash({
+            // Reading a transaction needs no signer, so the network's shared client will do
+            return await this.getAptosClient(network).getTransactionByHash({
                 transactionHash: txHash
             });
         } catch (error) {
@@ -397,6 +1256,30 @@ class AptosService {
         }
     }
 
+    /**
+     * Fund an agent's wallet from its network's faucet
+     * @param {Object} agent - The agent to fund ({agentId, userId, network})
+     * @param {number} amount - Amount in octas
+     * @returns {Promise<string>} The faucet transaction hash
+     */
+    async fundAccount(agent, amount) {
+        try {
+            if (!hasFaucet(agent.network)) {
+                throw httpError(400, `No faucet is available on ${resolveNetwork(agent.network).name}`);
+            }
+
+            const runtime = await this.getRuntime(agent);
+            const transaction = await runtime.aptos.fundAccount({
+                accountAddress: runtime.account.getAddress(),
+                amount
+            });
+            return transaction.hash;
+        } catch (error) {
+            console.error('Error funding account:', error.message);
+            throw error;
+        }
+    }
+
     /**
      * Legacy method for sending transactions for backward compatibility
      * @param {string} fromPrivateKey - Sender's private key
@@ -406,11 +1289,11 @@ class AptosService {
      */
     async sendTransaction(fromPrivateKey, toAddress, amount) {
         try {
-            // Initialize agent with sender's private key
-            await this.initializeAgent(fromPrivateKey);
+            // Sign with a one-off runtime for the sender's private key
+            const runtime = await this.initializeAgent(fromPrivateKey);
             
             // Use the new transferTokens method
-            return await this.transferTokens(toAddress, amount);
+            return await this.transferTokens(runtime, toAddress, amount);
         } catch (error) {
             console.error('Error sending transaction:', error);
             throw new Error(`Transaction failed: ${error.message}`);
@@ -418,44 +1301,31 @@ class AptosService {
     }
 
     /**
-     * Initializes an agent with the user's private key
-     * @param {string} userId - User ID
+     * Gets an agent's pooled runtime, loading its private key from the vault if needed
+     * @param {string} userId - User ID that owns the agent
+     * @param {string} agentId - Agent ID whose key to load
      * @returns {Promise<AgentRuntime>} Initialized agent
      */
-    async initializeAgentForUser(userId) {
+    async initializeAgentForUser(userId, agentId) {
         try {
-            const privateKey = await this.getPrivateKeyFromStorage(userId);
-            return await this.initializeAgent(privateKey);
+            return await this.getRuntime({ agentId, userId });
         } catch (error) {
-            console.error('Error initializing agent for user:', error);
+            console.error('Error initializing agent for user:', error.message);
             throw new Error(`Failed to initialize agent for user: ${error.message}`);
         }
     }
 
     /**
-     * Retrieves a private key from secure storage
-     * @param {string} userId - User ID to retrieve key for
+     * Retrieves and decrypts an agent's private key from the key vault
+     * @param {string} agentId - Agent ID to retrieve the key for
+     * @param {string} userId - User ID the agent must belong to
      * @returns {Promise<string>} Private key
      */
-    async getPrivateKeyFromStorage(userId) {
-        // Implement secure storage retrieval
-        // This is a placeholder - in production, use a secure storage solution
-        
+    async getPrivateKeyFromStorage(agentId, userId) {
         try {
-            // In a real implementation, you would:
-            // 1. Retrieve the encrypted key from a database or secure storage
-            // 2. Decrypt the key using an encryption key stored securely
-            // 3. Return the decrypted private key
-            
-            // Mock implementation for development
-            if (process.env.NODE_ENV === 'development' && process.env.MOCK_PRIVATE_KEY) {
-                console.warn('Using mock private key. DO NOT USE IN PRODUCTION!');
-                return process.env.MOCK_PRIVATE_KEY;
-            }
-            
-            throw new Error('Secure storage not implemented');
+            return await keyVault.decryptPrivateKey(agentId, userId);
         } catch (error) {
-            console.error('Error retrieving private key:', error);
+            console.error('Error retrieving private key:', error.message);
             throw new Error('Failed to retrieve private key from secure storage');
         }
     }
@@ -144,18 +144,19 @@ export const assistantService = {
    * @param {string} address - The account address
    * @param {string} message - The message that was signed
    * @param {string} signature - The signature to verify
+   * @param {string} publicKey - The public key that produced the signature
    * @returns {Promise<boolean>} - True if signature is valid
    */
-  async verifySignature(address, message, signature) {
+  async verifySignature(address, message, signature, publicKey) {
     // Input validation
-    if (!address || !message || !signature) {
+    if (!address || !message || !signature || !publicKey) {
       throw new Error('Missing required parameters');
     }
     
     try {
       // Implementation to verify signature
       const { aptosService } = await import('./aptosService.js');
-      const isValid = await aptosService.verifySignature(address, message, signature);
+      const isValid = await aptosService.verifySignature(address, message, signature, publicKey);
       return isValid;
     } catch (error) {
       console.error('Error verifying signature:', error);
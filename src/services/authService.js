@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { ethers } from 'ethers';
+import { buildSiweMessage, parseSiweMessage } from '../utils/siwe.js';
+import { store as defaultStore } from './store/index.js';
+import { httpError } from '../utils/httpError.js';
+
+dotenv.config();
+
+// How long a sign-in challenge stays valid
+const NONCE_TTL_MS = parseInt(process.env.AUTH_NONCE_TTL_MS, 10) || 5 * 60 * 1000;
+
+// EVM chains users may sign in from
+const SIWE_CHAIN_IDS = (process.env.SIWE_CHAIN_IDS || '1')
+  .split(',')
+  .map(id => parseInt(id.trim(), 10))
+  .filter(Number.isInteger);
+
+const getAuthDomain = () => process.env.AUTH_DOMAIN || 'movestarter.fun';
+
+// Store namespace of pending challenges, keyed by chain and wallet address
+const NONCE_NAMESPACE = 'nonce';
+
+const challengeKey = (chain, address) =>
+  chain === 'evm' ? `evm:${address.toLowerCase()}` : `${chain}:${address}`;
+
+const unauthorized = message => httpError(401, message);
+
+/**
+ * Service for wallet sign-in challenges
+ * Issues single-use, expiring nonces and the messages wallets are asked to sign.
+ * Pending challenges live in the shared store, so any cluster worker can verify them
+ */
+export class AuthService {
+  /**
+   * @param {Object} store - The shared store (defaults to the configured one)
+   */
+  constructor(store = defaultStore) {
+    this.store = store;
+  }
+
+  /**
+   * Issue a new sign-in challenge for an address, replacing any pending one
+   * @param {string} address - The normalized wallet address
+   * @returns {Promise<{nonce: string, message: string, issuedAt: Date, expiresAt: Date}>} The challenge
+   */
+  async issueChallenge(address) {
+    if (!address) {
+      throw new Error('Address is required to issue a nonce');
+    }
+
+    const challenge = this.createChallenge();
+    challenge.message = this.buildAptosSignInMessage(
+      address,
+      challenge.nonce,
+      challenge.issuedAt,
+      challenge.expiresAt
+    );
+
+    await this.store.set(NONCE_NAMESPACE, challengeKey('aptos', address), challenge, NONCE_TTL_MS);
+    return challenge;
+  }
+
+  /**
+   * Issue a Sign-In with Ethereum (EIP-4361) challenge for an EVM address
+   * @param {string} address - The EIP-55 checksummed wallet address
+   * @param {number} chainId - The EVM chain ID the wallet is connected to
+   * @returns {Promise<{nonce: string, message: string, issuedAt: Date, expiresAt: Date}>} The challenge
+   */
+  async issueSiweChallenge(address, chainId) {
+    if (!address) {
+      throw new Error('Address is required to issue a nonce');
+    }
+    if (!SIWE_CHAIN_IDS.includes(chainId)) {
+      throw httpError(400, `Unsupported chain ID: ${chainId}`);
+    }
+
+    const challenge = this.createChallenge();
+    const domain = getAuthDomain();
+    challenge.message = buildSiweMessage({
+      domain,
+      address,
+      statement: 'Sign in to MetaMove.',
+      uri: process.env.AUTH_URI || `https://${domain}`,
+      chainId,
+      nonce: challenge.nonce,
+      issuedAt: challenge.issuedAt,
+      expirationTime: challenge.expiresAt
+    });
+
+    await this.store.set(NONCE_NAMESPACE, challengeKey('evm', address), challenge, NONCE_TTL_MS);
+    return challenge;
+  }
+
+  /**
+   * Verify a signed EIP-4361 message against the pending challenge for its address
+   * The message must be the one issued with the challenge, which fixes its URI, chain ID and
+   * times; the signer, domain, chain ID, expiry and not-before time are checked too
+   * @param {string} message - The SIWE message that was signed
+   * @param {string} signature - The personal_sign signature
+   * @returns {Promise<{address: string, chainId: number}>} The verified checksummed address and chain
+   */
+  async verifySiweLogin(message, signature) {
+    let fields;
+    try {
+      fields = parseSiweMessage(message);
+    } catch (error) {
+      throw unauthorized(error.message);
+    }
+
+    if (fields.domain !== getAuthDomain()) {
+      throw unauthorized('SIWE domain mismatch');
+    }
+    if (!SIWE_CHAIN_IDS.includes(fields.chainId)) {
+      throw unauthorized(`Unsupported chain ID: ${fields.chainId}`);
+    }
+
+    // The challenge is burnt before the signature is checked so a failed attempt cannot be
+    // retried
+    const challenge = await this.consumeChallenge(fields.address, fields.nonce, 'evm', message);
+    if (!challenge) {
+      throw unauthorized('Invalid or expired nonce');
+    }
+
+    const now = Date.now();
+    if (fields.expirationTime && !(Date.parse(fields.expirationTime) > now)) {
+      throw unauthorized('SIWE message has expired');
+    }
+    if (fields.notBefore && !(Date.parse(fields.notBefore) <= now)) {
+      throw unauthorized('SIWE message is not yet valid');
+    }
+
+    let recovered;
+    try {
+      recovered = ethers.verifyMessage(message, signature);
+    } catch (error) {
+      throw unauthorized('Invalid signature');
+    }
+    if (recovered !== ethers.getAddress(fields.address)) {
+      throw unauthorized('Invalid signature');
+    }
+
+    return { address: recovered, chainId: fields.chainId };
+  }
+
+  /**
+   * Consume the pending challenge for an address
+   * The challenge is only removed by the attempt that presents its nonce, so a wrong guess
+   * cannot void someone else's login, and once removed a nonce can never be replayed
+   * @param {string} address - The wallet address
+   * @param {string} nonce - The nonce the client claims to have signed
+   * @param {string} chain - The chain family of the address ('aptos' or 'evm')
+   * @param {string} message - The message the client signed, when it must be the one issued
+   *   with the challenge
+   * @returns {Promise<Object|null>} The challenge, or null if missing, mismatched or expired
+   */
+  async consumeChallenge(address, nonce, chain = 'aptos', message = undefined) {
+    // Compared and taken in one step, so two workers can never both accept the same nonce
+    const challenge = await this.store.take(NONCE_NAMESPACE, challengeKey(chain, address), {
+      nonce: String(nonce || ''),
+      ...(message !== undefined && { message: String(message) })
+    });
+    if (!challenge) {
+      return null;
+    }
+
+    if (new Date(challenge.expiresAt).getTime() <= Date.now()) {
+      return null;
+    }
+
+    return challenge;
+  }
+
+  /**
+   * Create a fresh nonce with its issue and expiry times
+   * @returns {{nonce: string, issuedAt: Date, expiresAt: Date}} The unsigned challenge
+   */
+  createChallenge() {
+    const issuedAt = new Date();
+    return {
+      nonce: crypto.randomBytes(16).toString('hex'),
+      issuedAt,
+      expiresAt: new Date(issuedAt.getTime() + NONCE_TTL_MS)
+    };
+  }
+
+  /**
+   * Build the human-readable message an Aptos wallet signs to log in
+   * @param {string} address - The wallet address
+   * @param {string} nonce - The challenge nonce
+   * @param {Date} issuedAt - When the challenge was issued
+   * @param {Date} expiresAt - When the challenge expires
+   * @returns {string} The sign-in message
+   */
+  buildAptosSignInMessage(address, nonce, issuedAt, expiresAt) {
+    const domain = getAuthDomain();
+
+    return [
+      `${domain} wants you to sign in with your Aptos account:`,
+      address,
+      '',
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt.toISOString()}`,
+      `Expiration Time: ${expiresAt.toISOString()}`
+    ].join('\n');
+  }
+}
+
+// Export a singleton instance
+export const authService = new AuthService();
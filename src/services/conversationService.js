@@ -1,21 +1,6 @@
 import mongoose from 'mongoose';
-
-// Define schema for a single message
-const messageSchema = new mongoose.Schema({
-  role: {
-    type: String,
-    enum: ['user', 'assistant', 'system'],
-    required: true
-  },
-  content: {
-    type: String,
-    required: true
-  },
-  timestamp: {
-    type: Date,
-    default: Date.now
-  }
-});
+import ConversationMessage from '../models/conversationMessageModel.js';
+import { httpError } from '../utils/httpError.js';
 
 // Define schema for a conversation
 const conversationSchema = new mongoose.Schema({
@@ -29,7 +14,6 @@ const conversationSchema = new mongoose.Schema({
     required: true,
     index: true
   },
-  messages: [messageSchema],
   createdAt: {
     type: Date,
     default: Date.now
@@ -46,6 +30,51 @@ conversationSchema.index({ userId: 1, agentId: 1 }, { unique: true });
 // Create the model
 const Conversation = mongoose.model('Conversation', conversationSchema);
 
+// Keep only the tool details that are present, so plain messages stay plain
+const pickMessageDetails = ({ toolCalls, transactionHashes }) => ({
+  ...(toolCalls?.length ? { toolCalls } : {}),
+  ...(transactionHashes?.length ? { transactionHashes } : {})
+});
+
+const MAX_PAGE_SIZE = 100;
+// Messages as the service returns them, without the conversation they belong to
+const MESSAGE_FIELDS = '-conversationId -__v';
+// Conversations stored their messages in this array before they had their own collection
+const EMBEDDED_TEXT_INDEX = 'messages.content_text';
+
+/**
+ * Encode the position of a message as an opaque history cursor
+ * @param {Object} message - The message
+ * @returns {string} The cursor
+ */
+export const encodeCursor = message =>
+  Buffer.from(`${new Date(message.timestamp).getTime()}:${message._id}`).toString('base64url');
+
+/**
+ * Decode a history cursor
+ * @param {string} cursor - The cursor, as encodeCursor made it
+ * @returns {{timestamp: Date, id: mongoose.Types.ObjectId}} The position of the message
+ * @throws {Error} With status 400 if it is not a cursor
+ */
+export const decodeCursor = cursor => {
+  const [time, id] = Buffer.from(String(cursor), 'base64url').toString().split(':');
+  if (!/^\d+$/.test(time || '') || !mongoose.Types.ObjectId.isValid(id || '')) {
+    throw httpError(400, 'Invalid cursor');
+  }
+  return { timestamp: new Date(Number(time)), id: new mongoose.Types.ObjectId(id) };
+};
+
+// Query for messages older than a cursor; the message ID breaks timestamp ties
+const olderThan = ({ timestamp, id }) => ({
+  $or: [{ timestamp: { $lt: timestamp } }, { timestamp, _id: { $lt: id } }]
+});
+
+// Whether a bulk insert only failed on documents that already exist
+const duplicatesOnly = error =>
+  (error.writeErrors || [error]).every(
+    writeError => (writeError.code ?? writeError.err?.code) === 11000
+  );
+
 /**
  * Service for managing conversations
  */
@@ -65,8 +94,7 @@ export class ConversationService {
       if (!conversation) {
         conversation = new Conversation({
           userId,
-          agentId,
-          messages: []
+          agentId
         });
         await conversation.save();
       }
@@ -112,22 +140,20 @@ export class ConversationService {
    * @param {string} conversationId - The conversation ID
    * @param {string} role - The message role (user, assistant, or system)
    * @param {string} content - The message content
+   * @param {Object} details - Optional toolCalls and transactionHashes of an assistant message
    * @returns {Promise<Object>} The updated conversation
    */
-  async addMessageToConversation(conversationId, role, content) {
+  async addMessageToConversation(conversationId, role, content, details = {}) {
     try {
       // Validate role
       if (!['user', 'assistant', 'system'].includes(role)) {
         throw new Error('Invalid message role');
       }
       
-      // Add the message and update the updatedAt timestamp
+      // Update the updatedAt timestamp, then add the message
       const updatedConversation = await Conversation.findByIdAndUpdate(
         conversationId,
-        {
-          $push: { messages: { role, content, timestamp: new Date() } },
-          $set: { updatedAt: new Date() }
-        },
+        { $set: { updatedAt: new Date() } },
         { new: true }
       );
       
@@ -135,6 +161,14 @@ export class ConversationService {
         throw new Error('Conversation not found');
       }
       
+      await ConversationMessage.create({
+        conversationId: updatedConversation._id,
+        role,
+        content,
+        ...pickMessageDetails(details),
+        timestamp: new Date()
+      });
+      
       return updatedConversation;
     } catch (error) {
       console.error('Error in addMessageToConversation:', error);
@@ -150,25 +184,107 @@ export class ConversationService {
    */
   async getConversationMessages(conversationId, limit = 100) {
     try {
-      const conversation = await Conversation.findById(conversationId);
+      const conversation = await Conversation.exists({ _id: conversationId });
       
       if (!conversation) {
         throw new Error('Conversation not found');
       }
       
-      // Return the most recent messages if limit is specified
-      const messages = conversation.messages || [];
-      if (limit && messages.length > limit) {
-        return messages.slice(-limit);
+      // Return the most recent messages if limit is specified, still oldest first
+      if (limit) {
+        const latest = await ConversationMessage.find({ conversationId })
+          .sort({ timestamp: -1, _id: -1 })
+          .limit(limit)
+          .select(MESSAGE_FIELDS)
+          .lean();
+        return latest.reverse();
       }
       
-      return messages;
+      return await ConversationMessage.find({ conversationId })
+        .sort({ timestamp: 1, _id: 1 })
+        .select(MESSAGE_FIELDS)
+        .lean();
     } catch (error) {
       console.error('Error in getConversationMessages:', error);
       throw error;
     }
   }
   
+  /**
+   * Get a page of a conversation's history, walking back from the latest message
+   * @param {string} conversationId - The conversation ID
+   * @param {Object} options - limit (at most 100), and the before cursor of the page to continue
+   * @returns {Promise<{messages: Array, nextCursor: string|null}>} The page's messages, oldest
+   *   first, and the cursor of the page before it, or null if this is the first
+   */
+  async getMessagesPage(conversationId, { limit = 50, before = null } = {}) {
+    try {
+      const size = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+      const query = { conversationId, ...(before ? olderThan(decodeCursor(before)) : {}) };
+
+      const found = await ConversationMessage.find(query)
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(size + 1)
+        .select(MESSAGE_FIELDS)
+        .lean();
+      if (!found.length && !(await Conversation.exists({ _id: conversationId }))) {
+        throw new Error('Conversation not found');
+      }
+
+      const page = found.slice(0, size).reverse();
+      return { messages: page, nextCursor: found.length > size ? encodeCursor(page[0]) : null };
+    } catch (error) {
+      console.error('Error in getMessagesPage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search the messages of a user's conversations with the full-text index, newest first
+   * @param {string} userId - The user ID
+   * @param {string} query - The words to search for
+   * @param {Object} options - agentId to search one agent's conversation, limit (at most 100),
+   *   and the before cursor of the page to continue
+   * @returns {Promise<{results: Array, nextCursor: string|null}>} The matching messages with
+   *   their conversationId and agentId, and the cursor of the next page
+   */
+  async searchMessages(userId, query, { agentId = null, limit = 20, before = null } = {}) {
+    try {
+      const size = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+      const cursor = before ? decodeCursor(before) : null;
+      const conversations = await Conversation.find({ userId, ...(agentId ? { agentId } : {}) })
+        .select('agentId')
+        .lean();
+      if (!conversations.length) {
+        return { results: [], nextCursor: null };
+      }
+      const agentIds = new Map(conversations.map(({ _id, agentId: id }) => [_id.toString(), id]));
+
+      const found = await ConversationMessage.find({
+        conversationId: { $in: conversations.map(({ _id }) => _id) },
+        $text: { $search: query },
+        ...(cursor ? olderThan(cursor) : {})
+      })
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(size + 1)
+        .select('-__v')
+        .lean();
+
+      const results = found.slice(0, size).map(({ conversationId, ...message }) => ({
+        conversationId,
+        agentId: agentIds.get(conversationId.toString()),
+        message
+      }));
+      return {
+        results,
+        nextCursor: found.length > size ? encodeCursor(results[results.length - 1].message) : null
+      };
+    } catch (error) {
+      console.error('Error in searchMessages:', error);
+      throw error;
+    }
+  }
+
   /**
    * Delete a conversation
    * @param {string} conversationId - The conversation ID
@@ -177,6 +293,7 @@ export class ConversationService {
   async deleteConversation(conversationId) {
     try {
       const result = await Conversation.findByIdAndDelete(conversationId);
+      await ConversationMessage.deleteMany({ conversationId });
       return !!result;
     } catch (error) {
       console.error('Error in deleteConversation:', error);
@@ -191,7 +308,7 @@ export class ConversationService {
    */
   async deleteUserConversations(userId) {
     try {
-      return await Conversation.deleteMany({ userId });
+      return await this.deleteWhere({ userId });
     } catch (error) {
       console.error('Error in deleteUserConversations:', error);
       throw error;
@@ -206,13 +323,46 @@ export class ConversationService {
    */
   async deleteConversationsByAgentId(userId, agentId) {
     try {
-      return await Conversation.deleteMany({ userId, agentId });
+      return await this.deleteWhere({ userId, agentId });
     } catch (error) {
       console.error('Error in deleteConversationsByAgentId:', error);
       throw error;
     }
   }
   
+  /**
+   * Delete all conversations of the given agents
+   * @param {Array<string>} agentIds - The agent IDs
+   * @returns {Promise<Object>} The result of the delete operation
+   */
+  async deleteAgentConversations(agentIds) {
+    try {
+      return await this.deleteWhere({ agentId: { $in: agentIds } });
+    } catch (error) {
+      console.error('Error in deleteAgentConversations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move every conversation owned by one user key onto another
+   * @param {string} fromUserId - The current owner key
+   * @param {string} toUserId - The new owner key
+   * @returns {Promise<number>} The number of conversations moved
+   */
+  async reassignUser(fromUserId, toUserId) {
+    try {
+      if (!fromUserId || fromUserId === toUserId) {
+        return 0;
+      }
+      const result = await Conversation.updateMany({ userId: fromUserId }, { userId: toUserId });
+      return result.modifiedCount;
+    } catch (error) {
+      console.error('Error in reassignUser:', error);
+      throw error;
+    }
+  }
+  
   /**
    * Delete all conversations older than a specified date
    * @param {Date} date - Delete conversations older than this date
@@ -220,10 +370,70 @@ export class ConversationService {
    */
   async deleteOldConversations(date) {
     try {
-      return await Conversation.deleteMany({ updatedAt: { $lt: date } });
+      return await this.deleteWhere({ updatedAt: { $lt: date } });
     } catch (error) {
       console.error('Error in deleteOldConversations:', error);
       throw error;
     }
   }
-} 
\ No newline at end of file
+
+  // Delete the conversations matching a filter, then their messages
+  async deleteWhere(filter) {
+    const ids = (await Conversation.find(filter).select('_id').lean()).map(({ _id }) => _id);
+    const result = await Conversation.deleteMany({ _id: { $in: ids } });
+    await ConversationMessage.deleteMany({ conversationId: { $in: ids } });
+    return result;
+  }
+
+  /**
+   * Move the messages of conversations stored before messages had their own collection out of
+   * the conversation document
+   * Messages keep their IDs, so a migration that was interrupted can simply be run again
+   * @returns {Promise<number>} The number of conversations migrated
+   */
+  async migrateEmbeddedMessages() {
+    try {
+      // The schema no longer knows the array, so the conversations are read raw
+      const conversations = Conversation.collection.find(
+        { messages: { $exists: true } },
+        { projection: { messages: 1 } }
+      );
+
+      let migrated = 0;
+      for await (const conversation of conversations) {
+        if (conversation.messages?.length) {
+          try {
+            await ConversationMessage.insertMany(
+              conversation.messages.map(message => ({
+                ...message,
+                conversationId: conversation._id
+              })),
+              { ordered: false }
+            );
+          } catch (error) {
+            if (!duplicatesOnly(error)) {
+              throw error;
+            }
+          }
+        }
+        await Conversation.collection.updateOne(
+          { _id: conversation._id },
+          { $unset: { messages: '' } }
+        );
+        migrated += 1;
+      }
+
+      try {
+        await Conversation.collection.dropIndex(EMBEDDED_TEXT_INDEX);
+      } catch (error) {
+        if (error.codeName !== 'IndexNotFound' && error.codeName !== 'NamespaceNotFound') {
+          throw error;
+        }
+      }
+      return migrated;
+    } catch (error) {
+      console.error('Error in migrateEmbeddedMessages:', error);
+      throw error;
+    }
+  }
+}
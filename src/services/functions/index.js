@@ -2,13 +2,15 @@ import { getBalanceTool } from './tools/getBalance.js';
 import { sendTransactionTool } from './tools/sendTransaction.js';
 import { readContractTool } from './tools/readContract.js';
 import { writeContractTool } from './tools/writeContract.js';
+import { simulateTransactionTool } from './tools/simulateTransaction.js';
 
 // Tool registry
 export const tools = {
   get_balance: getBalanceTool,
   send_transaction: sendTransactionTool,
   read_contract: readContractTool,
-  write_contract: writeContractTool
+  write_contract: writeContractTool,
+  simulate_transaction: simulateTransactionTool
 };
 
 // Function registry for executor
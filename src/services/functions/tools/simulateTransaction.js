@@ -0,0 +1,72 @@
+import { ethers } from 'ethers';
+import { getProvider } from '../utils/provider.js';
+import { simulateEvmTransaction } from '../utils/simulate.js';
+
+export const simulateTransactionTool = {
+  definition: {
+    type: 'function',
+    function: {
+      name: 'simulate_transaction',
+      description:
+        'Simulate a smart contract write without sending it: whether it would revert and why, ' +
+        'its gas and fee, and the native balance changes',
+      parameters: {
+        type: 'object',
+        properties: {
+          contractAddress: {
+            type: 'string',
+            description: 'The contract address'
+          },
+          abi: {
+            type: 'string',
+            description: 'Contract ABI for the function'
+          },
+          functionName: {
+            type: 'string',
+            description: 'Name of the function to call'
+          },
+          args: {
+            type: 'array',
+            description: 'Function arguments',
+            items: {
+              type: 'string'
+            }
+          },
+          value: {
+            type: 'string',
+            description: 'Native token to send with the call, in wei (optional)'
+          },
+          from: {
+            type: 'string',
+            description: 'The sender address (optional, defaults to the assistant wallet)'
+          },
+          chain: {
+            type: 'string',
+            enum: ['Ethereum', 'Sepolia', 'Polygon', 'Arbitrum'],
+            description: 'The blockchain network'
+          }
+        },
+        required: ['contractAddress', 'abi', 'functionName', 'args', 'chain']
+      }
+    }
+  },
+  handler: async ({ contractAddress, abi, functionName, args, value, from, chain }) => {
+    const provider = getProvider(chain);
+    const contract = new ethers.Contract(contractAddress, JSON.parse(abi), provider);
+    const sender = from || new ethers.Wallet(process.env.WALLET_PRIVATE_KEY).address;
+
+    const populated = await contract[functionName].populateTransaction(...args);
+    const simulation = await simulateEvmTransaction(
+      provider,
+      { ...populated, from: sender, value: value ? BigInt(value) : undefined },
+      contract.interface
+    );
+    return {
+      ...simulation,
+      contractAddress,
+      functionName,
+      args,
+      chain
+    };
+  }
+};
@@ -1,5 +1,6 @@
 import { ethers } from 'ethers';
 import { getProvider } from '../utils/provider.js';
+import { simulateEvmTransaction } from '../utils/simulate.js';
 
 export const writeContractTool = {
   definition: {
@@ -43,13 +44,27 @@ export const writeContractTool = {
     const provider = getProvider(chain);
     const wallet = new ethers.Wallet(privateKey, provider);
     const contract = new ethers.Contract(contractAddress, JSON.parse(abi), wallet);
+
+    // Simulate first, so a call that would revert is never sent
+    const populated = await contract[functionName].populateTransaction(...args);
+    const simulation = await simulateEvmTransaction(
+      provider,
+      { ...populated, from: wallet.address },
+      contract.interface
+    );
+    if (!simulation.success) {
+      throw new Error(`Simulation failed: ${simulation.failure.reason}`);
+    }
+
     const tx = await contract[functionName](...args);
     return {
       hash: tx.hash,
       contractAddress,
       functionName,
       args,
-      chain
+      chain,
+      gasUnits: simulation.gasUnits,
+      fee: simulation.feeNative
     };
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,92 @@
+import { ethers } from 'ethers';
+
+// Solidity panic codes, as raised by assert, overflow checks and the like
+const PANIC_REASONS = {
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division or modulo by zero',
+  0x21: 'invalid enum value',
+  0x22: 'invalid storage byte array',
+  0x31: 'pop on an empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+  0x51: 'call to an uninitialized function'
+};
+
+/**
+ * Explain why a call reverted or could not be estimated
+ * @param {Error} error - The error ethers threw
+ * @param {ethers.Interface} iface - The contract's interface, to decode its custom errors
+ * @returns {{reason: string, code: string, data: string|null}} A readable reason
+ */
+export function decodeRevert(error, iface = null) {
+  if (error.code === 'INSUFFICIENT_FUNDS') {
+    return { reason: 'The sender cannot pay the value and gas', code: error.code, data: null };
+  }
+  if (error.code !== 'CALL_EXCEPTION') {
+    return {
+      reason: error.shortMessage || error.message,
+      code: error.code || 'UNKNOWN_ERROR',
+      data: null
+    };
+  }
+
+  const data = error.data || null;
+  let reason = null;
+  if (error.revert?.name === 'Panic') {
+    const code = Number(error.revert.args[0]);
+    reason = `panic: ${PANIC_REASONS[code] || `code 0x${code.toString(16)}`}`;
+  } else if (error.reason) {
+    reason = error.reason;
+  } else if (data && iface) {
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed) {
+        reason = `${parsed.name}(${parsed.args.map(arg => arg.toString()).join(', ')})`;
+      }
+    } catch (parseError) {
+      // Not one of the contract's errors
+    }
+  }
+  return { reason: reason || 'execution reverted without a reason', code: error.code, data };
+}
+
+/**
+ * Simulate an EVM transaction with eth_call, then estimate its gas and fee
+ * @param {ethers.Provider} provider - The provider for the chain it would be sent on
+ * @param {Object} tx - The transaction: from, to, data and value
+ * @param {ethers.Interface} iface - The called contract's interface, to decode custom errors
+ * @returns {Promise<Object>} Whether it would succeed and why not, its gas units and price, its
+ *   maximum fee in wei and in the native token, and the native balance changes it would make
+ */
+export async function simulateEvmTransaction(provider, tx, iface = null) {
+  try {
+    await provider.call(tx);
+    const gasUnits = await provider.estimateGas(tx);
+    const feeData = await provider.getFeeData();
+    const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+    const fee = gasUnits * gasPrice;
+    const value = BigInt(tx.value || 0);
+
+    // Only native transfers can be known without tracing the call; the sender pays at most the fee
+    const balanceChanges = [
+      { address: tx.from, asset: 'native', amount: (-(value + fee)).toString() }
+    ];
+    if (value > 0n && tx.to) {
+      balanceChanges.push({ address: tx.to, asset: 'native', amount: value.toString() });
+    }
+
+    return {
+      success: true,
+      failure: null,
+      gasUnits: gasUnits.toString(),
+      gasPrice: gasPrice.toString(),
+      fee: fee.toString(),
+      feeNative: ethers.formatEther(fee),
+      balanceChanges
+    };
+  } catch (error) {
+    console.error('Error simulating transaction:', error.shortMessage || error.message);
+    return { success: false, failure: decodeRevert(error, iface) };
+  }
+}
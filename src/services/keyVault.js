@@ -0,0 +1,318 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { Account, Ed25519PrivateKey, PrivateKey, PrivateKeyVariants } from '@aptos-labs/ts-sdk';
+import VaultKey from '../models/vaultKeyModel.js';
+import { httpError } from '../utils/httpError.js';
+
+dotenv.config();
+
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Read the master keys from VAULT_MASTER_KEYS ("<id>:<base64 key>,..." with 32-byte keys)
+ * The active key is VAULT_ACTIVE_MASTER_KEY_ID, or the last one listed
+ * @returns {{keys: Map<string, Buffer>, activeId: string}} The master keys by ID
+ */
+const loadMasterKeys = () => {
+  const keys = new Map();
+  for (const entry of (process.env.VAULT_MASTER_KEYS || '').split(',')) {
+    const [id, encoded] = entry.trim().split(':');
+    if (!id || !encoded) {
+      continue;
+    }
+    const key = Buffer.from(encoded, 'base64');
+    if (key.length !== 32) {
+      throw new Error(`Vault master key ${id} must be 32 bytes`);
+    }
+    keys.set(id, key);
+  }
+
+  if (keys.size === 0) {
+    throw new Error('Key vault is not configured: set VAULT_MASTER_KEYS');
+  }
+
+  const activeId = process.env.VAULT_ACTIVE_MASTER_KEY_ID || [...keys.keys()].pop();
+  if (!keys.has(activeId)) {
+    throw new Error(`Active vault master key ${activeId} is not in VAULT_MASTER_KEYS`);
+  }
+
+  return { keys, activeId };
+};
+
+// Encrypt with AES-256-GCM; the AAD binds the ciphertext to its agent
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return {
+    ciphertext: ciphertext.toString('base64'),
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64')
+  };
+};
+
+const open = (key, sealed, aad) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(sealed.iv, 'base64'));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(sealed.authTag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(sealed.ciphertext, 'base64')),
+    decipher.final()
+  ]);
+};
+
+// Public details of a vault entry; ciphertexts never leave the vault
+const describe = entry => ({
+  agentId: entry.agentId,
+  userId: entry.userId,
+  address: entry.address,
+  publicKey: entry.publicKey,
+  masterKeyId: entry.masterKeyId,
+  createdAt: entry.createdAt,
+  updatedAt: entry.updatedAt
+});
+
+/**
+ * Vault for agent private keys using envelope encryption
+ * Each key is encrypted with its own random data key, and the data key with a master key
+ * from config. Rotating the master key only re-wraps the data keys. Private keys are only
+ * ever decrypted for signing inside the server and are never returned by the API
+ */
+export class KeyVault {
+  /**
+   * Store a private key for an agent, replacing any previous one
+   * @param {string} agentId - The agent ID
+   * @param {string} userId - The owner's user ID
+   * @param {string} privateKeyStr - An Ed25519 private key (hex or AIP-80)
+   * @returns {Promise<Object>} The stored key's public details
+   */
+  async storePrivateKey(agentId, userId, privateKeyStr) {
+    let privateKey;
+    try {
+      privateKey = new Ed25519PrivateKey(
+        PrivateKey.formatPrivateKey(privateKeyStr, PrivateKeyVariants.Ed25519)
+      );
+    } catch (error) {
+      throw httpError(400, 'Invalid Ed25519 private key');
+    }
+
+    try {
+      return await this.saveAccount(agentId, userId, Account.fromPrivateKey({ privateKey }));
+    } catch (error) {
+      console.error('Error in storePrivateKey:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate a fresh wallet for an agent and store its private key
+   * @param {string} agentId - The agent ID
+   * @param {string} userId - The owner's user ID
+   * @returns {Promise<Object>} The stored key's public details
+   */
+  async generateKey(agentId, userId) {
+    try {
+      return await this.saveAccount(agentId, userId, Account.generate());
+    } catch (error) {
+      console.error('Error in generateKey:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Seal an account's private key and upsert it
+   * @param {string} agentId - The agent ID
+   * @param {string} userId - The owner's user ID
+   * @param {Account} account - The Aptos account
+   * @returns {Promise<Object>} The stored key's public details
+   */
+  async saveAccount(agentId, userId, account) {
+    const { keys, activeId } = loadMasterKeys();
+    const dataKey = crypto.randomBytes(32);
+
+    try {
+      const entry = await VaultKey.findOneAndUpdate(
+        { agentId },
+        {
+          agentId,
+          userId,
+          address: account.accountAddress.toStringLong(),
+          publicKey: account.publicKey.toString(),
+          encryptedPrivateKey: seal(dataKey, account.privateKey.toAIP80String(), agentId),
+          encryptedDataKey: seal(keys.get(activeId), dataKey, agentId),
+          masterKeyId: activeId
+        },
+        { upsert: true, new: true }
+      );
+      return describe(entry);
+    } finally {
+      dataKey.fill(0);
+    }
+  }
+
+  /**
+   * Get the public details of an agent's key
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<Object|null>} The key details, or null if the agent has no key
+   */
+  async getKeyInfo(agentId) {
+    try {
+      const entry = await VaultKey.findOne({ agentId });
+      return entry ? describe(entry) : null;
+    } catch (error) {
+      console.error('Error in getKeyInfo:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decrypt an agent's private key for signing; for server-side use only
+   * @param {string} agentId - The agent ID
+   * @param {string} userId - The user the agent must belong to
+   * @returns {Promise<string>} The AIP-80 private key
+   */
+  async decryptPrivateKey(agentId, userId) {
+    try {
+      const entry = await VaultKey.findOne({ agentId });
+      if (!entry || entry.userId !== userId) {
+        throw httpError(404, 'No private key stored for this agent');
+      }
+
+      const { keys } = loadMasterKeys();
+      const masterKey = keys.get(entry.masterKeyId);
+      if (!masterKey) {
+        throw new Error(`Vault master key ${entry.masterKeyId} is no longer configured`);
+      }
+
+      const dataKey = open(masterKey, entry.encryptedDataKey, agentId);
+      try {
+        return open(dataKey, entry.encryptedPrivateKey, agentId).toString('utf8');
+      } finally {
+        dataKey.fill(0);
+      }
+    } catch (error) {
+      console.error('Error in decryptPrivateKey:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Re-wrap every data key still sealed with an older master key under the active one
+   * Private key ciphertexts are untouched; run after adding a new master key to config
+   * @returns {Promise<{activeMasterKeyId: string, rewrapped: number}>} How many keys moved
+   */
+  async rotateMasterKey() {
+    try {
+      const { keys, activeId } = loadMasterKeys();
+      let rewrapped = 0;
+
+      for await (const entry of VaultKey.find({ masterKeyId: { $ne: activeId } }).cursor()) {
+        const masterKey = keys.get(entry.masterKeyId);
+        if (!masterKey) {
+          console.error(`Cannot re-wrap vault key ${entry.agentId}: master key missing`);
+          continue;
+        }
+
+        const dataKey = open(masterKey, entry.encryptedDataKey, entry.agentId);
+        try {
+          // Conditional so a concurrent rotation or re-encryption is never overwritten
+          const result = await VaultKey.updateOne(
+            { _id: entry._id, masterKeyId: entry.masterKeyId },
+            {
+              encryptedDataKey: seal(keys.get(activeId), dataKey, entry.agentId),
+              masterKeyId: activeId
+            }
+          );
+          rewrapped += result.modifiedCount;
+        } finally {
+          dataKey.fill(0);
+        }
+      }
+
+      return { activeMasterKeyId: activeId, rewrapped };
+    } catch (error) {
+      console.error('Error in rotateMasterKey:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Re-encrypt one agent's private key under a new data key and the active master key
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<Object>} The key's public details
+   */
+  async reencryptKey(agentId) {
+    try {
+      const entry = await VaultKey.findOne({ agentId });
+      if (!entry) {
+        throw httpError(404, 'No private key stored for this agent');
+      }
+
+      const privateKey = await this.decryptPrivateKey(agentId, entry.userId);
+      return await this.storePrivateKey(agentId, entry.userId, privateKey);
+    } catch (error) {
+      console.error('Error in reencryptKey:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count stored keys by the master key that wraps them
+   * @returns {Promise<{activeMasterKeyId: string, keysByMasterKey: Object}>} The vault status
+   */
+  async getStatus() {
+    try {
+      const { activeId } = loadMasterKeys();
+      const counts = await VaultKey.aggregate([
+        { $group: { _id: '$masterKeyId', count: { $sum: 1 } } }
+      ]);
+      const orphanedKeys = await VaultKey.countDocuments({ orphanedAt: { $ne: null } });
+      return {
+        activeMasterKeyId: activeId,
+        keysByMasterKey: Object.fromEntries(counts.map(({ _id, count }) => [_id, count])),
+        orphanedKeys
+      };
+    } catch (error) {
+      console.error('Error in getStatus:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keep the keys of removed agents, marked orphaned, rather than destroy wallets that may hold
+   * funds
+   * @param {Array<string>} agentIds - The agent IDs
+   * @returns {Promise<number>} The number of keys marked
+   */
+  async orphanAgentKeys(agentIds) {
+    try {
+      const result = await VaultKey.updateMany(
+        { agentId: { $in: agentIds } },
+        { $set: { orphanedAt: new Date() } }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      console.error('Error in orphanAgentKeys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the keys of removed agents
+   * @param {Array<string>} agentIds - The agent IDs
+   * @returns {Promise<number>} The number of keys deleted
+   */
+  async deleteAgentKeys(agentIds) {
+    try {
+      const result = await VaultKey.deleteMany({ agentId: { $in: agentIds } });
+      return result.deletedCount;
+    } catch (error) {
+      console.error('Error in deleteAgentKeys:', error);
+      throw error;
+    }
+  }
+}
+
+// Export a singleton instance
+export const keyVault = new KeyVault();
@@ -0,0 +1,300 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { HumanMessage, SystemMessage } from '@langchain/core/messages';
+import AgentMemory from '../models/agentMemoryModel.js';
+import ConversationSummary from '../models/conversationSummaryModel.js';
+import ConversationMessage from '../models/conversationMessageModel.js';
+import {
+  MEMORY_CATEGORIES,
+  SUMMARY_INSTRUCTIONS,
+  formatMemoryPrompt,
+  memoryKey,
+  parseMemoryUpdate
+} from '../config/memory.js';
+import { messageText } from '../utils/agentRun.js';
+import { httpError } from '../utils/httpError.js';
+
+dotenv.config();
+
+const DEFAULT_RECENT_MESSAGES = 20;
+const DEFAULT_BATCH_SIZE = 20;
+const DEFAULT_MAX_MEMORIES = 50;
+// How long a worker may hold a conversation while it summarizes
+const LOCK_MS = 5 * 60 * 1000;
+
+const isDuplicateKey = error => error?.code === 11000;
+
+// A message as the summarizer reads it, with the tools it ran and the transactions they sent
+const transcriptLine = ({ role, content, toolCalls, transactionHashes }) => {
+  const tools = toolCalls?.length
+    ? ` [tools: ${toolCalls
+        .map(({ name, status }) => `${name} (${status || 'unknown'})`)
+        .join(', ')}]`
+    : '';
+  const transactions = transactionHashes?.length
+    ? ` [transactions: ${transactionHashes.join(', ')}]`
+    : '';
+  return `${role}: ${content}${tools}${transactions}`;
+};
+
+/**
+ * Service for agents' long-term memory
+ * Once a conversation has more than recentMessages messages, its older turns are folded batch by
+ * batch into a rolling summary by the agent's own model, which also extracts durable facts about
+ * the user into the agent's memories. Both go into the agent's system prompt
+ */
+export class MemoryService {
+  /**
+   * @param {Object} options - Service options
+   * @param {number} options.recentMessages - Latest messages left out of the summary, since the
+   *   agent still sees them (MEMORY_RECENT_MESSAGES)
+   * @param {number} options.batchSize - How many older messages to summarize at once
+   *   (MEMORY_SUMMARY_BATCH)
+   * @param {number} options.maxMemories - Most memories an agent keeps; the least recently
+   *   extracted go first (MEMORY_MAX_ITEMS)
+   */
+  constructor({
+    recentMessages = parseInt(process.env.MEMORY_RECENT_MESSAGES) || DEFAULT_RECENT_MESSAGES,
+    batchSize = parseInt(process.env.MEMORY_SUMMARY_BATCH) || DEFAULT_BATCH_SIZE,
+    maxMemories = parseInt(process.env.MEMORY_MAX_ITEMS) || DEFAULT_MAX_MEMORIES
+  } = {}) {
+    this.recentMessages = recentMessages;
+    this.batchSize = batchSize;
+    this.maxMemories = maxMemories;
+  }
+
+  /**
+   * Build the memory section of an agent's system prompt
+   * @param {string} agentId - The agent ID
+   * @param {string} conversationId - The conversation being answered
+   * @returns {Promise<string>} The section, or an empty string if there is nothing to remember
+   */
+  async getPromptContext(agentId, conversationId) {
+    try {
+      const [summary, memories] = await Promise.all([
+        ConversationSummary.findOne({ conversationId: String(conversationId) }).lean(),
+        AgentMemory.find({ agentId }).sort({ updatedAt: -1 }).limit(this.maxMemories).lean()
+      ]);
+      return formatMemoryPrompt(summary?.text || null, memories);
+    } catch (error) {
+      console.error('Error in getPromptContext:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fold the next batch of a conversation's older messages into its summary, and remember the
+   * durable facts they reveal
+   * Only one worker summarizes a conversation at a time; others return at once
+   * @param {Object} agent - The agent ({agentId, userId})
+   * @param {string} conversationId - The conversation ID
+   * @param {Function} createModel - () => chat model to summarize with
+   * @returns {Promise<Object|null>} The updated summary, or null if there was nothing to do
+   */
+  async summarize(agent, conversationId, createModel) {
+    const id = String(conversationId);
+    let summary;
+    try {
+      summary = await ConversationSummary.findOneAndUpdate(
+        { conversationId: id, $or: [{ lockedUntil: null }, { lockedUntil: { $lt: new Date() } }] },
+        {
+          $set: { lockedUntil: new Date(Date.now() + LOCK_MS) },
+          $setOnInsert: { agentId: agent.agentId }
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      if (isDuplicateKey(error)) {
+        // Another worker holds it
+        return null;
+      }
+      console.error('Error in summarize:', error);
+      throw error;
+    }
+
+    try {
+      const after = summary.throughMessageId
+        ? {
+            $or: [
+              { timestamp: { $gt: summary.throughTimestamp } },
+              { timestamp: summary.throughTimestamp, _id: { $gt: summary.throughMessageId } }
+            ]
+          }
+        : {};
+      const pending = await ConversationMessage.find({ conversationId: id, ...after })
+        .sort({ timestamp: 1, _id: 1 })
+        .limit(this.batchSize + this.recentMessages)
+        .lean();
+      if (pending.length < this.batchSize + this.recentMessages) {
+        await ConversationSummary.updateOne({ _id: summary._id }, { $set: { lockedUntil: null } });
+        return null;
+      }
+
+      const batch = pending.slice(0, this.batchSize);
+      const reply = await createModel().invoke([
+        new SystemMessage(SUMMARY_INSTRUCTIONS),
+        new HumanMessage(
+          `Current summary:\n${summary.text || '(none yet)'}\n\n` +
+            `New turns:\n${batch.map(transcriptLine).join('\n')}`
+        )
+      ]);
+      const { summary: text, memories } = parseMemoryUpdate(messageText(reply.content));
+      await this.remember(agent, id, memories);
+
+      const last = batch[batch.length - 1];
+      return await ConversationSummary.findOneAndUpdate(
+        { _id: summary._id },
+        {
+          $set: {
+            text,
+            throughTimestamp: last.timestamp,
+            throughMessageId: last._id,
+            lockedUntil: null
+          },
+          $inc: { summarizedMessages: batch.length }
+        },
+        { new: true }
+      );
+    } catch (error) {
+      console.error('Error in summarize:', error);
+      await ConversationSummary.updateOne({ _id: summary._id }, { $set: { lockedUntil: null } });
+      throw error;
+    }
+  }
+
+  // Store extracted memories, replacing earlier ones of the same category and key unless the
+  // user wrote them, then drop the least recently extracted beyond the limit
+  async remember(agent, conversationId, memories) {
+    for (const { category, key, content } of memories) {
+      try {
+        await AgentMemory.updateOne(
+          { agentId: agent.agentId, category, key, source: 'extracted' },
+          { $set: { content, conversationId, userId: agent.userId } },
+          { upsert: true }
+        );
+      } catch (error) {
+        if (!isDuplicateKey(error)) {
+          throw error;
+        }
+      }
+    }
+
+    const overflow = await AgentMemory.find({ agentId: agent.agentId, source: 'extracted' })
+      .sort({ updatedAt: -1 })
+      .skip(this.maxMemories)
+      .select('_id')
+      .lean();
+    if (overflow.length) {
+      await AgentMemory.deleteMany({ _id: { $in: overflow.map(({ _id }) => _id) } });
+    }
+  }
+
+  /**
+   * List an agent's memories, most recently updated first
+   * @param {string} agentId - The agent ID
+   * @param {Object} options - category to filter on
+   * @returns {Promise<Array>} The memories
+   */
+  async list(agentId, { category } = {}) {
+    try {
+      const query = { agentId };
+      if (category) {
+        if (!MEMORY_CATEGORIES[category]) {
+          throw httpError(
+            400,
+            `category must be one of: ${Object.keys(MEMORY_CATEGORIES).join(', ')}`
+          );
+        }
+        query.category = category;
+      }
+      return await AgentMemory.find(query).sort({ updatedAt: -1 });
+    } catch (error) {
+      console.error('Error in list:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the summary of a conversation's older turns
+   * @param {string} conversationId - The conversation ID
+   * @returns {Promise<Object|null>} The summary or null if there is none yet
+   */
+  async getSummary(conversationId) {
+    try {
+      return await ConversationSummary.findOne({ conversationId: String(conversationId) });
+    } catch (error) {
+      console.error('Error in getSummary:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Edit one of an agent's memories; it then belongs to the user, and extraction leaves it be
+   * @param {string} agentId - The agent ID
+   * @param {string} memoryId - The memory ID
+   * @param {Object} fields - content, category and key, as validateMemory checks them
+   * @returns {Promise<Object|null>} The memory, or null if not found
+   * @throws {Error} With status 409 if the agent already has a memory of that category and key
+   */
+  async update(agentId, memoryId, { content, category, key }) {
+    try {
+      if (!mongoose.isValidObjectId(memoryId)) {
+        return null;
+      }
+      const memory = await AgentMemory.findOne({ _id: memoryId, agentId });
+      if (!memory) {
+        return null;
+      }
+      if (content !== undefined) {
+        memory.content = content.trim();
+      }
+      if (category !== undefined || key !== undefined) {
+        memory.category = category ?? memory.category;
+        memory.key = memoryKey(memory.category, key ?? memory.key);
+      }
+      memory.source = 'user';
+      return await memory.save();
+    } catch (error) {
+      if (isDuplicateKey(error)) {
+        throw httpError(409, 'The agent already has a memory with that category and key');
+      }
+      console.error('Error in update:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete one of an agent's memories
+   * @param {string} agentId - The agent ID
+   * @param {string} memoryId - The memory ID
+   * @returns {Promise<boolean>} True if it was deleted, false if not found
+   */
+  async remove(agentId, memoryId) {
+    try {
+      if (!mongoose.isValidObjectId(memoryId)) {
+        return false;
+      }
+      const result = await AgentMemory.deleteOne({ _id: memoryId, agentId });
+      return result.deletedCount > 0;
+    } catch (error) {
+      console.error('Error in remove:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget the summaries of an agent's conversations, e.g. when they are cleared; the agent's
+   * memories stay, since they outlive conversations
+   * @param {string} agentId - The agent ID
+   */
+  async forgetConversations(agentId) {
+    try {
+      await ConversationSummary.deleteMany({ agentId });
+    } catch (error) {
+      console.error('Error in forgetConversations:', error);
+      throw error;
+    }
+  }
+}
+
+export const memoryService = new MemoryService();
@@ -0,0 +1,310 @@
+import {
+  BaseCheckpointSaver,
+  TASKS,
+  WRITES_IDX_MAP,
+  copyCheckpoint,
+  getCheckpointId
+} from '@langchain/langgraph-checkpoint';
+import Checkpoint from '../models/checkpointModel.js';
+import CheckpointWrite from '../models/checkpointWriteModel.js';
+
+// Lean queries hand back BSON Binary values rather than Buffers
+const toBuffer = value => (Buffer.isBuffer(value) ? value : value.buffer);
+
+// Metadata fields stored alongside each checkpoint, so filtering on them happens in the query
+const INDEXED_METADATA = ['source', 'step'];
+
+/**
+ * Build the LangGraph thread ID of an agent's conversation
+ * @param {string} agentId - The agent ID
+ * @param {string} conversationId - The conversation ID
+ * @returns {string} The thread ID
+ */
+export const threadIdFor = (agentId, conversationId) => `${agentId}:${conversationId}`;
+
+/**
+ * Split a thread ID back into its agent and conversation
+ * @param {string} threadId - The thread ID
+ * @returns {{agentId: string, conversationId: string}} The thread's agent and conversation
+ */
+export const parseThreadId = threadId => {
+  const separator = threadId.lastIndexOf(':');
+  if (separator <= 0) {
+    throw new Error(`Invalid checkpoint thread ID: ${threadId}`);
+  }
+  return {
+    agentId: threadId.slice(0, separator),
+    conversationId: threadId.slice(separator + 1)
+  };
+};
+
+/**
+ * LangGraph checkpoint saver backed by MongoDB
+ * Threads are an agent's conversation, so state survives restarts and is shared by every
+ * worker, and each agent only ever sees its own history. Checkpoints keep their parent, which
+ * lets a run resume from the latest one or fork from any earlier one
+ */
+export class MongoCheckpointSaver extends BaseCheckpointSaver {
+  /**
+   * Load a checkpoint, the latest of its thread unless the config names one
+   * @param {Object} config - Runnable config with configurable.thread_id and checkpoint_id
+   * @returns {Promise<Object|undefined>} The checkpoint tuple
+   */
+  async getTuple(config) {
+    try {
+      const threadId = config.configurable?.thread_id;
+      const checkpointNs = config.configurable?.checkpoint_ns ?? '';
+      const checkpointId = getCheckpointId(config);
+
+      const query = { threadId, checkpointNs };
+      if (checkpointId) {
+        query.checkpointId = checkpointId;
+      }
+      const doc = await Checkpoint.findOne(query).sort({ checkpointId: -1 }).lean();
+      return doc ? await this.toTuple(doc) : undefined;
+    } catch (error) {
+      console.error('Error in getTuple:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List checkpoints newest first
+   * @param {Object} config - Runnable config; configurable.thread_id narrows to one thread and
+   *   configurable.agent_id to one agent
+   * @param {Object} options - limit, before (a config naming a checkpoint) and a metadata filter
+   * @returns {AsyncGenerator<Object>} The checkpoint tuples
+   */
+  async *list(config, { limit, before, filter = {} } = {}) {
+    const { thread_id: threadId, agent_id: agentId } = config.configurable ?? {};
+    const query = {};
+    if (threadId) {
+      query.threadId = threadId;
+    } else if (agentId) {
+      query.agentId = agentId;
+    }
+    if (config.configurable?.checkpoint_ns !== undefined) {
+      query.checkpointNs = config.configurable.checkpoint_ns;
+    }
+    if (config.configurable?.checkpoint_id) {
+      query.checkpointId = config.configurable.checkpoint_id;
+    }
+    if (before?.configurable?.checkpoint_id) {
+      query.checkpointId = { $lt: before.configurable.checkpoint_id };
+    }
+
+    const otherFilters = Object.entries(filter).filter(([key]) => !INDEXED_METADATA.includes(key));
+    for (const key of INDEXED_METADATA) {
+      if (filter[key] !== undefined) {
+        query[key] = filter[key];
+      }
+    }
+
+    let cursor = Checkpoint.find(query).sort({ checkpointId: -1 });
+    // Without filters on other metadata the database can apply the limit itself
+    if (limit !== undefined && otherFilters.length === 0) {
+      cursor = cursor.limit(limit);
+    }
+
+    let remaining = limit;
+    for await (const doc of cursor.lean().cursor()) {
+      if (remaining !== undefined && remaining <= 0) {
+        break;
+      }
+      const tuple = await this.toTuple(doc);
+      if (otherFilters.some(([key, value]) => tuple.metadata?.[key] !== value)) {
+        continue;
+      }
+      if (remaining !== undefined) {
+        remaining--;
+      }
+      yield tuple;
+    }
+  }
+
+  /**
+   * Save a checkpoint after the one named in the config
+   * @param {Object} config - Runnable config of the parent checkpoint
+   * @param {Object} checkpoint - The checkpoint
+   * @param {Object} metadata - The checkpoint metadata
+   * @returns {Promise<Object>} The config of the saved checkpoint
+   */
+  async put(config, checkpoint, metadata) {
+    try {
+      const threadId = config.configurable?.thread_id;
+      const checkpointNs = config.configurable?.checkpoint_ns ?? '';
+      if (!threadId) {
+        throw new Error('Failed to put checkpoint: the config has no configurable.thread_id');
+      }
+      const { agentId, conversationId } = parseThreadId(threadId);
+
+      const prepared = copyCheckpoint(checkpoint);
+      delete prepared.pending_sends;
+      const [type, serializedCheckpoint] = this.serde.dumpsTyped(prepared);
+      const [, serializedMetadata] = this.serde.dumpsTyped(metadata);
+
+      await Checkpoint.updateOne(
+        { threadId, checkpointNs, checkpointId: checkpoint.id },
+        {
+          parentCheckpointId: config.configurable?.checkpoint_id ?? null,
+          agentId,
+          conversationId,
+          type,
+          checkpoint: Buffer.from(serializedCheckpoint),
+          metadata: Buffer.from(serializedMetadata),
+          source: metadata?.source,
+          step: metadata?.step
+        },
+        { upsert: true }
+      );
+
+      return {
+        configurable: {
+          thread_id: threadId,
+          checkpoint_ns: checkpointNs,
+          checkpoint_id: checkpoint.id
+        }
+      };
+    } catch (error) {
+      console.error('Error in put:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save the writes a task produced against a checkpoint
+   * @param {Object} config - Runnable config naming the checkpoint
+   * @param {Array} writes - [channel, value] pairs
+   * @param {string} taskId - The task ID
+   * @returns {Promise<void>}
+   */
+  async putWrites(config, writes, taskId) {
+    try {
+      const threadId = config.configurable?.thread_id;
+      const checkpointNs = config.configurable?.checkpoint_ns ?? '';
+      const checkpointId = config.configurable?.checkpoint_id;
+      if (!threadId || !checkpointId) {
+        throw new Error('Failed to put writes: the config has no thread_id or checkpoint_id');
+      }
+      const { agentId } = parseThreadId(threadId);
+
+      const operations = writes.map(([channel, value], index) => {
+        const idx = WRITES_IDX_MAP[channel] ?? index;
+        const [type, serialized] = this.serde.dumpsTyped(value);
+        const fields = { agentId, channel, type, value: Buffer.from(serialized) };
+        return {
+          updateOne: {
+            filter: { threadId, checkpointNs, checkpointId, taskId, idx },
+            // Special writes (errors, interrupts) replace earlier ones; regular writes are kept
+            update: idx < 0 ? { $set: fields } : { $setOnInsert: fields },
+            upsert: true
+          }
+        };
+      });
+
+      if (operations.length > 0) {
+        await CheckpointWrite.bulkWrite(operations, { ordered: false });
+      }
+    } catch (error) {
+      console.error('Error in putWrites:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete every checkpoint of a thread
+   * @param {string} threadId - The thread ID
+   * @returns {Promise<number>} The number of checkpoints deleted
+   */
+  async deleteThread(threadId) {
+    try {
+      await CheckpointWrite.deleteMany({ threadId });
+      const result = await Checkpoint.deleteMany({ threadId });
+      return result.deletedCount;
+    } catch (error) {
+      console.error('Error in deleteThread:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete every checkpoint of an agent
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<number>} The number of checkpoints deleted
+   */
+  async deleteAgent(agentId) {
+    try {
+      await CheckpointWrite.deleteMany({ agentId });
+      const result = await Checkpoint.deleteMany({ agentId });
+      return result.deletedCount;
+    } catch (error) {
+      console.error('Error in deleteAgent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn a stored checkpoint into a LangGraph checkpoint tuple
+   * @param {Object} doc - The checkpoint document
+   * @returns {Promise<Object>} The checkpoint tuple
+   */
+  async toTuple(doc) {
+    const { threadId, checkpointNs, checkpointId, parentCheckpointId } = doc;
+
+    const writes = await CheckpointWrite.find({ threadId, checkpointNs, checkpointId })
+      .sort({ taskId: 1, idx: 1 })
+      .lean();
+    const pendingWrites = await Promise.all(
+      writes.map(async write => [
+        write.taskId,
+        write.channel,
+        await this.serde.loadsTyped(write.type, toBuffer(write.value))
+      ])
+    );
+
+    // Sends queued by the parent step are delivered to this one
+    let pendingSends = [];
+    if (parentCheckpointId) {
+      const sends = await CheckpointWrite.find({
+        threadId,
+        checkpointNs,
+        checkpointId: parentCheckpointId,
+        channel: TASKS
+      })
+        .sort({ taskId: 1, idx: 1 })
+        .lean();
+      pendingSends = await Promise.all(
+        sends.map(send => this.serde.loadsTyped(send.type, toBuffer(send.value)))
+      );
+    }
+
+    const tuple = {
+      config: {
+        configurable: {
+          thread_id: threadId,
+          checkpoint_ns: checkpointNs,
+          checkpoint_id: checkpointId
+        }
+      },
+      checkpoint: {
+        ...(await this.serde.loadsTyped(doc.type, toBuffer(doc.checkpoint))),
+        pending_sends: pendingSends
+      },
+      metadata: await this.serde.loadsTyped('json', toBuffer(doc.metadata)),
+      pendingWrites
+    };
+    if (parentCheckpointId) {
+      tuple.parentConfig = {
+        configurable: {
+          thread_id: threadId,
+          checkpoint_ns: checkpointNs,
+          checkpoint_id: parentCheckpointId
+        }
+      };
+    }
+    return tuple;
+  }
+}
+
+// Export a singleton instance
+export const checkpointSaver = new MongoCheckpointSaver();
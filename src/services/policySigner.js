@@ -0,0 +1,164 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { LocalSigner } from 'move-agent-kit';
+import { simulateTransaction } from './transactionPreview.js';
+import { retryReason, withSequenceNumber } from './transactionQueue.js';
+
+const capture = new AsyncLocalStorage();
+
+/**
+ * Run a function, collecting the transactions it asks any PolicySigner to sign instead of
+ * signing them; each one fails as if it had been refused, so callers stop at the first
+ * @param {Function} fn - The function, e.g. a tool call
+ * @returns {Promise<{output: *, transactions: Array<SimpleTransaction>}>} What the function
+ *   returned, and the transactions it prepared
+ */
+export const captureTransactions = async fn => {
+  const transactions = [];
+  const output = await capture.run(transactions, fn);
+  return { output, transactions };
+};
+
+// Whether a simulation failed only because the transaction's sequence number is no longer the
+// account's next one
+const staleSequence = simulation =>
+  ['sequence_too_old', 'sequence_too_new'].includes(
+    retryReason({ message: `${simulation.error || ''} ${simulation.vmStatus || ''}` })
+  );
+
+// Inside captureTransactions, collect the transaction and stop before it is signed
+const holdForReview = transaction => {
+  const transactions = capture.getStore();
+  if (!transactions) {
+    return;
+  }
+  transactions.push(transaction);
+  throw new Error('The transaction was prepared for review and not sent');
+};
+
+/**
+ * Local signer that checks every transaction with a guard before signing it
+ * The guard (see SpendingPolicyService.guardFor) refuses transactions the agent's spending
+ * policy does not allow and reserves what the others send. Transactions are simulated before
+ * they are checked, so one that would abort is refused without paying gas and what any call
+ * takes from the wallet counts towards the policy's limits, and are submitted
+ * through the agent's own Aptos client rather than the devnet one LocalSigner builds, via the
+ * account's transaction queue when it has one. Inside captureTransactions nothing is signed;
+ * transactions are collected for review instead
+ */
+export class PolicySigner extends LocalSigner {
+  /**
+   * @param {Account} account - The account to sign with
+   * @param {Aptos} aptos - The client for the agent's network
+   * @param {Object} guard - {authorize, settle, release}; without one nothing is checked
+   * @param {Object} sender - Submits through the account's queue (see
+   *   TransactionQueue.senderFor); without one transactions are submitted directly
+   */
+  constructor(account, aptos, guard = null, sender = null) {
+    super(account);
+    this.aptos = aptos;
+    this.guard = guard;
+    this.sender = sender;
+  }
+
+  /**
+   * Sign a transaction without submitting it; what it sends stays reserved against the policy
+   * @param {SimpleTransaction} transaction - The transaction
+   * @returns {Promise<{senderAuthenticator: AccountAuthenticator}>} The signature
+   */
+  async signTransaction(transaction) {
+    holdForReview(transaction);
+    await this.guard?.authorize(transaction);
+    return { senderAuthenticator: this.sign(transaction) };
+  }
+
+  /**
+   * Simulate, sign, submit and wait for a transaction
+   * @param {SimpleTransaction} transaction - The transaction
+   * @returns {Promise<string>} The committed transaction hash
+   */
+  async sendTransaction(transaction) {
+    holdForReview(transaction);
+    const simulation = await this.simulate(transaction);
+    if (!simulation.success) {
+      const error = new Error(`Transaction simulation failed: ${simulation.failure.reason}`);
+      error.simulation = simulation;
+      throw error;
+    }
+    const reservation = await this.guard?.authorize(transaction, simulation);
+
+    let result;
+    try {
+      result = this.sender
+        ? await this.sender.send(this.aptos, this.account, transaction)
+        : await this.submitAndWait(transaction);
+    } catch (error) {
+      // Once submitted it may still commit, so what it sends keeps counting unless it expired
+      if (error.hash && error.code !== 'TRANSACTION_EXPIRED') {
+        await this.guard?.settle(reservation, error.hash);
+      } else {
+        await this.guard?.release(reservation);
+      }
+      throw error;
+    }
+
+    if (result.success) {
+      await this.guard?.settle(reservation, result.hash);
+    } else {
+      await this.guard?.release(reservation);
+    }
+    return result.hash;
+  }
+
+  // Simulate a transaction as it will be sent. The queue gives it the account's next sequence
+  // number when it submits it, so one built before another transaction from the account
+  // committed is simulated again with the current one rather than refused as stale
+  async simulate(transaction) {
+    const options = { balances: Boolean(this.guard) };
+    const simulation = await simulateTransaction(
+      this.aptos,
+      this.getPublicKey(),
+      transaction,
+      options
+    );
+    if (simulation.success || !this.sender || !staleSequence(simulation)) {
+      return simulation;
+    }
+
+    const raw = transaction.rawTransaction;
+    const { sequence_number: sequenceNumber } = await this.aptos.getAccountInfo({
+      accountAddress: raw.sender
+    });
+    const current = withSequenceNumber(
+      transaction,
+      BigInt(sequenceNumber),
+      raw.expiration_timestamp_secs
+    );
+    return simulateTransaction(this.aptos, this.getPublicKey(), current, options);
+  }
+
+  // Submit a transaction as built and wait for it, for signers without a queue
+  async submitAndWait(transaction) {
+    const { hash } = await this.aptos.transaction.submit.simple({
+      transaction,
+      senderAuthenticator: this.sign(transaction)
+    });
+    try {
+      return await this.aptos.waitForTransaction({ transactionHash: hash });
+    } catch (error) {
+      error.hash = hash;
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {PublicKey} The public key transactions are simulated with
+   */
+  getPublicKey() {
+    return this.account.publicKey;
+  }
+
+  // Sign with the account, bypassing the guard
+  sign(transaction) {
+    return this.aptos.transaction.sign({ signer: this.account, transaction });
+  }
+}
@@ -0,0 +1,94 @@
+import dotenv from 'dotenv';
+import { httpError } from '../utils/httpError.js';
+
+dotenv.config();
+
+const DEFAULT_URL = 'https://hermes.pyth.network';
+const DEFAULT_CACHE_MS = 30 * 1000;
+// Prices older than this are not trusted to fire a trigger
+const MAX_PRICE_AGE_S = 10 * 60;
+
+/**
+ * USD prices from the Pyth network's Hermes service, for agent price triggers
+ * Feeds are looked up by symbol once; prices are cached briefly, so triggers on the same token
+ * share a request
+ */
+export class PriceFeed {
+  /**
+   * @param {Object} options - Feed options
+   * @param {string} options.url - The Hermes service (PYTH_HERMES_URL)
+   * @param {number} options.cacheMs - How long a price is reused
+   * @param {Function} options.fetch - The fetch to call Hermes with
+   */
+  constructor({
+    url = process.env.PYTH_HERMES_URL || DEFAULT_URL,
+    cacheMs = DEFAULT_CACHE_MS,
+    fetch = globalThis.fetch
+  } = {}) {
+    this.url = url.replace(/\/+$/, '');
+    this.cacheMs = cacheMs;
+    this.fetch = fetch;
+    this.feedIds = new Map();
+    this.prices = new Map();
+  }
+
+  async request(path) {
+    const response = await this.fetch(`${this.url}${path}`);
+    if (!response.ok) {
+      throw new Error(`Price feed request failed with status ${response.status}`);
+    }
+    return response.json();
+  }
+
+  // The ID of the symbol's USD feed
+  async feedId(symbol) {
+    if (this.feedIds.has(symbol)) {
+      return this.feedIds.get(symbol);
+    }
+    const feeds = await this.request(
+      `/v2/price_feeds?query=${encodeURIComponent(symbol)}&asset_type=crypto`
+    );
+    const feed = feeds.find(
+      ({ attributes }) =>
+        attributes?.base?.toUpperCase() === symbol && attributes?.quote_currency === 'USD'
+    );
+    if (!feed) {
+      throw httpError(404, `No USD price feed for ${symbol}`);
+    }
+    this.feedIds.set(symbol, feed.id);
+    return feed.id;
+  }
+
+  /**
+   * Get a token's USD price
+   * @param {string} symbol - The token symbol, e.g. 'APT'
+   * @returns {Promise<number>} The price in USD
+   * @throws {Error} With status 404 if there is no feed for the symbol
+   */
+  async getUsdPrice(symbol) {
+    const key = symbol.toUpperCase();
+    const cached = this.prices.get(key);
+    if (cached && Date.now() - cached.at < this.cacheMs) {
+      return cached.price;
+    }
+    try {
+      const id = await this.feedId(key);
+      const { parsed } = await this.request(
+        `/v2/updates/price/latest?ids[]=${encodeURIComponent(id)}&parsed=true`
+      );
+      const { price, expo, publish_time: publishTime } = parsed?.[0]?.price || {};
+      if (price === undefined || Date.now() / 1000 - publishTime > MAX_PRICE_AGE_S) {
+        throw new Error(`No recent price for ${key}`);
+      }
+
+      const value = Number(price) * 10 ** expo;
+      this.prices.set(key, { price: value, at: Date.now() });
+      return value;
+    } catch (error) {
+      console.error('Error in getUsdPrice:', error);
+      throw error;
+    }
+  }
+}
+
+export const priceFeed = new PriceFeed();
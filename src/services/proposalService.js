@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import Proposal, { PROPOSAL_STATUSES } from '../models/proposalModel.js';
+import { httpError } from '../utils/httpError.js';
+
+dotenv.config();
+
+const DEFAULT_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * Service for the write actions agents in manual approval mode propose
+ * Every status change is a conditional update from the status it expects, so a proposal is
+ * decided, expired and executed exactly once even with several workers
+ */
+export class ProposalService {
+  /**
+   * @param {Object} options - Service options
+   * @param {number} options.ttlMs - How long a proposal waits for a decision (PROPOSAL_TTL_MS)
+   */
+  constructor({ ttlMs = parseInt(process.env.PROPOSAL_TTL_MS) || DEFAULT_TTL_MS } = {}) {
+    this.ttlMs = ttlMs;
+  }
+
+  /**
+   * Create a pending proposal
+   * @param {Object} fields - agentId, userId, conversationId, checkpointId and toolCalls
+   * @returns {Promise<Object>} The proposal
+   */
+  async create(fields) {
+    try {
+      return await Proposal.create({
+        ...fields,
+        proposalId: crypto.randomUUID(),
+        expiresAt: new Date(Date.now() + this.ttlMs)
+      });
+    } catch (error) {
+      console.error('Error in create:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List an agent's proposals, newest first
+   * @param {string} agentId - The agent ID
+   * @param {Object} options - status to filter on, and limit
+   * @returns {Promise<Array>} The proposals
+   */
+  async list(agentId, { status, limit = 20 } = {}) {
+    try {
+      const query = { agentId };
+      if (status) {
+        if (!PROPOSAL_STATUSES.includes(status)) {
+          throw httpError(400, `status must be one of: ${PROPOSAL_STATUSES.join(', ')}`);
+        }
+        query.status = status;
+      }
+      return await Proposal.find(query).sort({ createdAt: -1 }).limit(limit);
+    } catch (error) {
+      console.error('Error in list:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one of an agent's proposals
+   * @param {string} agentId - The agent ID
+   * @param {string} proposalId - The proposal ID
+   * @returns {Promise<Object|null>} The proposal or null if not found
+   */
+  async get(agentId, proposalId) {
+    try {
+      return await Proposal.findOne({ agentId, proposalId });
+    } catch (error) {
+      console.error('Error in get:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the proposal a conversation is waiting on
+   * @param {string} agentId - The agent ID
+   * @param {string} conversationId - The conversation ID
+   * @returns {Promise<Object|null>} The pending proposal or null if there is none
+   */
+  async findPending(agentId, conversationId) {
+    try {
+      return await Proposal.findOne({
+        agentId,
+        conversationId: String(conversationId),
+        status: 'pending'
+      });
+    } catch (error) {
+      console.error('Error in findPending:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a proposal from one status to another, if it is still in the first
+   * A pending proposal past its expiry can only move to expired
+   * @param {string} agentId - The agent ID
+   * @param {string} proposalId - The proposal ID
+   * @param {string} from - The status it must be in
+   * @param {string} to - The new status
+   * @param {Object} fields - Other fields to set, e.g. decidedBy and reason
+   * @returns {Promise<Object|null>} The updated proposal, or null if it was not in that status
+   */
+  async transition(agentId, proposalId, from, to, fields = {}) {
+    try {
+      const query = { agentId, proposalId, status: from };
+      if (from === 'pending' && to !== 'expired') {
+        query.expiresAt = { $gt: new Date() };
+      }
+      const update = { ...fields, status: to };
+      if (from === 'pending') {
+        update.decidedAt = new Date();
+      }
+      return await Proposal.findOneAndUpdate(query, { $set: update }, { new: true });
+    } catch (error) {
+      console.error('Error in transition:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Expire the pending proposals past their expiry, claiming each for the caller
+   * @param {number} limit - Most proposals to expire at once
+   * @returns {Promise<Array>} The proposals this call expired
+   */
+  async claimExpired(limit = 50) {
+    try {
+      const expired = [];
+      while (expired.length < limit) {
+        const proposal = await Proposal.findOneAndUpdate(
+          { status: 'pending', expiresAt: { $lte: new Date() } },
+          { $set: { status: 'expired', decidedAt: new Date(), reason: 'Not approved in time' } },
+          { new: true }
+        );
+        if (!proposal) {
+          break;
+        }
+        expired.push(proposal);
+      }
+      return expired;
+    } catch (error) {
+      console.error('Error in claimExpired:', error);
+      throw error;
+    }
+  }
+}
+
+export const proposalService = new ProposalService();
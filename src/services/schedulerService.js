@@ -0,0 +1,378 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import ScheduledTask, { TASK_STATUSES } from '../models/scheduledTaskModel.js';
+import TaskRun from '../models/taskRunModel.js';
+import { nextRunTime, normalizeAction, normalizeSchedule } from '../config/schedules.js';
+import { httpError } from '../utils/httpError.js';
+
+dotenv.config();
+
+const DEFAULT_MAX_TASKS = 20;
+const DEFAULT_BATCH_SIZE = 10;
+const DEFAULT_RUN_TIMEOUT_MS = 10 * 60 * 1000;
+const INTERRUPTED = 'The run was interrupted before it finished';
+
+const isDuplicateKey = error => error?.code === 11000;
+
+/**
+ * Service for agents' scheduled tasks and their run history
+ * Every worker polls for due tasks. A run is claimed by moving the task's nextRunAt on with a
+ * conditional update from the time it was due, and recorded under a unique (task, due time)
+ * index, so each due run happens at most once across the cluster. Runs are not retried: one
+ * interrupted by a restart is recorded as failed, and one that was only slow still records how
+ * it ended when it does
+ */
+export class SchedulerService {
+  /**
+   * @param {Object} options - Service options
+   * @param {number} options.maxTasks - Most tasks an agent may have (SCHEDULE_MAX_TASKS)
+   * @param {number} options.batchSize - Most runs a worker starts per poll (SCHEDULE_BATCH_SIZE)
+   * @param {number} options.runTimeoutMs - After how long a run still marked running is taken
+   *   to have been interrupted (SCHEDULE_RUN_TIMEOUT_MS)
+   */
+  constructor({
+    maxTasks = parseInt(process.env.SCHEDULE_MAX_TASKS) || DEFAULT_MAX_TASKS,
+    batchSize = parseInt(process.env.SCHEDULE_BATCH_SIZE) || DEFAULT_BATCH_SIZE,
+    runTimeoutMs = parseInt(process.env.SCHEDULE_RUN_TIMEOUT_MS) || DEFAULT_RUN_TIMEOUT_MS
+  } = {}) {
+    this.maxTasks = maxTasks;
+    this.batchSize = batchSize;
+    this.runTimeoutMs = runTimeoutMs;
+  }
+
+  /**
+   * Schedule a task for an agent
+   * @param {Object} agent - The agent ({agentId, userId})
+   * @param {Object} fields - name, schedule and action, as validateTask checks them
+   * @returns {Promise<Object>} The task
+   * @throws {Error} With status 409 if the agent already has the most tasks it may have
+   */
+  async create(agent, { name, schedule, action }) {
+    try {
+      const count = await ScheduledTask.countDocuments({
+        agentId: agent.agentId,
+        status: { $ne: 'completed' }
+      });
+      if (count >= this.maxTasks) {
+        throw httpError(409, `An agent can have at most ${this.maxTasks} scheduled tasks`);
+      }
+
+      const now = new Date();
+      const normalized = normalizeSchedule(schedule, now);
+      return await ScheduledTask.create({
+        taskId: crypto.randomUUID(),
+        agentId: agent.agentId,
+        userId: agent.userId,
+        name: name.trim(),
+        schedule: normalized,
+        action: normalizeAction(action),
+        nextRunAt: nextRunTime(normalized, now)
+      });
+    } catch (error) {
+      console.error('Error in create:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List an agent's tasks, newest first
+   * @param {string} agentId - The agent ID
+   * @param {Object} options - status to filter on, and limit
+   * @returns {Promise<Array>} The tasks
+   */
+  async list(agentId, { status, limit = 50 } = {}) {
+    try {
+      const query = { agentId };
+      if (status) {
+        if (!TASK_STATUSES.includes(status)) {
+          throw httpError(400, `status must be one of: ${TASK_STATUSES.join(', ')}`);
+        }
+        query.status = status;
+      }
+      return await ScheduledTask.find(query).sort({ createdAt: -1 }).limit(limit);
+    } catch (error) {
+      console.error('Error in list:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one of an agent's tasks
+   * @param {string} agentId - The agent ID
+   * @param {string} taskId - The task ID
+   * @returns {Promise<Object|null>} The task or null if not found
+   */
+  async get(agentId, taskId) {
+    try {
+      return await ScheduledTask.findOne({ agentId, taskId });
+    } catch (error) {
+      console.error('Error in get:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a task's name, schedule or action
+   * A new schedule takes effect at once; a completed task given one becomes active again
+   * @param {string} agentId - The agent ID
+   * @param {string} taskId - The task ID
+   * @param {Object} fields - name, schedule and action, as validateTask checks them
+   * @returns {Promise<Object|null>} The task or null if not found
+   */
+  async update(agentId, taskId, { name, schedule, action }) {
+    try {
+      const task = await ScheduledTask.findOne({ agentId, taskId });
+      if (!task) {
+        return null;
+      }
+      if (name !== undefined) {
+        task.name = name.trim();
+      }
+      if (action !== undefined) {
+        task.action = normalizeAction(action);
+      }
+      if (schedule !== undefined) {
+        const now = new Date();
+        task.schedule = normalizeSchedule(schedule, now);
+        if (task.status !== 'paused') {
+          task.nextRunAt = nextRunTime(task.schedule, now);
+          task.status = task.nextRunAt ? 'active' : 'completed';
+        }
+      }
+      return await task.save();
+    } catch (error) {
+      console.error('Error in update:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pause an active task
+   * @param {string} agentId - The agent ID
+   * @param {string} taskId - The task ID
+   * @returns {Promise<Object|null>} The task or null if not found
+   * @throws {Error} With status 409 if the task is not active
+   */
+  async pause(agentId, taskId) {
+    try {
+      const task = await ScheduledTask.findOneAndUpdate(
+        { agentId, taskId, status: 'active' },
+        { $set: { status: 'paused', nextRunAt: null } },
+        { new: true }
+      );
+      if (task) {
+        return task;
+      }
+      return await this.conflict(agentId, taskId, 'active');
+    } catch (error) {
+      console.error('Error in pause:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resume a paused task from its next time after now; a one-shot task whose time passed
+   * while it was paused runs right away
+   * @param {string} agentId - The agent ID
+   * @param {string} taskId - The task ID
+   * @returns {Promise<Object|null>} The task or null if not found
+   * @throws {Error} With status 409 if the task is not paused
+   */
+  async resume(agentId, taskId) {
+    try {
+      const task = await ScheduledTask.findOne({ agentId, taskId, status: 'paused' });
+      if (!task) {
+        return await this.conflict(agentId, taskId, 'paused');
+      }
+      const now = new Date();
+      const nextRunAt =
+        task.schedule.type === 'once'
+          ? new Date(Math.max(task.schedule.runAt.getTime(), now.getTime()))
+          : nextRunTime(task.schedule, now);
+      const resumed = await ScheduledTask.findOneAndUpdate(
+        { _id: task._id, status: 'paused' },
+        { $set: { status: nextRunAt ? 'active' : 'completed', nextRunAt } },
+        { new: true }
+      );
+      return resumed || (await this.conflict(agentId, taskId, 'paused'));
+    } catch (error) {
+      console.error('Error in resume:', error);
+      throw error;
+    }
+  }
+
+  // A task that is not in the status a change needs: not found, or a 409
+  async conflict(agentId, taskId, expected) {
+    const task = await ScheduledTask.findOne({ agentId, taskId });
+    if (!task) {
+      return null;
+    }
+    throw httpError(409, `Task ${taskId} is ${task.status}, not ${expected}`);
+  }
+
+  /**
+   * Delete one of an agent's tasks and its run history
+   * @param {string} agentId - The agent ID
+   * @param {string} taskId - The task ID
+   * @returns {Promise<boolean>} True if it was deleted, false if not found
+   */
+  async remove(agentId, taskId) {
+    try {
+      const result = await ScheduledTask.deleteOne({ agentId, taskId });
+      if (result.deletedCount === 0) {
+        return false;
+      }
+      await TaskRun.deleteMany({ taskId });
+      return true;
+    } catch (error) {
+      console.error('Error in remove:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the runs of one of an agent's tasks, newest first
+   * @param {string} agentId - The agent ID
+   * @param {string} taskId - The task ID
+   * @param {Object} options - limit, and before (a run ID) to page back
+   * @returns {Promise<Array>} The runs
+   */
+  async listRuns(agentId, taskId, { limit = 20, before = null } = {}) {
+    try {
+      const query = { agentId, taskId };
+      if (before) {
+        if (!mongoose.isValidObjectId(before)) {
+          throw httpError(400, 'before must be a run ID');
+        }
+        query._id = { $lt: before };
+      }
+      return await TaskRun.find(query).sort({ _id: -1 }).limit(limit);
+    } catch (error) {
+      console.error('Error in listRuns:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim the next due task, moving it on to its following run
+   * @param {Date} now - The current time
+   * @returns {Promise<Object|null>} {task, run}, or null if nothing is due
+   */
+  async claimNext(now = new Date()) {
+    const due = await ScheduledTask.find({ status: 'active', nextRunAt: { $lte: now } })
+      .sort({ nextRunAt: 1 })
+      .limit(this.batchSize);
+
+    for (const candidate of due) {
+      const nextRunAt = nextRunTime(candidate.schedule, now);
+      const task = await ScheduledTask.findOneAndUpdate(
+        { _id: candidate._id, status: 'active', nextRunAt: candidate.nextRunAt },
+        {
+          $set: { nextRunAt, lastRunAt: now, status: nextRunAt ? 'active' : 'completed' },
+          $inc: { runCount: 1 }
+        },
+        { new: true }
+      );
+      if (!task) {
+        // Another worker claimed it, or it was paused or changed meanwhile
+        continue;
+      }
+
+      try {
+        const run = await TaskRun.create({
+          taskId: task.taskId,
+          agentId: task.agentId,
+          userId: task.userId,
+          scheduledFor: candidate.nextRunAt,
+          startedAt: now
+        });
+        return { task, run };
+      } catch (error) {
+        if (!isDuplicateKey(error)) {
+          throw error;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Record how a run ended, also over a run recorded as interrupted meanwhile, so that what a
+   * slow run did (e.g. its transaction hashes) is not lost
+   * @param {Object} run - The run
+   * @param {Object} outcome - status (succeeded or failed), and response, toolCalls,
+   *   transactionHashes, conversationId, proposalId and error as far as they apply
+   * @returns {Promise<Object>} The run
+   */
+  async finishRun(run, outcome) {
+    try {
+      return await TaskRun.findOneAndUpdate(
+        {
+          _id: run._id,
+          $or: [{ status: 'running' }, { status: 'failed', error: INTERRUPTED }]
+        },
+        { $set: { error: null, ...outcome, finishedAt: new Date() } },
+        { new: true }
+      );
+    } catch (error) {
+      console.error('Error in finishRun:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record runs left running past the run timeout, e.g. by a restart, as failed
+   * @param {Date} now - The current time
+   * @returns {Promise<number>} The number of runs recorded as failed
+   */
+  async failInterrupted(now = new Date()) {
+    try {
+      const result = await TaskRun.updateMany(
+        { status: 'running', startedAt: { $lt: new Date(now.getTime() - this.runTimeoutMs) } },
+        {
+          $set: {
+            status: 'failed',
+            error: INTERRUPTED,
+            finishedAt: now
+          }
+        }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      console.error('Error in failInterrupted:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run the tasks that are due, one at a time, up to the batch size
+   * @param {Function} execute - (task) => the outcome of running it, as finishRun takes it; a
+   *   rejection records the run as failed
+   * @returns {Promise<number>} The number of runs started
+   */
+  async runDue(execute) {
+    await this.failInterrupted();
+    let started = 0;
+    while (started < this.batchSize) {
+      const claimed = await this.claimNext();
+      if (!claimed) {
+        break;
+      }
+      started++;
+
+      const { task, run } = claimed;
+      let outcome;
+      try {
+        outcome = await execute(task);
+      } catch (error) {
+        console.error(`Error running scheduled task ${task.taskId}:`, error.message);
+        outcome = { status: 'failed', error: error.message };
+      }
+      await this.finishRun(run, outcome);
+    }
+    return started;
+  }
+}
+
+export const schedulerService = new SchedulerService();
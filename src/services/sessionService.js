@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Session from '../models/sessionModel.js';
+import { httpError } from '../utils/httpError.js';
+
+dotenv.config();
+
+const REFRESH_TOKEN_TTL_MS =
+  (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+// Only write lastUsedAt when it is older than this, to avoid a write on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const hashToken = secret => crypto.createHash('sha256').update(secret).digest('hex');
+
+const safeEqual = (a, b) =>
+  typeof a === 'string' &&
+  typeof b === 'string' &&
+  a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/**
+ * Service for login sessions and their rotating refresh tokens
+ * Sessions live in MongoDB, so a revocation is seen by every cluster worker on its next request
+ */
+export class SessionService {
+  /**
+   * Start a session for a freshly authenticated user
+   * @param {string} userId - The user ID
+   * @param {Object} details - { address, chain, device, ip }
+   * @returns {Promise<{session: Object, refreshToken: string}>} The session and its refresh token
+   */
+  async createSession(userId, { address, chain, device, ip }) {
+    try {
+      const secret = crypto.randomBytes(32).toString('base64url');
+      const session = await Session.create({
+        userId,
+        address,
+        chain,
+        device: device || 'unknown',
+        ip: ip || 'unknown',
+        refreshTokenHash: hashToken(secret),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+      });
+
+      return { session, refreshToken: `${session.id}.${secret}` };
+    } catch (error) {
+      console.error('Error in createSession:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new one; the presented token stops working
+   * Re-using an already rotated token revokes the whole session
+   * @param {string} refreshToken - The refresh token
+   * @param {Object} details - { device, ip } of the caller
+   * @returns {Promise<{session: Object, refreshToken: string}>} The session and its new refresh token
+   */
+  async rotateRefreshToken(refreshToken, { device, ip } = {}) {
+    try {
+      const [sessionId, secret] = String(refreshToken || '').split('.');
+      if (!secret || !mongoose.isValidObjectId(sessionId)) {
+        throw httpError(401, 'Invalid refresh token');
+      }
+
+      const session = await Session.findById(sessionId);
+      if (!session || session.revokedAt || session.expiresAt.getTime() <= Date.now()) {
+        throw httpError(401, 'Session expired or revoked');
+      }
+
+      const presentedHash = hashToken(secret);
+      if (safeEqual(presentedHash, session.previousTokenHash)) {
+        await this.revokeSessionById(session.id, 'refresh_token_reuse');
+        throw httpError(401, 'Refresh token reuse detected; session revoked');
+      }
+
+      const nextSecret = crypto.randomBytes(32).toString('base64url');
+      // Conditional update so two concurrent refreshes cannot both succeed
+      const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+        {
+          refreshTokenHash: hashToken(nextSecret),
+          previousTokenHash: presentedHash,
+          lastUsedAt: new Date(),
+          ...(device && { device }),
+          ...(ip && { ip })
+        },
+        { new: true }
+      );
+
+      if (!rotated) {
+        throw httpError(401, 'Invalid refresh token');
+      }
+
+      return { session: rotated, refreshToken: `${rotated.id}.${nextSecret}` };
+    } catch (error) {
+      if (!error.status) {
+        console.error('Error in rotateRefreshToken:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check that a session is still active, recording its use
+   * @param {string} sessionId - The session ID from the access token
+   * @param {string} userId - The user the access token was issued to
+   * @returns {Promise<Object|null>} The session, or null if revoked, expired or unknown
+   */
+  async getActiveSession(sessionId, userId) {
+    try {
+      if (!mongoose.isValidObjectId(sessionId)) {
+        return null;
+      }
+
+      const session = await Session.findOne({
+        _id: sessionId,
+        userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      }).lean();
+
+      if (session && Date.now() - session.lastUsedAt.getTime() > TOUCH_INTERVAL_MS) {
+        await Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() });
+      }
+
+      return session;
+    } catch (error) {
+      console.error('Error in getActiveSession:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's active sessions
+   * @param {string} userId - The user ID
+   * @returns {Promise<Array>} Active sessions, most recently used first
+   */
+  async listSessions(userId) {
+    try {
+      return await Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .select('device ip lastUsedAt createdAt expiresAt address chain')
+        .sort({ lastUsedAt: -1 });
+    } catch (error) {
+      console.error('Error in listSessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {string} userId - The user ID
+   * @param {string} sessionId - The session to revoke
+   * @param {string} reason - Why the session was revoked
+   * @returns {Promise<boolean>} True if a session was revoked, false if not found
+   */
+  async revokeSession(userId, sessionId, reason = 'user_revoked') {
+    try {
+      if (!mongoose.isValidObjectId(sessionId)) {
+        return false;
+      }
+      const result = await Session.updateOne(
+        { _id: sessionId, userId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      console.error('Error in revokeSession:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every active session of a user, optionally keeping one
+   * @param {string} userId - The user ID
+   * @param {string} exceptSessionId - A session to keep (e.g. the caller's)
+   * @returns {Promise<number>} The number of sessions revoked
+   */
+  async revokeAllSessions(userId, exceptSessionId = null) {
+    try {
+      const filter = { userId, revokedAt: null };
+      if (exceptSessionId) {
+        filter._id = { $ne: exceptSessionId };
+      }
+      const result = await Session.updateMany(filter, {
+        revokedAt: new Date(),
+        revokedReason: 'user_revoked_all'
+      });
+      return result.modifiedCount;
+    } catch (error) {
+      console.error('Error in revokeAllSessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a session regardless of owner
+   * @param {string} sessionId - The session to revoke
+   * @param {string} reason - Why the session was revoked
+   * @returns {Promise<void>}
+   */
+  async revokeSessionById(sessionId, reason) {
+    try {
+      await Session.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+      );
+    } catch (error) {
+      console.error('Error in revokeSessionById:', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,459 @@
+import {
+  AccountAddress,
+  MoveVector,
+  TransactionPayloadEntryFunction,
+  TransactionPayloadMultiSig,
+  U64
+} from '@aptos-labs/ts-sdk';
+import PolicySpend from '../models/policySpendModel.js';
+import {
+  APT,
+  VIOLATIONS,
+  formatViolations,
+  normalizeAsset,
+  normalizeContract
+} from '../config/policies.js';
+import { httpError } from '../utils/httpError.js';
+import { AgentService } from './agentService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Framework functions that move an asset, and where their recipient, amount and asset are
+const TRANSFER_FUNCTIONS = {
+  '0x1::aptos_account::transfer': { recipient: 0, amount: 1, asset: () => APT },
+  '0x1::aptos_account::transfer_coins': { recipient: 0, amount: 1, asset: 'typeArg' },
+  '0x1::coin::transfer': { recipient: 0, amount: 1, asset: 'typeArg' },
+  '0x1::aptos_account::transfer_fungible_assets': { asset: 0, recipient: 1, amount: 2 },
+  '0x1::primary_fungible_store::transfer': { asset: 0, recipient: 1, amount: 2 },
+  '0x1::aptos_account::batch_transfer': { recipient: 0, amount: 1, asset: () => APT, batch: true },
+  '0x1::aptos_account::batch_transfer_coins': {
+    recipient: 0,
+    amount: 1,
+    asset: 'typeArg',
+    batch: true
+  }
+};
+
+const TRANSFER_CONTRACTS = new Set(Object.keys(TRANSFER_FUNCTIONS).map(normalizeContract));
+
+const toAddress = arg => (arg instanceof AccountAddress ? arg.toStringLong() : null);
+const toAmount = arg => (arg instanceof U64 ? BigInt(arg.value) : null);
+const toList = (arg, convert) => (arg instanceof MoveVector ? arg.values.map(convert) : []);
+
+/**
+ * Describe what a transaction does, as far as the policy is concerned
+ * @param {SimpleTransaction} transaction - The transaction about to be signed
+ * @returns {{script: boolean, contract: string|null, transfers: Array<Object>}} Whether it runs a
+ *   script, the function it calls (address::module::function, long address) and the assets it
+ *   sends ({recipient, asset, amount})
+ */
+export const describeTransaction = transaction => {
+  let payload = transaction.rawTransaction.payload;
+  if (payload instanceof TransactionPayloadMultiSig) {
+    payload = payload.multiSig.transaction_payload?.transaction_payload;
+  }
+  const entryFunction =
+    payload instanceof TransactionPayloadEntryFunction ? payload.entryFunction : payload;
+  if (!entryFunction?.module_name) {
+    return { script: true, contract: null, transfers: [] };
+  }
+
+  const { address, name } = entryFunction.module_name;
+  const contract = `${address.toStringLong()}::${name.identifier}::${
+    entryFunction.function_name.identifier
+  }`;
+  const shortName = `${address.toString()}::${name.identifier}::${
+    entryFunction.function_name.identifier
+  }`;
+  const layout = TRANSFER_FUNCTIONS[shortName];
+  if (!layout) {
+    return { script: false, contract, transfers: [] };
+  }
+
+  const { args } = entryFunction;
+  const asset =
+    layout.asset === 'typeArg'
+      ? normalizeAsset(entryFunction.type_args[0]?.toString())
+      : typeof layout.asset === 'function'
+      ? layout.asset()
+      : normalizeAsset(toAddress(args[layout.asset]));
+  const recipients = layout.batch
+    ? toList(args[layout.recipient], toAddress)
+    : [toAddress(args[layout.recipient])];
+  const amounts = layout.batch
+    ? toList(args[layout.amount], toAmount)
+    : [toAmount(args[layout.amount])];
+  return {
+    script: false,
+    contract,
+    transfers: recipients.map((recipient, index) => ({
+      recipient,
+      asset,
+      amount: amounts[index] ?? 0n
+    }))
+  };
+};
+
+/**
+ * Work out what a simulated transaction takes from its sender, per asset
+ * @param {Object} simulation - The transaction's simulation, with its balance changes and fee
+ * @param {string} sender - The sender's long address
+ * @returns {Array<{asset: string, amount: bigint}>|null} The amounts, not counting the fee; or
+ *   null if the simulation's balance changes could not be read
+ */
+export const simulatedOutflows = (simulation, sender) => {
+  if (!simulation?.balanceChanges) {
+    return null;
+  }
+  const outflows = [];
+  for (const { address, asset, amount } of simulation.balanceChanges) {
+    if (address !== sender) {
+      continue;
+    }
+    const spent = -BigInt(amount) - (asset === APT ? BigInt(simulation.fee || 0) : 0n);
+    if (spent > 0n) {
+      outflows.push({ asset, amount: spent });
+    }
+  }
+  return outflows;
+};
+
+// What a transaction spends and who it pays: the framework transfers decoded from it, or for any
+// other function (swaps, lending deposits, staking...) whose arguments do not show what it
+// moves, what its simulation takes from the sender and whose balances it raises; both null if
+// there is no simulation to read
+const effectsOf = (intent, transaction, simulation) => {
+  if (intent.script || TRANSFER_CONTRACTS.has(intent.contract)) {
+    return {
+      spends: intent.transfers,
+      recipients: intent.transfers.map(transfer => transfer.recipient)
+    };
+  }
+  const sender = toAddress(transaction.rawTransaction.sender);
+  const spends = sender && simulatedOutflows(simulation, sender);
+  if (!spends) {
+    return { spends: null, recipients: null };
+  }
+  const recipients = simulation.balanceChanges
+    .filter(({ address, amount }) => address !== sender && BigInt(amount) > 0n)
+    .map(({ address }) => address);
+  return { spends, recipients };
+};
+
+// The hour it is in a time zone
+const hourIn = (now, timezone) =>
+  Number(
+    new Intl.DateTimeFormat('en-US', {
+      hour: 'numeric',
+      hourCycle: 'h23',
+      timeZone: timezone
+    }).format(now)
+  );
+
+// Whether a policy sets any rule at all
+const hasRules = policy =>
+  Boolean(
+    policy &&
+      (policy.limits?.length ||
+        policy.recipients?.allow?.length ||
+        policy.recipients?.deny?.length ||
+        policy.contracts?.allow?.length ||
+        policy.blockedHours?.hours?.length)
+  );
+
+/**
+ * Total the amounts a transaction sends, per asset
+ * @param {Array<Object>} transfers - The transaction's transfers
+ * @returns {Map<string, bigint>} The amount per asset
+ */
+const totalsByAsset = transfers => {
+  const totals = new Map();
+  for (const { asset, amount } of transfers) {
+    totals.set(asset, (totals.get(asset) || 0n) + amount);
+  }
+  return totals;
+};
+
+/**
+ * Check a transaction against a policy's rules, except its daily limits, which need the ledger
+ * @param {Object} policy - The agent's policy
+ * @param {Object} intent - The transaction, as describeTransaction describes it; spends and
+ *   recipients, if set, are what it spends ({asset, amount}) and the addresses it pays in place
+ *   of its transfers', null if that is unknown
+ * @param {Date} now - When the transaction is being signed
+ * @returns {Array<Object>} The violations: {code, message} plus the details of each
+ */
+export const evaluatePolicy = (policy, intent, now = new Date()) => {
+  if (!hasRules(policy)) {
+    return [];
+  }
+  const violations = [];
+
+  if (policy.blockedHours?.hours?.length) {
+    const timezone = policy.blockedHours.timezone || 'UTC';
+    const hour = hourIn(now, timezone);
+    if (policy.blockedHours.hours.includes(hour)) {
+      violations.push({
+        code: VIOLATIONS.BLOCKED_HOURS,
+        message: `Transactions are blocked at ${hour}:00 (${timezone})`,
+        hour,
+        timezone
+      });
+    }
+  }
+
+  if (intent.script) {
+    violations.push({
+      code: VIOLATIONS.SCRIPT_NOT_ALLOWED,
+      message: 'Script transactions cannot be checked against the spending policy'
+    });
+    return violations;
+  }
+
+  const allowedContracts = policy.contracts?.allow || [];
+  if (
+    allowedContracts.length > 0 &&
+    !allowedContracts.some(
+      allowed => intent.contract === allowed || intent.contract.startsWith(`${allowed}::`)
+    )
+  ) {
+    violations.push({
+      code: VIOLATIONS.CONTRACT_NOT_ALLOWED,
+      message: `${intent.contract} is not an allowed contract`,
+      contract: intent.contract
+    });
+  }
+
+  const { allow = [], deny = [] } = policy.recipients || {};
+  const recipients =
+    intent.recipients === undefined
+      ? intent.transfers.map(transfer => transfer.recipient)
+      : intent.recipients;
+  if (recipients === null && (allow.length > 0 || deny.length > 0)) {
+    violations.push({
+      code: VIOLATIONS.UNCHECKED_RECIPIENTS,
+      message: `Who ${intent.contract} pays could not be checked against the recipient lists`,
+      contract: intent.contract
+    });
+  }
+  for (const recipient of new Set(recipients || [])) {
+    if (deny.includes(recipient)) {
+      violations.push({
+        code: VIOLATIONS.RECIPIENT_DENIED,
+        message: `${recipient} is a denied recipient`,
+        recipient
+      });
+    } else if (allow.length > 0 && !allow.includes(recipient)) {
+      violations.push({
+        code: VIOLATIONS.RECIPIENT_NOT_ALLOWED,
+        message: `${recipient} is not an allowed recipient`,
+        recipient
+      });
+    }
+  }
+
+  if (intent.spends === null && policy.limits?.length) {
+    violations.push({
+      code: VIOLATIONS.UNCHECKED_SPENDING,
+      message: `What ${intent.contract} spends could not be checked against the spending limits`,
+      contract: intent.contract
+    });
+  }
+
+  for (const [asset, amount] of totalsByAsset(intent.spends ?? intent.transfers)) {
+    const limit = policy.limits?.find(entry => entry.asset === asset)?.perTransaction;
+    if (limit !== undefined && limit !== null && amount > BigInt(limit)) {
+      violations.push({
+        code: VIOLATIONS.PER_TRANSACTION_LIMIT,
+        message: `Sending ${amount} of ${asset} exceeds the per-transaction limit of ${limit}`,
+        asset,
+        amount: amount.toString(),
+        limit: String(limit)
+      });
+    }
+  }
+  return violations;
+};
+
+/**
+ * Build the error a transaction refused by the policy fails with
+ * @param {Array<Object>} violations - Why it was refused
+ * @returns {Error} The error, with status 403 and the violations
+ */
+export const policyViolationError = violations => {
+  const error = httpError(403, formatViolations(violations));
+  error.code = 'POLICY_VIOLATION';
+  error.violations = violations;
+  return error;
+};
+
+/**
+ * Enforces agents' spending policies before their wallets sign
+ * Each transaction is checked against the agent's current policy, and what it sends is reserved
+ * in a ledger shared by every worker, which the rolling daily limits are counted from
+ */
+export class SpendingPolicyService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Function} options.loadPolicy - (agentId) => Promise<Object|null> the agent's policy
+   */
+  constructor({ loadPolicy }) {
+    this.loadPolicy = loadPolicy;
+  }
+
+  /**
+   * Check a transaction an agent is about to sign, and reserve what it sends
+   * @param {string} agentId - The agent signing
+   * @param {SimpleTransaction} transaction - The transaction
+   * @param {Date} now - When it is being signed
+   * @param {Object} simulation - Its simulation with balance changes, which is what calls other
+   *   than framework transfers are counted from; without one they are refused under limits and
+   *   recipient lists
+   * @returns {Promise<Array<string>>} The ledger entries reserved for it
+   * @throws {Error} With status 403 and the violations if the policy refuses it
+   */
+  async authorize(agentId, transaction, now = new Date(), simulation = null) {
+    try {
+      const policy = await this.loadPolicy(agentId);
+      const intent = describeTransaction(transaction);
+      Object.assign(intent, effectsOf(intent, transaction, simulation));
+      const violations = evaluatePolicy(policy, intent, now);
+      if (violations.length > 0) {
+        throw policyViolationError(violations);
+      }
+
+      // Everything spent is recorded, so limits added later count what was already sent today
+      const transfers = (intent.spends || []).filter(
+        transfer => transfer.asset && transfer.amount > 0n
+      );
+      if (transfers.length === 0) {
+        return [];
+      }
+      const entries = await PolicySpend.insertMany(
+        transfers.map(({ asset, amount, recipient }) => ({
+          agentId,
+          asset,
+          amount: amount.toString(),
+          recipient,
+          createdAt: now
+        }))
+      );
+      const reservation = entries.map(entry => entry._id);
+
+      // Counted after reserving, so of two concurrent transactions at least the later one sees
+      // the other
+      const dailyViolations = [];
+      for (const [asset, amount] of totalsByAsset(transfers)) {
+        const limit = policy?.limits?.find(entry => entry.asset === asset)?.daily;
+        if (limit === undefined || limit === null) {
+          continue;
+        }
+        const total = await this.getSpent(agentId, asset, now);
+        if (total > BigInt(limit)) {
+          dailyViolations.push({
+            code: VIOLATIONS.DAILY_LIMIT,
+            message: `Sending ${amount} of ${asset} would exceed the daily limit of ${limit}`,
+            asset,
+            amount: amount.toString(),
+            spent: (total - amount).toString(),
+            limit: String(limit)
+          });
+        }
+      }
+      if (dailyViolations.length > 0) {
+        await this.release(reservation);
+        throw policyViolationError(dailyViolations);
+      }
+      return reservation;
+    } catch (error) {
+      console.error('Error in authorize:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the transaction a reservation was for once it committed
+   * @param {Array<string>} reservation - The reserved ledger entries
+   * @param {string} txHash - The transaction hash
+   */
+  async settle(reservation, txHash) {
+    if (reservation?.length) {
+      await PolicySpend.updateMany(
+        { _id: { $in: reservation } },
+        { $set: { status: 'settled', txHash } }
+      );
+    }
+  }
+
+  /**
+   * Drop a reservation whose transaction was never sent, or failed
+   * @param {Array<string>} reservation - The reserved ledger entries
+   */
+  async release(reservation) {
+    if (reservation?.length) {
+      await PolicySpend.deleteMany({ _id: { $in: reservation } });
+    }
+  }
+
+  /**
+   * Total what an agent sent of an asset in the 24 hours before a time
+   * @param {string} agentId - The agent ID
+   * @param {string} asset - The normalized asset
+   * @param {Date} now - The end of the window
+   * @returns {Promise<bigint>} The amount, in the asset's smallest unit
+   */
+  async getSpent(agentId, asset, now = new Date()) {
+    const entries = await PolicySpend.find({
+      agentId,
+      asset,
+      createdAt: { $gt: new Date(now.getTime() - DAY_MS), $lte: now }
+    })
+      .select('amount')
+      .lean();
+    return entries.reduce((total, entry) => total + BigInt(entry.amount), 0n);
+  }
+
+  /**
+   * Summarize what an agent sent in the last 24 hours, per asset
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<Array<{asset: string, amount: string}>>} The amounts sent
+   */
+  async getDailySpending(agentId) {
+    try {
+      const entries = await PolicySpend.find({
+        agentId,
+        createdAt: { $gt: new Date(Date.now() - DAY_MS) }
+      })
+        .select('asset amount')
+        .lean();
+      const totals = new Map();
+      for (const { asset, amount } of entries) {
+        totals.set(asset, (totals.get(asset) || 0n) + BigInt(amount));
+      }
+      return [...totals].map(([asset, amount]) => ({ asset, amount: amount.toString() }));
+    } catch (error) {
+      console.error('Error in getDailySpending:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Bind the service to one agent, for its wallet's signer
+   * @param {string} agentId - The agent ID
+   * @returns {{authorize: Function, settle: Function, release: Function}} The agent's guard
+   */
+  guardFor(agentId) {
+    return {
+      authorize: (transaction, simulation) =>
+        this.authorize(agentId, transaction, new Date(), simulation),
+      settle: (reservation, txHash) => this.settle(reservation, txHash),
+      release: reservation => this.release(reservation)
+    };
+  }
+}
+
+const agentService = new AgentService();
+
+export const spendingPolicy = new SpendingPolicyService({
+  loadPolicy: async agentId => (await agentService.getAgentById(agentId))?.policy || null
+});
@@ -0,0 +1,75 @@
+import { MemoryStore } from '../memoryStore';
+import { RateLimitStore } from '../rateLimitStore';
+
+describe('Memory Store', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should expire values after their TTL', async () => {
+    await store.set('nonce', 'a', { nonce: '1' }, 1000);
+    await expect(store.get('nonce', 'a')).resolves.toEqual({ nonce: '1' });
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 1001);
+    await expect(store.get('nonce', 'a')).resolves.toBeNull();
+  });
+
+  it('should hand a taken value to one caller only', async () => {
+    await store.set('nonce', 'a', 'value', 1000);
+
+    await expect(store.take('nonce', 'a')).resolves.toBe('value');
+    await expect(store.take('nonce', 'a')).resolves.toBeNull();
+  });
+
+  it('should only take a value whose fields match', async () => {
+    await store.set('nonce', 'a', { nonce: '1' }, 1000);
+
+    await expect(store.take('nonce', 'a', { nonce: '2' })).resolves.toBeNull();
+    await expect(store.take('nonce', 'a', { nonce: '1' })).resolves.toEqual({ nonce: '1' });
+    await expect(store.get('nonce', 'a')).resolves.toBeNull();
+  });
+
+  it('should only add a key that is free', async () => {
+    await expect(store.add('idempotency', 'k', 1, 1000)).resolves.toBe(true);
+    await expect(store.add('idempotency', 'k', 2, 1000)).resolves.toBe(false);
+    await expect(store.get('idempotency', 'k')).resolves.toBe(1);
+  });
+
+  it('should keep namespaces apart', async () => {
+    await store.set('nonce', 'a', 'nonce', 1000);
+    await store.set('idempotency', 'a', 'record', 1000);
+
+    await expect(store.get('nonce', 'a')).resolves.toBe('nonce');
+  });
+
+  it('should count within a window and start a new one once it ends', async () => {
+    await store.increment('ratelimit', 'ip', 1000);
+    const { count, expiresAt } = await store.increment('ratelimit', 'ip', 1000);
+    expect(count).toBe(2);
+
+    jest.spyOn(Date, 'now').mockReturnValue(expiresAt.getTime() + 1);
+    await expect(store.increment('ratelimit', 'ip', 1000)).resolves.toMatchObject({ count: 1 });
+  });
+
+  it('should back express-rate-limit counters', async () => {
+    const rateLimitStore = new RateLimitStore('api', store);
+    rateLimitStore.init({ windowMs: 60 * 1000 });
+
+    await rateLimitStore.increment('client');
+    const { totalHits, resetTime } = await rateLimitStore.increment('client');
+    expect(totalHits).toBe(2);
+    expect(resetTime).toBeInstanceOf(Date);
+
+    await rateLimitStore.decrement('client');
+    await expect(rateLimitStore.increment('client')).resolves.toMatchObject({ totalHits: 2 });
+
+    await rateLimitStore.resetKey('client');
+    await expect(rateLimitStore.increment('client')).resolves.toMatchObject({ totalHits: 1 });
+  });
+});
@@ -0,0 +1,29 @@
+import dotenv from 'dotenv';
+import { MemoryStore } from './memoryStore.js';
+import { MongoStore } from './mongoStore.js';
+
+dotenv.config();
+
+/**
+ * Shared key-value store for short-lived state that every cluster worker must see:
+ * sign-in nonces, rate-limit counters and idempotency records
+ *
+ * Both drivers implement get, set, add, take, increment and delete, all async and
+ * all taking (namespace, key, ...). STORE_DRIVER picks the driver: "mongo" (the default)
+ * or "memory", which only works within one process and is the default under tests
+ * @param {string} driver - "mongo" or "memory"
+ * @returns {MongoStore|MemoryStore} The store
+ */
+export const createStore = (
+  driver = process.env.STORE_DRIVER || (process.env.NODE_ENV === 'test' ? 'memory' : 'mongo')
+) => {
+  if (driver === 'memory') {
+    return new MemoryStore();
+  }
+  if (driver === 'mongo') {
+    return new MongoStore();
+  }
+  throw new Error(`Unknown STORE_DRIVER: ${driver}`);
+};
+
+export const store = createStore();
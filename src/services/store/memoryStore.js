@@ -0,0 +1,97 @@
+// Expired entries are swept at most this often; reads skip them in the meantime
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-process store with the same interface and semantics as MongoStore
+ * Only safe for a single process; used in tests and local development
+ */
+export class MemoryStore {
+  constructor() {
+    // Entries keyed by "<namespace>:<key>"
+    this.entries = new Map();
+    this.lastSweep = Date.now();
+  }
+
+  /**
+   * Get the live entry for an ID, dropping it if it has expired
+   * @param {string} id - The "<namespace>:<key>" entry ID
+   * @returns {Object|undefined} The entry
+   */
+  getEntry(id) {
+    this.removeExpired();
+
+    const entry = this.entries.get(id);
+    if (entry && entry.expiresAt.getTime() <= Date.now()) {
+      this.entries.delete(id);
+      return undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * Drop every expired entry, if the last sweep was long enough ago
+   */
+  removeExpired() {
+    const now = Date.now();
+    if (now - this.lastSweep < SWEEP_INTERVAL_MS) {
+      return;
+    }
+
+    this.lastSweep = now;
+    for (const [id, entry] of this.entries) {
+      if (entry.expiresAt.getTime() <= now) {
+        this.entries.delete(id);
+      }
+    }
+  }
+
+  // Values are copied on the way in and out, as they would be by a database
+  get(namespace, key) {
+    const entry = this.getEntry(`${namespace}:${key}`);
+    return Promise.resolve(entry ? structuredClone(entry.value) : null);
+  }
+
+  set(namespace, key, value, ttlMs) {
+    this.entries.set(`${namespace}:${key}`, {
+      value: structuredClone(value),
+      count: 0,
+      expiresAt: new Date(Date.now() + ttlMs)
+    });
+    return Promise.resolve();
+  }
+
+  add(namespace, key, value, ttlMs) {
+    if (this.getEntry(`${namespace}:${key}`)) {
+      return Promise.resolve(false);
+    }
+    return this.set(namespace, key, value, ttlMs).then(() => true);
+  }
+
+  take(namespace, key, match = {}) {
+    const id = `${namespace}:${key}`;
+    const entry = this.getEntry(id);
+    const matches = ([field, value]) => entry.value?.[field] === value;
+    if (!entry || !Object.entries(match).every(matches)) {
+      return Promise.resolve(null);
+    }
+    this.entries.delete(id);
+    return Promise.resolve(entry.value);
+  }
+
+  increment(namespace, key, ttlMs, amount = 1) {
+    const id = `${namespace}:${key}`;
+    let entry = this.getEntry(id);
+    if (!entry) {
+      entry = { value: null, count: 0, expiresAt: new Date(Date.now() + ttlMs) };
+      this.entries.set(id, entry);
+    }
+
+    entry.count += amount;
+    return Promise.resolve({ count: entry.count, expiresAt: entry.expiresAt });
+  }
+
+  delete(namespace, key) {
+    this.entries.delete(`${namespace}:${key}`);
+    return Promise.resolve();
+  }
+}
@@ -0,0 +1,162 @@
+import StoreEntry from '../../models/storeEntryModel.js';
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Store backed by MongoDB, shared by every cluster worker
+ * Each operation is a single atomic query, so concurrent workers never both win a nonce,
+ * an idempotency key or a fresh rate-limit window
+ */
+export class MongoStore {
+  /**
+   * Get a value
+   * @param {string} namespace - The namespace, e.g. "nonce"
+   * @param {string} key - The key within the namespace
+   * @returns {Promise<*>} The value, or null if missing or expired
+   */
+  async get(namespace, key) {
+    try {
+      const entry = await StoreEntry.findOne({
+        namespace,
+        key,
+        expiresAt: { $gt: new Date() }
+      }).lean();
+      return entry ? entry.value : null;
+    } catch (error) {
+      console.error('Error in MongoStore.get:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a value, replacing any existing one
+   * @param {string} namespace - The namespace
+   * @param {string} key - The key within the namespace
+   * @param {*} value - A JSON-serializable value
+   * @param {number} ttlMs - How long the value lives
+   * @returns {Promise<void>}
+   */
+  async set(namespace, key, value, ttlMs) {
+    try {
+      await StoreEntry.updateOne(
+        { namespace, key },
+        { $set: { value, count: 0, expiresAt: new Date(Date.now() + ttlMs) } },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error('Error in MongoStore.set:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a value only if the key is free (missing or expired)
+   * @param {string} namespace - The namespace
+   * @param {string} key - The key within the namespace
+   * @param {*} value - A JSON-serializable value
+   * @param {number} ttlMs - How long the value lives
+   * @returns {Promise<boolean>} True if the value was stored
+   */
+  async add(namespace, key, value, ttlMs) {
+    const now = new Date();
+    try {
+      // Overwrites an expired entry, or inserts; the unique index rejects the insert
+      // when a live entry already holds the key
+      await StoreEntry.updateOne(
+        { namespace, key, expiresAt: { $lte: now } },
+        { $set: { value, count: 0, expiresAt: new Date(now.getTime() + ttlMs) } },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) {
+        return false;
+      }
+      console.error('Error in MongoStore.add:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a value and delete it in one step, so only one caller can ever receive it
+   * @param {string} namespace - The namespace
+   * @param {string} key - The key within the namespace
+   * @param {Object} match - Fields the value must have, e.g. {nonce}; a value without them is
+   *   left in place. Their values are used in the query as they are, so must be plain strings
+   *   or numbers
+   * @returns {Promise<*>} The value, or null if missing, expired or not matching
+   */
+  async take(namespace, key, match = {}) {
+    try {
+      const fields = Object.entries(match).map(([field, value]) => [`value.${field}`, value]);
+      const entry = await StoreEntry.findOneAndDelete({
+        namespace,
+        key,
+        expiresAt: { $gt: new Date() },
+        ...Object.fromEntries(fields)
+      }).lean();
+      return entry ? entry.value : null;
+    } catch (error) {
+      console.error('Error in MongoStore.take:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add to a counter, starting a new window of ttlMs when the counter is missing or expired
+   * @param {string} namespace - The namespace
+   * @param {string} key - The key within the namespace
+   * @param {number} ttlMs - Length of a new window
+   * @param {number} amount - What to add (negative to decrement)
+   * @returns {Promise<{count: number, expiresAt: Date}>} The counter after the update
+   */
+  async increment(namespace, key, ttlMs, amount = 1) {
+    try {
+      // A retry only happens when another worker opened the window between our two queries
+      for (let attempt = 0; attempt < 3; attempt++) {
+        const now = new Date();
+        const current = await StoreEntry.findOneAndUpdate(
+          { namespace, key, expiresAt: { $gt: now } },
+          { $inc: { count: amount } },
+          { new: true }
+        ).lean();
+        if (current) {
+          return { count: current.count, expiresAt: current.expiresAt };
+        }
+
+        const expiresAt = new Date(now.getTime() + ttlMs);
+        try {
+          await StoreEntry.updateOne(
+            { namespace, key, expiresAt: { $lte: now } },
+            { $set: { value: null, count: amount, expiresAt } },
+            { upsert: true }
+          );
+          return { count: amount, expiresAt };
+        } catch (error) {
+          if (error.code !== DUPLICATE_KEY) {
+            throw error;
+          }
+        }
+      }
+      throw new Error(`Could not increment ${namespace}:${key}`);
+    } catch (error) {
+      console.error('Error in MongoStore.increment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a key
+   * @param {string} namespace - The namespace
+   * @param {string} key - The key within the namespace
+   * @returns {Promise<void>}
+   */
+  async delete(namespace, key) {
+    try {
+      await StoreEntry.deleteOne({ namespace, key });
+    } catch (error) {
+      console.error('Error in MongoStore.delete:', error);
+      throw error;
+    }
+  }
+}
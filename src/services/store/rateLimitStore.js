@@ -0,0 +1,36 @@
+import { store as defaultStore } from './index.js';
+
+/**
+ * express-rate-limit store that keeps its counters in the shared store,
+ * so every cluster worker counts against the same budget
+ */
+export class RateLimitStore {
+  /**
+   * @param {string} name - Distinguishes the counters of different limiters
+   * @param {Object} store - The shared store (defaults to the configured one)
+   */
+  constructor(name, store = defaultStore) {
+    this.namespace = `ratelimit:${name}`;
+    this.prefix = `${name}:`;
+    this.store = store;
+    this.localKeys = false;
+    this.windowMs = 60 * 1000;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const { count, expiresAt } = await this.store.increment(this.namespace, key, this.windowMs);
+    return { totalHits: count, resetTime: new Date(expiresAt) };
+  }
+
+  async decrement(key) {
+    await this.store.increment(this.namespace, key, this.windowMs, -1);
+  }
+
+  async resetKey(key) {
+    await this.store.delete(this.namespace, key);
+  }
+}
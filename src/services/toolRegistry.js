@@ -0,0 +1,52 @@
+import { createAptosTools } from 'move-agent-kit';
+import { hasFaucet } from '../config/networks.js';
+import { isToolEnabled, requiresApproval, toolFamily } from '../config/tools.js';
+import { AptosFaucetTool } from '../tools/aptosFaucetTool.js';
+import { AptosSimulateTool } from '../tools/aptosSimulateTool.js';
+
+/**
+ * Build every tool an agent could have on its network
+ * @param {AgentRuntime} runtime - The runtime the tools act through
+ * @param {Object} network - The agent's network
+ * @returns {Array<Tool>} The tools
+ */
+const createAllTools = (runtime, network) => {
+  const tools = [...createAptosTools(runtime), new AptosSimulateTool(runtime)];
+  if (hasFaucet(network)) {
+    tools.push(new AptosFaucetTool(runtime));
+  }
+  return tools;
+};
+
+/**
+ * Build the tools an agent's allowlist enables
+ * @param {AgentRuntime} runtime - The runtime the tools act through
+ * @param {Object} options - The agent's settings
+ * @param {Object} options.network - The agent's network; the faucet is only offered off mainnet
+ * @param {Object} options.tools - The agent's tool settings ({preset, families, tools})
+ * @returns {Array<Tool>} The enabled tools
+ */
+export const createAgentTools = (runtime, { network, tools: settings } = {}) =>
+  createAllTools(runtime, network).filter(tool => isToolEnabled(tool.name, settings));
+
+let catalog = null;
+
+/**
+ * Describe every tool agents can be given, for rendering allowlist toggles
+ * @returns {Array<{name: string, family: string, description: string, requiresApproval: boolean}>}
+ *   The tools, and whether agents in manual approval mode must have them approved
+ */
+export const getToolCatalog = () => {
+  if (!catalog) {
+    // Tools only use their runtime when called, so none is needed to read their descriptions
+    catalog = createAllTools(null, { name: 'devnet' })
+      .filter(tool => toolFamily(tool.name))
+      .map(tool => ({
+        name: tool.name,
+        family: toolFamily(tool.name),
+        description: tool.description.trim(),
+        requiresApproval: requiresApproval(tool.name)
+      }));
+  }
+  return catalog;
+};
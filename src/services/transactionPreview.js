@@ -0,0 +1,240 @@
+import {
+  AccountAddress,
+  MoveVector,
+  TransactionPayloadEntryFunction,
+  TransactionPayloadMultiSig
+} from '@aptos-labs/ts-sdk';
+import { describeTransaction } from './spendingPolicyService.js';
+import { normalizeAddress, normalizeAsset } from '../config/policies.js';
+import { decodeVmStatus } from '../utils/vmStatus.js';
+import { httpError } from '../utils/httpError.js';
+
+const APT_DECIMALS = 8;
+
+const COIN_STORE = /^0x0*1::coin::CoinStore<(.+)>$/;
+const FUNGIBLE_STORE = '0x1::fungible_asset::FungibleStore';
+const CONCURRENT_BALANCE = '0x1::fungible_asset::ConcurrentFungibleBalance';
+const OBJECT_CORE = '0x1::object::ObjectCore';
+
+/**
+ * Format an entry function argument for display
+ * @param {EntryFunctionArgument} arg - The argument
+ * @returns {*} The argument as JSON: addresses and numbers as strings, vectors as lists
+ */
+const formatArgument = arg => {
+  if (arg instanceof AccountAddress) {
+    return arg.toStringLong();
+  }
+  if (arg instanceof MoveVector) {
+    return arg.values.map(formatArgument);
+  }
+  if (arg && 'value' in arg) {
+    const { value } = arg;
+    if (typeof value === 'bigint') {
+      return value.toString();
+    }
+    return value && typeof value === 'object' ? formatArgument(value) : value ?? null;
+  }
+  return arg?.bcsToHex ? arg.bcsToHex().toString() : null;
+};
+
+// The entry function a payload calls, if it calls one
+const entryFunctionOf = payload => {
+  if (payload instanceof TransactionPayloadMultiSig) {
+    return payload.multiSig.transaction_payload?.transaction_payload || null;
+  }
+  return payload instanceof TransactionPayloadEntryFunction ? payload.entryFunction : null;
+};
+
+/**
+ * Summarize a transaction for someone deciding whether it should be sent
+ * @param {SimpleTransaction} transaction - The transaction
+ * @returns {Object} The sender, the function it calls with its type arguments and arguments, the
+ *   transfers it makes, and its gas settings
+ */
+export const summarizeTransaction = transaction => {
+  const { rawTransaction } = transaction;
+  const { contract, script, transfers } = describeTransaction(transaction);
+  const entryFunction = entryFunctionOf(rawTransaction.payload);
+  return {
+    sender: rawTransaction.sender.toStringLong(),
+    function: contract,
+    script,
+    typeArguments: entryFunction?.type_args.map(tag => tag.toString()) || [],
+    arguments: entryFunction?.args.map(formatArgument) || [],
+    transfers: transfers.map(transfer => ({ ...transfer, amount: transfer.amount.toString() })),
+    sequenceNumber: rawTransaction.sequence_number.toString(),
+    maxGasAmount: rawTransaction.max_gas_amount.toString(),
+    gasUnitPrice: rawTransaction.gas_unit_price.toString(),
+    expiresAt: new Date(Number(rawTransaction.expiration_timestamp_secs) * 1000).toISOString()
+  };
+};
+
+/**
+ * Format an amount in an asset's smallest unit as whole units
+ * @param {bigint} amount - The amount
+ * @param {number} decimals - The asset's decimals
+ * @returns {string} e.g. '0.00012' for 12000 octas
+ */
+export const formatUnits = (amount, decimals) => {
+  const negative = amount < 0n;
+  const digits = (negative ? -amount : amount).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+};
+
+// A resource's data as it is on chain now, or null if the account does not have it
+const readResource = async (aptos, accountAddress, resourceType) => {
+  try {
+    return await aptos.getAccountResource({ accountAddress, resourceType });
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Work out how a simulated transaction would change balances, from the coin stores and
+ * fungible stores it writes compared with what they hold now
+ * @param {Aptos} aptos - The client for the network it would be sent on
+ * @param {Array} changes - The simulation's write set
+ * @returns {Promise<Array<{address: string, asset: string, amount: string}>>} The change of
+ *   every balance it touches, in the asset's smallest unit; the sender's APT includes the fee
+ */
+export const balanceChanges = async (aptos, changes) => {
+  const writes = changes.filter(change => change.type === 'write_resource');
+  const written = (address, type) =>
+    writes.find(change => change.address === address && change.data.type === type)?.data.data;
+
+  const deltas = new Map();
+  const add = (address, asset, amount) => {
+    const key = `${address}|${asset}`;
+    deltas.set(key, (deltas.get(key) || 0n) + amount);
+  };
+
+  for (const { address, data } of writes) {
+    const coinType = COIN_STORE.exec(data.type)?.[1];
+    if (coinType) {
+      const before = await readResource(aptos, address, data.type);
+      add(
+        normalizeAddress(address),
+        normalizeAsset(coinType),
+        BigInt(data.data.coin.value) - BigInt(before?.coin.value || 0)
+      );
+      continue;
+    }
+    if (data.type !== FUNGIBLE_STORE) {
+      continue;
+    }
+
+    // Concurrent stores keep their balance in a separate resource
+    const concurrent = written(address, CONCURRENT_BALANCE);
+    let delta;
+    if (concurrent) {
+      const before = await readResource(aptos, address, CONCURRENT_BALANCE);
+      delta = BigInt(concurrent.balance.value) - BigInt(before?.balance.value || 0);
+    } else {
+      const before = await readResource(aptos, address, FUNGIBLE_STORE);
+      delta = BigInt(data.data.balance) - BigInt(before?.balance || 0);
+    }
+    const owner =
+      written(address, OBJECT_CORE)?.owner ||
+      (await readResource(aptos, address, OBJECT_CORE))?.owner ||
+      address;
+    add(normalizeAddress(owner), normalizeAsset(data.data.metadata.inner), delta);
+  }
+
+  return [...deltas]
+    .filter(([, amount]) => amount !== 0n)
+    .map(([key, amount]) => {
+      const [address, asset] = key.split('|');
+      return { address, asset, amount: amount.toString() };
+    });
+};
+
+/**
+ * Simulate a transaction with the signer's public key, without signing it
+ * @param {Aptos} aptos - The client for the network it would be sent on
+ * @param {PublicKey} publicKey - The signer's public key
+ * @param {SimpleTransaction} transaction - The transaction
+ * @param {Object} options - Simulation options
+ * @param {boolean} options.balances - Whether to work out balance changes, which reads every
+ *   store the transaction writes
+ * @returns {Promise<Object>} Whether it would succeed and why not, its VM status, gas units and
+ *   fee (in octas and APT), the balances it would change and the events it would emit; or the
+ *   error if it could not be simulated
+ */
+export const simulateTransaction = async (
+  aptos,
+  publicKey,
+  transaction,
+  { balances = true } = {}
+) => {
+  try {
+    const [result] = await aptos.transaction.simulate.simple({
+      signerPublicKey: publicKey,
+      transaction
+    });
+    const fee = BigInt(result.gas_used) * BigInt(result.gas_unit_price);
+
+    let changes = null;
+    try {
+      changes = balances ? await balanceChanges(aptos, result.changes || []) : null;
+    } catch (error) {
+      console.error('Error reading balance changes:', error.message);
+    }
+
+    return {
+      success: result.success,
+      vmStatus: result.vm_status,
+      failure: decodeVmStatus(result.vm_status),
+      gasUnits: result.gas_used,
+      gasUnitPrice: result.gas_unit_price,
+      fee: fee.toString(),
+      feeApt: formatUnits(fee, APT_DECIMALS),
+      balanceChanges: changes,
+      events: (result.events || []).map(event => ({ type: event.type, data: event.data }))
+    };
+  } catch (error) {
+    console.error('Error simulating transaction:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      // Validation errors, e.g. a stale sequence number, come back from the API
+      failure: decodeVmStatus(error.data?.message || error.message)
+    };
+  }
+};
+
+/**
+ * Build an entry function transaction for a signer and simulate it, without signing it
+ * @param {Aptos} aptos - The client for the network it would be sent on
+ * @param {PolicySigner} signer - The account it would be sent from
+ * @param {Object} data - function ('0x1::aptos_account::transfer'), typeArguments and
+ *   functionArguments, as the SDK's transaction builder takes them
+ * @returns {Promise<{summary: Object, simulation: Object}>} The transaction's summary and its
+ *   simulation; a transaction that cannot be built fails with status 400
+ */
+export const previewEntryFunction = async (aptos, signer, data) => {
+  let transaction;
+  try {
+    transaction = await aptos.transaction.build.simple({
+      sender: signer.getAddress(),
+      data: {
+        function: data.function,
+        typeArguments: data.typeArguments || [],
+        functionArguments: data.functionArguments || []
+      }
+    });
+  } catch (error) {
+    // The function does not exist or its arguments do not match it
+    throw httpError(400, error.message);
+  }
+  return {
+    summary: summarizeTransaction(transaction),
+    simulation: await simulateTransaction(aptos, signer.getPublicKey(), transaction)
+  };
+};
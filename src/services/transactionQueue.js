@@ -0,0 +1,364 @@
+import { RawTransaction, SimpleTransaction } from '@aptos-labs/ts-sdk';
+import dotenv from 'dotenv';
+import AgentTransaction, { TRANSACTION_STATUSES } from '../models/agentTransactionModel.js';
+import { describeTransaction } from './spendingPolicyService.js';
+import { networkKey, resolveNetwork } from '../config/networks.js';
+import { httpError } from '../utils/httpError.js';
+
+dotenv.config();
+
+const DEFAULT_COMMIT_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_DELAY_MS = 500;
+// How long after its expiry a transaction still pending is looked up again by the sweep
+const RECONCILE_GRACE_MS = 60 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Tell whether a refused submission is worth retrying
+ * @param {Error} error - The error the submission failed with
+ * @returns {string|null} sequence_too_old or sequence_too_new when the account's sequence number
+ *   moved on without this process, sequence_in_mempool when another transaction already holds
+ *   it, mempool_full; or null if retrying will not help
+ */
+export const retryReason = error => {
+  const code = error?.data?.error_code;
+  const text = `${error?.data?.message || ''} ${error?.message || ''}`.toUpperCase();
+  if (code === 'sequence_number_too_old' || text.includes('SEQUENCE_NUMBER_TOO_OLD')) {
+    return 'sequence_too_old';
+  }
+  if (text.includes('SEQUENCE_NUMBER_TOO_NEW')) {
+    return 'sequence_too_new';
+  }
+  if (code === 'invalid_transaction_update') {
+    return 'sequence_in_mempool';
+  }
+  if (code === 'mempool_is_full' || text.includes('MEMPOOL_IS_FULL')) {
+    return 'mempool_full';
+  }
+  return null;
+};
+
+/**
+ * Give a transaction another sequence number and expiry
+ * @param {SimpleTransaction} transaction - The transaction as it was built
+ * @param {bigint} sequenceNumber - The sequence number to send it with
+ * @param {number} expiresAtSecs - When it expires, in seconds since the epoch
+ * @returns {SimpleTransaction} The transaction to sign
+ */
+export const withSequenceNumber = (transaction, sequenceNumber, expiresAtSecs) => {
+  const raw = transaction.rawTransaction;
+  return new SimpleTransaction(
+    new RawTransaction(
+      raw.sender,
+      sequenceNumber,
+      raw.payload,
+      raw.max_gas_amount,
+      raw.gas_unit_price,
+      BigInt(expiresAtSecs),
+      raw.chain_id
+    ),
+    transaction.feePayerAddress
+  );
+};
+
+/**
+ * Per-account submission queue for agent transactions
+ * Submissions from one account on one network go one at a time: each takes the next sequence
+ * number this process allocated, so concurrent agent actions no longer race for the one the
+ * transaction was built with. Waiting for commit happens outside the queue, so the next
+ * transaction is submitted meanwhile. Another worker sending from the same account shows up as
+ * a sequence number error, and the transaction is retried with a fresh one. Each transaction's
+ * lifecycle is recorded in AgentTransaction
+ */
+export class TransactionQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {number} options.commitTimeoutMs - How long a submitted transaction may take to
+   *   commit before it expires (TX_COMMIT_TIMEOUT_MS)
+   * @param {number} options.maxAttempts - Most submissions of one transaction (TX_MAX_ATTEMPTS)
+   * @param {number} options.retryDelayMs - Backoff before resubmitting to a full mempool,
+   *   doubled on every attempt (TX_RETRY_DELAY_MS)
+   */
+  constructor({
+    commitTimeoutMs = parseInt(process.env.TX_COMMIT_TIMEOUT_MS) || DEFAULT_COMMIT_TIMEOUT_MS,
+    maxAttempts = parseInt(process.env.TX_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS,
+    retryDelayMs = parseInt(process.env.TX_RETRY_DELAY_MS) || DEFAULT_RETRY_DELAY_MS
+  } = {}) {
+    this.commitTimeoutMs = commitTimeoutMs;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    // `${networkKey}:${sender}` => {key, tail, next, size}
+    this.lanes = new Map();
+  }
+
+  /**
+   * Send a transaction through the queue and wait for it to commit
+   * @param {Object} sender - Who sends it
+   * @param {string} sender.agentId - The agent whose wallet sends it
+   * @param {Object} sender.network - The agent's network
+   * @param {Aptos} sender.aptos - The client for that network
+   * @param {Account} sender.account - The account to sign with
+   * @param {SimpleTransaction} transaction - The transaction
+   * @returns {Promise<Object>} The committed transaction, which may have failed on chain
+   * @throws {Error} If it could not be submitted, or did not commit before it expired (code
+   *   TRANSACTION_EXPIRED); error.hash is set once it was submitted
+   */
+  async send({ agentId, network, aptos, account }, transaction) {
+    const sender = account.accountAddress.toStringLong();
+    const record = await AgentTransaction.create({
+      agentId,
+      sender,
+      network: resolveNetwork(network),
+      function: describeTransaction(transaction).contract
+    });
+
+    const lane = this.acquireLane(`${networkKey(network)}:${sender}`);
+    try {
+      let submitted;
+      try {
+        submitted = await this.enqueue(lane, () =>
+          this.submit(lane, aptos, account, transaction, record)
+        );
+      } catch (error) {
+        await this.finish(record, { status: 'failed', error: error.message });
+        throw error;
+      }
+      return await this.waitForCommit(lane, aptos, submitted, record);
+    } finally {
+      this.releaseLane(lane);
+    }
+  }
+
+  /**
+   * Create a sender for an agent, to give its signer
+   * @param {string} agentId - The agent ID
+   * @param {Object} network - The agent's network
+   * @returns {{send: Function}} send(aptos, account, transaction), as TransactionQueue.send
+   */
+  senderFor(agentId, network) {
+    return {
+      send: (aptos, account, transaction) =>
+        this.send({ agentId, network, aptos, account }, transaction)
+    };
+  }
+
+  // The lane of an account, held until its transaction commits or expires
+  acquireLane(key) {
+    let lane = this.lanes.get(key);
+    if (!lane) {
+      lane = { key, tail: Promise.resolve(), next: null, size: 0 };
+      this.lanes.set(key, lane);
+    }
+    lane.size += 1;
+    return lane;
+  }
+
+  // Once no transaction of the account is in flight its lane is dropped, and the sequence
+  // number is read from the chain again next time
+  releaseLane(lane) {
+    lane.size -= 1;
+    if (lane.size === 0 && this.lanes.get(lane.key) === lane) {
+      this.lanes.delete(lane.key);
+    }
+  }
+
+  // Run fn once everything queued on the lane before it has run
+  enqueue(lane, fn) {
+    const run = lane.tail.then(fn);
+    lane.tail = run.catch(() => {});
+    return run;
+  }
+
+  // The sequence number the account's next transaction should use
+  async nextSequenceNumber(lane, aptos, account) {
+    if (lane.next === null) {
+      try {
+        const { sequence_number: sequenceNumber } = await aptos.getAccountInfo({
+          accountAddress: account.accountAddress
+        });
+        lane.next = BigInt(sequenceNumber);
+      } catch (error) {
+        // An account that has never sent anything may not exist on chain yet
+        if (error.status !== 404) {
+          throw error;
+        }
+        lane.next = 0n;
+      }
+    }
+    return lane.next;
+  }
+
+  /**
+   * Submit a transaction with the lane's next sequence number, retrying while it is refused
+   * for a reason that another attempt can fix
+   * @returns {Promise<{hash: string, expiresAt: number}>} Its hash, and when it expires
+   */
+  async submit(lane, aptos, account, transaction, record) {
+    for (let attempt = 1; ; attempt += 1) {
+      const sequenceNumber = await this.nextSequenceNumber(lane, aptos, account);
+      const expiresAt = Math.floor((Date.now() + this.commitTimeoutMs) / 1000);
+      const prepared = withSequenceNumber(transaction, sequenceNumber, expiresAt);
+
+      try {
+        const { hash } = await aptos.transaction.submit.simple({
+          transaction: prepared,
+          senderAuthenticator: aptos.transaction.sign({ signer: account, transaction: prepared })
+        });
+        lane.next = sequenceNumber + 1n;
+        await AgentTransaction.updateOne(
+          { _id: record._id },
+          {
+            $set: {
+              hash,
+              sequenceNumber: sequenceNumber.toString(),
+              attempts: attempt,
+              submittedAt: new Date(),
+              expiresAt: new Date(expiresAt * 1000)
+            }
+          }
+        );
+        return { hash, expiresAt };
+      } catch (error) {
+        const reason = retryReason(error);
+        if (!reason || attempt >= this.maxAttempts) {
+          // The sequence number may not be what this process thinks any more
+          lane.next = null;
+          throw error;
+        }
+
+        console.warn(`Retrying transaction ${record._id} (${reason}, attempt ${attempt})`);
+        if (reason === 'sequence_in_mempool') {
+          lane.next = sequenceNumber + 1n;
+        } else if (reason === 'mempool_full') {
+          await sleep(this.retryDelayMs * 2 ** (attempt - 1));
+        } else {
+          lane.next = null;
+        }
+      }
+    }
+  }
+
+  /**
+   * Wait for a submitted transaction to commit, or to expire
+   * @returns {Promise<Object>} The committed transaction
+   */
+  async waitForCommit(lane, aptos, { hash, expiresAt }, record) {
+    let result;
+    try {
+      result = await aptos.waitForTransaction({
+        transactionHash: hash,
+        options: { timeoutSecs: Math.ceil(this.commitTimeoutMs / 1000), checkSuccess: false }
+      });
+    } catch (error) {
+      // Once it has expired it can no longer commit, so one more look settles it
+      await sleep(Math.max(0, expiresAt * 1000 - Date.now() + 1000));
+      try {
+        result = await this.lookup(aptos, hash);
+      } catch (lookupError) {
+        // Left pending for reconcile to settle
+        lookupError.hash = hash;
+        throw lookupError;
+      }
+      if (!result) {
+        // Later transactions may have taken sequence numbers behind this one
+        lane.next = null;
+        await this.finish(record, { status: 'expired', error: error.message });
+        const expired = new Error(`Transaction ${hash} expired before it committed`);
+        expired.code = 'TRANSACTION_EXPIRED';
+        expired.hash = hash;
+        throw expired;
+      }
+    }
+
+    await this.finish(record, {
+      status: result.success ? 'committed' : 'failed',
+      vmStatus: result.vm_status
+    });
+    return result;
+  }
+
+  // A transaction that has committed, or null if it is still pending or unknown
+  async lookup(aptos, hash) {
+    try {
+      const transaction = await aptos.getTransactionByHash({ transactionHash: hash });
+      return transaction.type === 'pending_transaction' ? null : transaction;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Record how a transaction ended
+  async finish(record, fields) {
+    try {
+      await AgentTransaction.updateOne(
+        { _id: record._id, status: 'pending' },
+        { $set: { ...fields, completedAt: new Date() } }
+      );
+    } catch (error) {
+      console.error('Error recording transaction:', error.message);
+    }
+  }
+
+  /**
+   * Settle transactions left pending past their expiry, e.g. by a restart while waiting
+   * @param {Function} getAptos - (network) => Aptos client for a network
+   * @param {number} limit - Most transactions to settle at once
+   * @returns {Promise<number>} How many were settled
+   */
+  async reconcile(getAptos, limit = 50) {
+    try {
+      const cutoff = new Date(Date.now() - RECONCILE_GRACE_MS);
+      const stale = await AgentTransaction.find({
+        status: 'pending',
+        $or: [{ expiresAt: { $lt: cutoff } }, { expiresAt: null, createdAt: { $lt: cutoff } }]
+      }).limit(limit);
+
+      for (const record of stale) {
+        if (!record.hash) {
+          await this.finish(record, { status: 'failed', error: 'It was never submitted' });
+          continue;
+        }
+        const result = await this.lookup(getAptos(record.network), record.hash);
+        await this.finish(
+          record,
+          result
+            ? { status: result.success ? 'committed' : 'failed', vmStatus: result.vm_status }
+            : { status: 'expired' }
+        );
+      }
+      return stale.length;
+    } catch (error) {
+      console.error('Error in reconcile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the transactions an agent's wallet sent through the queue, newest first
+   * @param {string} agentId - The agent ID
+   * @param {Object} options - status to filter on, and limit
+   * @returns {Promise<Array>} The transactions
+   */
+  async list(agentId, { status, limit = 20 } = {}) {
+    try {
+      const query = { agentId };
+      if (status) {
+        if (!TRANSACTION_STATUSES.includes(status)) {
+          throw httpError(400, `status must be one of: ${TRANSACTION_STATUSES.join(', ')}`);
+        }
+        query.status = status;
+      }
+      return await AgentTransaction.find(query).sort({ createdAt: -1 }).limit(limit);
+    } catch (error) {
+      console.error('Error in list:', error);
+      throw error;
+    }
+  }
+}
+
+export const transactionQueue = new TransactionQueue();
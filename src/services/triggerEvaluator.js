@@ -0,0 +1,219 @@
+import { APT, normalizeAddress, normalizeAsset } from '../config/policies.js';
+
+/**
+ * Checks of agent trigger conditions against the chain
+ * Each check starts from what the trigger saw last (its state) and returns what it sees now. The
+ * first check only takes a baseline: deposits and graduations from before the trigger was set, and
+ * thresholds already crossed then, do not fire it
+ */
+
+// Most indexed activities read per check; the rest are read on the next one
+const PAGE_SIZE = 25;
+// How deep to look into an event's data for the token's address
+const MAX_DATA_DEPTH = 3;
+
+const DEPOSIT_TYPES = ['0x1::coin::DepositEvent', '0x1::fungible_asset::Deposit'];
+
+const INCOMING_TRANSFERS_QUERY = `
+  query IncomingTransfers($owner: String!, $after: bigint!, $types: [String!]!, $limit: Int!) {
+    fungible_asset_activities(
+      where: {
+        owner_address: { _eq: $owner }
+        transaction_version: { _gt: $after }
+        type: { _in: $types }
+        is_transaction_success: { _eq: true }
+      }
+      order_by: [{ transaction_version: asc }, { event_index: asc }]
+      limit: $limit
+    ) {
+      transaction_version
+      event_index
+      asset_type
+      amount
+    }
+  }
+`;
+
+const EVENTS_QUERY = `
+  query TriggerEvents($type: String!, $after: bigint!, $limit: Int!) {
+    events(
+      where: { indexed_type: { _eq: $type }, transaction_version: { _gt: $after } }
+      order_by: [{ transaction_version: asc }, { event_index: asc }]
+      limit: $limit
+    ) {
+      transaction_version
+      event_index
+      data
+    }
+  }
+`;
+
+const latestVersion = async aptos => String((await aptos.getLedgerInfo()).ledger_version);
+
+// Whether an address anywhere in an event's data is the token's
+const mentionsAddress = (value, address, depth = 0) => {
+  if (typeof value === 'string') {
+    return normalizeAddress(value) === address;
+  }
+  if (value && typeof value === 'object' && depth < MAX_DATA_DEPTH) {
+    return Object.values(value).some(inner => mentionsAddress(inner, address, depth + 1));
+  }
+  return false;
+};
+
+const checkIncomingTransfer = async (condition, state, { aptos, address }) => {
+  if (state.version === undefined) {
+    return { state: { version: await latestVersion(aptos) }, events: [] };
+  }
+  const { fungible_asset_activities: activities } = await aptos.queryIndexer({
+    query: {
+      query: INCOMING_TRANSFERS_QUERY,
+      variables: { owner: address, after: state.version, types: DEPOSIT_TYPES, limit: PAGE_SIZE }
+    }
+  });
+  if (!activities.length) {
+    return { state, events: [] };
+  }
+
+  const minAmount = BigInt(condition.minAmount || '0');
+  const events = [];
+  for (const activity of activities) {
+    const amount = BigInt(String(activity.amount ?? 0));
+    if (normalizeAsset(activity.asset_type) !== condition.asset || amount < minAmount) {
+      continue;
+    }
+    const transaction = await aptos.getTransactionByVersion({
+      ledgerVersion: Number(activity.transaction_version)
+    });
+    const sender = transaction.sender ? normalizeAddress(transaction.sender) : null;
+    // The agent's own transactions, e.g. swaps paying out to it, are not incoming transfers
+    if (sender === address) {
+      continue;
+    }
+    events.push({
+      key: `transfer:${activity.transaction_version}:${activity.event_index}`,
+      description: `Received ${amount} of ${condition.asset} (smallest unit)${
+        sender ? ` from ${sender}` : ''
+      }`,
+      details: {
+        version: String(activity.transaction_version),
+        hash: transaction.hash,
+        sender,
+        asset: condition.asset,
+        amount: String(amount)
+      }
+    });
+  }
+  const version = String(activities[activities.length - 1].transaction_version);
+  return { state: { version }, events };
+};
+
+// Thresholds fire when they become met, and again only after they stop being met
+const crossing = (state, met, event) => {
+  if (state.met === undefined || !met || state.met) {
+    return { state: { ...state, met }, events: [] };
+  }
+  const crossings = (state.crossings || 0) + 1;
+  return {
+    state: { ...state, met, crossings },
+    events: [{ ...event, key: `${event.key}:${crossings}` }]
+  };
+};
+
+const checkPriceThreshold = async (condition, state, { prices }) => {
+  const price = await prices.getUsdPrice(condition.symbol);
+  const met = condition.direction === 'above' ? price > condition.price : price < condition.price;
+  return crossing(state, met, {
+    key: 'price',
+    description: `${condition.symbol} is at ${price} USD, ${condition.direction} ${condition.price} USD`,
+    details: { symbol: condition.symbol, price, threshold: condition.price }
+  });
+};
+
+const getBalance = async (aptos, accountAddress, asset) => {
+  try {
+    if (asset === APT) {
+      return BigInt(await aptos.getAccountAPTAmount({ accountAddress }));
+    }
+    const balance = asset.includes('::')
+      ? await aptos.getAccountCoinAmount({ accountAddress, coinType: asset })
+      : await aptos.getAccountCoinAmount({ accountAddress, faMetadataAddress: asset });
+    return BigInt(balance);
+  } catch (error) {
+    if (error.message?.includes('Resource not found')) {
+      return 0n;
+    }
+    throw error;
+  }
+};
+
+const checkBalanceFloor = async (condition, state, { aptos, address }) => {
+  const balance = await getBalance(aptos, address, condition.asset);
+  return crossing(state, balance < BigInt(condition.floor), {
+    key: 'balance',
+    description: `The balance of ${condition.asset} is ${balance} (smallest unit), below ${condition.floor}`,
+    details: { asset: condition.asset, balance: String(balance), floor: condition.floor }
+  });
+};
+
+const checkTokenGraduation = async (condition, state, { aptos }) => {
+  if (state.version === undefined) {
+    return { state: { version: await latestVersion(aptos) }, events: [] };
+  }
+  const { events: emitted } = await aptos.queryIndexer({
+    query: {
+      query: EVENTS_QUERY,
+      variables: { type: condition.eventType, after: state.version, limit: PAGE_SIZE }
+    }
+  });
+  if (!emitted.length) {
+    return { state, events: [] };
+  }
+
+  const graduation = emitted.find(event => mentionsAddress(event.data, condition.token));
+  const version = String(emitted[emitted.length - 1].transaction_version);
+  if (!graduation) {
+    return { state: { version }, events: [] };
+  }
+  return {
+    state: { version },
+    events: [
+      {
+        key: `graduation:${graduation.transaction_version}:${graduation.event_index}`,
+        description: `Token ${condition.token} graduated from its bonding curve`,
+        details: {
+          version: String(graduation.transaction_version),
+          token: condition.token,
+          data: graduation.data
+        }
+      }
+    ],
+    done: true
+  };
+};
+
+const CHECKS = {
+  incoming_transfer: checkIncomingTransfer,
+  price_threshold: checkPriceThreshold,
+  balance_floor: checkBalanceFloor,
+  token_graduation: checkTokenGraduation
+};
+
+/**
+ * Check a trigger's condition
+ * @param {Object} condition - The normalized condition
+ * @param {Object} state - What the trigger saw last; empty on its first check
+ * @param {Object} context - aptos: the client for the agent's network; address: the agent
+ *   wallet's long address; prices: a PriceFeed
+ * @returns {Promise<Object>} {state, events, done}: what to remember for the next check, what
+ *   happened since the last one ({key, description, details}), and whether the trigger has
+ *   nothing more to see
+ */
+export async function evaluateCondition(condition, state, context) {
+  const check = CHECKS[condition.type];
+  if (!check) {
+    throw new Error(`Unknown trigger condition: ${condition.type}`);
+  }
+  const result = await check(condition, state || {}, context);
+  return { done: false, ...result };
+}
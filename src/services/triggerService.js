@@ -0,0 +1,438 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import AgentTrigger, { TRIGGER_STATUSES } from '../models/agentTriggerModel.js';
+import TriggerFiring from '../models/triggerFiringModel.js';
+import { DEFAULT_COOLDOWN_MS, normalizeCondition } from '../config/triggers.js';
+import { normalizeAction } from '../config/schedules.js';
+import { httpError } from '../utils/httpError.js';
+
+dotenv.config();
+
+const DEFAULT_MAX_TRIGGERS = 20;
+const DEFAULT_BATCH_SIZE = 20;
+const DEFAULT_CHECK_INTERVAL_MS = 60 * 1000;
+const DEFAULT_RUN_TIMEOUT_MS = 10 * 60 * 1000;
+const INTERRUPTED = 'The action was interrupted before it finished';
+
+const isDuplicateKey = error => error?.code === 11000;
+
+/**
+ * Service for agents' on-chain triggers and their firings
+ * Every worker polls for triggers due a check. A check is claimed by moving the trigger's
+ * nextCheckAt on with a conditional update and taking a fresh claimId; what the check saw is
+ * only saved while that claim still holds, and each firing is recorded under a unique (trigger,
+ * event) index, so an event fires a trigger at most once across the cluster. Like scheduled
+ * task runs, firings are not retried
+ */
+export class TriggerService {
+  /**
+   * @param {Object} options - Service options
+   * @param {number} options.maxTriggers - Most triggers an agent may have (TRIGGER_MAX_TRIGGERS)
+   * @param {number} options.batchSize - Most triggers a worker checks per poll
+   *   (TRIGGER_BATCH_SIZE)
+   * @param {number} options.checkIntervalMs - How often each trigger is checked (TRIGGER_POLL_MS)
+   * @param {number} options.runTimeoutMs - After how long a firing still marked running is taken
+   *   to have been interrupted (SCHEDULE_RUN_TIMEOUT_MS, as for task runs)
+   */
+  constructor({
+    maxTriggers = parseInt(process.env.TRIGGER_MAX_TRIGGERS) || DEFAULT_MAX_TRIGGERS,
+    batchSize = parseInt(process.env.TRIGGER_BATCH_SIZE) || DEFAULT_BATCH_SIZE,
+    checkIntervalMs = parseInt(process.env.TRIGGER_POLL_MS) || DEFAULT_CHECK_INTERVAL_MS,
+    runTimeoutMs = parseInt(process.env.SCHEDULE_RUN_TIMEOUT_MS) || DEFAULT_RUN_TIMEOUT_MS
+  } = {}) {
+    this.maxTriggers = maxTriggers;
+    this.batchSize = batchSize;
+    this.checkIntervalMs = checkIntervalMs;
+    this.runTimeoutMs = runTimeoutMs;
+  }
+
+  /**
+   * Set a trigger for an agent; it takes its baseline on its first check
+   * @param {Object} agent - The agent ({agentId, userId})
+   * @param {Object} fields - name, condition, action and cooldownMs, as validateTrigger checks
+   *   them
+   * @returns {Promise<Object>} The trigger
+   * @throws {Error} With status 409 if the agent already has the most triggers it may have
+   */
+  async create(agent, { name, condition, action, cooldownMs }) {
+    try {
+      const count = await AgentTrigger.countDocuments({
+        agentId: agent.agentId,
+        status: { $ne: 'completed' }
+      });
+      if (count >= this.maxTriggers) {
+        throw httpError(409, `An agent can have at most ${this.maxTriggers} triggers`);
+      }
+
+      return await AgentTrigger.create({
+        triggerId: crypto.randomUUID(),
+        agentId: agent.agentId,
+        userId: agent.userId,
+        name: name.trim(),
+        condition: normalizeCondition(condition),
+        action: normalizeAction(action),
+        cooldownMs: cooldownMs ?? DEFAULT_COOLDOWN_MS,
+        nextCheckAt: new Date()
+      });
+    } catch (error) {
+      console.error('Error in create:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List an agent's triggers, newest first
+   * @param {string} agentId - The agent ID
+   * @param {Object} options - status to filter on, and limit
+   * @returns {Promise<Array>} The triggers
+   */
+  async list(agentId, { status, limit = 50 } = {}) {
+    try {
+      const query = { agentId };
+      if (status) {
+        if (!TRIGGER_STATUSES.includes(status)) {
+          throw httpError(400, `status must be one of: ${TRIGGER_STATUSES.join(', ')}`);
+        }
+        query.status = status;
+      }
+      return await AgentTrigger.find(query).sort({ createdAt: -1 }).limit(limit);
+    } catch (error) {
+      console.error('Error in list:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one of an agent's triggers
+   * @param {string} agentId - The agent ID
+   * @param {string} triggerId - The trigger ID
+   * @returns {Promise<Object|null>} The trigger or null if not found
+   */
+  async get(agentId, triggerId) {
+    try {
+      return await AgentTrigger.findOne({ agentId, triggerId });
+    } catch (error) {
+      console.error('Error in get:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a trigger's name, condition, action or cooldown
+   * A new condition starts over from a fresh baseline; a completed trigger given one becomes
+   * active again
+   * @param {string} agentId - The agent ID
+   * @param {string} triggerId - The trigger ID
+   * @param {Object} fields - name, condition, action and cooldownMs, as validateTrigger checks
+   *   them
+   * @returns {Promise<Object|null>} The trigger or null if not found
+   */
+  async update(agentId, triggerId, { name, condition, action, cooldownMs }) {
+    try {
+      const trigger = await AgentTrigger.findOne({ agentId, triggerId });
+      if (!trigger) {
+        return null;
+      }
+      if (name !== undefined) {
+        trigger.name = name.trim();
+      }
+      if (action !== undefined) {
+        trigger.action = normalizeAction(action);
+      }
+      if (cooldownMs !== undefined) {
+        trigger.cooldownMs = cooldownMs;
+      }
+      if (condition !== undefined) {
+        trigger.condition = normalizeCondition(condition);
+        trigger.state = {};
+        // A check in flight for the old condition may not save what it saw
+        trigger.claimId = undefined;
+        if (trigger.status !== 'paused') {
+          trigger.status = 'active';
+          trigger.nextCheckAt = new Date();
+        }
+      }
+      return await trigger.save();
+    } catch (error) {
+      console.error('Error in update:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pause an active trigger; what it saw is forgotten, so events meanwhile do not fire it
+   * @param {string} agentId - The agent ID
+   * @param {string} triggerId - The trigger ID
+   * @returns {Promise<Object|null>} The trigger or null if not found
+   * @throws {Error} With status 409 if the trigger is not active
+   */
+  async pause(agentId, triggerId) {
+    try {
+      const trigger = await AgentTrigger.findOneAndUpdate(
+        { agentId, triggerId, status: 'active' },
+        { $set: { status: 'paused', nextCheckAt: null, state: {} }, $unset: { claimId: '' } },
+        { new: true }
+      );
+      if (trigger) {
+        return trigger;
+      }
+      return await this.conflict(agentId, triggerId, 'active');
+    } catch (error) {
+      console.error('Error in pause:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resume a paused trigger from a fresh baseline
+   * @param {string} agentId - The agent ID
+   * @param {string} triggerId - The trigger ID
+   * @returns {Promise<Object|null>} The trigger or null if not found
+   * @throws {Error} With status 409 if the trigger is not paused
+   */
+  async resume(agentId, triggerId) {
+    try {
+      const trigger = await AgentTrigger.findOneAndUpdate(
+        { agentId, triggerId, status: 'paused' },
+        { $set: { status: 'active', nextCheckAt: new Date(), state: {} } },
+        { new: true }
+      );
+      if (trigger) {
+        return trigger;
+      }
+      return await this.conflict(agentId, triggerId, 'paused');
+    } catch (error) {
+      console.error('Error in resume:', error);
+      throw error;
+    }
+  }
+
+  // A trigger that is not in the status a change needs: not found, or a 409
+  async conflict(agentId, triggerId, expected) {
+    const trigger = await AgentTrigger.findOne({ agentId, triggerId });
+    if (!trigger) {
+      return null;
+    }
+    throw httpError(409, `Trigger ${triggerId} is ${trigger.status}, not ${expected}`);
+  }
+
+  /**
+   * Delete one of an agent's triggers and its firings
+   * @param {string} agentId - The agent ID
+   * @param {string} triggerId - The trigger ID
+   * @returns {Promise<boolean>} True if it was deleted, false if not found
+   */
+  async remove(agentId, triggerId) {
+    try {
+      const result = await AgentTrigger.deleteOne({ agentId, triggerId });
+      if (result.deletedCount === 0) {
+        return false;
+      }
+      await TriggerFiring.deleteMany({ triggerId });
+      return true;
+    } catch (error) {
+      console.error('Error in remove:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the firings of one of an agent's triggers, newest first
+   * @param {string} agentId - The agent ID
+   * @param {string} triggerId - The trigger ID
+   * @param {Object} options - limit, and before (a firing ID) to page back
+   * @returns {Promise<Array>} The firings
+   */
+  async listFirings(agentId, triggerId, { limit = 20, before = null } = {}) {
+    try {
+      const query = { agentId, triggerId };
+      if (before) {
+        if (!mongoose.isValidObjectId(before)) {
+          throw httpError(400, 'before must be a firing ID');
+        }
+        query._id = { $lt: before };
+      }
+      return await TriggerFiring.find(query).sort({ _id: -1 }).limit(limit);
+    } catch (error) {
+      console.error('Error in listFirings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim the next trigger due a check, moving it on to its following one
+   * @param {Date} now - The current time
+   * @returns {Promise<Object|null>} The trigger with its claimId, or null if none is due
+   */
+  async claimNext(now = new Date()) {
+    const due = await AgentTrigger.find({ status: 'active', nextCheckAt: { $lte: now } })
+      .sort({ nextCheckAt: 1 })
+      .limit(this.batchSize);
+
+    for (const candidate of due) {
+      const trigger = await AgentTrigger.findOneAndUpdate(
+        { _id: candidate._id, status: 'active', nextCheckAt: candidate.nextCheckAt },
+        {
+          $set: {
+            nextCheckAt: new Date(now.getTime() + this.checkIntervalMs),
+            lastCheckedAt: now,
+            claimId: crypto.randomUUID()
+          }
+        },
+        { new: true }
+      );
+      if (trigger) {
+        return trigger;
+      }
+      // Another worker claimed it, or it was paused or changed meanwhile
+    }
+    return null;
+  }
+
+  /**
+   * Check a claimed trigger, and fire it if its condition was met
+   * What the check saw is saved before the action runs, so a failed action is not repeated
+   * @param {Object} trigger - The trigger, as claimNext returned it
+   * @param {Function} evaluate - (trigger) => {state, events, done}, as evaluateCondition
+   *   returns them
+   * @param {Function} execute - (trigger, events) => the outcome of its action, as finishFiring
+   *   takes it; a rejection records the firing as failed
+   * @returns {Promise<Object|null>} The firing, or null if the trigger did not fire
+   */
+  async check(trigger, evaluate, execute) {
+    let result;
+    try {
+      result = await evaluate(trigger);
+    } catch (error) {
+      // Left for the next check, from the same state
+      console.error(`Error checking trigger ${trigger.triggerId}:`, error.message);
+      await AgentTrigger.updateOne(
+        { _id: trigger._id, claimId: trigger.claimId },
+        { $set: { lastError: error.message } }
+      );
+      return null;
+    }
+
+    const now = new Date();
+    const fires = result.events.length > 0;
+    const cooling = fires && trigger.lastFiredAt && now - trigger.lastFiredAt < trigger.cooldownMs;
+    const update = { $set: { state: result.state }, $unset: { lastError: '' } };
+    if (result.done) {
+      Object.assign(update.$set, { status: 'completed', nextCheckAt: null });
+    }
+    if (fires && !cooling) {
+      update.$set.lastFiredAt = now;
+      update.$inc = { fireCount: 1 };
+    }
+    const saved = await AgentTrigger.findOneAndUpdate(
+      { _id: trigger._id, status: 'active', claimId: trigger.claimId },
+      update,
+      { new: true }
+    );
+    if (!saved || !fires) {
+      // Paused, changed or deleted while it was being checked, or nothing happened
+      return null;
+    }
+
+    let firing;
+    try {
+      firing = await TriggerFiring.create({
+        triggerId: saved.triggerId,
+        agentId: saved.agentId,
+        userId: saved.userId,
+        eventKey: result.events[result.events.length - 1].key,
+        events: result.events,
+        firedAt: now,
+        ...(cooling && { status: 'skipped', finishedAt: now })
+      });
+    } catch (error) {
+      if (isDuplicateKey(error)) {
+        return null;
+      }
+      throw error;
+    }
+    if (cooling) {
+      return firing;
+    }
+
+    let outcome;
+    try {
+      outcome = await execute(saved, result.events);
+    } catch (error) {
+      console.error(`Error running trigger ${saved.triggerId}:`, error.message);
+      outcome = { status: 'failed', error: error.message };
+    }
+    return await this.finishFiring(firing, outcome);
+  }
+
+  /**
+   * Record how a firing's action ended, also over a firing recorded as interrupted meanwhile,
+   * as task runs are
+   * @param {Object} firing - The firing
+   * @param {Object} outcome - status (succeeded or failed), and response, toolCalls,
+   *   transactionHashes, conversationId, proposalId and error as far as they apply
+   * @returns {Promise<Object>} The firing
+   */
+  async finishFiring(firing, outcome) {
+    try {
+      return await TriggerFiring.findOneAndUpdate(
+        {
+          _id: firing._id,
+          $or: [{ status: 'running' }, { status: 'failed', error: INTERRUPTED }]
+        },
+        { $set: { error: null, ...outcome, finishedAt: new Date() } },
+        { new: true }
+      );
+    } catch (error) {
+      console.error('Error in finishFiring:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record firings left running past the run timeout, e.g. by a restart, as failed
+   * @param {Date} now - The current time
+   * @returns {Promise<number>} The number of firings recorded as failed
+   */
+  async failInterrupted(now = new Date()) {
+    try {
+      const result = await TriggerFiring.updateMany(
+        { status: 'running', firedAt: { $lt: new Date(now.getTime() - this.runTimeoutMs) } },
+        {
+          $set: {
+            status: 'failed',
+            error: INTERRUPTED,
+            finishedAt: now
+          }
+        }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      console.error('Error in failInterrupted:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check the triggers that are due, one at a time, up to the batch size
+   * @param {Function} evaluate - (trigger) => what its condition sees, as check takes it
+   * @param {Function} execute - (trigger, events) => the outcome of its action
+   * @returns {Promise<number>} The number of triggers checked
+   */
+  async evaluateDue(evaluate, execute) {
+    await this.failInterrupted();
+    let checked = 0;
+    while (checked < this.batchSize) {
+      const trigger = await this.claimNext();
+      if (!trigger) {
+        break;
+      }
+      checked++;
+      await this.check(trigger, evaluate, execute);
+    }
+    return checked;
+  }
+}
+
+export const triggerService = new TriggerService();
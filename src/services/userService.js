@@ -0,0 +1,274 @@
+import mongoose from 'mongoose';
+import User from '../models/userModel.js';
+import { AgentService } from './agentService.js';
+import { ConversationService } from './conversationService.js';
+import { WALLET_CHAINS, normalizeAddress, walletKey } from '../utils/wallets.js';
+import { DEFAULT_ROLE, ROLES } from '../config/roles.js';
+import { httpError } from '../utils/httpError.js';
+
+const agentService = new AgentService();
+const conversationService = new ConversationService();
+
+// Wallet keys listed in ADMIN_ADDRESSES (comma-separated), promoted to admin on sign-in
+const getBootstrapAdminKeys = () =>
+  (process.env.ADMIN_ADDRESSES || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean)
+    .flatMap(address =>
+      WALLET_CHAINS.filter(chain => normalizeAddress(chain, address)).map(chain =>
+        walletKey(chain, normalizeAddress(chain, address))
+      )
+    );
+
+/**
+ * Service for user identities and the wallets linked to them
+ */
+export class UserService {
+  /**
+   * Get the user for a verified wallet, creating one on first sign-in
+   * @param {string} chain - 'aptos' or 'evm'
+   * @param {string} address - The verified, normalized wallet address
+   * @returns {Promise<Object>} The user
+   */
+  async findOrCreateByWallet(chain, address) {
+    try {
+      let user = await User.findByWallet(chain, address);
+
+      if (!user) {
+        user = new User({ address, wallets: [{ chain, address }] });
+        await user.save();
+      } else if (user.wallets.length === 0) {
+        // Legacy user registered with a bare address: record the wallet now that it is proven
+        user.wallets.push({ chain, address });
+        await user.save();
+      }
+
+      if (user.role !== 'admin' && getBootstrapAdminKeys().includes(walletKey(chain, address))) {
+        user.role = 'admin';
+        await user.save();
+      }
+
+      await this.adoptLegacyRecords(user, address);
+      return user;
+    } catch (error) {
+      console.error('Error in findOrCreateByWallet:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user by ID
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object|null>} The user or null if not found
+   */
+  async getUser(userId) {
+    try {
+      if (!mongoose.isValidObjectId(userId)) {
+        return null;
+      }
+      return await User.findById(userId);
+    } catch (error) {
+      console.error('Error in getUser:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Link a verified wallet to a user
+   * @param {string} userId - The user ID
+   * @param {string} chain - 'aptos' or 'evm'
+   * @param {string} address - The verified, normalized wallet address
+   * @param {string} label - Optional display label
+   * @returns {Promise<Object>} The updated user
+   */
+  async linkWallet(userId, chain, address, label) {
+    try {
+      const user = await this.getUser(userId);
+      if (!user) {
+        throw httpError(404, 'User not found');
+      }
+
+      const owner = await User.findByWallet(chain, address);
+      if (owner && !owner._id.equals(user._id)) {
+        throw httpError(409, 'Wallet is already linked to another account');
+      }
+
+      if (!user.getAddresses(chain).includes(address)) {
+        user.wallets.push({ chain, address, label });
+        await user.save();
+      }
+
+      await this.adoptLegacyRecords(user, address);
+      return user;
+    } catch (error) {
+      console.error('Error in linkWallet:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unlink a wallet from a user; the last wallet can never be removed
+   * @param {string} userId - The user ID
+   * @param {string} chain - 'aptos' or 'evm'
+   * @param {string} address - The wallet address
+   * @returns {Promise<Object>} The updated user
+   */
+  async unlinkWallet(userId, chain, address) {
+    try {
+      const user = await this.getUser(userId);
+      if (!user) {
+        throw httpError(404, 'User not found');
+      }
+
+      const normalized = normalizeAddress(chain, address);
+      const remaining = user.wallets.filter(
+        wallet => !(wallet.chain === chain && wallet.address === normalized)
+      );
+
+      if (remaining.length === user.wallets.length) {
+        throw httpError(404, 'Wallet not linked to this account');
+      }
+      if (remaining.length === 0) {
+        throw httpError(400, 'Cannot unlink the only wallet on an account');
+      }
+
+      user.wallets = remaining;
+      if (user.address === normalized) {
+        user.address = remaining[0].address;
+      }
+
+      await user.save();
+      return user;
+    } catch (error) {
+      console.error('Error in unlinkWallet:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all addresses linked to a user
+   * @param {string} userId - The user ID
+   * @param {string} chain - 'aptos' or 'evm' (optional)
+   * @returns {Promise<Array<string>>} The wallet addresses
+   */
+  async getWalletAddresses(userId, chain) {
+    try {
+      const user = await this.getUser(userId);
+      return user ? user.getAddresses(chain) : [];
+    } catch (error) {
+      console.error('Error in getWalletAddresses:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a user ID or any linked wallet address to the user ID
+   * @param {string} idOrAddress - A user ID or wallet address
+   * @returns {Promise<string|null>} The user ID or null if unknown
+   */
+  async resolveUserId(idOrAddress) {
+    try {
+      const user = await this.getUser(idOrAddress);
+      if (user) {
+        return user.id;
+      }
+
+      for (const chain of WALLET_CHAINS) {
+        const address = normalizeAddress(chain, idOrAddress);
+        if (address) {
+          const owner = await User.findByWallet(chain, address);
+          if (owner) {
+            return owner.id;
+          }
+        }
+      }
+
+      return null;
+    } catch (error) {
+      console.error('Error in resolveUserId:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the role of a user
+   * @param {string} userId - The user ID
+   * @returns {Promise<string|null>} The role or null if the user does not exist
+   */
+  async getRole(userId) {
+    try {
+      if (!mongoose.isValidObjectId(userId)) {
+        return null;
+      }
+      const user = await User.findById(userId).select('role').lean();
+      // Lean reads skip schema defaults, and users created before roles have none stored
+      return user ? user.role || DEFAULT_ROLE : null;
+    } catch (error) {
+      console.error('Error in getRole:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change the role of a user
+   * @param {string} userId - The user ID
+   * @param {string} role - One of ROLES
+   * @returns {Promise<Object>} The updated user
+   */
+  async setRole(userId, role) {
+    try {
+      if (!ROLES.includes(role)) {
+        throw httpError(400, `Role must be one of: ${ROLES.join(', ')}`);
+      }
+
+      const user = await this.getUser(userId);
+      if (!user) {
+        throw httpError(404, 'User not found');
+      }
+
+      user.role = role;
+      await user.save();
+      return user;
+    } catch (error) {
+      console.error('Error in setRole:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List users, newest first
+   * @param {Object} options - { page, limit, role }
+   * @returns {Promise<{users: Array<Object>, total: number}>} The page of users and the total count
+   */
+  async listUsers({ page = 1, limit = 20, role } = {}) {
+    try {
+      const query = role ? { role } : {};
+      const users = await User.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+      const total = await User.countDocuments(query);
+      return { users, total };
+    } catch (error) {
+      console.error('Error in listUsers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move agents and conversations stored under a raw wallet address onto the user identity
+   * @param {Object} user - The user document
+   * @param {string} address - The wallet address the records may be keyed by
+   * @returns {Promise<void>}
+   */
+  async adoptLegacyRecords(user, address) {
+    try {
+      await agentService.reassignUser(address, user.id);
+      await conversationService.reassignUser(address, user.id);
+    } catch (error) {
+      console.error('Error in adoptLegacyRecords:', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,50 @@
+import { Tool } from '@langchain/core/tools';
+
+const OCTAS_PER_APT = 100000000;
+
+/**
+ * Agent tool that funds the agent's own wallet from its network's faucet
+ * Only given to agents whose network has a faucet, never on mainnet
+ */
+export class AptosFaucetTool extends Tool {
+  name = 'aptos_request_faucet';
+
+  description = `Request test APT from the faucet for your own wallet. Only available off mainnet.
+
+  Inputs ( input is a JSON string ):
+  amount: number, the amount of APT to request, eg 1 (optional, defaults to 1)`;
+
+  /**
+   * @param {AgentRuntime} agent - The runtime whose wallet to fund
+   */
+  constructor(agent) {
+    super();
+    this.agent = agent;
+  }
+
+  async _call(input) {
+    try {
+      const parsed = input ? JSON.parse(input) : {};
+      const amount = parsed.amount ?? 1;
+      if (typeof amount !== 'number' || !(amount > 0)) {
+        throw new Error('amount must be a positive number of APT');
+      }
+
+      const transaction = await this.agent.aptos.fundAccount({
+        accountAddress: this.agent.account.getAddress(),
+        amount: Math.round(amount * OCTAS_PER_APT)
+      });
+      return JSON.stringify({
+        status: 'success',
+        amount,
+        faucetTransactionHash: transaction.hash
+      });
+    } catch (error) {
+      return JSON.stringify({
+        status: 'error',
+        message: error.message,
+        code: error.code || 'UNKNOWN_ERROR'
+      });
+    }
+  }
+}
@@ -0,0 +1,52 @@
+import { Tool } from '@langchain/core/tools';
+import { previewEntryFunction } from '../services/transactionPreview.js';
+
+/**
+ * Agent tool that simulates a transaction from the agent's own wallet without sending it
+ */
+export class AptosSimulateTool extends Tool {
+  name = 'aptos_simulate_transaction';
+
+  description = `Simulate an entry function call from your own wallet without sending it.
+  Returns whether it would succeed and why not, the gas units and fee in APT, and the balance
+  changes it would make. Use it to check a transaction before making it.
+
+  Inputs ( input is a JSON string ):
+  function: string, eg "0x1::aptos_account::transfer" (required)
+  typeArguments: string[], eg ["0x1::aptos_coin::AptosCoin"] (optional)
+  functionArguments: array, eg ["0x123...", "100000000"] (optional)`;
+
+  /**
+   * @param {AgentRuntime} agent - The runtime whose wallet to simulate from
+   */
+  constructor(agent) {
+    super();
+    this.agent = agent;
+  }
+
+  async _call(input) {
+    try {
+      const parsed = input ? JSON.parse(input) : {};
+      if (typeof parsed.function !== 'string') {
+        throw new Error('function is required, eg 0x1::aptos_account::transfer');
+      }
+
+      const { summary, simulation } = await previewEntryFunction(
+        this.agent.aptos,
+        this.agent.account,
+        parsed
+      );
+      return JSON.stringify({
+        status: 'success',
+        transaction: summary,
+        simulation
+      });
+    } catch (error) {
+      return JSON.stringify({
+        status: 'error',
+        message: error.message,
+        code: error.code || 'UNKNOWN_ERROR'
+      });
+    }
+  }
+}
@@ -0,0 +1,138 @@
+import {
+  extractTransactionHashes,
+  messageText,
+  summarizeAgentRun,
+  translateStreamEvent
+} from '../agentRun';
+
+const hash = `0x${'ab'.repeat(32)}`;
+
+describe('Agent Run', () => {
+  it('should flatten content blocks to text', () => {
+    expect(
+      messageText([
+        { type: 'text', text: 'Sent ' },
+        { type: 'text', text: '1 APT' }
+      ])
+    ).toBe('Sent 1 APT');
+  });
+
+  it('should only take hashes a tool reports at the top level', () => {
+    expect(
+      extractTransactionHashes(
+        JSON.stringify({ status: 'success', transferTokenTransactionHash: hash })
+      )
+    ).toEqual([hash]);
+    expect(
+      extractTransactionHashes(JSON.stringify({ status: 'success', transaction: { hash } }))
+    ).toEqual([]);
+    expect(extractTransactionHashes('not json')).toEqual([]);
+  });
+
+  it('should pair tool calls with their results', () => {
+    const summary = summarizeAgentRun([
+      {
+        role: 'assistant',
+        content: [{ type: 'text', text: 'Sending now.' }],
+        tool_calls: [
+          { id: 'call-1', name: 'aptos_transfer_token', args: { input: '{}' } },
+          { id: 'call-2', name: 'aptos_balance', args: {} }
+        ]
+      },
+      {
+        role: 'tool',
+        tool_call_id: 'call-1',
+        content: JSON.stringify({ status: 'success', transferTokenTransactionHash: hash })
+      },
+      {
+        role: 'tool',
+        tool_call_id: 'call-2',
+        content: JSON.stringify({ status: 'error', message: 'Account not found' })
+      },
+      { role: 'assistant', content: 'Sent 1 APT.' }
+    ]);
+
+    expect(summary.reply).toBe('Sent 1 APT.');
+    expect(summary.transactionHashes).toEqual([hash]);
+    expect(summary.toolCalls).toEqual([
+      expect.objectContaining({ name: 'aptos_transfer_token', status: 'success' }),
+      expect.objectContaining({ name: 'aptos_balance', status: 'error', transactionHashes: [] })
+    ]);
+  });
+
+  it('should report transactions the spending policy refused', () => {
+    const violation = { code: 'recipient_denied', message: '0xe5e is a denied recipient' };
+    const summary = summarizeAgentRun([
+      {
+        role: 'assistant',
+        content: '',
+        tool_calls: [{ id: 'call-1', name: 'aptos_transfer_token', args: {} }]
+      },
+      {
+        role: 'tool',
+        tool_call_id: 'call-1',
+        content: JSON.stringify({
+          status: 'error',
+          message: `Token transfer failed: Blocked by spending policy: ${JSON.stringify([
+            violation
+          ])}`
+        })
+      },
+      { role: 'assistant', content: 'That recipient is blocked.' }
+    ]);
+
+    expect(summary.policyViolations).toEqual([violation]);
+    expect(summary.toolCalls[0]).toMatchObject({ status: 'error', policyViolations: [violation] });
+  });
+
+  it('should stream token deltas and skip empty chunks', () => {
+    expect(
+      translateStreamEvent({
+        event: 'on_chat_model_stream',
+        data: { chunk: { content: [{ type: 'text', text: 'Hel' }] } }
+      }).events
+    ).toEqual([{ event: 'token', data: { delta: 'Hel' } }]);
+    expect(
+      translateStreamEvent({
+        event: 'on_chat_model_stream',
+        data: { chunk: { content: [{ type: 'input_json_delta', input: '{"to"' }] } }
+      }).events
+    ).toEqual([]);
+  });
+
+  it('should report tool runs and collect the turn', () => {
+    const start = translateStreamEvent({
+      event: 'on_tool_start',
+      name: 'aptos_transfer_token',
+      run_id: 'run-1',
+      data: { input: { input: '{}' } }
+    });
+    const end = translateStreamEvent({
+      event: 'on_tool_end',
+      name: 'aptos_transfer_token',
+      run_id: 'run-1',
+      data: {
+        output: {
+          tool_call_id: 'call-1',
+          content: JSON.stringify({ status: 'success', transferTokenTransactionHash: hash })
+        }
+      }
+    });
+
+    expect(start.events[0]).toEqual({
+      event: 'tool_start',
+      data: { runId: 'run-1', name: 'aptos_transfer_token', input: { input: '{}' } }
+    });
+    expect(end.events.map(({ event }) => event)).toEqual(['tool_end', 'tool_result']);
+    expect(end.events[1].data.transactionHashes).toEqual([hash]);
+
+    const modelEnd = translateStreamEvent({
+      event: 'on_chat_model_end',
+      data: {
+        output: { content: '', tool_calls: [{ id: 'call-1', name: 'aptos_transfer_token' }] }
+      }
+    });
+    const summary = summarizeAgentRun([modelEnd.message, end.message]);
+    expect(summary.toolCalls[0]).toMatchObject({ id: 'call-1', status: 'success' });
+  });
+});
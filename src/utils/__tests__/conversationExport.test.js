@@ -0,0 +1,77 @@
+import { csvCell, exportConversation } from '../conversationExport';
+
+const hash = `0x${'ab'.repeat(32)}`;
+const conversation = {
+  conversationId: 'conversation-1',
+  agentId: 'agent-1',
+  agentName: 'Trader',
+  exportedAt: '2026-01-01T12:00:00.000Z'
+};
+const messages = [
+  {
+    role: 'user',
+    content: 'Send 1 APT to bob, please',
+    timestamp: new Date('2026-01-01T11:00:00Z')
+  },
+  {
+    role: 'assistant',
+    content: 'Sent "1 APT"',
+    toolCalls: [
+      {
+        name: 'aptos_transfer_token',
+        args: { amount: 1 },
+        output: '{}',
+        status: 'success',
+        transactionHashes: [hash]
+      }
+    ],
+    transactionHashes: [hash],
+    timestamp: new Date('2026-01-01T11:00:05Z')
+  }
+];
+
+describe('Conversation Export', () => {
+  it('should export JSON with the tools each message ran', () => {
+    const exported = JSON.parse(exportConversation(conversation, messages, 'json'));
+
+    expect(exported).toMatchObject({ agentId: 'agent-1', agentName: 'Trader' });
+    expect(exported.messages).toHaveLength(2);
+    expect(exported.messages[1]).toMatchObject({
+      role: 'assistant',
+      toolCalls: [{ name: 'aptos_transfer_token', status: 'success', transactionHashes: [hash] }],
+      transactionHashes: [hash],
+      timestamp: '2026-01-01T11:00:05.000Z'
+    });
+  });
+
+  it('should export Markdown with a section per message', () => {
+    const exported = exportConversation(conversation, messages, 'md');
+
+    expect(exported).toMatch(/^# Conversation with Trader\n/);
+    expect(exported).toContain('## user (2026-01-01T11:00:00.000Z)\n\nSend 1 APT to bob, please');
+    expect(exported).toContain('- `aptos_transfer_token` (success): `{"amount":1}`');
+    expect(exported).toContain(`- \`${hash}\``);
+  });
+
+  it('should export CSV with a row per message', () => {
+    const rows = exportConversation(conversation, messages, 'csv').trim().split('\r\n');
+
+    expect(rows).toEqual([
+      'timestamp,role,content,tools,transactionHashes',
+      '2026-01-01T11:00:00.000Z,user,"Send 1 APT to bob, please",,',
+      `2026-01-01T11:00:05.000Z,assistant,"Sent ""1 APT""",aptos_transfer_token(success),${hash}`
+    ]);
+  });
+
+  it('should keep spreadsheets from reading cells as formulas', () => {
+    expect(csvCell('=HYPERLINK("http://evil")')).toBe('"\'=HYPERLINK(""http://evil"")"');
+    expect(csvCell('-1')).toBe("'-1");
+    expect(csvCell(null)).toBe('');
+  });
+
+  it('should reject unknown formats', () => {
+    expect(() => exportConversation(conversation, messages, 'pdf')).toThrow(
+      expect.objectContaining({ status: 400 })
+    );
+  });
+});
@@ -0,0 +1,67 @@
+import { isValidTimezone, nextCronRun, parseCron } from '../cron';
+
+const at = iso => new Date(iso);
+
+describe('Cron', () => {
+  it('should find the next run of weekly and stepped expressions', () => {
+    // Saturday
+    expect(nextCronRun('0 9 * * mon', at('2026-10-17T12:00:00Z'))).toEqual(
+      at('2026-10-19T09:00:00Z')
+    );
+    expect(nextCronRun('*/15 * * * *', at('2026-10-17T10:07:30Z'))).toEqual(
+      at('2026-10-17T10:15:00Z')
+    );
+    expect(nextCronRun('0 8-18/4 * * *', at('2026-10-17T12:00:00Z'))).toEqual(
+      at('2026-10-17T16:00:00Z')
+    );
+    expect(nextCronRun('@weekly', at('2026-10-17T12:00:00Z'))).toEqual(at('2026-10-18T00:00:00Z'));
+    expect(nextCronRun('0 0 * * 7', at('2026-10-17T12:00:00Z'))).toEqual(
+      at('2026-10-18T00:00:00Z')
+    );
+  });
+
+  it('should run strictly after the given time', () => {
+    expect(nextCronRun('0 9 * * *', at('2026-10-17T09:00:00Z'))).toEqual(
+      at('2026-10-18T09:00:00Z')
+    );
+  });
+
+  it('should read the expression in its time zone, across daylight saving changes', () => {
+    expect(nextCronRun('0 9 * * *', at('2026-10-18T10:00:00Z'), 'Europe/Paris')).toEqual(
+      at('2026-10-19T07:00:00Z')
+    );
+    expect(nextCronRun('0 9 * * *', at('2026-10-25T10:00:00Z'), 'Europe/Paris')).toEqual(
+      at('2026-10-26T08:00:00Z')
+    );
+    expect(nextCronRun('30 9 * * *', at('2026-10-18T00:00:00Z'), 'Asia/Kolkata')).toEqual(
+      at('2026-10-18T04:00:00Z')
+    );
+  });
+
+  it('should run on either day field when both are restricted', () => {
+    // The 1st of the month or a Friday, whichever comes first
+    expect(nextCronRun('0 0 1 * fri', at('2026-10-18T00:00:00Z'))).toEqual(
+      at('2026-10-23T00:00:00Z')
+    );
+    expect(nextCronRun('0 0 1 * fri', at('2026-10-30T12:00:00Z'))).toEqual(
+      at('2026-11-01T00:00:00Z')
+    );
+  });
+
+  it('should find rare runs and give up on impossible ones', () => {
+    expect(nextCronRun('0 0 29 feb *', at('2026-03-01T00:00:00Z'))).toEqual(
+      at('2028-02-29T00:00:00Z')
+    );
+    expect(nextCronRun('0 0 30 2 *', at('2026-03-01T00:00:00Z'))).toBeNull();
+  });
+
+  it('should reject invalid expressions and time zones', () => {
+    for (const expression of ['61 * * * *', '* * *', '5-1 * * * *', '*/0 * * * *', '* * * foo *']) {
+      expect(() => parseCron(expression)).toThrow(expect.objectContaining({ status: 400 }));
+    }
+    expect(() => parseCron(null)).toThrow('must be a string');
+    expect(() => nextCronRun('* * * * *', new Date(), 'Mars/Olympus')).toThrow('Unknown time zone');
+    expect(isValidTimezone('America/New_York')).toBe(true);
+    expect(isValidTimezone('Mars/Olympus')).toBe(false);
+  });
+});
@@ -0,0 +1,55 @@
+import { buildSiweMessage, parseSiweMessage } from '../siwe';
+
+describe('SIWE messages', () => {
+  const fields = {
+    domain: 'movestarter.fun',
+    address: '0x71C7656EC7ab88b098defB751B7401B5f6d8976F',
+    statement: 'Sign in to MetaMove.',
+    uri: 'https://movestarter.fun',
+    chainId: 1,
+    nonce: '32891756aa11bb22',
+    issuedAt: '2024-05-01T10:00:00.000Z',
+    expirationTime: '2024-05-01T10:05:00.000Z'
+  };
+
+  it('should build a message in the EIP-4361 layout', () => {
+    expect(buildSiweMessage(fields)).toBe(
+      [
+        'movestarter.fun wants you to sign in with your Ethereum account:',
+        '0x71C7656EC7ab88b098defB751B7401B5f6d8976F',
+        '',
+        'Sign in to MetaMove.',
+        '',
+        'URI: https://movestarter.fun',
+        'Version: 1',
+        'Chain ID: 1',
+        'Nonce: 32891756aa11bb22',
+        'Issued At: 2024-05-01T10:00:00.000Z',
+        'Expiration Time: 2024-05-01T10:05:00.000Z'
+      ].join('\n')
+    );
+  });
+
+  it('should parse what it builds', () => {
+    const message = buildSiweMessage({ ...fields, resources: ['ipfs://bafy', 'https://a.b/c'] });
+
+    expect(parseSiweMessage(message)).toEqual({
+      ...fields,
+      version: '1',
+      resources: ['ipfs://bafy', 'https://a.b/c']
+    });
+  });
+
+  it('should parse a message without a statement', () => {
+    const parsed = parseSiweMessage(buildSiweMessage({ ...fields, statement: undefined }));
+
+    expect(parsed.statement).toBeUndefined();
+    expect(parsed.nonce).toBe(fields.nonce);
+  });
+
+  it('should reject messages missing required fields', () => {
+    const message = buildSiweMessage(fields).replace('Nonce: 32891756aa11bb22\n', '');
+
+    expect(() => parseSiweMessage(message)).toThrow('Missing SIWE field: nonce');
+  });
+});
@@ -0,0 +1,40 @@
+import { decodeAbortCode, decodeVmStatus } from '../vmStatus';
+
+describe('VM status', () => {
+  it('should not explain successful transactions', () => {
+    expect(decodeVmStatus('Executed successfully')).toBeNull();
+  });
+
+  it('should decode aborts with an error map', () => {
+    expect(
+      decodeVmStatus(
+        'Move abort in 0x1::coin: EINSUFFICIENT_BALANCE(0x10006): Not enough coins to complete transaction'
+      )
+    ).toEqual({
+      reason: '0x1::coin aborted: Not enough coins to complete transaction',
+      abort: {
+        location: '0x1::coin',
+        name: 'EINSUFFICIENT_BALANCE',
+        code: '0x10006',
+        category: 'invalid argument',
+        reason: 6
+      }
+    });
+  });
+
+  it('should fall back to the error category for bare abort codes', () => {
+    expect(decodeVmStatus('Move abort in 0xcafe::vault: 0x50003')).toMatchObject({
+      reason: '0xcafe::vault aborted: permission denied (reason 3)',
+      abort: { name: null, code: '0x50003' }
+    });
+    expect(decodeAbortCode(7)).toEqual({ code: '0x7', category: null, reason: 7 });
+  });
+
+  it('should explain statuses that are not aborts', () => {
+    expect(decodeVmStatus('Out of gas').reason).toMatch(/ran out of gas/);
+    expect(
+      decodeVmStatus('Invalid transaction: Type: Validation Code: SEQUENCE_NUMBER_TOO_OLD').reason
+    ).toBe('The sequence number was already used');
+    expect(decodeVmStatus('Something new')).toEqual({ reason: 'Something new', abort: null });
+  });
+});
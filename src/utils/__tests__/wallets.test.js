@@ -0,0 +1,21 @@
+import { normalizeAddress, walletKey } from '../wallets';
+
+describe('wallets', () => {
+  it('should normalize Aptos addresses to their long form', () => {
+    expect(normalizeAddress('aptos', '0x1')).toBe(`0x${'0'.repeat(63)}1`);
+    expect(normalizeAddress('aptos', 'not-an-address')).toBeNull();
+  });
+
+  it('should checksum EVM addresses', () => {
+    expect(normalizeAddress('evm', '0x52908400098527886e0f7030069857d2e4169ee7')).toBe(
+      '0x52908400098527886E0F7030069857D2E4169EE7'
+    );
+    expect(normalizeAddress('evm', `0x${'a'.repeat(64)}`)).toBeNull();
+    expect(normalizeAddress('solana', '0x1')).toBeNull();
+  });
+
+  it('should key a wallet whatever the case of its address', () => {
+    expect(walletKey('evm', '0xABC')).toBe(walletKey('evm', '0xabc'));
+    expect(walletKey('evm', '0xabc')).not.toBe(walletKey('aptos', '0xabc'));
+  });
+});
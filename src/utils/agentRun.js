@@ -0,0 +1,140 @@
+import { parseViolations } from '../config/policies.js';
+
+const TX_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+/**
+ * Flatten message content to text; Anthropic models may answer with a list of content blocks
+ * @param {string|Array} content - The message content
+ * @returns {string} The text of the content
+ */
+export function messageText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content.map(block => (typeof block === 'string' ? block : block?.text || '')).join('');
+  }
+  return '';
+}
+
+// Parse a tool's output, which move-agent-kit tools return as a JSON string
+const parseToolOutput = output => {
+  try {
+    const parsed = JSON.parse(output);
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Find the transaction hashes a tool reported submitting
+ * Only top-level "...hash" fields count, so a tool that reads a transaction back (whose hash sits
+ * inside the returned transaction) is not mistaken for one that sent it
+ * @param {string} output - The tool output
+ * @returns {Array<string>} The transaction hashes
+ */
+export function extractTransactionHashes(output) {
+  const parsed = parseToolOutput(messageText(output));
+  if (!parsed) {
+    return [];
+  }
+  return Object.entries(parsed)
+    .filter(([key, value]) => /hash/i.test(key) && TX_HASH_PATTERN.test(value))
+    .map(([, value]) => value);
+}
+
+/**
+ * Summarize the messages an agent produced in one run
+ * @param {Array} messages - The new messages: {role, content, tool_calls} for the assistant and
+ *   {role: 'tool', content, tool_call_id, name} for tool results
+ * @returns {{reply: string, toolCalls: Array, transactionHashes: Array<string>,
+ *   policyViolations: Array<Object>}} The run summary; policyViolations are why the agent's
+ *   spending policy refused transactions its tools tried to sign
+ */
+export function summarizeAgentRun(messages) {
+  const toolCalls = [];
+  const byId = new Map();
+  let reply = '';
+
+  for (const message of messages) {
+    if (message.role === 'assistant') {
+      for (const call of message.tool_calls || []) {
+        const toolCall = { id: call.id, name: call.name, args: call.args, status: 'pending' };
+        toolCalls.push(toolCall);
+        byId.set(call.id, toolCall);
+      }
+      const text = messageText(message.content);
+      if (text) {
+        reply = text;
+      }
+    } else if (message.role === 'tool') {
+      const toolCall = byId.get(message.tool_call_id);
+      if (!toolCall) {
+        continue;
+      }
+      const output = messageText(message.content);
+      toolCall.output = output;
+      const parsed = parseToolOutput(output);
+      toolCall.status = parsed?.status === 'error' ? 'error' : 'success';
+      toolCall.transactionHashes = extractTransactionHashes(output);
+      const violations = parseViolations(parsed?.message ?? output);
+      if (violations.length > 0) {
+        toolCall.policyViolations = violations;
+      }
+    }
+  }
+
+  return {
+    reply,
+    toolCalls,
+    transactionHashes: [...new Set(toolCalls.flatMap(call => call.transactionHashes || []))],
+    policyViolations: toolCalls.flatMap(call => call.policyViolations || [])
+  };
+}
+
+/**
+ * Translate a LangGraph streamEvents (v2) event into the SSE events sent to the client
+ * @param {Object} event - The LangGraph event
+ * @returns {{events: Array<{event: string, data: Object}>, message: Object|null}} The SSE events,
+ *   and the run message (as summarizeAgentRun expects it) the event completed, if any
+ */
+export function translateStreamEvent(event) {
+  const { event: type, name, run_id: runId, data = {} } = event;
+
+  switch (type) {
+    case 'on_chat_model_stream': {
+      const delta = messageText(data.chunk?.content);
+      return { events: delta ? [{ event: 'token', data: { delta } }] : [], message: null };
+    }
+    case 'on_chat_model_end': {
+      const output = data.output || {};
+      return {
+        events: [],
+        message: { role: 'assistant', content: output.content, tool_calls: output.tool_calls }
+      };
+    }
+    case 'on_tool_start':
+      return {
+        events: [{ event: 'tool_start', data: { runId, name, input: data.input } }],
+        message: null
+      };
+    case 'on_tool_end': {
+      // ToolNode hands back a ToolMessage; a bare tool call returns its output directly
+      const output = messageText(data.output?.content ?? data.output);
+      const status = parseToolOutput(output)?.status === 'error' ? 'error' : 'success';
+      return {
+        events: [
+          { event: 'tool_end', data: { runId, name, status } },
+          {
+            event: 'tool_result',
+            data: { runId, name, output, transactionHashes: extractTransactionHashes(output) }
+          }
+        ],
+        message: { role: 'tool', tool_call_id: data.output?.tool_call_id, content: output }
+      };
+    }
+    default:
+      return { events: [], message: null };
+  }
+}
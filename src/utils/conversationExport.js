@@ -0,0 +1,104 @@
+/**
+ * Formats for exporting an agent conversation, so its owner or support staff can review what the
+ * agent did: every message with the tools it ran and the transactions they submitted
+ */
+
+import { httpError } from './httpError.js';
+
+export const EXPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+const CSV_COLUMNS = ['timestamp', 'role', 'content', 'tools', 'transactionHashes'];
+
+// The fields of a message worth exporting, whether it is a document or a plain object
+const exportedMessage = message => ({
+  id: message._id?.toString() || null,
+  role: message.role,
+  content: message.content,
+  toolCalls: (message.toolCalls || []).map(({ name, args, output, status, transactionHashes }) => ({
+    name,
+    args,
+    output,
+    status,
+    transactionHashes: transactionHashes || []
+  })),
+  transactionHashes: message.transactionHashes || [],
+  timestamp: new Date(message.timestamp).toISOString()
+});
+
+/**
+ * Quote a CSV cell; cells a spreadsheet would read as a formula are prefixed with a quote
+ * @param {string} value - The cell
+ * @returns {string} The escaped cell
+ */
+export function csvCell(value) {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const toJson = (conversation, messages) =>
+  JSON.stringify({ ...conversation, messages: messages.map(exportedMessage) }, null, 2);
+
+const toMarkdown = (conversation, messages) => {
+  const lines = [
+    `# Conversation with ${conversation.agentName || conversation.agentId}`,
+    '',
+    `- Agent: \`${conversation.agentId}\``,
+    `- Conversation: \`${conversation.conversationId || 'none'}\``,
+    `- Exported: ${conversation.exportedAt}`,
+    `- Messages: ${messages.length}`
+  ];
+
+  for (const message of messages.map(exportedMessage)) {
+    lines.push('', `## ${message.role} (${message.timestamp})`, '', message.content);
+    if (message.toolCalls.length) {
+      lines.push('', '**Tools**', '');
+      for (const call of message.toolCalls) {
+        lines.push(
+          `- \`${call.name}\` (${call.status || 'unknown'}): \`${JSON.stringify(call.args ?? {})}\``
+        );
+      }
+    }
+    if (message.transactionHashes.length) {
+      lines.push('', '**Transactions**', '');
+      lines.push(...message.transactionHashes.map(hash => `- \`${hash}\``));
+    }
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+const toCsv = (conversation, messages) => {
+  const rows = messages
+    .map(exportedMessage)
+    .map(message => [
+      message.timestamp,
+      message.role,
+      message.content,
+      message.toolCalls.map(call => `${call.name}(${call.status || 'unknown'})`).join('; '),
+      message.transactionHashes.join('; ')
+    ]);
+  return `${[CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+};
+
+const FORMATTERS = { json: toJson, md: toMarkdown, csv: toCsv };
+
+/**
+ * Export a conversation
+ * @param {Object} conversation - conversationId, agentId, agentName and exportedAt
+ * @param {Array<Object>} messages - The conversation's messages, oldest first
+ * @param {string} format - json, md or csv (see EXPORT_FORMATS)
+ * @returns {string} The exported conversation
+ */
+export function exportConversation(conversation, messages, format) {
+  const formatter = FORMATTERS[format];
+  if (!formatter) {
+    throw httpError(400, `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  return formatter(conversation, messages);
+}
@@ -0,0 +1,197 @@
+/**
+ * Cron expressions for scheduled agent tasks: the five standard fields (minute, hour, day of
+ * month, month, day of week) with lists, ranges, steps and month and weekday names, and the
+ * @hourly, @daily, @weekly, @monthly and @yearly shorthands. As in Vixie cron, when both day
+ * fields are restricted a day matching either runs
+ */
+
+import { httpError } from './httpError.js';
+
+const MINUTE_MS = 60 * 1000;
+// Enough steps to find a run up to five years ahead, e.g. the next 29 February
+const MAX_STEPS = 10000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTHS, offset: 1 },
+  // 7 is Sunday too
+  { name: 'day of week', min: 0, max: 7, names: WEEKDAYS, offset: 0 }
+];
+
+const SHORTHANDS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const cronError = message => httpError(400, message);
+
+const parseValue = (text, field) => {
+  const named = field.names?.indexOf(text.toLowerCase());
+  const value = named >= 0 ? named + field.offset : /^\d+$/.test(text) ? Number(text) : NaN;
+  if (!(value >= field.min && value <= field.max)) {
+    throw cronError(`Invalid ${field.name} in cron expression: ${text}`);
+  }
+  return value;
+};
+
+const parseField = (text, field) => {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (extra !== undefined || !Number.isInteger(step) || step < 1) {
+      throw cronError(`Invalid step in cron expression: ${part}`);
+    }
+
+    let from;
+    let to;
+    if (range === '*') {
+      from = field.min;
+      to = field.max;
+    } else {
+      const [start, end, rest] = range.split('-');
+      if (rest !== undefined) {
+        throw cronError(`Invalid range in cron expression: ${part}`);
+      }
+      from = parseValue(start, field);
+      // A single value with a step runs from it to the end of the field
+      to = end !== undefined ? parseValue(end, field) : stepText !== undefined ? field.max : from;
+      if (from > to) {
+        throw cronError(`Invalid range in cron expression: ${part}`);
+      }
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - The expression, e.g. '0 9 * * mon' for Mondays at 09:00
+ * @returns {Object} The minutes, hours, days, months and weekdays it runs on
+ * @throws {Error} With status 400 if the expression is invalid
+ */
+export function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw cronError('A cron expression must be a string');
+  }
+  const trimmed = expression.trim().toLowerCase();
+  const fields = (SHORTHANDS[trimmed] || trimmed).split(/\s+/);
+  if (fields.length !== FIELDS.length) {
+    throw cronError('A cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((text, i) =>
+    parseField(text, FIELDS[i])
+  );
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2].startsWith('*'),
+    anyWeekday: fields[4].startsWith('*')
+  };
+}
+
+const formatters = new Map();
+
+// The wall-clock fields of an instant in a time zone
+const zonedFields = timezone => {
+  let formatter = formatters.get(timezone);
+  if (!formatter) {
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        month: 'numeric',
+        day: 'numeric',
+        weekday: 'short',
+        hour: 'numeric',
+        minute: 'numeric'
+      });
+    } catch (error) {
+      throw cronError(`Unknown time zone: ${timezone}`);
+    }
+    formatters.set(timezone, formatter);
+  }
+  return time => {
+    const parts = Object.fromEntries(
+      formatter.formatToParts(time).map(({ type, value }) => [type, value])
+    );
+    return {
+      month: Number(parts.month),
+      day: Number(parts.day),
+      weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+      hour: Number(parts.hour),
+      minute: Number(parts.minute)
+    };
+  };
+};
+
+const dayMatches = (cron, day, weekday) => {
+  if (cron.anyDay || cron.anyWeekday) {
+    return cron.days.has(day) && cron.weekdays.has(weekday);
+  }
+  return cron.days.has(day) || cron.weekdays.has(weekday);
+};
+
+/**
+ * Check that a time zone is known
+ * @param {string} timezone - An IANA time zone, e.g. 'Europe/Paris'
+ * @returns {boolean} True if it is
+ */
+export function isValidTimezone(timezone) {
+  try {
+    zonedFields(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Find the next time a cron expression runs
+ * @param {string|Object} expression - The expression, or what parseCron made of it
+ * @param {Date} after - Find the first run strictly after this time
+ * @param {string} timezone - The IANA time zone the expression is read in
+ * @returns {Date|null} The next run, or null if it never runs (e.g. on 30 February)
+ * @throws {Error} With status 400 if the expression or time zone is invalid
+ */
+export function nextCronRun(expression, after = new Date(), timezone = 'UTC') {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const fieldsAt = zonedFields(timezone);
+
+  let time = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  for (let step = 0; step < MAX_STEPS; step++) {
+    const { month, day, weekday, hour, minute } = fieldsAt(time);
+    // Skip to the next local day or hour when this one cannot match; each step reads the clock
+    // again, so a daylight saving change only shifts where the search resumes
+    if (!cron.months.has(month) || !dayMatches(cron, day, weekday)) {
+      time += ((23 - hour) * 60 + (60 - minute)) * MINUTE_MS;
+    } else if (!cron.hours.has(hour)) {
+      time += (60 - minute) * MINUTE_MS;
+    } else if (!cron.minutes.has(minute)) {
+      time += MINUTE_MS;
+    } else {
+      return new Date(time);
+    }
+  }
+  return null;
+}
@@ -0,0 +1,11 @@
+/**
+ * Build an error carrying the HTTP status controllers should answer with
+ * @param {number} status - The status, e.g. 404
+ * @param {string} message - The error message
+ * @returns {Error} The error, with error.status set
+ */
+export const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
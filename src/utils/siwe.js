@@ -0,0 +1,127 @@
+/**
+ * Helpers for Sign-In with Ethereum (EIP-4361) messages
+ * @see https://eips.ethereum.org/EIPS/eip-4361
+ */
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+// Optional fields, in the order the spec lays them out after the statement
+const FIELDS = [
+  ['uri', 'URI'],
+  ['version', 'Version'],
+  ['chainId', 'Chain ID'],
+  ['nonce', 'Nonce'],
+  ['issuedAt', 'Issued At'],
+  ['expirationTime', 'Expiration Time'],
+  ['notBefore', 'Not Before'],
+  ['requestId', 'Request ID']
+];
+
+const REQUIRED_FIELDS = ['domain', 'address', 'uri', 'version', 'chainId', 'nonce', 'issuedAt'];
+
+/**
+ * Build an EIP-4361 message
+ * @param {Object} fields - Message fields (domain, address, statement, uri, version, chainId,
+ *   nonce, issuedAt, expirationTime, notBefore, requestId, resources)
+ * @returns {string} The message to be signed with personal_sign
+ */
+export function buildSiweMessage(fields) {
+  const message = { version: '1', ...fields };
+
+  for (const field of REQUIRED_FIELDS) {
+    if (message[field] === undefined || message[field] === null || message[field] === '') {
+      throw new Error(`Missing SIWE field: ${field}`);
+    }
+  }
+
+  const lines = [`${message.domain}${HEADER_SUFFIX}`, message.address, ''];
+  if (message.statement) {
+    lines.push(message.statement);
+  }
+  lines.push('');
+
+  for (const [key, label] of FIELDS) {
+    if (message[key] !== undefined && message[key] !== null) {
+      const value = message[key] instanceof Date ? message[key].toISOString() : message[key];
+      lines.push(`${label}: ${value}`);
+    }
+  }
+
+  if (message.resources && message.resources.length > 0) {
+    lines.push('Resources:');
+    for (const resource of message.resources) {
+      lines.push(`- ${resource}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Parse an EIP-4361 message back into its fields
+ * @param {string} text - The signed message
+ * @returns {Object} The parsed fields; chainId is a number, timestamps stay ISO strings
+ */
+export function parseSiweMessage(text) {
+  if (typeof text !== 'string') {
+    throw new Error('SIWE message must be a string');
+  }
+
+  const lines = text.split('\n');
+  const header = lines[0] || '';
+  if (!header.endsWith(HEADER_SUFFIX)) {
+    throw new Error('Invalid SIWE message header');
+  }
+
+  const fields = {
+    domain: header.slice(0, -HEADER_SUFFIX.length),
+    address: lines[1]
+  };
+
+  if (!/^0x[0-9a-fA-F]{40}$/.test(fields.address || '') || lines[2] !== '') {
+    throw new Error('Invalid SIWE message address');
+  }
+
+  // Either "<statement>" followed by a blank line, or just the blank line
+  let index = 3;
+  if (lines[index] !== '') {
+    fields.statement = lines[index];
+    index += 1;
+  }
+  if (lines[index] !== '') {
+    throw new Error('Invalid SIWE message statement');
+  }
+  index += 1;
+
+  const labels = new Map(FIELDS.map(([key, label]) => [`${label}: `, key]));
+  for (; index < lines.length; index += 1) {
+    const line = lines[index];
+
+    if (line === 'Resources:') {
+      fields.resources = lines
+        .slice(index + 1)
+        .filter(resource => resource.startsWith('- '))
+        .map(resource => resource.slice(2));
+      break;
+    }
+
+    const prefix = [...labels.keys()].find(label => line.startsWith(label));
+    if (!prefix) {
+      throw new Error(`Unexpected SIWE message line: ${line}`);
+    }
+    fields[labels.get(prefix)] = line.slice(prefix.length);
+  }
+
+  for (const field of REQUIRED_FIELDS) {
+    if (!fields[field]) {
+      throw new Error(`Missing SIWE field: ${field}`);
+    }
+  }
+
+  fields.chainId = Number(fields.chainId);
+  if (!Number.isInteger(fields.chainId)) {
+    throw new Error('Invalid SIWE chain ID');
+  }
+
+  return fields;
+}
@@ -0,0 +1,96 @@
+/**
+ * Helpers for reading the VM status of Aptos transactions
+ * Move aborts carry a u64 code whose upper bits are a std::error category and lower 16 bits
+ * the module's own reason
+ * @see https://github.com/aptos-labs/aptos-core/blob/main/aptos-move/framework/move-stdlib/sources/error.move
+ */
+
+const SUCCESS = 'Executed successfully';
+
+// e.g. "Move abort in 0x1::coin: EINSUFFICIENT_BALANCE(0x10006): Not enough coins to complete transaction"
+// or, for modules published without an error map, "Move abort in 0xcafe::vault: 0x3"
+const ABORT_PATTERN =
+  /^Move abort in (0x[0-9a-fA-F]+::\w+): (?:(\w+)\((0x[0-9a-fA-F]+)\)|(0x[0-9a-fA-F]+))(?::\s*(.*))?$/;
+
+// std::error categories
+const CATEGORIES = {
+  0x1: 'invalid argument',
+  0x2: 'out of range',
+  0x3: 'invalid state',
+  0x4: 'unauthenticated',
+  0x5: 'permission denied',
+  0x6: 'not found',
+  0x7: 'aborted',
+  0x8: 'already exists',
+  0x9: 'resource exhausted',
+  0xa: 'cancelled',
+  0xb: 'internal error',
+  0xc: 'not implemented',
+  0xd: 'unavailable'
+};
+
+// Statuses the VM reports instead of an abort
+const STATUS_REASONS = {
+  OUT_OF_GAS: 'The transaction ran out of gas; raise its max gas amount',
+  INSUFFICIENT_BALANCE_FOR_TRANSACTION_FEE: 'The sender cannot pay the maximum gas fee',
+  SEQUENCE_NUMBER_TOO_OLD: 'The sequence number was already used',
+  SEQUENCE_NUMBER_TOO_NEW: 'The sequence number is ahead of the account',
+  TRANSACTION_EXPIRED: 'The transaction expired before it was executed',
+  INVALID_AUTH_KEY: 'The signer does not control the sender account',
+  SENDING_ACCOUNT_DOES_NOT_EXIST: 'The sender account does not exist on this network',
+  FUNCTION_RESOLUTION_FAILURE: 'The function does not exist',
+  LINKER_ERROR: 'The module or function does not exist',
+  NUMBER_OF_TYPE_ARGUMENTS_MISMATCH: 'Wrong number of type arguments',
+  NUMBER_OF_ARGUMENTS_MISMATCH: 'Wrong number of arguments',
+  ARITHMETIC_ERROR: 'An arithmetic operation overflowed or divided by zero'
+};
+
+/**
+ * Decode a Move abort code
+ * @param {number|bigint|string} code - The abort code
+ * @returns {{code: string, category: string|null, reason: number}} The code in hex, its
+ *   std::error category and the module's reason
+ */
+export function decodeAbortCode(code) {
+  const value = BigInt(code);
+  const category = Number((value >> 16n) & 0xffn);
+  return {
+    code: `0x${value.toString(16)}`,
+    category: CATEGORIES[category] || null,
+    reason: Number(value & 0xffffn)
+  };
+}
+
+/**
+ * Explain why a transaction failed
+ * @param {string} vmStatus - The VM status of the transaction or its simulation
+ * @returns {{reason: string, abort: Object|null}|null} A readable reason, and the abort's
+ *   location, error name, code and category if it aborted; null if it succeeded
+ */
+export function decodeVmStatus(vmStatus) {
+  if (!vmStatus || vmStatus === SUCCESS) {
+    return null;
+  }
+
+  const match = ABORT_PATTERN.exec(vmStatus);
+  if (match) {
+    const [, location, name, namedCode, bareCode, description] = match;
+    const decoded = decodeAbortCode(namedCode || bareCode);
+    const abort = { location, name: name || null, ...decoded };
+    let reason = description?.trim();
+    if (!reason) {
+      const label = name || `reason ${decoded.reason}`;
+      reason = decoded.category ? `${decoded.category} (${label})` : label;
+    }
+    return { reason: `${location} aborted: ${reason}`, abort };
+  }
+
+  const status = Object.keys(STATUS_REASONS).find(key => vmStatus.toUpperCase().includes(key));
+  if (status) {
+    return { reason: STATUS_REASONS[status], abort: null };
+  }
+  if (/out of gas/i.test(vmStatus)) {
+    return { reason: STATUS_REASONS.OUT_OF_GAS, abort: null };
+  }
+  return { reason: vmStatus, abort: null };
+}
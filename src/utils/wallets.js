@@ -0,0 +1,54 @@
+import { AccountAddress } from '@aptos-labs/ts-sdk';
+import { ethers } from 'ethers';
+
+export const WALLET_CHAINS = ['aptos', 'evm'];
+
+/**
+ * Normalize an Aptos address to its long form
+ * @param {string} address - The address to normalize
+ * @returns {string|null} The long-form address, or null if it is not an Aptos address
+ */
+export function normalizeAptosAddress(address) {
+  if (typeof address !== 'string' || !AccountAddress.isValid({ input: address }).valid) {
+    return null;
+  }
+  return AccountAddress.from(address).toStringLong();
+}
+
+/**
+ * Normalize an EVM address to its EIP-55 checksummed form
+ * @param {string} address - The address to normalize
+ * @returns {string|null} The checksummed address, or null if it is not an EVM address
+ */
+export function normalizeEvmAddress(address) {
+  if (typeof address !== 'string' || !ethers.isAddress(address)) {
+    return null;
+  }
+  return ethers.getAddress(address);
+}
+
+/**
+ * Normalize an address for the given chain family
+ * @param {string} chain - 'aptos' or 'evm'
+ * @param {string} address - The address to normalize
+ * @returns {string|null} The normalized address, or null if invalid for that chain
+ */
+export function normalizeAddress(chain, address) {
+  if (chain === 'aptos') {
+    return normalizeAptosAddress(address);
+  }
+  if (chain === 'evm') {
+    return normalizeEvmAddress(address);
+  }
+  return null;
+}
+
+/**
+ * Build the case-insensitive key that identifies a wallet across users
+ * @param {string} chain - 'aptos' or 'evm'
+ * @param {string} address - The wallet address
+ * @returns {string} The wallet key, e.g. "evm:0xabc..."
+ */
+export function walletKey(chain, address) {
+  return `${chain}:${String(address).toLowerCase()}`;
+}